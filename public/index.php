@@ -36,8 +36,8 @@
  * REAL-TIME DATA (vs Node.js WebSocket):
  *   PHP cannot maintain persistent WebSocket connections in standard
  *   PHP-FPM mode. Instead, the dashboard uses:
- *   - AJAX polling (every 500ms) for metrics
- *   - AJAX polling (every 2s) for event log
+ *   - A bounded SSE stream (/api/metrics/stream) for metrics and events
+ *   - AJAX polling (every 250ms / 2s) as a fallback when SSE is unavailable
  *   - JavaScript-based latency probes (XHR timing to /api/metrics/probe)
  *
  * @module public/index.php
@@ -103,7 +103,17 @@ if (str_starts_with($uri, '/api/')) {
     header('Content-Type: application/json');
     header('Access-Control-Allow-Origin: *');
     header('Access-Control-Allow-Methods: GET, POST, DELETE, OPTIONS');
-    header('Access-Control-Allow-Headers: Content-Type, X-Internal-Probe, X-Sidecar-Probe');
+    header('Access-Control-Allow-Headers: Content-Type, X-Internal-Probe, X-Sidecar-Probe, X-Request-Id, traceparent');
+    header('Access-Control-Expose-Headers: X-Request-Id');
+    // Cache preflights: correlation headers make every cross-origin request preflighted
+    header('Access-Control-Max-Age: 600');
+    // Lets the dashboard read detailed Resource Timing (DNS/connect/TTFB) for cross-origin targets
+    header('Timing-Allow-Origin: *');
+
+    // Echo the dashboard's correlation ID (see RequestLogger::requestId)
+    if (RequestLogger::requestId() !== null) {
+        header('X-Request-Id: ' . RequestLogger::requestId());
+    }
 
     // Handle CORS preflight
     if ($method === 'OPTIONS') {
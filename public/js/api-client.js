@@ -0,0 +1,399 @@
+/**
+ * =============================================================================
+ * API CLIENT — Typed Client for the PerfSimPhp REST API
+ * =============================================================================
+ *
+ * FEATURE REQUIREMENTS (language-agnostic):
+ *   This module must:
+ *   1. Give every dashboard call to the REST API one code path (timeouts,
+ *      correlation IDs, JSON parsing, error shape)
+ *   2. Retry idempotent GETs on network errors, timeouts and 5xx responses
+ *   3. Validate the shape of each response before the dashboard uses it
+ *   4. De-duplicate identical GETs that are already in flight
+ *   5. Report every failed call through a single hook (onError), and every
+ *      call as it is sent through another (onRequest)
+ *   6. Be usable from the browser console and from tests, not only the UI
+ *
+ * HOW IT WORKS (this implementation):
+ *   - Built on fetchWithTimeout() from polling-client.js, so requests get the
+ *     X-Request-Id / traceparent headers; results and errors carry requestId
+ *   - Each method resolves to { data, status, requestId } or rejects with an
+ *     ApiError whose kind is 'http' | 'timeout' | 'network' | 'invalid-response'
+ *   - Response shapes are small field → type maps ('string', 'number?', ...),
+ *     checked shallowly; extra fields are allowed
+ *   - Crash requests are expected to lose the connection; those failures are
+ *     thrown but not passed to onError
+ *   - Load test requests (loadTest) are measurements: they are sent once,
+ *     never shared with an identical call in flight, and skip both hooks;
+ *     the caller sets their timeout, since one request may legitimately
+ *     take longer than API_TIMEOUT_MS
+ *
+ * USAGE (browser console):
+ *   await perfSimApi.startCpuStress({ level: 'high', durationSeconds: 30 })
+ *   (await perfSimApi.health()).data.environment
+ *   const staging = createApiClient({ baseUrl: 'https://app-staging.azurewebsites.net' })
+ *
+ * USAGE (tests, Node.js 18+):
+ *   const { createApiClient } = require('./public/js/api-client.js');
+ *   const api = createApiClient({ baseUrl: 'http://localhost:8080', fetchWithTimeout: myFetch });
+ *
+ * PORTING NOTES:
+ *   This file is frontend JavaScript and stays JS regardless of backend.
+ *   If endpoint paths or response fields change in a port, update
+ *   API_ENDPOINTS / API_SHAPES here rather than in dashboard.js.
+ */
+
+const API_TIMEOUT_MS = 10000;
+// Retries after the first attempt (GET only)
+const API_GET_RETRIES = 2;
+const API_RETRY_BASE_DELAY_MS = 250;
+
+const API_ENDPOINTS = {
+  health: '/api/health',
+  metrics: '/api/metrics',
+  simulations: '/api/simulations',
+  cpuStart: '/api/simulations/cpu/start',
+  cpuStop: '/api/simulations/cpu/stop',
+  // + simulation id (DELETE)
+  cpuSimulation: '/api/simulations/cpu/',
+  memoryAllocate: '/api/simulations/memory/allocate',
+  memoryRelease: '/api/simulations/memory/release',
+  // + allocation id (DELETE)
+  memoryAllocation: '/api/simulations/memory/',
+  blockingStart: '/api/simulations/blocking/start',
+  loadTest: '/api/loadtest',
+  loadTestStats: '/api/loadtest/stats',
+  crashStats: '/api/simulations/crash/stats',
+  crash: {
+    failfast: '/api/simulations/crash/failfast',
+    stackoverflow: '/api/simulations/crash/stackoverflow',
+    exception: '/api/simulations/crash/exception',
+    oom: '/api/simulations/crash/oom',
+  },
+};
+
+// Expected response fields ('?' = optional)
+const API_SHAPES = {
+  health: { status: 'string', environment: 'object?', buildTimestamp: 'string?', pageFooter: 'string?' },
+  metrics: { cpu: 'object', memory: 'object', process: 'object?' },
+  crashStats: { stats: 'object' },
+  simulationList: { simulations: 'array', count: 'number' },
+  loadTest: { totalElapsedMs: 'number', workerPid: 'number?' },
+  loadTestStats: { periodStart: 'string?', periodSeconds: 'number', requestCount: 'number', averageResponseTimeMs: 'number?', maxResponseTimeMs: 'number?' },
+  simulation: { message: 'string?', id: 'string?' },
+  message: { message: 'string?' },
+};
+
+/**
+ * @typedef {Object} ApiResponse
+ * @property {*} data - Parsed JSON body
+ * @property {number} status - HTTP status
+ * @property {string|null} requestId - Correlation ID sent with the request
+ */
+
+/**
+ * Error thrown by every API client method.
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} message - Human-readable reason
+   * @param {Object} info
+   * @param {string} info.kind - 'http' | 'timeout' | 'network' | 'invalid-response'
+   * @param {string} info.action - What was being done (e.g. 'CPU stress')
+   * @param {string} info.method - HTTP method
+   * @param {string} info.path - Request path
+   * @param {number|null} [info.status] - HTTP status, if a response arrived
+   * @param {string|null} [info.requestId] - Correlation ID of the request
+   * @param {*} [info.body] - Parsed error body, if any
+   */
+  constructor(message, { kind, action, method, path, status = null, requestId = null, body = null }) {
+    super(message);
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.action = action;
+    this.method = method;
+    this.path = path;
+    this.status = status;
+    this.requestId = requestId;
+    this.body = body;
+  }
+
+  /** Whether repeating the same request might succeed. */
+  get retryable() {
+    return this.kind === 'network' || this.kind === 'timeout' || (this.kind === 'http' && this.status >= 500);
+  }
+}
+
+/**
+ * Checks a response body against a shape map.
+ * @param {*} data - Parsed body
+ * @param {Object} shape - { field: 'type' | 'type?' }
+ * @returns {string|null} Description of the first mismatch, or null if valid
+ */
+function validateApiShape(data, shape) {
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    return 'expected a JSON object';
+  }
+  for (const [field, spec] of Object.entries(shape)) {
+    const optional = spec.endsWith('?');
+    const type = optional ? spec.slice(0, -1) : spec;
+    const value = data[field];
+    if (value === undefined || value === null) {
+      if (!optional) return `missing field "${field}"`;
+      continue;
+    }
+    const actual = Array.isArray(value) ? 'array' : typeof value;
+    if (actual !== type) return `field "${field}" is ${actual}, expected ${type}`;
+  }
+  return null;
+}
+
+/**
+ * Creates an API client.
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Instance base URL ('' = same origin)
+ * @param {Function} [options.fetchWithTimeout] - (url, init, timeoutMs) => Promise<Response>;
+ *   defaults to polling-client.js's fetchWithTimeout
+ * @param {number} [options.timeoutMs] - Per-attempt timeout
+ * @param {Function} [options.onError] - Called once with each ApiError (after retries)
+ * @param {Function} [options.onRequest] - Called with { method, path, action, body }
+ *   before each request (session-recorder.js records control actions with it)
+ * @returns {Object} Client with one method per endpoint
+ */
+function createApiClient(options = {}) {
+  const transport = options.fetchWithTimeout ||
+    (typeof fetchWithTimeout === 'function' ? fetchWithTimeout : null);
+  if (!transport) {
+    throw new Error('createApiClient: fetchWithTimeout is not available; pass options.fetchWithTimeout');
+  }
+  const baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+  const timeoutMs = options.timeoutMs || API_TIMEOUT_MS;
+  // In-flight GETs by path, shared by identical concurrent calls
+  const inFlight = new Map();
+
+  const client = {
+    baseUrl,
+    onError: options.onError || null,
+    onRequest: options.onRequest || null,
+
+    /**
+     * Sends one request (with GET retries) and returns the parsed response.
+     * @param {string} method - HTTP method
+     * @param {string} path - API path
+     * @param {Object} opts
+     * @param {string} opts.action - Label used in error messages
+     * @param {Object} [opts.shape] - Expected response shape
+     * @param {Object} [opts.body] - JSON request body
+     * @param {boolean} [opts.expectDisconnect] - Don't report network-level failures
+     * @returns {Promise<ApiResponse>}
+     */
+    request(method, path, opts) {
+      if (method === 'GET' && inFlight.has(path)) {
+        return inFlight.get(path);
+      }
+      if (typeof this.onRequest === 'function') {
+        this.onRequest({ method, path, action: opts.action, body: opts.body ?? null });
+      }
+
+      const attempts = method === 'GET' ? API_GET_RETRIES + 1 : 1;
+      const promise = this.attempt(method, path, opts, attempts)
+        .catch(error => {
+          const expected = opts.expectDisconnect && error.kind !== 'http';
+          if (!expected && typeof this.onError === 'function') {
+            this.onError(error);
+          }
+          throw error;
+        })
+        .finally(() => {
+          if (inFlight.get(path) === promise) inFlight.delete(path);
+        });
+
+      if (method === 'GET') inFlight.set(path, promise);
+      return promise;
+    },
+
+    attempt(method, path, opts, attemptsLeft) {
+      return this.send(method, path, opts).catch(error => {
+        if (attemptsLeft <= 1 || !error.retryable) throw error;
+        const attempt = API_GET_RETRIES + 2 - attemptsLeft;
+        const delay = API_RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1);
+        return new Promise(resolve => setTimeout(resolve, delay))
+          .then(() => this.attempt(method, path, opts, attemptsLeft - 1));
+      });
+    },
+
+    send(method, path, { action, shape, body, timeoutMs: callTimeoutMs = timeoutMs }) {
+      const init = { method, headers: { 'Accept': 'application/json' } };
+      if (method === 'GET') {
+        init.cache = 'no-store';
+      }
+      if (body !== undefined) {
+        init.headers['Content-Type'] = 'application/json';
+        init.body = JSON.stringify(body);
+      }
+      const fail = (kind, message, extra = {}) =>
+        new ApiError(message, { kind, action, method, path, ...extra });
+
+      return transport(baseUrl + path, init, callTimeoutMs).then(
+        response => response.text().then(text => {
+          const requestId = response.requestId || null;
+          let data = null;
+          try {
+            data = text ? JSON.parse(text) : null;
+          } catch (error) {
+            throw fail(response.ok ? 'invalid-response' : 'http',
+              response.ok ? 'Response is not valid JSON' : `HTTP ${response.status}`,
+              { status: response.status, requestId });
+          }
+
+          if (!response.ok) {
+            const reason = data?.message || data?.error || `HTTP ${response.status}`;
+            throw fail('http', reason, { status: response.status, requestId, body: data });
+          }
+          const mismatch = shape ? validateApiShape(data, shape) : null;
+          if (mismatch) {
+            throw fail('invalid-response', `Unexpected response: ${mismatch}`,
+              { status: response.status, requestId, body: data });
+          }
+          return { data, status: response.status, requestId };
+        }),
+        error => {
+          if (error && error.name === 'AbortError') {
+            throw fail('timeout', `Timed out after ${callTimeoutMs / 1000}s`, { requestId: error.requestId });
+          }
+          throw fail('network', error?.message || 'Network error', { requestId: error?.requestId });
+        }
+      );
+    },
+
+    // ------------------------------------------------------------------------
+    // Endpoints
+    // ------------------------------------------------------------------------
+
+    /** GET /api/health — status, build and environment info */
+    health() {
+      return this.request('GET', API_ENDPOINTS.health, { action: 'Health check', shape: API_SHAPES.health });
+    },
+
+    /** GET /api/metrics — full metrics snapshot */
+    metrics() {
+      return this.request('GET', API_ENDPOINTS.metrics, { action: 'Metrics', shape: API_SHAPES.metrics });
+    },
+
+    /**
+     * GET /api/simulations — every active simulation with its id, type,
+     * parameters, startedAt and scheduledEndAt
+     */
+    simulations() {
+      return this.request('GET', API_ENDPOINTS.simulations, { action: 'Active simulations', shape: API_SHAPES.simulationList });
+    },
+
+    /** GET /api/simulations/crash/stats — crash counts and worker tracking */
+    crashStats() {
+      return this.request('GET', API_ENDPOINTS.crashStats, { action: 'Crash stats', shape: API_SHAPES.crashStats });
+    },
+
+    /**
+     * POST /api/simulations/cpu/start
+     * @param {{level: string, durationSeconds: number}} params
+     */
+    startCpuStress(params) {
+      return this.request('POST', API_ENDPOINTS.cpuStart,
+        { action: 'CPU stress', shape: API_SHAPES.simulation, body: params });
+    },
+
+    /** POST /api/simulations/cpu/stop — stops all CPU simulations */
+    stopCpuStress() {
+      return this.request('POST', API_ENDPOINTS.cpuStop, { action: 'Stop CPU stress', shape: API_SHAPES.message });
+    },
+
+    /**
+     * DELETE /api/simulations/cpu/:id — stops one CPU simulation
+     * (404 if it is unknown or no longer active)
+     * @param {string} id - Simulation id
+     */
+    stopCpuSimulation(id) {
+      return this.request('DELETE', API_ENDPOINTS.cpuSimulation + encodeURIComponent(id),
+        { action: 'Stop CPU simulation', shape: API_SHAPES.simulation });
+    },
+
+    /**
+     * POST /api/simulations/memory/allocate
+     * @param {{sizeMb: number}} params
+     */
+    allocateMemory(params) {
+      return this.request('POST', API_ENDPOINTS.memoryAllocate,
+        { action: 'Memory allocation', shape: API_SHAPES.simulation, body: params });
+    },
+
+    /** POST /api/simulations/memory/release — releases all allocations */
+    releaseMemory() {
+      return this.request('POST', API_ENDPOINTS.memoryRelease, { action: 'Memory release', shape: API_SHAPES.message });
+    },
+
+    /**
+     * DELETE /api/simulations/memory/:id — releases one allocation
+     * (idempotent: an unknown id also succeeds)
+     * @param {string} id - Allocation (simulation) id
+     */
+    releaseMemoryAllocation(id) {
+      return this.request('DELETE', API_ENDPOINTS.memoryAllocation + encodeURIComponent(id),
+        { action: 'Memory allocation release', shape: API_SHAPES.simulation });
+    },
+
+    /**
+     * POST /api/simulations/blocking/start
+     * @param {{durationSeconds: number, concurrentWorkers: number}} params
+     */
+    startBlocking(params) {
+      return this.request('POST', API_ENDPOINTS.blockingStart,
+        { action: 'Thread blocking', shape: API_SHAPES.simulation, body: params });
+    },
+
+    /**
+     * GET /api/loadtest — one unit of load test work. Sent straight to
+     * send(): no retries, no de-duplication, no onRequest / onError (the
+     * load generator counts failures itself)
+     * @param {{workMs: number, memoryKb: number, holdMs: number}} params
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Instead of the client's timeout
+     */
+    loadTest(params, { timeoutMs: callTimeoutMs } = {}) {
+      const query = new URLSearchParams(params).toString();
+      return this.send('GET', `${API_ENDPOINTS.loadTest}?${query}`,
+        { action: 'Load test request', shape: API_SHAPES.loadTest, timeoutMs: callTimeoutMs });
+    },
+
+    /** GET /api/loadtest/stats — the server's load test counters */
+    loadTestStats() {
+      return this.request('GET', API_ENDPOINTS.loadTestStats, { action: 'Load test stats', shape: API_SHAPES.loadTestStats });
+    },
+
+    /**
+     * POST /api/simulations/crash/:type
+     * The worker may die before answering, so network-level failures are
+     * not reported through onError (the caller still sees the rejection).
+     * @param {string} crashType - failfast | stackoverflow | exception | oom
+     */
+    crash(crashType) {
+      const path = API_ENDPOINTS.crash[crashType];
+      if (!path) {
+        return Promise.reject(new Error(`Unknown crash type: ${crashType}`));
+      }
+      return this.request('POST', path,
+        { action: 'Crash', shape: API_SHAPES.message, expectDisconnect: true });
+    },
+  };
+  return client;
+}
+
+if (typeof window !== 'undefined') {
+  // Shared instance used by dashboard.js (and handy in the browser console)
+  window.perfSimApi = createApiClient();
+  window.createApiClient = createApiClient;
+  window.ApiError = ApiError;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createApiClient, ApiError, validateApiShape, API_ENDPOINTS, API_SHAPES };
+}
@@ -0,0 +1,140 @@
+/**
+ * =============================================================================
+ * CHART HISTORY — Tiered, Downsampled Series Store for Long Chart Windows
+ * =============================================================================
+ *
+ * FEATURE REQUIREMENTS (language-agnostic):
+ *   This module must:
+ *   1. Keep up to an hour of chart data in bounded memory
+ *   2. Downsample older data into fixed time buckets that record min, max
+ *      and average, so short spikes survive aggregation
+ *   3. Answer "give me window W ending now" with evenly spaced buckets,
+ *      leaving empty buckets as gaps (null)
+ *
+ * HOW IT WORKS (this implementation):
+ *   - Every sample is folded into each tier's current bucket as it arrives
+ *     (no re-aggregation pass); a tier drops buckets older than its retention
+ *   - Tiers: 1s buckets for 5 minutes, 5s for 15 minutes, 15s for an hour.
+ *     A window is rendered from the finest tier that covers it, which keeps
+ *     every window at 180–300 points
+ *   - A sample is a flat { key: number } map; keys are free-form so callers
+ *     can store several series (including per-target ones) in one history.
+ *     null / non-finite values are skipped (the bucket stays a gap for that key)
+ *   - Buckets are keyed by start time, so samples may arrive out of order
+ *     (e.g. offline history restored after live samples)
+ *
+ * USED BY:
+ *   charts.js keeps one history for metrics and one for probe latency; the
+ *   1-minute window still draws the live arrays, longer windows draw from here
+ *
+ * PORTING NOTES:
+ *   This file is frontend JavaScript and stays JS regardless of backend.
+ *   Time-series libraries (e.g. uPlot with its own downsampling, or a server
+ *   side TSDB) can replace it; the contract is add() + render().
+ */
+
+const CHART_HISTORY_TIERS = [
+  { bucketMs: 1000, retainMs: 5 * 60 * 1000 },
+  { bucketMs: 5000, retainMs: 15 * 60 * 1000 },
+  { bucketMs: 15000, retainMs: 60 * 60 * 1000 },
+];
+
+/**
+ * Creates an empty tiered history.
+ * @param {Array} [tiers] - [{ bucketMs, retainMs }], finest first
+ * @returns {Object} History with add / tierFor / render / clear
+ */
+function createTieredHistory(tiers = CHART_HISTORY_TIERS) {
+  return {
+    tiers: tiers.map(tier => ({ ...tier, buckets: new Map(), newestStart: 0 })),
+
+    /**
+     * Folds one sample into every tier.
+     * @param {number} ts - Sample time (ms since epoch, server timeline)
+     * @param {Object} values - { key: number|null }
+     */
+    add(ts, values) {
+      if (!Number.isFinite(ts)) return;
+      for (const tier of this.tiers) {
+        const start = Math.floor(ts / tier.bucketMs) * tier.bucketMs;
+        if (start < tier.newestStart - tier.retainMs) continue;
+
+        let bucket = tier.buckets.get(start);
+        if (!bucket) {
+          bucket = {};
+          tier.buckets.set(start, bucket);
+          if (start > tier.newestStart) {
+            tier.newestStart = start;
+            this.prune(tier);
+          }
+        }
+        for (const [key, value] of Object.entries(values)) {
+          if (value == null || !Number.isFinite(value)) continue;
+          const agg = bucket[key];
+          if (agg) {
+            if (value < agg.min) agg.min = value;
+            if (value > agg.max) agg.max = value;
+            agg.sum += value;
+            agg.count++;
+          } else {
+            bucket[key] = { min: value, max: value, sum: value, count: 1 };
+          }
+        }
+      }
+    },
+
+    /**
+     * Drops a tier's buckets that fell out of its retention.
+     */
+    prune(tier) {
+      const cutoff = tier.newestStart - tier.retainMs;
+      for (const start of tier.buckets.keys()) {
+        if (start < cutoff) tier.buckets.delete(start);
+      }
+    },
+
+    /**
+     * Gets the finest tier that retains the whole window.
+     * @param {number} windowMs - Window length
+     * @returns {Object} Tier ({ bucketMs, retainMs, buckets })
+     */
+    tierFor(windowMs) {
+      return this.tiers.find(tier => tier.retainMs >= windowMs) || this.tiers[this.tiers.length - 1];
+    },
+
+    /**
+     * Renders a window as evenly spaced buckets ending at endTs.
+     * @param {number} windowMs - Window length
+     * @param {number} endTs - Window end (ms since epoch, server timeline)
+     * @param {string[]} keys - Series to extract
+     * @returns {{starts: number[], bucketMs: number, series: Object}}
+     *   series[key] = { min: [], max: [], avg: [] } aligned with starts (null = no data)
+     */
+    render(windowMs, endTs, keys) {
+      const tier = this.tierFor(windowMs);
+      const last = Math.floor(endTs / tier.bucketMs) * tier.bucketMs;
+      const first = last - windowMs + tier.bucketMs;
+      const starts = [];
+      const series = Object.fromEntries(keys.map(key => [key, { min: [], max: [], avg: [] }]));
+
+      for (let start = first; start <= last; start += tier.bucketMs) {
+        starts.push(start);
+        const bucket = tier.buckets.get(start);
+        for (const key of keys) {
+          const agg = bucket ? bucket[key] : null;
+          series[key].min.push(agg ? agg.min : null);
+          series[key].max.push(agg ? agg.max : null);
+          series[key].avg.push(agg ? agg.sum / agg.count : null);
+        }
+      }
+      return { starts, bucketMs: tier.bucketMs, series };
+    },
+
+    clear() {
+      for (const tier of this.tiers) {
+        tier.buckets.clear();
+        tier.newestStart = 0;
+      }
+    },
+  };
+}
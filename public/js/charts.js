@@ -5,20 +5,25 @@
  *
  * FEATURE REQUIREMENTS (language-agnostic):
  *   This charting module must provide:
- *   1. CPU/Memory trend chart — Combined CPU%, memory MB over 60-second window
- *   2. Worker Response chart — Backend worker response time in ms (60s window)
- *   3. Latency chart — HTTP probe latency, high-resolution (~600 points)
+ *   1. CPU/Memory trend chart — Combined CPU%, memory MB over a selectable
+ *      1m / 5m / 15m / 1h window
+ *   2. Worker Response chart — Backend worker response time in ms (same window)
+ *   3. Latency chart — HTTP probe latency; the live 1-minute view is
+ *      high-resolution (~600 points), longer windows come from the tiered
+ *      history (min / avg / max per bucket)
  *   4. Color-coded severity indicators for latency values
- *   5. Rolling statistics: current, average, max, P99 latency
+ *   5. Rolling statistics: current, average, max, P50/P90/P95/P99/P99.9 latency
  *   6. Server responsiveness status (consecutive failures, recovery time)
  *
  * LATENCY SEVERITY THRESHOLDS:
- *   These thresholds apply regardless of implementation:
+ *   These default thresholds apply regardless of implementation:
  *   - Green (0-200ms): Healthy response times
  *   - Yellow (200ms-1s): Degraded performance
  *   - Orange (1s-30s): Severe degradation
  *   - Red (30s+): Critical / near-timeout
  *   Use smooth interpolation between bands, not hard color boundaries.
+ *   The thresholds are one model that every latency color reads: editable
+ *   per browser and seedable from server config (see "Latency Thresholds").
  *
  * DATA INTERFACE:
  *   Charts receive data via global callback functions:
@@ -37,6 +42,29 @@
  *   - Three chart instances stored in global variables
  *   - Each chart has fixed-length data arrays that shift on update
  *   - Custom gradient fills computed based on current data values
+ *   - After a page reload, history is restored from the offline store
+ *     (offline-store.js) with a gap marking the time the page was away
+ *   - Time window selector (1m / 5m / 15m / 1h): the 1-minute window draws
+ *     the live arrays with 'none' updates as samples arrive; longer windows
+ *     swap each dataset's data for buckets from the tiered history
+ *     (chart-history.js), drawn as the bucket average plus a min–max band,
+ *     and re-render at most once per second
+ *   - Freeze / zoom / pan: freezing holds the display on a copy of what is
+ *     drawn while collection continues; dragging selects a time range that
+ *     all charts zoom to together, Shift+drag pans it, "jump to live" resumes
+ *   - Event annotations: every event log entry is drawn as a vertical marker
+ *     on all charts, colored by level and filterable by simulation type
+ *   - Latency statistics come from a streaming log-bucket histogram over the
+ *     last 60s (latency-quantiles.js); the rolling P50/P90/P99/P99.9 can be
+ *     drawn as extra lines on the latency chart
+ *   - Simulation bands: the interval each simulation (CPU, memory, blocking,
+ *     load test) was active is shaded behind the lines, labeled with its
+ *     parameters
+ *   - Export: each chart as PNG, the live series as CSV (see "Export")
+ *   - The latency chart can be switched to a histogram or a time × latency
+ *     heatmap over log-scale buckets edged at the severity thresholds, which
+ *     shows bimodal latency (some workers blocked, others free) that a single
+ *     line averages away
  *
  * PORTING NOTES (frontend framework alternatives):
  *   This file is frontend JavaScript and stays JS regardless of backend.
@@ -80,9 +108,11 @@
 /**
  * Gets the current UTC time as a formatted string (HH:MM:SS)
  * All times use UTC to match Azure AppLens and backend diagnostics.
+ * Uses the server's timeline (serverNow() from polling-client.js corrects
+ * for browser clock skew) so chart points line up with server events.
  */
 function getUtcTimeString() {
-  const now = new Date();
+  const now = new Date(typeof serverNow === 'function' ? serverNow() : Date.now());
   const hours = now.getUTCHours().toString().padStart(2, '0');
   const minutes = now.getUTCMinutes().toString().padStart(2, '0');
   const seconds = now.getUTCSeconds().toString().padStart(2, '0');
@@ -94,32 +124,230 @@ let cpuMemoryChart = null;
 let eventloopChart = null;
 let latencyChart = null;
 
-// Data history for CPU/Memory/Worker charts (60 data points at ~1s intervals = 60s)
-const maxDataPoints = 60;
+// Live data for CPU/Memory/Worker charts. The live window is trimmed by time
+// (see trimLiveSeries); the count only caps memory: 240 points = 60s at the
+// fastest 250ms metrics cadence, so a slower poll never shortens the window.
+const maxDataPoints = 240;
 const chartData = {
   labels: [],
+  times: [],      // Sample time of each label (ms since epoch, server timeline)
   cpu: [],
   memory: [],
   eventloop: [],  // In PHP: worker response time (kept name for compatibility)
   rss: [],
 };
 
-// Separate data store for latency chart (60 seconds at 100ms intervals)
+// Separate data store for latency chart (trimmed the same way; 600 points =
+// 60s at the fastest 100ms probe cadence)
 const maxLatencyDataPoints = 600;
 const latencyChartData = {
   labels: [],
+  times: [],
   values: [],
+  // Per-probe latency phases (see getProbeBreakdown in polling-client.js);
+  // null where no Resource Timing entry was available
+  dns: [],
+  connect: [],
+  frontend: [],
+  fpmQueue: [],
+  server: [],
+  download: [],
+  // Probe mode that produced each point ('health' | 'metrics' | 'internal')
+  modes: [],
+  // Correlation ID (X-Request-Id) of the probe request behind each point
+  requestIds: [],
+  // Rolling 60s percentiles as of each point (see LATENCY_PERCENTILES)
+  p50: [],
+  p90: [],
+  p99: [],
+  p999: [],
 };
+const LATENCY_BREAKDOWN_KEYS = ['dns', 'connect', 'frontend', 'fpmQueue', 'server', 'download'];
+
+/**
+ * One phase of a probe breakdown for the charts: null without a breakdown,
+ * 0 for a phase the breakdown lacks (no FPM queue stamp, or records stored
+ * before the phase existed), so the stacked areas stay continuous.
+ */
+function breakdownPhaseValue(breakdown, key) {
+  return breakdown ? (breakdown[key + 'Ms'] ?? 0) : null;
+}
+
+/**
+ * Drops the oldest live points: those older than the live window, measured
+ * back from the newest point (so a stalled feed keeps its last minute on
+ * screen), and any beyond the memory cap. Added target series drawn on the
+ * same axis are trimmed to stay aligned.
+ * @param {Object} data - chartData or latencyChartData
+ * @param {number} maxPoints - Memory cap (maxDataPoints / maxLatencyDataPoints)
+ * @param {string[]} targetKeys - Target series keys on the same axis
+ */
+function trimLiveSeries(data, maxPoints, targetKeys) {
+  const times = data.times;
+  const cutoff = times[times.length - 1] - CHART_WINDOWS[LIVE_CHART_WINDOW];
+  let drop = Math.max(0, times.length - maxPoints);
+  while (drop < times.length - 1 && times[drop] < cutoff) {
+    drop++;
+  }
+  if (drop > 0) {
+    for (const key of Object.keys(data)) {
+      data[key].splice(0, drop);
+    }
+  }
+  for (const series of targetSeries.values()) {
+    for (const key of targetKeys) {
+      if (series[key].length > data.labels.length) {
+        series[key].splice(0, series[key].length - data.labels.length);
+      }
+    }
+  }
+}
+let latencyBreakdownChart = null;
 let lastLatencyChartUpdate = 0;
 const LATENCY_CHART_UPDATE_INTERVAL_MS = 100;
 
+// Selectable time windows. The live window draws chartData / latencyChartData
+// directly; the others are rendered from the tiered histories below.
+const CHART_WINDOWS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+};
+const LIVE_CHART_WINDOW = '1m';
+const CHART_WINDOW_STORAGE_KEY = 'perfsim.chartWindow';
+const HISTORY_RENDER_INTERVAL_MS = 1000;
+// Display name and min–max band color of each primary series in history windows
+const HISTORY_SERIES = {
+  cpu: { name: 'CPU %', band: 'rgba(0, 120, 212, 0.15)' },
+  memory: { name: 'Memory MB', band: 'rgba(16, 124, 16, 0.15)' },
+  eventloop: { name: 'Workers Busy', band: 'rgba(135, 100, 184, 0.15)' },
+  rss: { name: 'RSS (MB)', band: 'rgba(255, 185, 0, 0.15)' },
+  latency: { name: 'Latency', band: 'rgba(209, 52, 56, 0.15)' },
+};
+const metricsHistory = createTieredHistory();
+const latencyHistory = createTieredHistory();
+let chartWindow = loadChartWindow();
+let lastHistoryRender = 0;
+let historyRenderTimer = null;
+
+// Freeze / zoom state shared by all charts (see "Freeze, Zoom and Pan")
+const ZOOM_MIN_DRAG_PX = 5;
+const chartView = {
+  frozen: false,
+  frozenAt: null,     // Server time the display was frozen
+  range: null,        // Zoomed { from, to } (ms), null = the whole frozen view
+  requestIds: null,   // latencyChartData.requestIds as of the freeze
+};
+// Times (ms) of the labels each chart currently draws, to map a time range
+// onto each chart's own x-axis indices
+const viewTimes = new Map();
+let chartDrag = null;
+
+// Event markers (see "Event Annotations")
+const MAX_CHART_ANNOTATIONS = 200;
+const ANNOTATION_FILTER_STORAGE_KEY = 'perfsim.annotationCategories';
+const ANNOTATION_HOVER_PX = 4;
+const ANNOTATION_CATEGORIES = {
+  cpu: 'CPU stress',
+  memory: 'Memory',
+  blocking: 'Worker blocking',
+  crash: 'Crashes',
+  other: 'Other events',
+};
+const ANNOTATION_LEVEL_COLORS = {
+  info: '#0078d4',
+  success: '#107c10',
+  warning: '#ff8c00',
+  warn: '#ff8c00',
+  error: '#d13438',
+};
+const chartAnnotations = new Map();
+const annotationHits = new Map();
+let annotationFilter = loadAnnotationFilter();
+let highlightedAnnotationKey = null;
+
+// Shaded simulation intervals (see "Simulation Bands")
+const MAX_SIMULATION_BANDS = 100;
+const SIMULATION_BAND_STYLES = {
+  cpu: { name: 'CPU stress', rgb: '0, 120, 212' },
+  memory: { name: 'Memory', rgb: '16, 124, 16' },
+  blocking: { name: 'Blocking', rgb: '135, 100, 184' },
+  loadtest: { name: 'Load test', rgb: '202, 80, 16' },
+};
+const simulationBands = [];
+
 // Latency tracking - uses time-based retention (last 60 seconds)
 const LATENCY_STATS_WINDOW_MS = 60000;
 const latencyStats = {
-  entries: [],
+  histogram: createLatencyHistogram({ windowMs: LATENCY_STATS_WINDOW_MS }),
   current: 0,
   critical: 0,
 };
+// Percentiles shown on the latency card; overlay ones can also be drawn on
+// the latency chart (as latencyChartData[key] series)
+const LATENCY_PERCENTILES = [
+  { key: 'p50', q: 0.5, label: 'P50', color: '#605e5c', overlay: true },
+  { key: 'p90', q: 0.9, label: 'P90', color: '#0078d4', overlay: true },
+  { key: 'p95', q: 0.95, label: 'P95', overlay: false },
+  { key: 'p99', q: 0.99, label: 'P99', color: '#8764b8', overlay: true },
+  { key: 'p999', q: 0.999, label: 'P99.9', color: '#d13438', overlay: true },
+];
+const LATENCY_OVERLAY_KEYS = LATENCY_PERCENTILES.filter(p => p.overlay).map(p => p.key);
+const LATENCY_PERCENTILES_STORAGE_KEY = 'perfsim.latencyPercentiles';
+let showLatencyPercentiles = loadLatencyPercentilesVisible();
+
+// Latency severity thresholds: the latency (ms) at which each band starts.
+// One model drives every latency color (see "Latency Thresholds")
+const DEFAULT_LATENCY_THRESHOLDS = { degraded: 200, severe: 1000, critical: 30000 };
+const LATENCY_THRESHOLDS_STORAGE_KEY = 'perfsim.latencyThresholds';
+let serverLatencyThresholds = null;                            // Seed from /api/health
+let browserLatencyThresholds = loadBrowserLatencyThresholds(); // Saved here, wins over the seed
+let latencyThresholds = browserLatencyThresholds || DEFAULT_LATENCY_THRESHOLDS;
+
+// Latency views (see "Latency Distribution")
+const LATENCY_VIEWS = {
+  line: 'Line',
+  histogram: 'Histogram',
+  heatmap: 'Heatmap',
+};
+const LATENCY_VIEW_STORAGE_KEY = 'perfsim.latencyView';
+// Bucket lower edges (ms), roughly log-spaced; the thresholds are added as
+// edges (see distributionEdgesFor) so no bucket straddles two bands
+const LATENCY_DISTRIBUTION_BASE_EDGES = [0, 5, 10, 20, 50, 100, 200, 500, 1000, 2000, 5000, 10000, 30000, 60000];
+const LATENCY_DISTRIBUTION_SLICE_MS = 1000;
+const LATENCY_HEATMAP_COLUMNS = 60;
+const DISTRIBUTION_RENDER_INTERVAL_MS = 500;
+// 1-second slices (start → probe latencies), kept as long as the longest
+// window; raw values, so buckets can follow edited thresholds
+const latencyDistribution = { slices: new Map(), newestStart: 0 };
+let latencyDistributionEdges = distributionEdgesFor(latencyThresholds);
+let latencyView = loadLatencyView();
+let latencyHistogramChart = null;
+let heatmapLayout = null;
+let lastDistributionRender = 0;
+let distributionRenderTimer = null;
+
+// Named baselines overlaid as ghost series (see "Baselines")
+const BASELINES_STORAGE_KEY = 'perfsim.baselines';
+const ACTIVE_BASELINE_STORAGE_KEY = 'perfsim.activeBaseline';
+const MAX_BASELINES = 10;
+const BASELINE_METRIC_KEYS = ['cpu', 'memory', 'eventloop', 'rss'];
+const BASELINE_COMPARE_INTERVAL_MS = 1000;
+// Summary values compared with the active baseline, in display order
+const BASELINE_DELTAS = [
+  { key: 'p50', label: 'P50', unit: 'ms' },
+  { key: 'p90', label: 'P90', unit: 'ms' },
+  { key: 'p99', label: 'P99', unit: 'ms' },
+  { key: 'p999', label: 'P99.9', unit: 'ms' },
+  { key: 'cpuAvg', label: 'Avg CPU', unit: '%' },
+  { key: 'workersPeak', label: 'Peak busy workers', unit: '' },
+  { key: 'memoryPeak', label: 'Peak memory', unit: 'MB' },
+];
+let baselines = loadBaselines();
+let activeBaselineId = loadActiveBaselineId();
+let lastBaselineComparison = 0;
+let baselineComparisonTimer = null;
 
 // Load test activity tracking - logs periodic stats during active load testing
 const loadTestTracking = {
@@ -153,47 +381,87 @@ function checkLoadTestStatsLog(loadTestActive, concurrent) {
     loadTestTracking.lastStatsLogTime = now;
     loadTestTracking.lastConcurrent = concurrent;
     
-    // Calculate average latency from entries in the last 60 seconds
-    const values = getLatencyValuesLast60s();
-    if (values.length > 0 && typeof addEventToLog === 'function') {
-      const avgLatency = values.reduce((sum, v) => sum + v, 0) / values.length;
-      const maxLatency = Math.max(...values);
+    // Average / max latency over the last 60 seconds
+    const stats = latencyStats.histogram.stats();
+    if (stats.count > 0 && typeof addEventToLog === 'function') {
+      const [p99] = latencyStats.histogram.quantiles([0.99]);
       addEventToLog({
         level: 'info',
-        message: `📊 Load Test Stats (60s): avg ${avgLatency.toFixed(0)}ms, max ${maxLatency.toFixed(0)}ms, ${values.length} samples`
+        message: `📊 Load Test Stats (60s): avg ${stats.avg.toFixed(0)}ms, P99 ${p99.toFixed(0)}ms, max ${stats.max.toFixed(0)}ms, ${stats.count} samples`
       });
     }
   }
 }
 
 /**
- * Adds a latency entry and prunes entries older than 60 seconds.
+ * Adds a latency entry to the rolling 60-second statistics.
  * @param {number} latencyMs - The latency value in milliseconds
  */
 function addLatencyEntry(latencyMs) {
-  const now = Date.now();
-  latencyStats.entries.push({ time: now, value: latencyMs });
-  const cutoff = now - LATENCY_STATS_WINDOW_MS;
-  latencyStats.entries = latencyStats.entries.filter(e => e.time >= cutoff);
+  latencyStats.histogram.add(latencyMs);
 }
 
 /**
- * Gets all latency values from the last 60 seconds.
- * @returns {number[]} Array of latency values
+ * Gets the rolling 60-second percentiles.
+ * @returns {Object} { p50, p90, p95, p99, p999 } in ms (null with no samples)
  */
-function getLatencyValuesLast60s() {
-  const now = Date.now();
-  const cutoff = now - LATENCY_STATS_WINDOW_MS;
-  latencyStats.entries = latencyStats.entries.filter(e => e.time >= cutoff);
-  return latencyStats.entries.map(e => e.value);
+function getLatencyPercentiles() {
+  const values = latencyStats.histogram.quantiles(LATENCY_PERCENTILES.map(p => p.q));
+  return Object.fromEntries(LATENCY_PERCENTILES.map((p, i) => [p.key, values[i]]));
+}
+
+/**
+ * Loads whether percentile lines are drawn on the latency chart.
+ * @returns {boolean}
+ */
+function loadLatencyPercentilesVisible() {
+  try {
+    return localStorage.getItem(LATENCY_PERCENTILES_STORAGE_KEY) === 'true';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Shows or hides the percentile lines on the latency chart.
+ * @param {boolean} visible
+ */
+function setLatencyPercentilesVisible(visible) {
+  showLatencyPercentiles = !!visible;
+  try {
+    localStorage.setItem(LATENCY_PERCENTILES_STORAGE_KEY, String(showLatencyPercentiles));
+  } catch (error) {
+    // Not persisted; the setting still applies to this page
+  }
+  if (!latencyChart) return;
+  for (const dataset of latencyChart.data.datasets) {
+    if (dataset.percentile) dataset.hidden = !showLatencyPercentiles;
+  }
+  latencyChart.update('none');
+}
+
+/**
+ * Whether percentile lines are drawn on the latency chart.
+ * @returns {boolean}
+ */
+function getLatencyPercentilesVisible() {
+  return showLatencyPercentiles;
 }
 
-// Latency threshold colors for gradient fill
+// Latency band colors for fills (append the alpha and ')')
 const LATENCY_COLORS = {
-  good: { value: 0, color: 'rgba(16, 124, 16' },
-  degraded: { value: 200, color: 'rgba(255, 185, 0' },
-  severe: { value: 1000, color: 'rgba(255, 140, 0' },
-  critical: { value: 30000, color: 'rgba(209, 52, 56' }
+  good: { color: 'rgba(16, 124, 16' },
+  degraded: { color: 'rgba(255, 185, 0' },
+  severe: { color: 'rgba(255, 140, 0' },
+  critical: { color: 'rgba(209, 52, 56' }
+};
+
+// Latency band colors for text (stat values)
+const LATENCY_TEXT_COLORS = {
+  good: '#17a035',
+  degraded: '#ffb900',
+  severe: '#ff8c00',
+  critical: '#d13438',
 };
 
 // RGB values for smooth color interpolation
@@ -206,57 +474,53 @@ const LATENCY_RGB = {
 
 /**
  * Interpolates between two RGB colors.
+ * @returns {{r: number, g: number, b: number}}
  */
 function lerpColor(color1, color2, t) {
   t = Math.max(0, Math.min(1, t));
-  const r = Math.round(color1.r + (color2.r - color1.r) * t);
-  const g = Math.round(color1.g + (color2.g - color1.g) * t);
-  const b = Math.round(color1.b + (color2.b - color1.b) * t);
-  return `rgb(${r}, ${g}, ${b})`;
+  return {
+    r: Math.round(color1.r + (color2.r - color1.r) * t),
+    g: Math.round(color1.g + (color2.g - color1.g) * t),
+    b: Math.round(color1.b + (color2.b - color1.b) * t),
+  };
+}
+
+/**
+ * Blends the band colors for a latency value: each band's color is reached
+ * at its threshold, and latency beyond critical stays critical.
+ * @returns {{r: number, g: number, b: number}}
+ */
+function latencyRgbOf(latencyMs) {
+  const stops = [
+    [0, LATENCY_RGB.good],
+    [latencyThresholds.degraded, LATENCY_RGB.degraded],
+    [latencyThresholds.severe, LATENCY_RGB.severe],
+    [latencyThresholds.critical, LATENCY_RGB.critical],
+  ];
+  if (latencyMs <= 0) return LATENCY_RGB.good;
+  for (let i = 1; i < stops.length; i++) {
+    const [to, toColor] = stops[i];
+    if (latencyMs <= to) {
+      const [from, fromColor] = stops[i - 1];
+      return lerpColor(fromColor, toColor, (latencyMs - from) / (to - from));
+    }
+  }
+  return LATENCY_RGB.critical;
 }
 
 /**
  * Gets a smoothly interpolated color for a latency value.
  */
 function getInterpolatedLatencyColor(latencyMs) {
-  if (latencyMs <= 0) return lerpColor(LATENCY_RGB.good, LATENCY_RGB.good, 0);
-  if (latencyMs <= 200) {
-    return lerpColor(LATENCY_RGB.good, LATENCY_RGB.degraded, latencyMs / 200);
-  }
-  if (latencyMs <= 1000) {
-    return lerpColor(LATENCY_RGB.degraded, LATENCY_RGB.severe, (latencyMs - 200) / 800);
-  }
-  if (latencyMs <= 30000) {
-    return lerpColor(LATENCY_RGB.severe, LATENCY_RGB.critical, (latencyMs - 1000) / 29000);
-  }
-  return lerpColor(LATENCY_RGB.critical, LATENCY_RGB.critical, 1);
+  const { r, g, b } = latencyRgbOf(latencyMs);
+  return `rgb(${r}, ${g}, ${b})`;
 }
 
 /**
  * Gets a smoothly interpolated RGBA color for a latency value (for gradient fills).
  */
 function getInterpolatedLatencyColorRGBA(latencyMs, alpha) {
-  let r, g, b;
-  if (latencyMs <= 0) {
-    r = LATENCY_RGB.good.r; g = LATENCY_RGB.good.g; b = LATENCY_RGB.good.b;
-  } else if (latencyMs <= 200) {
-    const t = latencyMs / 200;
-    r = Math.round(LATENCY_RGB.good.r + (LATENCY_RGB.degraded.r - LATENCY_RGB.good.r) * t);
-    g = Math.round(LATENCY_RGB.good.g + (LATENCY_RGB.degraded.g - LATENCY_RGB.good.g) * t);
-    b = Math.round(LATENCY_RGB.good.b + (LATENCY_RGB.degraded.b - LATENCY_RGB.good.b) * t);
-  } else if (latencyMs <= 1000) {
-    const t = (latencyMs - 200) / 800;
-    r = Math.round(LATENCY_RGB.degraded.r + (LATENCY_RGB.severe.r - LATENCY_RGB.degraded.r) * t);
-    g = Math.round(LATENCY_RGB.degraded.g + (LATENCY_RGB.severe.g - LATENCY_RGB.degraded.g) * t);
-    b = Math.round(LATENCY_RGB.degraded.b + (LATENCY_RGB.severe.b - LATENCY_RGB.degraded.b) * t);
-  } else if (latencyMs <= 30000) {
-    const t = (latencyMs - 1000) / 29000;
-    r = Math.round(LATENCY_RGB.severe.r + (LATENCY_RGB.critical.r - LATENCY_RGB.severe.r) * t);
-    g = Math.round(LATENCY_RGB.severe.g + (LATENCY_RGB.critical.g - LATENCY_RGB.severe.g) * t);
-    b = Math.round(LATENCY_RGB.severe.b + (LATENCY_RGB.critical.b - LATENCY_RGB.severe.b) * t);
-  } else {
-    r = LATENCY_RGB.critical.r; g = LATENCY_RGB.critical.g; b = LATENCY_RGB.critical.b;
-  }
+  const { r, g, b } = latencyRgbOf(latencyMs);
   return `rgba(${r}, ${g}, ${b}, ${alpha})`;
 }
 
@@ -266,7 +530,7 @@ function getInterpolatedLatencyColorRGBA(latencyMs, alpha) {
 function createLatencyGradient(ctx, chartArea, scales) {
   if (!chartArea || !scales.y) return 'rgba(16, 124, 16, 0.2)';
   const gradient = ctx.createLinearGradient(0, chartArea.bottom, 0, chartArea.top);
-  const yMax = scales.y.max || 200;
+  const yMax = scales.y.max || latencyThresholds.degraded;
   const numStops = 20;
   for (let i = 0; i <= numStops; i++) {
     const position = i / numStops;
@@ -310,7 +574,7 @@ function timestampToUtcTimeString(ts) {
  * Handles incoming probe latency data from the polling client.
  * In PHP, probes come from browser XHR to /api/metrics/probe.
  * The interface matches the Node.js sidecar data format for compatibility.
- * @param {Object} data - { latencyMs, timestamp, success, loadTestActive, loadTestConcurrent }
+ * @param {Object} data - { latencyMs, timestamp, success, requestId, loadTestActive, loadTestConcurrent }
  */
 function onProbeLatency(data) {
   const latency = data.latencyMs;
@@ -320,11 +584,13 @@ function onProbeLatency(data) {
   if (data.success !== false) {
     latencyStats.current = latency;
     addLatencyEntry(latency);
-    if (latency > 30000) {
+    if (latencyBandOf(latency) === 'critical') {
       latencyStats.critical++;
     }
 
-    addLatencyToChart(latency, data.timestamp);
+    addLatencyToChart(latency, data.timestamp, data.breakdown, data.mode, data.requestId);
+    recordLoadTestState(data.loadTestActive, data.loadTestConcurrent);
+    updateLatencyBreakdownSummary(data.breakdown, data.mode);
     lastLatencyChartUpdate = Date.now();
 
     if (!serverResponsiveness.isResponsive) {
@@ -358,7 +624,8 @@ function onProbeLatency(data) {
         serverResponsiveness.lastWarningTime = now;
         addEventToLog({
           level: 'warning',
-          message: '⚠️ Server unresponsive - PHP-FPM workers may be blocked'
+          message: '⚠️ Server unresponsive - PHP-FPM workers may be blocked',
+          requestId: data.requestId,
         });
       }
     }
@@ -418,11 +685,12 @@ function updateProbeVisualization() {
 
   container.innerHTML = recentProbes.map(probe => {
     let className = 'probe-dot-inline';
+    const band = latencyBandOf(probe.latency);
     if (!probe.success) {
       className += ' failed';
-    } else if (probe.latency > 1000) {
+    } else if (band === 'severe' || band === 'critical') {
       className += ' slow';
-    } else if (probe.latency > 200) {
+    } else if (band === 'degraded') {
       className += ' degraded';
     }
     return `<span class="${className}"></span>`;
@@ -430,22 +698,270 @@ function updateProbeVisualization() {
 }
 
 /**
- * Adds a latency value to the latency chart.
+ * Tooltip footer for the latency charts: the hovered probe's correlation ID,
+ * to search for in server / proxy logs.
+ * @param {Array} items - Chart.js tooltip items
+ * @returns {string}
+ */
+function latencyRequestIdFooter(items) {
+  if (chartWindow !== LIVE_CHART_WINDOW) {
+    const bucketMs = latencyHistory.tierFor(CHART_WINDOWS[chartWindow]).bucketMs;
+    return `${bucketMs / 1000}s buckets: line = average, band = min–max`;
+  }
+  const primary = items.find(item => !item.dataset.targetId);
+  const requestIds = chartView.frozen ? chartView.requestIds : latencyChartData.requestIds;
+  const requestId = primary ? requestIds[primary.dataIndex] : null;
+  return requestId ? `X-Request-Id: ${requestId}` : '';
+}
+
+/**
+ * Adds a latency value (and its phase breakdown, if known) to the latency charts.
+ * @param {number} latencyMs - Total probe latency
+ * @param {number} [timestamp] - Probe time (ms since epoch)
+ * @param {Object} [breakdown] - { dnsMs, connectMs, frontendMs, fpmQueueMs, serverMs, downloadMs }
+ * @param {string} [mode] - Probe mode that produced the value
+ * @param {string} [requestId] - Correlation ID of the probe request
  */
-function addLatencyToChart(latencyMs, timestamp) {
-  const label = timestamp ? timestampToUtcTimeString(timestamp) : getUtcTimeString();
+function addLatencyToChart(latencyMs, timestamp, breakdown, mode, requestId) {
+  const ts = timestamp || (typeof serverNow === 'function' ? serverNow() : Date.now());
+  const label = timestampToUtcTimeString(ts);
+
+  const sample = { latency: latencyMs };
 
   latencyChartData.labels.push(label);
+  latencyChartData.times.push(ts);
   latencyChartData.values.push(latencyMs);
-
-  if (latencyChartData.labels.length > maxLatencyDataPoints) {
-    latencyChartData.labels.shift();
-    latencyChartData.values.shift();
+  latencyChartData.modes.push(mode || null);
+  latencyChartData.requestIds.push(requestId || null);
+  for (const key of LATENCY_BREAKDOWN_KEYS) {
+    sample[key] = breakdownPhaseValue(breakdown, key);
+    latencyChartData[key].push(sample[key]);
+  }
+  const percentiles = getLatencyPercentiles();
+  for (const key of LATENCY_OVERLAY_KEYS) {
+    sample[key] = percentiles[key];
+    latencyChartData[key].push(percentiles[key]);
+  }
+  for (const [targetId, series] of targetSeries) {
+    sample[`${targetId}:latency`] = series.pendingLatency;
+    series.latency.push(series.pendingLatency);
+    series.pendingLatency = null;
+  }
+  latencyHistory.add(ts, sample);
+  recordLatencyDistribution(ts, latencyMs);
+  scheduleDistributionRender();
+  trimLiveSeries(latencyChartData, maxLatencyDataPoints, ['latency']);
+
+  // A frozen display keeps collecting but does not redraw
+  if (chartView.frozen) return;
+  if (chartWindow !== LIVE_CHART_WINDOW) {
+    scheduleHistoryRender();
+    return;
   }
-
   if (latencyChart) {
     latencyChart.update('none');
   }
+  if (latencyBreakdownChart) {
+    latencyBreakdownChart.update('none');
+  }
+}
+
+/**
+ * Shows the latest probe's phases next to the breakdown chart.
+ * @param {Object|null} breakdown - { dnsMs, connectMs, frontendMs, fpmQueueMs, serverMs, downloadMs }
+ * @param {string} [mode] - Probe mode that produced the sample
+ */
+function updateLatencyBreakdownSummary(breakdown, mode) {
+  const el = document.getElementById('latency-breakdown-summary');
+  if (!el) return;
+
+  if (mode === 'internal') {
+    el.textContent = 'Breakdown not available in internal batch mode (probes run server-side over localhost)';
+    return;
+  }
+  if (!breakdown) {
+    el.textContent = 'Breakdown unavailable (browser did not expose Resource Timing for this probe)';
+    return;
+  }
+  el.textContent = `Last probe: DNS ${formatLatency(breakdown.dnsMs)} · ` +
+    `Connect ${formatLatency(breakdown.connectMs)} · ` +
+    `Network + front end ${formatLatency(breakdown.frontendMs)} · ` +
+    `FPM queue ${breakdown.fpmQueueMs == null ? 'n/a (no nginx stamp)' : formatLatency(breakdown.fpmQueueMs)} · ` +
+    `PHP ${formatLatency(breakdown.serverMs)} · ` +
+    `Download ${formatLatency(breakdown.downloadMs)}`;
+}
+
+/**
+ * Marks an interval with no data (e.g. the tab was hidden) on all charts.
+ * Pushes a null point so Chart.js breaks the line instead of connecting
+ * the values on either side of the gap.
+ * @param {number} fromTs - Start of the gap (ms since epoch)
+ * @param {number} toTs - End of the gap (ms since epoch)
+ */
+function markChartGap(fromTs, toTs) {
+  const label = `${timestampToUtcTimeString(fromTs)}–${timestampToUtcTimeString(toTs)}`;
+
+  chartData.labels.push(label);
+  chartData.times.push(fromTs);
+  chartData.cpu.push(null);
+  chartData.memory.push(null);
+  chartData.eventloop.push(null);
+  chartData.rss.push(null);
+
+  latencyChartData.labels.push(label);
+  latencyChartData.times.push(fromTs);
+  latencyChartData.values.push(null);
+  latencyChartData.modes.push(null);
+  latencyChartData.requestIds.push(null);
+  for (const key of [...LATENCY_BREAKDOWN_KEYS, ...LATENCY_OVERLAY_KEYS]) {
+    latencyChartData[key].push(null);
+  }
+
+  for (const series of targetSeries.values()) {
+    pushTargetPoint(series, null);
+    series.latency.push(null);
+  }
+  trimLiveSeries(chartData, maxDataPoints, ['cpu', 'memory', 'eventloop', 'rss']);
+  trimLiveSeries(latencyChartData, maxLatencyDataPoints, ['latency']);
+
+  // History windows show the gap as empty buckets
+  if (chartView.frozen || chartWindow !== LIVE_CHART_WINDOW) return;
+  if (cpuMemoryChart) cpuMemoryChart.update('none');
+  if (eventloopChart) eventloopChart.update('none');
+  if (latencyChart) latencyChart.update('none');
+  if (latencyBreakdownChart) latencyBreakdownChart.update('none');
+}
+
+/**
+ * Restores chart history from the offline store after a page reload (or
+ * when a replay ends). Stored points are prepended ahead of any live points
+ * that arrived in the meantime, followed by a gap marker for the time the
+ * page was away. A run of failed probes is restored as a break in the
+ * latency line so outages stay visible.
+ *
+ * readRecent flushes the write queue first, so the stored records include
+ * the live points already charted; only records older than the first live
+ * point are restored, which keeps every series in time order and counts
+ * each point once in the history windows and percentiles.
+ * @returns {Promise<void>}
+ */
+function rehydrateCharts() {
+  if (typeof offlineStore === 'undefined') return Promise.resolve();
+
+  return Promise.all([
+    offlineStore.readRecent('metrics', OFFLINE_STORE_LIMITS.metrics),
+    offlineStore.readRecent('probes', OFFLINE_STORE_LIMITS.probes),
+  ]).then(([storedSnapshots, storedProbes]) => {
+    const now = typeof serverNow === 'function' ? serverNow() : Date.now();
+    const firstLiveMetricsTs = chartData.times.length > 0 ? chartData.times[0] : Infinity;
+    const firstLiveProbeTs = latencyChartData.times.length > 0 ? latencyChartData.times[0] : Infinity;
+    const allSnapshots = storedSnapshots.filter(snapshot => snapshot.ts < firstLiveMetricsTs);
+    const allProbes = storedProbes.filter(probe => probe.ts < firstLiveProbeTs);
+
+    // Everything stored feeds the history windows; the live arrays get the tail
+    for (const snapshot of allSnapshots) {
+      metricsHistory.add(snapshot.ts, extractChartPoint(snapshot));
+    }
+    for (const probe of allProbes) {
+      if (!probe.success) continue;
+      const sample = { latency: probe.latencyMs };
+      for (const key of LATENCY_BREAKDOWN_KEYS) {
+        sample[key] = breakdownPhaseValue(probe.breakdown, key);
+      }
+      latencyHistory.add(probe.ts, sample);
+      recordLatencyDistribution(probe.ts, probe.latencyMs);
+    }
+    const snapshots = allSnapshots.slice(-maxDataPoints);
+    const probes = allProbes.slice(-maxLatencyDataPoints);
+
+    if (snapshots.length > 0) {
+      const history = { labels: [], times: [], cpu: [], memory: [], eventloop: [], rss: [] };
+      for (const snapshot of snapshots) {
+        const point = extractChartPoint(snapshot);
+        history.labels.push(timestampToUtcTimeString(snapshot.ts));
+        history.times.push(snapshot.ts);
+        for (const key of ['cpu', 'memory', 'eventloop', 'rss']) {
+          history[key].push(point[key]);
+        }
+      }
+      const lastTs = snapshots[snapshots.length - 1].ts;
+      const gapEnd = Math.min(now, firstLiveMetricsTs);
+      history.labels.push(`${timestampToUtcTimeString(lastTs)}–${timestampToUtcTimeString(gapEnd)}`);
+      history.times.push(lastTs);
+      for (const key of ['cpu', 'memory', 'eventloop', 'rss']) {
+        history[key].push(null);
+      }
+
+      for (const key of Object.keys(history)) {
+        chartData[key].unshift(...history[key]);
+      }
+      for (const series of targetSeries.values()) {
+        for (const key of ['cpu', 'memory', 'eventloop', 'rss']) {
+          series[key].unshift(...new Array(history.labels.length).fill(null));
+        }
+      }
+      trimLiveSeries(chartData, maxDataPoints, ['cpu', 'memory', 'eventloop', 'rss']);
+    }
+
+    if (probes.length > 0) {
+      // Percentiles as of restored points are unknown; their lines start with live data
+      const historyKeys = ['labels', 'times', 'values', 'modes', 'requestIds', ...LATENCY_BREAKDOWN_KEYS, ...LATENCY_OVERLAY_KEYS];
+      const history = Object.fromEntries(historyKeys.map(key => [key, []]));
+      const pushPoint = (ts, label, value, mode, breakdown, requestId) => {
+        history.labels.push(label);
+        history.times.push(ts);
+        history.values.push(value);
+        history.modes.push(mode);
+        history.requestIds.push(requestId || null);
+        for (const key of LATENCY_BREAKDOWN_KEYS) {
+          history[key].push(breakdownPhaseValue(breakdown, key));
+        }
+        for (const key of LATENCY_OVERLAY_KEYS) {
+          history[key].push(null);
+        }
+      };
+
+      let previousOk = true;
+      const cutoff = Date.now() - LATENCY_STATS_WINDOW_MS;
+      const clockOffset = now - Date.now();
+      for (const probe of probes) {
+        if (probe.success) {
+          pushPoint(probe.ts, timestampToUtcTimeString(probe.ts), probe.latencyMs, probe.mode, probe.breakdown, probe.requestId);
+          // Stats window uses the browser clock
+          const time = probe.ts - clockOffset;
+          if (time >= cutoff) {
+            latencyStats.histogram.add(probe.latencyMs, time);
+          }
+        } else if (previousOk) {
+          pushPoint(probe.ts, timestampToUtcTimeString(probe.ts), null, probe.mode, null, probe.requestId);
+        }
+        previousOk = probe.success;
+      }
+      const lastTs = probes[probes.length - 1].ts;
+      const gapEnd = Math.min(now, firstLiveProbeTs);
+      pushPoint(lastTs, `${timestampToUtcTimeString(lastTs)}–${timestampToUtcTimeString(gapEnd)}`, null, null, null);
+
+      for (const key of historyKeys) {
+        latencyChartData[key].unshift(...history[key]);
+      }
+      for (const series of targetSeries.values()) {
+        series.latency.unshift(...new Array(history.labels.length).fill(null));
+      }
+      trimLiveSeries(latencyChartData, maxLatencyDataPoints, ['latency']);
+      updateLatencyDisplay();
+    }
+
+    if (chartView.frozen) return;
+    renderLatencyDistribution();
+    if (chartWindow !== LIVE_CHART_WINDOW) {
+      renderHistoryWindow();
+      return;
+    }
+    if (cpuMemoryChart) cpuMemoryChart.update('none');
+    if (eventloopChart) eventloopChart.update('none');
+    if (latencyChart) latencyChart.update('none');
+    if (latencyBreakdownChart) latencyBreakdownChart.update('none');
+  });
 }
 
 /**
@@ -516,6 +1032,55 @@ const chartConfig = {
   },
 };
 
+// Shades simulation intervals behind the lines (see "Simulation Bands")
+const simulationBandPlugin = {
+  id: 'perfsimSimulationBands',
+  beforeDatasetsDraw(chart) {
+    if (chart !== latencyBreakdownChart) drawSimulationBands(chart);
+  },
+};
+
+// Draws the event markers (see "Event Annotations")
+const chartAnnotationPlugin = {
+  id: 'perfsimAnnotations',
+  afterDatasetsDraw(chart) {
+    drawChartAnnotations(chart);
+  },
+};
+
+// Fills the active baseline's ghost series before each update (see "Baselines")
+const baselineSeriesPlugin = {
+  id: 'perfsimBaseline',
+  beforeUpdate(chart) {
+    fillBaselineSeries(chart);
+  },
+};
+
+// Fills the planned ramp series before each update (see "Planned Profiles")
+const plannedSeriesPlugin = {
+  id: 'perfsimPlannedProfile',
+  beforeUpdate(chart) {
+    fillPlannedSeries(chart);
+  },
+};
+
+// Draws the drag-to-zoom selection over the chart being dragged
+const chartZoomSelectionPlugin = {
+  id: 'perfsimZoomSelection',
+  afterDatasetsDraw(chart) {
+    if (!chartDrag || chartDrag.chart !== chart || chartDrag.mode !== 'zoom') return;
+    const { ctx, chartArea } = chart;
+    const left = Math.min(chartDrag.startX, chartDrag.x);
+    const width = Math.abs(chartDrag.x - chartDrag.startX);
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 120, 212, 0.12)';
+    ctx.strokeStyle = 'rgba(0, 120, 212, 0.6)';
+    ctx.fillRect(left, chartArea.top, width, chartArea.bottom - chartArea.top);
+    ctx.strokeRect(left, chartArea.top, width, chartArea.bottom - chartArea.top);
+    ctx.restore();
+  },
+};
+
 /**
  * Initializes all charts.
  */
@@ -525,12 +1090,14 @@ function initCharts() {
   if (cpuMemoryCtx) {
     cpuMemoryChart = new Chart(cpuMemoryCtx, {
       type: 'line',
+      plugins: [simulationBandPlugin, chartAnnotationPlugin, chartZoomSelectionPlugin, baselineSeriesPlugin, plannedSeriesPlugin],
       data: {
         labels: chartData.labels,
         datasets: [
           {
             label: 'CPU %',
             data: chartData.cpu,
+            seriesKey: 'cpu',
             borderColor: '#0078d4',
             backgroundColor: 'rgba(0, 120, 212, 0.2)',
             fill: true,
@@ -539,6 +1106,7 @@ function initCharts() {
           {
             label: 'Memory MB',
             data: chartData.memory,
+            seriesKey: 'memory',
             borderColor: '#107c10',
             backgroundColor: 'rgba(16, 124, 16, 0.2)',
             fill: true,
@@ -550,6 +1118,7 @@ function initCharts() {
         ...chartConfig,
         scales: {
           ...chartConfig.scales,
+          x: { ...chartConfig.scales.x },
           y: {
             ...chartConfig.scales.y,
             type: 'linear',
@@ -574,12 +1143,14 @@ function initCharts() {
   if (eventloopCtx) {
     eventloopChart = new Chart(eventloopCtx, {
       type: 'line',
+      plugins: [simulationBandPlugin, chartAnnotationPlugin, chartZoomSelectionPlugin, baselineSeriesPlugin],
       data: {
         labels: chartData.labels,
         datasets: [
           {
             label: 'Workers Busy',
             data: chartData.eventloop,
+            seriesKey: 'eventloop',
             borderColor: '#8764b8',
             backgroundColor: 'rgba(135, 100, 184, 0.2)',
             fill: true,
@@ -588,6 +1159,7 @@ function initCharts() {
           {
             label: 'RSS (MB)',
             data: chartData.rss,
+            seriesKey: 'rss',
             borderColor: '#ffb900',
             backgroundColor: 'rgba(255, 185, 0, 0.2)',
             fill: true,
@@ -599,6 +1171,7 @@ function initCharts() {
         ...chartConfig,
         scales: {
           ...chartConfig.scales,
+          x: { ...chartConfig.scales.x },
           y: {
             ...chartConfig.scales.y,
             type: 'linear',
@@ -621,12 +1194,14 @@ function initCharts() {
   if (latencyCtx) {
     latencyChart = new Chart(latencyCtx, {
       type: 'line',
+      plugins: [simulationBandPlugin, chartAnnotationPlugin, chartZoomSelectionPlugin, baselineSeriesPlugin],
       data: {
         labels: latencyChartData.labels,
         datasets: [
           {
             label: 'Latency (ms)',
             data: latencyChartData.values,
+            seriesKey: 'latency',
             segment: {
               borderColor: (ctx) => {
                 const p0 = ctx.p0.parsed?.y;
@@ -649,12 +1224,27 @@ function initCharts() {
               return getInterpolatedLatencyColor(context.raw);
             },
           },
+          // Rolling percentiles, hidden unless turned on (setLatencyPercentilesVisible)
+          ...LATENCY_PERCENTILES.filter(p => p.overlay).map(p => ({
+            label: `${p.label} (60s)`,
+            data: latencyChartData[p.key],
+            seriesKey: p.key,
+            percentile: true,
+            hidden: !showLatencyPercentiles,
+            borderColor: p.color,
+            backgroundColor: 'transparent',
+            borderWidth: 1,
+            borderDash: [6, 3],
+            fill: false,
+            pointRadius: 0,
+          })),
         ],
       },
       options: {
         ...chartConfig,
         scales: {
           ...chartConfig.scales,
+          x: { ...chartConfig.scales.x },
           y: {
             ...chartConfig.scales.y,
             beginAtZero: true,
@@ -675,15 +1265,145 @@ function initCharts() {
             callbacks: {
               label: function(context) {
                 const value = context.raw;
-                if (value >= 1000) return `Latency: ${(value / 1000).toFixed(1)}s`;
-                return `Latency: ${value.toFixed(0)}ms`;
-              }
+                const primary = context.dataset.seriesKey === 'latency' && !context.dataset.targetId;
+                const name = primary ? 'Latency' : context.dataset.label;
+                if (value == null) return `${name}: no data (gap)`;
+                if (value >= 1000) return `${name}: ${(value / 1000).toFixed(1)}s`;
+                return `${name}: ${value.toFixed(0)}ms`;
+              },
+              footer: latencyRequestIdFooter,
             }
           }
         }
       },
     });
   }
+
+  // Latency Breakdown Chart (stacked phases, shares the latency chart's time axis)
+  const breakdownCtx = document.getElementById('latency-breakdown-chart')?.getContext('2d');
+  if (breakdownCtx) {
+    const phase = (label, data, seriesKey, color, fill) => ({
+      label,
+      data,
+      seriesKey,
+      borderColor: color,
+      backgroundColor: color + '99',
+      borderWidth: 1,
+      fill,
+      pointRadius: 0,
+    });
+    latencyBreakdownChart = new Chart(breakdownCtx, {
+      type: 'line',
+      plugins: [simulationBandPlugin, chartAnnotationPlugin, chartZoomSelectionPlugin],
+      data: {
+        labels: latencyChartData.labels,
+        datasets: [
+          phase('DNS', latencyChartData.dns, 'dns', '#8a8886', 'origin'),
+          phase('Connect', latencyChartData.connect, 'connect', '#00b7c3', '-1'),
+          phase('Network + front end', latencyChartData.frontend, 'frontend', '#ca5010', '-1'),
+          phase('FPM queue', latencyChartData.fpmQueue, 'fpmQueue', '#d13438', '-1'),
+          phase('PHP processing', latencyChartData.server, 'server', '#8764b8', '-1'),
+          phase('Download', latencyChartData.download, 'download', '#107c10', '-1'),
+        ],
+      },
+      options: {
+        ...chartConfig,
+        scales: {
+          ...chartConfig.scales,
+          x: { ...chartConfig.scales.x },
+          y: {
+            ...chartConfig.scales.y,
+            stacked: true,
+            ticks: {
+              maxTicksLimit: 5,
+              font: { size: 10 },
+              callback: (value) => formatLatency(value),
+            },
+          },
+        },
+        plugins: {
+          ...chartConfig.plugins,
+          tooltip: {
+            ...chartConfig.plugins.tooltip,
+            callbacks: {
+              ...chartConfig.plugins.tooltip.callbacks,
+              label: (context) => context.raw == null
+                ? `${context.dataset.label}: n/a`
+                : `${context.dataset.label}: ${formatLatency(context.raw)}`,
+              footer: latencyRequestIdFooter,
+            },
+          },
+        },
+      },
+    });
+  }
+
+  for (const chart of chartInstances()) {
+    const metricsAxis = chart === cpuMemoryChart || chart === eventloopChart;
+    viewTimes.set(chart, metricsAxis ? chartData.times : latencyChartData.times);
+    enableChartZoom(chart);
+    enableAnnotationTooltip(chart);
+  }
+  window.addEventListener('mousemove', onChartDragMove);
+  window.addEventListener('mouseup', onChartDragEnd);
+
+  // Latency histogram: probe count per bucket over the chart time window
+  const latencyHistogramCtx = document.getElementById('latency-histogram-chart')?.getContext('2d');
+  if (latencyHistogramCtx) {
+    latencyHistogramChart = new Chart(latencyHistogramCtx, {
+      type: 'bar',
+      data: {
+        labels: [],
+        datasets: [{
+          label: 'Probes',
+          data: [],
+          borderWidth: 1,
+          barPercentage: 1,
+          categoryPercentage: 0.95,
+        }],
+      },
+      options: {
+        ...chartConfig,
+        plugins: {
+          ...chartConfig.plugins,
+          tooltip: {
+            ...chartConfig.plugins.tooltip,
+            callbacks: {
+              ...chartConfig.plugins.tooltip.callbacks,
+              label: function(context) {
+                const total = context.dataset.data.reduce((sum, count) => sum + count, 0);
+                const share = total > 0 ? (context.parsed.y / total * 100).toFixed(1) : '0.0';
+                return ` ${context.parsed.y} probes (${share}%)`;
+              },
+            },
+          },
+        },
+        scales: {
+          x: {
+            ...chartConfig.scales.x,
+            ticks: { autoSkip: false, maxRotation: 0, font: { size: 9 } },
+            grid: { display: false },
+          },
+          y: {
+            ...chartConfig.scales.y,
+            ticks: { ...chartConfig.scales.y.ticks, precision: 0 },
+          },
+        },
+      },
+    });
+    configureLatencyHistogram();
+  }
+  const heatmapCanvas = document.getElementById('latency-heatmap');
+  if (heatmapCanvas) {
+    enableHeatmapTooltip(heatmapCanvas);
+  }
+  showLatencyView();
+  applyActiveBaseline();
+  initLoadTestCharts();
+
+  if (chartWindow !== LIVE_CHART_WINDOW) {
+    renderHistoryWindow();
+  }
 }
 
 /**
@@ -696,113 +1416,2203 @@ function initCharts() {
  * @param {Object} metrics - System metrics from server
  */
 function updateCharts(metrics) {
-  const now = getUtcTimeString();
-  chartData.labels.push(now);
-  chartData.cpu.push(metrics.cpu?.usagePercent || 0);
+  // Prefer the server's own sample time; fall back to the corrected clock
+  const sampledAt = Date.parse(metrics.timestamp);
+  const ts = Number.isFinite(sampledAt) ? sampledAt : (typeof serverNow === 'function' ? serverNow() : Date.now());
+  const point = extractChartPoint(metrics);
+  chartData.labels.push(timestampToUtcTimeString(ts));
+  chartData.times.push(ts);
+  chartData.cpu.push(point.cpu);
+  chartData.memory.push(point.memory);
+  chartData.eventloop.push(point.eventloop);
+  chartData.rss.push(point.rss);
+
+  // Added targets are sampled onto the same time axis
+  const sample = { ...point };
+  for (const [targetId, series] of targetSeries) {
+    const targetPoint = series.pendingMetrics ? extractChartPoint(series.pendingMetrics) : null;
+    pushTargetPoint(series, targetPoint);
+    series.pendingMetrics = null;
+    if (targetPoint) {
+      for (const key of Object.keys(targetPoint)) {
+        sample[`${targetId}:${key}`] = targetPoint[key];
+      }
+    }
+  }
+  trimLiveSeries(chartData, maxDataPoints, ['cpu', 'memory', 'eventloop', 'rss']);
+  metricsHistory.add(ts, sample);
+
+  if (chartView.frozen) return;
+  if (chartWindow !== LIVE_CHART_WINDOW) {
+    scheduleHistoryRender();
+    return;
+  }
+  if (cpuMemoryChart) cpuMemoryChart.update('none');
+  if (eventloopChart) eventloopChart.update('none');
+  if (latencyChart) latencyChart.update('none');
+}
+
+/**
+ * Extracts the charted values from a metrics payload.
+ * @param {Object} metrics - Metrics from /api/metrics
+ * @returns {Object} { cpu, memory, eventloop, rss }
+ */
+function extractChartPoint(metrics) {
   // Combine fpmPoolRssMb (PHP worker heap) + simulatedMb (APCu memory pressure allocations)
   // This shows both: load test memory AND memory pressure simulation
   const fpmRss = metrics.memory?.fpmPoolRssMb || 0;
   const simulated = metrics.memory?.simulatedMb || 0;
-  chartData.memory.push(fpmRss + simulated);
-  // PHP doesn't have event loop lag — use active worker count or 0
-  chartData.eventloop.push(metrics.process?.activeWorkers || 0);
-  chartData.rss.push(metrics.memory?.rssMb || 0);
+  return {
+    cpu: metrics.cpu?.usagePercent || 0,
+    memory: fpmRss + simulated,
+    // PHP doesn't have event loop lag — use active worker count or 0
+    eventloop: metrics.process?.activeWorkers || 0,
+    rss: metrics.memory?.rssMb || 0,
+  };
+}
 
-  updateMetricBars(metrics);
+// ============================================================================
+// Time Windows
+// ============================================================================
+//
+// Switching to a history window replaces each chart's labels and dataset data
+// with arrays rendered from metricsHistory / latencyHistory; the live arrays
+// keep filling in the background (each dataset remembers its own in
+// dataset.liveData) and are put back when returning to the live window.
+// Datasets are matched to history series by seriesKey (prefixed with the
+// target id for added targets). Primary series get two extra datasets, the
+// bucket minimum and maximum, filled in between as a band.
 
-  if (chartData.labels.length > maxDataPoints) {
-    chartData.labels.shift();
-    chartData.cpu.shift();
-    chartData.memory.shift();
-    chartData.eventloop.shift();
-    chartData.rss.shift();
+/**
+ * Loads the selected time window from localStorage.
+ * @returns {string} Window id (key of CHART_WINDOWS)
+ */
+function loadChartWindow() {
+  try {
+    const stored = localStorage.getItem(CHART_WINDOW_STORAGE_KEY);
+    return stored && CHART_WINDOWS[stored] ? stored : LIVE_CHART_WINDOW;
+  } catch (error) {
+    return LIVE_CHART_WINDOW;
   }
-
-  if (cpuMemoryChart) cpuMemoryChart.update('none');
-  if (eventloopChart) eventloopChart.update('none');
-  if (latencyChart) latencyChart.update('none');
 }
 
 /**
- * Updates the metric bar fills in the dashboard tiles.
+ * Gets the selected time window.
+ * @returns {{id: string, windowMs: number, live: boolean, bucketMs: number|null}}
  */
-function updateMetricBars(metrics) {
-  const cpuBar = document.getElementById('cpu-bar');
-  const memoryBar = document.getElementById('memory-bar');
-  const eventloopBar = document.getElementById('eventloop-bar');
-  const rssBar = document.getElementById('rss-bar');
+function getChartWindow() {
+  const live = chartWindow === LIVE_CHART_WINDOW;
+  return {
+    id: chartWindow,
+    windowMs: CHART_WINDOWS[chartWindow],
+    live,
+    bucketMs: live ? null : metricsHistory.tierFor(CHART_WINDOWS[chartWindow]).bucketMs,
+  };
+}
 
-  if (cpuBar) {
-    cpuBar.style.width = Math.min(100, metrics.cpu?.usagePercent || 0) + '%';
+/**
+ * Selects the time window shown by all charts.
+ * @param {string} id - '1m' | '5m' | '15m' | '1h'
+ * @throws {Error} If the window is unknown
+ */
+function setChartWindow(id) {
+  if (!CHART_WINDOWS[id]) {
+    throw new Error(`Unknown chart window: ${id}`);
   }
-
-  if (memoryBar) {
-    const totalMb = metrics.memory?.totalSystemMb || 4096;
-    // Combine fpmPoolRssMb + simulatedMb (APCu memory pressure allocations)
-    const fpmRss = metrics.memory?.fpmPoolRssMb || 0;
-    const simulated = metrics.memory?.simulatedMb || 0;
-    const usedMb = fpmRss + simulated;
-    memoryBar.style.width = Math.min(100, (usedMb / totalMb) * 100) + '%';
+  chartWindow = id;
+  try {
+    localStorage.setItem(CHART_WINDOW_STORAGE_KEY, id);
+  } catch (error) {
+    // Not persisted; the selection still applies to this page
   }
 
-  if (eventloopBar) {
-    // PHP: show active workers as percentage of something
-    const workers = metrics.process?.activeWorkers || 0;
-    eventloopBar.style.width = Math.min(100, workers) + '%';
-  }
+  // A new window always starts streaming
+  resetChartView();
+  showCurrentWindow();
+  notifyChartViewChange();
+}
 
-  if (rssBar) {
-    const totalMb = metrics.memory?.totalSystemMb || 4096;
-    const rssMb = metrics.memory?.rssMb || 0;
-    rssBar.style.width = Math.min(100, (rssMb / totalMb) * 100) + '%';
+/**
+ * Draws the selected window from its source: the live arrays or the history.
+ */
+function showCurrentWindow() {
+  if (chartWindow === LIVE_CHART_WINDOW) {
+    clearTimeout(historyRenderTimer);
+    historyRenderTimer = null;
+    restoreLiveView(cpuMemoryChart, chartData.labels, chartData.times);
+    restoreLiveView(eventloopChart, chartData.labels, chartData.times);
+    restoreLiveView(latencyChart, latencyChartData.labels, latencyChartData.times);
+    restoreLiveView(latencyBreakdownChart, latencyChartData.labels, latencyChartData.times);
+  } else {
+    renderHistoryWindow();
   }
 }
 
 /**
- * Formats a latency value for display (ms or seconds).
+ * Re-renders the history window at most once per HISTORY_RENDER_INTERVAL_MS.
  */
-function formatLatency(latencyMs) {
-  if (latencyMs >= 1000) return (latencyMs / 1000).toFixed(1) + 's';
-  return latencyMs.toFixed(1) + 'ms';
+function scheduleHistoryRender() {
+  if (historyRenderTimer) return;
+  const wait = Math.max(0, lastHistoryRender + HISTORY_RENDER_INTERVAL_MS - Date.now());
+  historyRenderTimer = setTimeout(() => {
+    historyRenderTimer = null;
+    if (chartWindow !== LIVE_CHART_WINDOW && !chartView.frozen) renderHistoryWindow();
+  }, wait);
 }
 
 /**
- * Gets the color for a latency value based on thresholds.
+ * Renders the selected history window on all charts.
  */
-function getLatencyColor(latencyMs) {
-  if (latencyMs >= 30000) return '#d13438';
-  if (latencyMs >= 1000) return '#ff8c00';
-  if (latencyMs >= 150) return '#ffb900';
-  return '#17a035';
+function renderHistoryWindow() {
+  lastHistoryRender = Date.now();
+  const windowMs = CHART_WINDOWS[chartWindow];
+  const end = typeof serverNow === 'function' ? serverNow() : Date.now();
+
+  const metricsView = metricsHistory.render(windowMs, end,
+    historyKeysOf([cpuMemoryChart, eventloopChart]));
+  applyHistoryView(cpuMemoryChart, metricsView, true);
+  applyHistoryView(eventloopChart, metricsView, true);
+
+  const latencyView = latencyHistory.render(windowMs, end,
+    historyKeysOf([latencyChart, latencyBreakdownChart]));
+  applyHistoryView(latencyChart, latencyView, true);
+  // The breakdown chart is stacked, so it shows averages only
+  applyHistoryView(latencyBreakdownChart, latencyView, false);
 }
 
 /**
- * Updates latency statistics display.
+ * History series key of a dataset ('cpu', or '<targetId>:cpu' for targets).
  */
-function updateLatencyDisplay() {
-  const currentEl = document.getElementById('latency-current');
-  const avgEl = document.getElementById('latency-avg');
-  const maxEl = document.getElementById('latency-max');
+function historyKeyOf(dataset) {
+  return dataset.targetId ? `${dataset.targetId}:${dataset.seriesKey}` : dataset.seriesKey;
+}
+
+/**
+ * Collects the history keys drawn by the given charts.
+ * @param {Array} charts - Chart instances (null entries ignored)
+ * @returns {string[]}
+ */
+function historyKeysOf(charts) {
+  const keys = new Set();
+  for (const chart of charts) {
+    if (!chart) continue;
+    for (const dataset of chart.data.datasets) {
+      if (dataset.seriesKey && !dataset.rangeOf) keys.add(historyKeyOf(dataset));
+    }
+  }
+  return [...keys];
+}
+
+/**
+ * Points a chart at rendered history buckets.
+ * @param {Chart|null} chart - Chart instance
+ * @param {Object} view - Result of history.render()
+ * @param {boolean} withBands - Add min–max bands for primary series
+ */
+function applyHistoryView(chart, view, withBands) {
+  if (!chart) return;
+
+  const datasets = chart.data.datasets.filter(d => !d.rangeOf);
+  const bands = [];
+  for (const dataset of datasets) {
+    // Ghost and planned series follow the view by themselves (see "Baselines")
+    if (dataset.baselineOf || dataset.plannedOf) continue;
+    if (!dataset.liveData) {
+      dataset.liveData = dataset.data;
+      dataset.liveSpanGaps = dataset.spanGaps;
+    }
+    const series = view.series[historyKeyOf(dataset)];
+    dataset.data = series.avg;
+    // Buckets are at least 1s, so a healthy target fills every one; show real breaks
+    dataset.spanGaps = false;
+
+    const style = HISTORY_SERIES[dataset.seriesKey];
+    if (withBands && !dataset.targetId && style) {
+      const band = (suffix, data, fill) => ({
+        label: `${style.name} ${suffix}`,
+        data,
+        rangeOf: dataset.seriesKey,
+        yAxisID: dataset.yAxisID,
+        borderWidth: 0,
+        pointRadius: 0,
+        backgroundColor: style.band,
+        fill,
+      });
+      bands.push(band('min', series.min, false), band('max', series.max, '-1'));
+    }
+  }
+
+  chart.data.labels = view.starts.map(timestampToUtcTimeString);
+  chart.data.datasets = [...datasets, ...bands];
+  viewTimes.set(chart, view.starts);
+  chart.update('none');
+}
+
+/**
+ * Points a chart back at its live arrays.
+ * @param {Chart|null} chart - Chart instance
+ * @param {Array} liveLabels - chartData.labels or latencyChartData.labels
+ * @param {Array} liveTimes - The matching times array
+ */
+function restoreLiveView(chart, liveLabels, liveTimes) {
+  if (!chart) return;
+
+  chart.data.datasets = chart.data.datasets.filter(d => !d.rangeOf);
+  for (const dataset of chart.data.datasets) {
+    if (dataset.liveData) {
+      dataset.data = dataset.liveData;
+      dataset.spanGaps = dataset.liveSpanGaps;
+      delete dataset.liveData;
+      delete dataset.liveSpanGaps;
+    }
+  }
+  chart.data.labels = liveLabels;
+  viewTimes.set(chart, liveTimes);
+  chart.update('none');
+}
+
+// ============================================================================
+// Freeze, Zoom and Pan
+// ============================================================================
+//
+// Freezing copies what each chart currently draws (live arrays or history
+// buckets) and points the datasets at the copies, using the same liveData swap
+// as the history windows, so collection continues underneath while the display
+// holds still. Zooming sets the category x-axis min / max on every chart. The
+// range is kept as times and mapped onto each chart's own indices through
+// viewTimes, so the 250ms metrics charts and the 100ms latency charts stay
+// aligned. Drag across a chart to zoom (freezing it first), Shift+drag to pan,
+// double-click to zoom back out; jumpToLive() resumes streaming.
+
+/**
+ * All chart instances that exist on this page.
+ * @returns {Chart[]}
+ */
+function chartInstances() {
+  return [cpuMemoryChart, eventloopChart, latencyChart, latencyBreakdownChart].filter(Boolean);
+}
+
+/**
+ * Gets the freeze / zoom state.
+ * @returns {{frozen: boolean, frozenAt: number|null, range: {from: number, to: number}|null}}
+ */
+function getChartViewState() {
+  return {
+    frozen: chartView.frozen,
+    frozenAt: chartView.frozenAt,
+    range: chartView.range ? { ...chartView.range } : null,
+  };
+}
+
+/**
+ * Tells the dashboard the freeze / zoom state changed.
+ */
+function notifyChartViewChange() {
+  // The distribution views and the baseline comparison cover the same span as the charts
+  renderLatencyDistribution();
+  renderBaselineComparison();
+  if (typeof onChartViewChange === 'function') {
+    onChartViewChange(getChartViewState());
+  }
+}
+
+/**
+ * Stops redrawing all charts; data collection continues in the background.
+ */
+function freezeCharts() {
+  if (chartView.frozen) return;
+  clearTimeout(historyRenderTimer);
+  historyRenderTimer = null;
+
+  chartView.frozen = true;
+  chartView.frozenAt = typeof serverNow === 'function' ? serverNow() : Date.now();
+  chartView.requestIds = [...latencyChartData.requestIds];
+  for (const chart of chartInstances()) {
+    for (const dataset of chart.data.datasets) {
+      if (!dataset.rangeOf && !dataset.liveData) {
+        dataset.liveData = dataset.data;
+        dataset.liveSpanGaps = dataset.spanGaps;
+      }
+      dataset.data = [...dataset.data];
+    }
+    chart.data.labels = [...chart.data.labels];
+    viewTimes.set(chart, [...(viewTimes.get(chart) || [])]);
+  }
+  notifyChartViewChange();
+}
+
+/**
+ * Clears freeze and zoom state without redrawing.
+ */
+function resetChartView() {
+  chartView.frozen = false;
+  chartView.frozenAt = null;
+  chartView.range = null;
+  chartView.requestIds = null;
+  chartDrag = null;
+  for (const chart of chartInstances()) {
+    chart.options.scales.x.min = undefined;
+    chart.options.scales.x.max = undefined;
+  }
+}
+
+/**
+ * Drops freeze and zoom and resumes streaming the selected window.
+ */
+function jumpToLive() {
+  resetChartView();
+  showCurrentWindow();
+  notifyChartViewChange();
+}
+
+/**
+ * Time span covered by the frozen display.
+ * @returns {{from: number, to: number}|null}
+ */
+function frozenTimeBounds() {
+  let from = Infinity;
+  let to = -Infinity;
+  for (const times of viewTimes.values()) {
+    if (times.length === 0) continue;
+    from = Math.min(from, times[0]);
+    to = Math.max(to, times[times.length - 1]);
+  }
+  return from <= to ? { from, to } : null;
+}
+
+/**
+ * Zooms all charts to a time range, freezing them first.
+ * A range reaching past the frozen data is shifted back inside it.
+ * @param {number|null} from - Range start (ms, server timeline); null zooms out
+ * @param {number} [to] - Range end
+ */
+function setChartZoom(from, to) {
+  freezeCharts();
+
+  const bounds = frozenTimeBounds();
+  if (from == null || !bounds) {
+    chartView.range = null;
+  } else {
+    const span = Math.min(to - from, bounds.to - bounds.from);
+    from = Math.max(bounds.from, Math.min(from, bounds.to - span));
+    chartView.range = { from, to: from + span };
+  }
+
+  for (const chart of chartInstances()) {
+    applyChartZoom(chart);
+  }
+  notifyChartViewChange();
+}
+
+/**
+ * Sets one chart's x-axis to the zoomed range.
+ * @param {Chart} chart - Chart instance
+ */
+function applyChartZoom(chart) {
+  const x = chart.options.scales.x;
+  const times = viewTimes.get(chart) || [];
+  if (!chartView.range || times.length === 0) {
+    x.min = undefined;
+    x.max = undefined;
+    chart.update('none');
+    return;
+  }
+
+  let lo = times.findIndex(t => t >= chartView.range.from);
+  if (lo === -1) lo = times.length - 1;
+  let hi = lo;
+  while (hi + 1 < times.length && times[hi + 1] <= chartView.range.to) hi++;
+  // A range narrower than this chart's sample spacing still shows two points
+  if (hi === lo && lo > 0) lo--;
+  x.min = lo;
+  x.max = hi;
+  chart.update('none');
+}
+
+/**
+ * Time of the sample under an x pixel of a chart.
+ * @returns {number|null}
+ */
+function timeAtPixel(chart, px) {
+  const times = viewTimes.get(chart);
+  const index = chart.scales.x.getValueForPixel(px);
+  if (!times || times.length === 0 || !Number.isFinite(index)) return null;
+  return times[Math.max(0, Math.min(times.length - 1, Math.round(index)))];
+}
+
+/**
+ * Unclamped x pixel of a time within a chart's drawn samples.
+ * @returns {number|null} null if the chart has fewer than two samples
+ */
+function timeToPixel(chart, ts) {
+  const times = viewTimes.get(chart);
+  if (!times || times.length < 2) return null;
+
+  // First sample at or after ts (times are in order), interpolated from the one before
+  let lo = 0;
+  let hi = times.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (times[mid] < ts) lo = mid + 1;
+    else hi = mid;
+  }
+  const next = Math.max(1, Math.min(lo, times.length - 1));
+  const prev = next - 1;
+  const fraction = (ts - times[prev]) / (times[next] - times[prev] || 1);
+  return chart.scales.x.getPixelForValue(prev + fraction);
+}
+
+/**
+ * Canvas x position of a mouse event, clamped to the plot area.
+ */
+function chartPixelOf(chart, event) {
+  const rect = chart.canvas.getBoundingClientRect();
+  const { left, right } = chart.chartArea;
+  return Math.max(left, Math.min(right, event.clientX - rect.left));
+}
+
+/**
+ * Wires drag-to-zoom, Shift+drag pan and double-click zoom-out on a chart.
+ * @param {Chart} chart - Chart instance
+ */
+function enableChartZoom(chart) {
+  chart.canvas.addEventListener('mousedown', (event) => {
+    if (event.button !== 0 || !chart.chartArea) return;
+    const x = chartPixelOf(chart, event);
+    if (event.shiftKey) {
+      if (!chartView.range) return;
+      chartDrag = { chart, mode: 'pan', startX: x, range: { ...chartView.range } };
+    } else {
+      // Freeze on press so the data under the selection stays put
+      chartDrag = { chart, mode: 'zoom', startX: x, x, froze: !chartView.frozen };
+      freezeCharts();
+    }
+    event.preventDefault();
+  });
+  chart.canvas.addEventListener('dblclick', () => {
+    if (chartView.range) setChartZoom(null);
+  });
+}
+
+function onChartDragMove(event) {
+  if (!chartDrag) return;
+  const { chart } = chartDrag;
+  const x = chartPixelOf(chart, event);
+
+  if (chartDrag.mode === 'zoom') {
+    chartDrag.x = x;
+    chart.draw();
+    return;
+  }
+  const { from, to } = chartDrag.range;
+  const width = chart.chartArea.right - chart.chartArea.left;
+  const shift = -((x - chartDrag.startX) / width) * (to - from);
+  setChartZoom(from + shift, to + shift);
+}
+
+function onChartDragEnd() {
+  if (!chartDrag) return;
+  const drag = chartDrag;
+  chartDrag = null;
+  if (drag.mode !== 'zoom') return;
+
+  drag.chart.draw();
+  if (Math.abs(drag.x - drag.startX) < ZOOM_MIN_DRAG_PX) {
+    // A plain click is not a zoom; undo the freeze it started
+    if (drag.froze) jumpToLive();
+    return;
+  }
+  const from = timeAtPixel(drag.chart, Math.min(drag.startX, drag.x));
+  const to = timeAtPixel(drag.chart, Math.max(drag.startX, drag.x));
+  if (from != null && to != null && to > from) {
+    setChartZoom(from, to);
+  }
+}
+
+// ============================================================================
+// Event Annotations
+// ============================================================================
+//
+// dashboard.js hands every event log entry (client and server) to
+// addChartAnnotation(). A plugin draws each one as a vertical line at its
+// time on every chart, placed between the two samples around it through
+// viewTimes, so markers follow the live, history, frozen and zoomed views.
+// Color is the event level; the simulationType decides which filter
+// category (CPU, memory, blocking, crashes, other) can hide it. A
+// highlighted marker (clicked in the event log) is drawn solid and always
+// shown, whatever the filter.
+
+/**
+ * Filter category of a simulation type.
+ * @param {string|null} simulationType - e.g. 'CPU_STRESS', 'CRASH_FAILFAST'
+ * @returns {string} Key of ANNOTATION_CATEGORIES
+ */
+function annotationCategoryOf(simulationType) {
+  if (!simulationType) return 'other';
+  if (simulationType.startsWith('CRASH') || simulationType === 'MULTI_CRASH') return 'crash';
+  const categories = { CPU_STRESS: 'cpu', MEMORY_PRESSURE: 'memory', REQUEST_BLOCKING: 'blocking' };
+  return categories[simulationType] || 'other';
+}
+
+/**
+ * Loads the marker filter from localStorage (all categories shown by default).
+ * @returns {Object} { category: boolean }
+ */
+function loadAnnotationFilter() {
+  const filter = Object.fromEntries(Object.keys(ANNOTATION_CATEGORIES).map(id => [id, true]));
+  try {
+    const stored = JSON.parse(localStorage.getItem(ANNOTATION_FILTER_STORAGE_KEY) || '{}');
+    for (const id of Object.keys(filter)) {
+      if (typeof stored[id] === 'boolean') filter[id] = stored[id];
+    }
+  } catch (error) {
+    // Unreadable filter; show everything
+  }
+  return filter;
+}
+
+/**
+ * Lists the marker filter categories.
+ * @returns {Array<{id: string, label: string, visible: boolean}>}
+ */
+function getAnnotationCategories() {
+  return Object.entries(ANNOTATION_CATEGORIES)
+    .map(([id, label]) => ({ id, label, visible: annotationFilter[id] }));
+}
+
+/**
+ * Shows or hides the markers of one category on all charts.
+ * @param {string} category - Key of ANNOTATION_CATEGORIES
+ * @param {boolean} visible
+ * @throws {Error} If the category is unknown
+ */
+function setAnnotationCategoryVisible(category, visible) {
+  if (!ANNOTATION_CATEGORIES[category]) {
+    throw new Error(`Unknown event marker category: ${category}`);
+  }
+  annotationFilter[category] = !!visible;
+  try {
+    localStorage.setItem(ANNOTATION_FILTER_STORAGE_KEY, JSON.stringify(annotationFilter));
+  } catch (error) {
+    // Not persisted; the filter still applies to this page
+  }
+  redrawAnnotations();
+}
+
+/**
+ * Adds an event marker to all charts. Repeated keys are ignored, so an event
+ * re-delivered after a reconnect or restored from the offline store is drawn once.
+ * @param {Object} event - Event log entry { key, id?, timestamp, level, message, simulationType? }
+ */
+function addChartAnnotation(event) {
+  const key = event.id || event.key;
+  const ts = Date.parse(event.timestamp);
+  if (!key || !Number.isFinite(ts) || chartAnnotations.has(key)) return;
+
+  chartAnnotations.set(key, {
+    key,
+    ts,
+    level: event.level || 'info',
+    message: event.message,
+    category: annotationCategoryOf(event.simulationType),
+  });
+  if (chartAnnotations.size > MAX_CHART_ANNOTATIONS) {
+    // Map keeps insertion order; drop the earliest added
+    chartAnnotations.delete(chartAnnotations.keys().next().value);
+  }
+  redrawAnnotations();
+}
+
+/**
+ * Highlights the marker of an event (or clears the highlight when it is
+ * already highlighted). An event older than the selected window switches to
+ * the shortest window that contains it.
+ * @param {string} key - Event id or key, as passed to addChartAnnotation()
+ * @returns {boolean} Whether the event is now highlighted
+ */
+function highlightChartAnnotation(key) {
+  const annotation = chartAnnotations.get(key);
+  if (!annotation || highlightedAnnotationKey === key) {
+    highlightedAnnotationKey = null;
+    redrawAnnotations();
+    return false;
+  }
+  highlightedAnnotationKey = key;
+
+  const bounds = chartView.frozen ? frozenTimeBounds() : null;
+  if (chartView.frozen && (!bounds || annotation.ts < bounds.from || annotation.ts > bounds.to)) {
+    jumpToLive();
+  }
+  if (!chartView.frozen) {
+    const age = (typeof serverNow === 'function' ? serverNow() : Date.now()) - annotation.ts;
+    if (age > CHART_WINDOWS[chartWindow]) {
+      const fits = Object.keys(CHART_WINDOWS).find(id => CHART_WINDOWS[id] >= age);
+      if (fits) setChartWindow(fits);
+    }
+  }
+  redrawAnnotations();
+  return true;
+}
+
+/**
+ * Redraws all charts so marker changes show even while frozen.
+ */
+function redrawAnnotations() {
+  for (const chart of chartInstances()) {
+    chart.draw();
+  }
+}
+
+/**
+ * X pixel of a time on a chart, interpolated between the samples around it.
+ * @returns {number|null} null when the time is outside the drawn range
+ */
+function annotationPixel(chart, ts) {
+  const times = viewTimes.get(chart);
+  if (!times || times.length < 2) return null;
+  // Events up to one sample spacing past the newest sample still show
+  const last = times.length - 1;
+  if (ts < times[0] || ts > times[last] + (times[last] - times[last - 1])) return null;
+
+  const x = timeToPixel(chart, ts);
+  const { left, right } = chart.chartArea;
+  return x >= left && x <= right ? x : null;
+}
+
+/**
+ * Draws the visible markers on a chart and records where they landed.
+ * @param {Chart} chart - Chart instance
+ */
+function drawChartAnnotations(chart) {
+  const hits = [];
+  const { ctx, chartArea } = chart;
+  ctx.save();
+  for (const annotation of chartAnnotations.values()) {
+    const highlighted = annotation.key === highlightedAnnotationKey;
+    if (!highlighted && !annotationFilter[annotation.category]) continue;
+    const x = annotationPixel(chart, annotation.ts);
+    if (x == null) continue;
+
+    ctx.strokeStyle = ANNOTATION_LEVEL_COLORS[annotation.level] || ANNOTATION_LEVEL_COLORS.info;
+    ctx.globalAlpha = highlighted ? 1 : 0.6;
+    ctx.lineWidth = highlighted ? 3 : 1;
+    ctx.setLineDash(highlighted ? [] : [4, 3]);
+    ctx.beginPath();
+    ctx.moveTo(x, chartArea.top);
+    ctx.lineTo(x, chartArea.bottom);
+    ctx.stroke();
+    hits.push({ x, annotation });
+  }
+  ctx.restore();
+  annotationHits.set(chart, hits);
+}
+
+/**
+ * Shows the messages of the markers under the mouse in a floating tooltip.
+ * @param {Chart} chart - Chart instance
+ */
+function enableAnnotationTooltip(chart) {
+  let tooltip = document.getElementById('chart-annotation-tooltip');
+  if (!tooltip) {
+    tooltip = document.createElement('div');
+    tooltip.id = 'chart-annotation-tooltip';
+    tooltip.className = 'chart-annotation-tooltip';
+    tooltip.hidden = true;
+    document.body.appendChild(tooltip);
+  }
+
+  chart.canvas.addEventListener('mousemove', (event) => {
+    const x = event.clientX - chart.canvas.getBoundingClientRect().left;
+    const near = chartDrag ? [] : (annotationHits.get(chart) || [])
+      .filter(hit => Math.abs(hit.x - x) <= ANNOTATION_HOVER_PX);
+    if (near.length === 0) {
+      tooltip.hidden = true;
+      return;
+    }
+    tooltip.textContent = near
+      .map(({ annotation }) => `${timestampToUtcTimeString(annotation.ts)} UTC — ${annotation.message}`)
+      .join('\n');
+    tooltip.style.left = `${event.pageX + 12}px`;
+    tooltip.style.top = `${event.pageY + 12}px`;
+    tooltip.hidden = false;
+  });
+  chart.canvas.addEventListener('mouseleave', () => {
+    tooltip.hidden = true;
+  });
+}
+
+// ============================================================================
+// Simulation Bands
+// ============================================================================
+//
+// dashboard.js passes the simulations of every metrics snapshot (polled from
+// /api/metrics or streamed) to recordSimulationState(), and the SSE stream's
+// 'simulations' messages as well, which arrive sooner. Recording the same
+// state again only refreshes the open band, so the two paths never create a
+// duplicate. Load test activity comes with each probe result.
+// A band opens when a simulation turns active (at the server's startedAt, so
+// a band survives a page reload mid-simulation) and closes when it turns
+// inactive. Parameters that change while active keep their peak (memory MB,
+// load test concurrency). Bands are drawn on the metrics and latency charts
+// behind the lines, one label row per simulation type so labels don't overlap.
+
+/**
+ * Gets the open band of a simulation type, if any.
+ */
+function openSimulationBand(type) {
+  return simulationBands.find(band => band.type === type && band.to == null) || null;
+}
+
+/**
+ * Opens, updates or closes the band of one simulation type.
+ * @param {string} type - Key of SIMULATION_BAND_STYLES
+ * @param {boolean} active - Whether the simulation is running now
+ * @param {number} now - Current time (ms, server timeline)
+ * @param {Object} [start] - { startedAt?: string, params: Object } when active
+ */
+function trackSimulationBand(type, active, now, start) {
+  const band = openSimulationBand(type);
+  if (!active) {
+    if (band) band.to = now;
+    return;
+  }
+  if (band) {
+    for (const [key, value] of Object.entries(start.params)) {
+      band.params[key] = typeof value === 'number' ? Math.max(band.params[key] || 0, value) : value;
+    }
+    return;
+  }
+
+  const startedAt = Date.parse(start.startedAt);
+  simulationBands.push({
+    type,
+    from: Number.isFinite(startedAt) ? Math.min(startedAt, now) : now,
+    to: null,
+    params: { ...start.params },
+  });
+  if (simulationBands.length > MAX_SIMULATION_BANDS) {
+    simulationBands.shift();
+  }
+}
+
+/**
+ * Records which simulations are active.
+ * @param {Object} simulations - simulations object from /api/metrics
+ */
+function recordSimulationState(simulations) {
+  if (!simulations) return;
+  const now = typeof serverNow === 'function' ? serverNow() : Date.now();
+  const { cpu, memory, blocking } = simulations;
+
+  trackSimulationBand('cpu', !!cpu?.active, now, {
+    startedAt: cpu?.startedAt,
+    params: { level: cpu?.level || '', durationSeconds: cpu?.durationSeconds || 0 },
+  });
+  trackSimulationBand('memory', !!memory?.active, now, {
+    startedAt: memory?.startedAt,
+    params: { allocatedMb: Math.round(memory?.allocatedMb || 0) },
+  });
+  trackSimulationBand('blocking', !!blocking?.active, now, {
+    startedAt: blocking?.startedAt,
+    params: { durationSeconds: blocking?.duration || 0, concurrentWorkers: blocking?.concurrentWorkers || 0 },
+  });
+}
+
+/**
+ * Records load test activity reported with a probe result.
+ * @param {boolean} active - Load test requests in flight
+ * @param {number} concurrent - Concurrent load test requests
+ */
+function recordLoadTestState(active, concurrent) {
+  const now = typeof serverNow === 'function' ? serverNow() : Date.now();
+  trackSimulationBand('loadtest', !!active, now, { params: { concurrent: concurrent || 0 } });
+}
+
+/**
+ * Label of a band: the simulation's parameters and how long it has run.
+ * @param {Object} band - Entry of simulationBands
+ * @param {number} now - Current time (ms), for open bands
+ * @returns {string}
+ */
+function simulationBandLabel(band, now) {
+  const { params } = band;
+  const parts = [SIMULATION_BAND_STYLES[band.type].name];
+  switch (band.type) {
+    case 'cpu':
+      if (params.level) parts.push(params.level.charAt(0).toUpperCase() + params.level.slice(1));
+      if (params.durationSeconds) parts.push(`${params.durationSeconds}s requested`);
+      break;
+    case 'memory':
+      parts.push(`${params.allocatedMb} MB`);
+      break;
+    case 'blocking':
+      if (params.concurrentWorkers) parts.push(`${params.concurrentWorkers} workers`);
+      if (params.durationSeconds) parts.push(`${params.durationSeconds}s requested`);
+      break;
+    case 'loadtest':
+      parts.push(`up to ${params.concurrent} concurrent`);
+      break;
+  }
+  const elapsed = Math.round(((band.to ?? now) - band.from) / 1000);
+  parts.push(band.to == null ? `running ${elapsed}s` : `ran ${elapsed}s`);
+  return parts.join(' · ');
+}
+
+/**
+ * Shades the bands that overlap a chart's drawn time range.
+ * @param {Chart} chart - Chart instance
+ */
+function drawSimulationBands(chart) {
+  const times = viewTimes.get(chart);
+  if (!times || times.length < 2 || simulationBands.length === 0) return;
+
+  const { ctx, chartArea } = chart;
+  const first = times[0];
+  const last = times[times.length - 1];
+  const now = typeof serverNow === 'function' ? serverNow() : Date.now();
+  const rows = Object.keys(SIMULATION_BAND_STYLES);
+
+  ctx.save();
+  ctx.font = '10px sans-serif';
+  ctx.textBaseline = 'top';
+  for (const band of simulationBands) {
+    // Clamp to the samples drawn; an open band runs to the newest one
+    const from = Math.max(band.from, first);
+    const to = Math.min(band.to ?? last, last);
+    if (from > to) continue;
+    const left = Math.max(chartArea.left, timeToPixel(chart, from));
+    const right = Math.min(chartArea.right, timeToPixel(chart, to));
+    if (!(right > left)) continue;
+
+    const style = SIMULATION_BAND_STYLES[band.type];
+    ctx.fillStyle = `rgba(${style.rgb}, 0.08)`;
+    ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+
+    // Label, clipped to the band
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+    ctx.clip();
+    ctx.fillStyle = `rgba(${style.rgb}, 0.9)`;
+    ctx.fillText(simulationBandLabel(band, now), left + 3, chartArea.top + 2 + rows.indexOf(band.type) * 12);
+    ctx.restore();
+  }
+  ctx.restore();
+}
+
+// ============================================================================
+// Latency Thresholds
+// ============================================================================
+//
+// The degraded / severe / critical thresholds are the single source for every
+// latency color: the line's interpolated color and gradient, stat values,
+// probe dots, the critical counter, and the distribution buckets and bands.
+// They resolve in order: edited in this browser (localStorage), seeded by the
+// server (LATENCY_*_MS, sent with /api/health), then the built-in defaults.
+
+/**
+ * Validates a threshold set.
+ * @param {Object} thresholds - { degraded, severe, critical } in ms
+ * @returns {Object|null} Numeric copy, or null unless positive and ascending
+ */
+function normalizeLatencyThresholds(thresholds) {
+  if (!thresholds) return null;
+  const degraded = Number(thresholds.degraded);
+  const severe = Number(thresholds.severe);
+  const critical = Number(thresholds.critical);
+  if (![degraded, severe, critical].every(Number.isFinite)) return null;
+  if (degraded <= 0 || degraded >= severe || severe >= critical) return null;
+  return { degraded, severe, critical };
+}
+
+/**
+ * Loads thresholds edited in this browser.
+ * @returns {Object|null} { degraded, severe, critical }, or null if none saved
+ */
+function loadBrowserLatencyThresholds() {
+  try {
+    return normalizeLatencyThresholds(JSON.parse(localStorage.getItem(LATENCY_THRESHOLDS_STORAGE_KEY)));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Gets the thresholds in effect and where they came from.
+ * @returns {{degraded: number, severe: number, critical: number, source: string}}
+ *   source: 'browser' | 'server' | 'default'
+ */
+function getLatencyThresholds() {
+  let source = 'default';
+  if (browserLatencyThresholds) source = 'browser';
+  else if (serverLatencyThresholds) source = 'server';
+  return { ...latencyThresholds, source };
+}
+
+/**
+ * Sets and saves this browser's thresholds.
+ * @param {Object} thresholds - { degraded, severe, critical } in ms
+ * @throws {Error} If the thresholds are not positive and ascending
+ */
+function setLatencyThresholds(thresholds) {
+  const normalized = normalizeLatencyThresholds(thresholds);
+  if (!normalized) {
+    throw new Error('Latency thresholds must be positive and ascending (degraded < severe < critical)');
+  }
+  browserLatencyThresholds = normalized;
+  try {
+    localStorage.setItem(LATENCY_THRESHOLDS_STORAGE_KEY, JSON.stringify(normalized));
+  } catch (error) {
+    // Not persisted; the thresholds still apply to this page
+  }
+  applyLatencyThresholds();
+}
+
+/**
+ * Drops this browser's thresholds, returning to the server's or the defaults.
+ */
+function resetLatencyThresholds() {
+  browserLatencyThresholds = null;
+  try {
+    localStorage.removeItem(LATENCY_THRESHOLDS_STORAGE_KEY);
+  } catch (error) {
+    // Nothing saved to remove
+  }
+  applyLatencyThresholds();
+}
+
+/**
+ * Seeds the thresholds from the server's configuration (/api/health).
+ * Thresholds edited in this browser still take precedence.
+ * @param {Object} thresholds - { degradedMs, severeMs, criticalMs }
+ */
+function seedLatencyThresholds(thresholds) {
+  serverLatencyThresholds = normalizeLatencyThresholds(thresholds && {
+    degraded: thresholds.degradedMs,
+    severe: thresholds.severeMs,
+    critical: thresholds.criticalMs,
+  });
+  applyLatencyThresholds();
+}
+
+/**
+ * Resolves the thresholds in effect and redraws everything colored by them.
+ */
+function applyLatencyThresholds() {
+  latencyThresholds = browserLatencyThresholds || serverLatencyThresholds || DEFAULT_LATENCY_THRESHOLDS;
+  latencyDistributionEdges = distributionEdgesFor(latencyThresholds);
+  configureLatencyHistogram();
+  renderLatencyDistribution();
+  updateProbeVisualization();
+  updateLatencyDisplay();
+  if (latencyChart) latencyChart.update('none');
+}
+
+/**
+ * Severity band of a latency ('good' | 'degraded' | 'severe' | 'critical').
+ * Distribution buckets take the band of their lower edge, since thresholds
+ * are bucket edges.
+ * @param {number} latencyMs
+ * @returns {string}
+ */
+function latencyBandOf(latencyMs) {
+  if (latencyMs >= latencyThresholds.critical) return 'critical';
+  if (latencyMs >= latencyThresholds.severe) return 'severe';
+  if (latencyMs >= latencyThresholds.degraded) return 'degraded';
+  return 'good';
+}
+
+/**
+ * Formats a threshold or bucket edge, e.g. "200ms", "1s", "1.5s".
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatLatencyThreshold(ms) {
+  return ms >= 1000 ? `${ms / 1000}s` : `${ms}ms`;
+}
+
+/**
+ * Distribution bucket edges for a threshold set: the base edges plus the
+ * thresholds, dropping base edges within 1.5× of a threshold so no bucket
+ * is a sliver.
+ * @param {Object} thresholds - { degraded, severe, critical }
+ * @returns {number[]} Ascending lower edges, starting at 0
+ */
+function distributionEdgesFor(thresholds) {
+  const cuts = [thresholds.degraded, thresholds.severe, thresholds.critical];
+  const base = LATENCY_DISTRIBUTION_BASE_EDGES.filter(edge =>
+    edge === 0 || cuts.every(cut => Math.max(edge, cut) / Math.min(edge, cut) >= 1.5));
+  return [...new Set([...base, ...cuts])].sort((a, b) => a - b);
+}
+
+// ============================================================================
+// Latency Distribution
+// ============================================================================
+//
+// Every successful probe (live or restored after a reload) is kept in a
+// 1-second slice. The histogram and heatmap views bucket those probes over
+// the span the charts show: the selected time window, or the frozen / zoomed
+// range, with the current thresholds as bucket edges. The histogram sums all
+// slices per bucket; the heatmap groups them into LATENCY_HEATMAP_COLUMNS
+// time columns and shades each cell in its band's color, opacity scaled by
+// log(count) so a few slow probes stay visible next to the busy bucket. Like
+// the charts, both views redraw at a bounded rate and hold still while frozen.
+
+/**
+ * Loads the latency view selected on a previous visit.
+ * @returns {string} Latency view id
+ */
+function loadLatencyView() {
+  try {
+    const stored = localStorage.getItem(LATENCY_VIEW_STORAGE_KEY);
+    return stored && LATENCY_VIEWS[stored] ? stored : 'line';
+  } catch (error) {
+    return 'line';
+  }
+}
+
+/**
+ * Gets the selected latency view.
+ * @returns {{id: string, label: string}}
+ */
+function getLatencyView() {
+  return { id: latencyView, label: LATENCY_VIEWS[latencyView] };
+}
+
+/**
+ * Selects how the latency chart area shows probe latency.
+ * @param {string} id - 'line' | 'histogram' | 'heatmap'
+ * @throws {Error} If the view is unknown
+ */
+function setLatencyView(id) {
+  if (!LATENCY_VIEWS[id]) {
+    throw new Error(`Unknown latency view: ${id}`);
+  }
+  latencyView = id;
+  try {
+    localStorage.setItem(LATENCY_VIEW_STORAGE_KEY, id);
+  } catch (error) {
+    // Not persisted; the selection still applies to this page
+  }
+  showLatencyView();
+}
+
+/**
+ * Shows the container of the selected latency view and draws it.
+ */
+function showLatencyView() {
+  for (const id of Object.keys(LATENCY_VIEWS)) {
+    const container = document.getElementById(`latency-${id}-view`);
+    if (container) container.hidden = id !== latencyView;
+  }
+  renderLatencyDistribution();
+}
+
+/**
+ * Index of the distribution bucket holding a latency.
+ * @param {number} latencyMs
+ * @returns {number}
+ */
+function latencyBucketOf(latencyMs) {
+  let index = latencyDistributionEdges.length - 1;
+  while (index > 0 && latencyMs < latencyDistributionEdges[index]) index--;
+  return index;
+}
+
+/**
+ * Display range of a distribution bucket, e.g. "200ms–500ms" or "≥60s".
+ * @param {number} index - Bucket index
+ * @returns {string}
+ */
+function latencyBucketLabel(index) {
+  const from = latencyDistributionEdges[index];
+  const to = latencyDistributionEdges[index + 1];
+  return to === undefined
+    ? `≥${formatLatencyThreshold(from)}`
+    : `${formatLatencyThreshold(from)}–${formatLatencyThreshold(to)}`;
+}
+
+/**
+ * Records one probe in its time slice.
+ * @param {number} ts - Probe time (ms since epoch, server timeline)
+ * @param {number} latencyMs - Probe latency
+ */
+function recordLatencyDistribution(ts, latencyMs) {
+  if (!Number.isFinite(ts) || !Number.isFinite(latencyMs)) return;
+  const retainMs = Math.max(...Object.values(CHART_WINDOWS));
+  const start = Math.floor(ts / LATENCY_DISTRIBUTION_SLICE_MS) * LATENCY_DISTRIBUTION_SLICE_MS;
+  if (start < latencyDistribution.newestStart - retainMs) return;
+
+  let values = latencyDistribution.slices.get(start);
+  if (!values) {
+    values = [];
+    latencyDistribution.slices.set(start, values);
+    if (start > latencyDistribution.newestStart) {
+      latencyDistribution.newestStart = start;
+      for (const sliceStart of latencyDistribution.slices.keys()) {
+        if (sliceStart < start - retainMs) latencyDistribution.slices.delete(sliceStart);
+      }
+    }
+  }
+  values.push(latencyMs);
+}
+
+/**
+ * Time span the distribution views cover: the zoomed range, else the
+ * selected window ending now (or when the charts were frozen).
+ * @returns {{from: number, to: number}}
+ */
+function latencyDistributionSpan() {
+  if (chartView.range) return { ...chartView.range };
+  const to = chartView.frozen
+    ? chartView.frozenAt
+    : (typeof serverNow === 'function' ? serverNow() : Date.now());
+  return { from: to - CHART_WINDOWS[chartWindow], to };
+}
+
+/**
+ * Buckets the probes within a span into heatmap columns.
+ * @param {{from: number, to: number}} span
+ * @returns {{columnMs: number, columns: Array<{start: number, counts: number[]}>}}
+ */
+function latencyDistributionColumns({ from, to }) {
+  const sliceMs = LATENCY_DISTRIBUTION_SLICE_MS;
+  const columnMs = Math.max(sliceMs, Math.ceil((to - from) / LATENCY_HEATMAP_COLUMNS / sliceMs) * sliceMs);
+  const columns = [];
+  for (let start = Math.floor(from / columnMs) * columnMs; start < to; start += columnMs) {
+    const counts = latencyDistributionEdges.map(() => 0);
+    const first = Math.max(start, Math.floor(from / sliceMs) * sliceMs);
+    for (let slice = first; slice < start + columnMs && slice < to; slice += sliceMs) {
+      for (const latencyMs of latencyDistribution.slices.get(slice) || []) {
+        counts[latencyBucketOf(latencyMs)]++;
+      }
+    }
+    columns.push({ start, counts });
+  }
+  return { columnMs, columns };
+}
+
+/**
+ * Sets the histogram's buckets and band colors from the current edges.
+ */
+function configureLatencyHistogram() {
+  if (!latencyHistogramChart) return;
+  const dataset = latencyHistogramChart.data.datasets[0];
+  const colors = latencyDistributionEdges.map(edge => LATENCY_COLORS[latencyBandOf(edge)].color);
+  latencyHistogramChart.data.labels = latencyDistributionEdges.map((edge, index) => latencyBucketLabel(index));
+  dataset.data = latencyDistributionEdges.map(() => 0);
+  dataset.backgroundColor = colors.map(color => `${color}, 0.6)`);
+  dataset.borderColor = colors.map(color => `${color}, 1)`);
+}
+
+/**
+ * Re-renders the selected distribution view at most once per
+ * DISTRIBUTION_RENDER_INTERVAL_MS.
+ */
+function scheduleDistributionRender() {
+  if (distributionRenderTimer || latencyView === 'line') return;
+  const wait = Math.max(0, lastDistributionRender + DISTRIBUTION_RENDER_INTERVAL_MS - Date.now());
+  distributionRenderTimer = setTimeout(() => {
+    distributionRenderTimer = null;
+    if (!chartView.frozen) renderLatencyDistribution();
+  }, wait);
+}
+
+/**
+ * Draws the selected distribution view (nothing to do for the line view).
+ */
+function renderLatencyDistribution() {
+  if (latencyView === 'line') return;
+  lastDistributionRender = Date.now();
+  const { columnMs, columns } = latencyDistributionColumns(latencyDistributionSpan());
+
+  if (latencyView === 'histogram') {
+    if (!latencyHistogramChart) return;
+    latencyHistogramChart.data.datasets[0].data = latencyDistributionEdges.map((edge, index) =>
+      columns.reduce((sum, column) => sum + column.counts[index], 0));
+    latencyHistogramChart.update('none');
+  } else {
+    drawLatencyHeatmap(columns, columnMs);
+  }
+}
+
+/**
+ * Draws the time × latency heatmap on its canvas.
+ * @param {Array<{start: number, counts: number[]}>} columns - Oldest first
+ * @param {number} columnMs - Column width
+ */
+function drawLatencyHeatmap(columns, columnMs) {
+  const canvas = document.getElementById('latency-heatmap');
+  if (!canvas || !canvas.getContext || !canvas.clientWidth) return;
+
+  // Match the backing store to the displayed size for crisp cells
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  const ratio = window.devicePixelRatio || 1;
+  if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+  }
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  const area = { left: 40, top: 4, right: width - 4, bottom: height - 16 };
+  const rows = latencyDistributionEdges.length;
+  const cellWidth = (area.right - area.left) / Math.max(1, columns.length);
+  const cellHeight = (area.bottom - area.top) / rows;
+  heatmapLayout = { area, cellWidth, cellHeight, columns, columnMs };
+
+  let maxCount = 0;
+  for (const column of columns) {
+    for (const count of column.counts) {
+      if (count > maxCount) maxCount = count;
+    }
+  }
+
+  ctx.save();
+  columns.forEach((column, c) => {
+    column.counts.forEach((count, row) => {
+      if (count === 0) return;
+      const { r, g, b } = LATENCY_RGB[latencyBandOf(latencyDistributionEdges[row])];
+      const alpha = 0.15 + 0.85 * Math.log1p(count) / Math.log1p(maxCount);
+      ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${alpha.toFixed(3)})`;
+      ctx.fillRect(area.left + c * cellWidth, area.bottom - (row + 1) * cellHeight,
+        Math.ceil(cellWidth), Math.ceil(cellHeight));
+    });
+  });
+
+  // Severity thresholds
+  ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
+  ctx.lineWidth = 1;
+  ctx.setLineDash([4, 3]);
+  for (const band of ['degraded', 'severe', 'critical']) {
+    const y = area.bottom - latencyDistributionEdges.indexOf(latencyThresholds[band]) * cellHeight;
+    ctx.beginPath();
+    ctx.moveTo(area.left, y);
+    ctx.lineTo(area.right, y);
+    ctx.stroke();
+  }
+  ctx.setLineDash([]);
+
+  // Bucket lower edges on the left, column times along the bottom
+  ctx.fillStyle = '#605e5c';
+  ctx.font = '10px sans-serif';
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  const rowStep = cellHeight < 12 ? 2 : 1;
+  for (let row = 0; row < rows; row += rowStep) {
+    ctx.fillText(formatLatencyThreshold(latencyDistributionEdges[row]), area.left - 4, area.bottom - row * cellHeight);
+  }
+  ctx.textBaseline = 'top';
+  if (columns.length > 0) {
+    const ticks = [[0, 'left'], [Math.floor(columns.length / 2), 'center'], [columns.length - 1, 'right']];
+    for (const [c, align] of ticks) {
+      const x = area.left + (align === 'left' ? c : align === 'center' ? c + 0.5 : c + 1) * cellWidth;
+      ctx.textAlign = align;
+      ctx.fillText(timestampToUtcTimeString(columns[c].start), x, area.bottom + 3);
+    }
+  }
+  if (maxCount === 0) {
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('No probes in this time span', (area.left + area.right) / 2, (area.top + area.bottom) / 2);
+  }
+  ctx.restore();
+}
+
+/**
+ * Shows the hovered heatmap cell's time, bucket and probe count.
+ * @param {HTMLCanvasElement} canvas
+ */
+function enableHeatmapTooltip(canvas) {
+  canvas.addEventListener('mousemove', (event) => {
+    const layout = heatmapLayout;
+    if (!layout) return;
+    const { area, cellWidth, cellHeight, columns, columnMs } = layout;
+    const c = Math.floor((event.offsetX - area.left) / cellWidth);
+    const row = Math.floor((area.bottom - event.offsetY) / cellHeight);
+    const column = columns[c];
+    if (!column || row < 0 || row >= latencyDistributionEdges.length) {
+      canvas.title = '';
+      return;
+    }
+    canvas.title = `${timestampToUtcTimeString(column.start)}–${timestampToUtcTimeString(column.start + columnMs)} UTC\n` +
+      `${latencyBucketLabel(row)}: ${column.counts[row]} probes`;
+  });
+}
+
+// ============================================================================
+// Export
+// ============================================================================
+//
+// Exports are built in the browser from what the dashboard already holds, so
+// they work while the server is down. A PNG is the chart's canvas drawn on
+// white (Chart.js canvases are transparent); for the latency chart it is the
+// selected view (line, histogram or heatmap). A CSV has one row per point of
+// the live series (chartData / latencyChartData: the last minute at full
+// resolution): ISO timestamp, the chart label, then one column per series,
+// added targets included. Gaps are empty cells.
+
+const CHART_EXPORTS = {
+  'cpu-memory': { title: 'CPU & Memory', canvas: () => cpuMemoryChart?.canvas },
+  workers: { title: 'FPM Workers & RSS Memory', canvas: () => eventloopChart?.canvas },
+  latency: { title: 'Response Latency', canvas: () => latencyViewCanvas() },
+  'latency-breakdown': { title: 'Latency Breakdown', canvas: () => latencyBreakdownChart?.canvas },
+};
+
+/**
+ * Canvas of the selected latency view.
+ * @returns {HTMLCanvasElement|null}
+ */
+function latencyViewCanvas() {
+  if (latencyView === 'histogram') return latencyHistogramChart?.canvas || null;
+  if (latencyView === 'heatmap') return document.getElementById('latency-heatmap');
+  return latencyChart?.canvas || null;
+}
+
+/**
+ * Downloads a chart as a PNG image.
+ * @param {string} id - 'cpu-memory' | 'workers' | 'latency' | 'latency-breakdown'
+ * @throws {Error} If the chart is unknown or not drawn
+ */
+function exportChartPng(id) {
+  const spec = CHART_EXPORTS[id];
+  if (!spec) {
+    throw new Error(`Unknown chart: ${id}`);
+  }
+  const source = spec.canvas();
+  if (!source || !source.width || !source.height) {
+    throw new Error(`The ${spec.title} chart is not drawn yet`);
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = source.width;
+  canvas.height = source.height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(source, 0, 0);
+
+  const name = id === 'latency' ? `latency-${latencyView}` : id;
+  canvas.toBlob(blob => downloadFile(exportFileName(name, 'png'), blob), 'image/png');
+}
+
+/**
+ * The live series of the metrics or latency charts as a table.
+ * @param {string} kind - 'metrics' | 'latency'
+ * @returns {{columns: string[], rows: Array<Array>}} Column 0 is the time
+ *   (ms since epoch, server timeline), column 1 the chart label
+ * @throws {Error} If the kind is unknown
+ */
+function chartSeriesTable(kind) {
+  const targets = [...targetSeries.values()];
+  let source;
+  let columns;
+  let series;
+
+  if (kind === 'metrics') {
+    source = chartData;
+    columns = ['cpu_percent', 'memory_mb', 'workers_busy', 'rss_mb'];
+    series = [chartData.cpu, chartData.memory, chartData.eventloop, chartData.rss];
+    for (const { target, cpu, memory, eventloop, rss } of targets) {
+      columns.push(`${target.id}_cpu_percent`, `${target.id}_memory_mb`, `${target.id}_workers_busy`, `${target.id}_rss_mb`);
+      series.push(cpu, memory, eventloop, rss);
+    }
+  } else if (kind === 'latency') {
+    source = latencyChartData;
+    columns = ['latency_ms', 'mode', 'request_id',
+      ...LATENCY_BREAKDOWN_KEYS.map(key => `${key.replace(/[A-Z]/g, c => '_' + c.toLowerCase())}_ms`),
+      ...LATENCY_OVERLAY_KEYS.map(key => `${key}_ms`)];
+    series = [latencyChartData.values, latencyChartData.modes, latencyChartData.requestIds,
+      ...LATENCY_BREAKDOWN_KEYS.map(key => latencyChartData[key]),
+      ...LATENCY_OVERLAY_KEYS.map(key => latencyChartData[key])];
+    for (const { target, latency } of targets) {
+      columns.push(`${target.id}_latency_ms`);
+      series.push(latency);
+    }
+  } else {
+    throw new Error(`Unknown chart data: ${kind}`);
+  }
+
+  return {
+    columns: ['timestamp', 'label', ...columns],
+    rows: source.times.map((ts, i) => [ts, source.labels[i], ...series.map(values => values[i] ?? null)]),
+  };
+}
+
+/**
+ * Downloads the live series of the metrics or latency charts as CSV.
+ * @param {string} kind - 'metrics' | 'latency'
+ * @throws {Error} If the kind is unknown
+ */
+function exportChartDataCsv(kind) {
+  const { columns, rows } = chartSeriesTable(kind);
+  const lines = [columns, ...rows.map(([ts, ...cells]) => [new Date(ts).toISOString(), ...cells])]
+    .map(cells => cells.map(csvCell).join(','));
+  // The byte order mark makes Excel read the file as UTF-8 (labels contain "–")
+  downloadFile(exportFileName(kind, 'csv'), '\uFEFF' + lines.join('\r\n') + '\r\n', 'text/csv');
+}
+
+/**
+ * Formats one CSV cell (RFC 4180 quoting; null is an empty cell).
+ */
+function csvCell(value) {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export file name with the UTC time, e.g. perfsim-latency-2024-05-01T12-00-00Z.csv
+ * @param {string} name - What is exported
+ * @param {string} extension - File extension
+ * @returns {string}
+ */
+function exportFileName(name, extension) {
+  const now = typeof serverNow === 'function' ? serverNow() : Date.now();
+  const stamp = new Date(now).toISOString().replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+  return `perfsim-${name}-${stamp}.${extension}`;
+}
+
+/**
+ * Saves content as a file through a temporary download link.
+ * @param {string} filename
+ * @param {Blob|string} content
+ * @param {string} [type] - MIME type for string content
+ */
+function downloadFile(filename, content, type) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking right away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+// ============================================================================
+// Baselines
+// ============================================================================
+//
+// A baseline is a named snapshot of the span the charts show (the selected
+// window, or the frozen / zoomed range): the CPU, memory, busy worker, RSS
+// and latency series from the histories (bucket averages), plus a summary of
+// latency percentiles (exact, from the distribution slices) and metric peaks.
+// Baselines are kept in localStorage, so a "before" captured yesterday can be
+// compared with today's "after". The active baseline is drawn as dotted gray
+// ghost series, aligned so its newest bucket sits at the charts' right edge,
+// and its summary is compared with the same summary of the span shown now.
+
+/**
+ * Loads saved baselines from localStorage.
+ * @returns {Array<Object>} Oldest first
+ */
+function loadBaselines() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(BASELINES_STORAGE_KEY));
+    return Array.isArray(stored) ? stored.filter(b => b && b.id && b.series && b.summary) : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Loads the id of the baseline shown on a previous visit.
+ * @returns {string|null}
+ */
+function loadActiveBaselineId() {
+  try {
+    return localStorage.getItem(ACTIVE_BASELINE_STORAGE_KEY);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Writes the baselines and the active id to localStorage.
+ * @returns {boolean} false if storage is unavailable or full
+ */
+function saveBaselines() {
+  try {
+    localStorage.setItem(BASELINES_STORAGE_KEY, JSON.stringify(baselines));
+    if (activeBaselineId) {
+      localStorage.setItem(ACTIVE_BASELINE_STORAGE_KEY, activeBaselineId);
+    } else {
+      localStorage.removeItem(ACTIVE_BASELINE_STORAGE_KEY);
+    }
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Gets the active baseline.
+ * @returns {Object|null}
+ */
+function activeBaseline() {
+  return baselines.find(b => b.id === activeBaselineId) || null;
+}
+
+/**
+ * Lists the saved baselines (without their series).
+ * @returns {Array<{id, name, capturedAt, spanMs, summary, active}>} Oldest first
+ */
+function getBaselines() {
+  return baselines.map(({ id, name, capturedAt, spanMs, summary }) =>
+    ({ id, name, capturedAt, spanMs, summary: { ...summary }, active: id === activeBaselineId }));
+}
+
+/**
+ * Summarizes a span: latency percentiles over every probe in it, metric
+ * averages and peaks over the history buckets.
+ * @param {{from: number, to: number}} span - ms, server timeline
+ * @returns {Object} { probes, p50, p90, p99, p999, latencyAvg, latencyMax,
+ *   cpuAvg, cpuPeak, memoryPeak, workersAvg, workersPeak, rssPeak, samples };
+ *   values are null when the span holds no data for them
+ */
+function summarizeSpan({ from, to }) {
+  const latencies = [];
+  const sliceMs = LATENCY_DISTRIBUTION_SLICE_MS;
+  for (let slice = Math.floor(from / sliceMs) * sliceMs; slice < to; slice += sliceMs) {
+    const values = latencyDistribution.slices.get(slice);
+    if (values) latencies.push(...values);
+  }
+  latencies.sort((a, b) => a - b);
+  const percentile = (q) => latencies.length > 0
+    ? latencies[Math.min(latencies.length - 1, Math.max(0, Math.ceil(q * latencies.length) - 1))]
+    : null;
+
+  const view = metricsHistory.render(to - from, to, BASELINE_METRIC_KEYS);
+  const stat = (key) => {
+    const avgs = view.series[key].avg.filter(v => v != null);
+    const maxes = view.series[key].max.filter(v => v != null);
+    return {
+      avg: avgs.length > 0 ? avgs.reduce((sum, v) => sum + v, 0) / avgs.length : null,
+      peak: maxes.length > 0 ? Math.max(...maxes) : null,
+      samples: avgs.length,
+    };
+  };
+  const cpu = stat('cpu');
+  const workers = stat('eventloop');
+
+  return {
+    probes: latencies.length,
+    p50: percentile(0.5),
+    p90: percentile(0.9),
+    p99: percentile(0.99),
+    p999: percentile(0.999),
+    latencyAvg: latencies.length > 0 ? latencies.reduce((sum, v) => sum + v, 0) / latencies.length : null,
+    latencyMax: latencies.length > 0 ? latencies[latencies.length - 1] : null,
+    cpuAvg: cpu.avg,
+    cpuPeak: cpu.peak,
+    memoryPeak: stat('memory').peak,
+    workersAvg: workers.avg,
+    workersPeak: workers.peak,
+    rssPeak: stat('rss').peak,
+    samples: cpu.samples,
+  };
+}
+
+/**
+ * Captures the span the charts show as a named baseline and makes it active.
+ * Beyond MAX_BASELINES the oldest baseline is dropped.
+ * @param {string} name - Display name, e.g. 'pm.max_children=5'
+ * @returns {Object} The baseline (as listed by getBaselines)
+ * @throws {Error} If the name is empty, nothing was collected yet, or
+ *   browser storage is full
+ */
+function captureBaseline(name) {
+  const label = String(name || '').trim();
+  if (!label) {
+    throw new Error('Give the baseline a name');
+  }
+  const span = latencyDistributionSpan();
+  const summary = summarizeSpan(span);
+  if (summary.samples === 0 && summary.probes === 0) {
+    throw new Error('Nothing to capture: the charts hold no data for this span yet');
+  }
+
+  const spanMs = span.to - span.from;
+  const metricsView = metricsHistory.render(spanMs, span.to, BASELINE_METRIC_KEYS);
+  const latencyView = latencyHistory.render(spanMs, span.to, ['latency']);
+  const round = (values) => values.map(v => (v == null ? null : Math.round(v * 10) / 10));
+  const baseline = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: label,
+    capturedAt: new Date(span.to).toISOString(),
+    spanMs,
+    bucketMs: metricsView.bucketMs,
+    series: {
+      ...Object.fromEntries(BASELINE_METRIC_KEYS.map(key => [key, round(metricsView.series[key].avg)])),
+      latency: round(latencyView.series.latency.avg),
+    },
+    summary,
+  };
+
+  const previousActive = activeBaselineId;
+  baselines.push(baseline);
+  const dropped = baselines.length > MAX_BASELINES ? baselines.shift() : null;
+  activeBaselineId = baseline.id;
+  if (!saveBaselines()) {
+    baselines.pop();
+    if (dropped) baselines.unshift(dropped);
+    activeBaselineId = previousActive;
+    throw new Error('Baseline not saved: browser storage is unavailable or full. Delete an older baseline and try again');
+  }
+  applyActiveBaseline();
+  return getBaselines().find(b => b.id === baseline.id);
+}
+
+/**
+ * Selects the baseline drawn on the charts.
+ * @param {string|null} id - Baseline id, or null for none
+ * @throws {Error} If the baseline is unknown
+ */
+function setActiveBaseline(id) {
+  if (id && !baselines.some(b => b.id === id)) {
+    throw new Error(`Unknown baseline: ${id}`);
+  }
+  activeBaselineId = id || null;
+  saveBaselines();
+  applyActiveBaseline();
+}
+
+/**
+ * Deletes a saved baseline (hiding it first if it is active).
+ * @param {string} id - Baseline id
+ */
+function deleteBaseline(id) {
+  baselines = baselines.filter(b => b.id !== id);
+  if (activeBaselineId === id) activeBaselineId = null;
+  saveBaselines();
+  applyActiveBaseline();
+}
+
+/**
+ * Adds or removes the ghost datasets for the active baseline and redraws.
+ */
+function applyActiveBaseline() {
+  const baseline = activeBaseline();
+  const ghost = (key, label, yAxisID) => ({
+    label: `Baseline “${baseline.name}” ${label}`,
+    data: [],
+    baselineOf: key,
+    borderColor: 'rgba(96, 94, 92, 0.7)',
+    backgroundColor: 'transparent',
+    borderWidth: 1.5,
+    borderDash: [2, 3],
+    fill: false,
+    pointRadius: 0,
+    spanGaps: true,
+    yAxisID,
+  });
+  const layouts = [
+    [cpuMemoryChart, [['cpu', 'CPU %', 'y'], ['memory', 'Memory MB', 'y1']]],
+    [eventloopChart, [['eventloop', 'Workers Busy', 'y'], ['rss', 'RSS (MB)', 'y1']]],
+    [latencyChart, [['latency', 'Latency', 'y']]],
+  ];
+  for (const [chart, series] of layouts) {
+    if (!chart) continue;
+    chart.data.datasets = chart.data.datasets.filter(d => !d.baselineOf);
+    if (baseline) {
+      chart.data.datasets.push(...series.map(([key, label, yAxisID]) => ghost(key, label, yAxisID)));
+    }
+    chart.update('none');
+  }
+  renderBaselineComparison();
+}
+
+/**
+ * Fills a chart's ghost datasets for the labels it currently draws.
+ * Runs before every chart update (baselineSeriesPlugin), so live, history,
+ * frozen and zoomed views all line up without extra bookkeeping.
+ * @param {Chart} chart - Chart instance
+ */
+function fillBaselineSeries(chart) {
+  const baseline = activeBaseline();
+  const times = viewTimes.get(chart) || [];
+  const end = times[times.length - 1];
+  for (const dataset of chart.data.datasets) {
+    if (!dataset.baselineOf) continue;
+    if (!baseline) {
+      dataset.data = [];
+      continue;
+    }
+    const values = baseline.series[dataset.baselineOf] || [];
+    dataset.data = times.map(ts => {
+      const index = values.length - 1 - Math.floor((end - ts) / baseline.bucketMs);
+      return index >= 0 && index < values.length ? values[index] : null;
+    });
+  }
+}
+
+/**
+ * Compares the active baseline's summary with the span shown now.
+ * @returns {{baseline: Object, rows: Array<{key, label, baseline, current, delta}>}|null}
+ *   null when no baseline is active; delta is null where either side has no data
+ */
+function getBaselineComparison() {
+  const baseline = activeBaseline();
+  if (!baseline) return null;
+  const current = summarizeSpan(latencyDistributionSpan());
+  return {
+    baseline: { id: baseline.id, name: baseline.name, capturedAt: baseline.capturedAt, spanMs: baseline.spanMs },
+    rows: BASELINE_DELTAS.map(({ key, label }) => {
+      const before = baseline.summary[key];
+      const now = current[key];
+      return { key, label, baseline: before, current: now, delta: before == null || now == null ? null : now - before };
+    }),
+  };
+}
+
+/**
+ * Re-renders the baseline comparison at most once per BASELINE_COMPARE_INTERVAL_MS.
+ */
+function scheduleBaselineComparison() {
+  if (baselineComparisonTimer || !activeBaselineId) return;
+  const wait = Math.max(0, lastBaselineComparison + BASELINE_COMPARE_INTERVAL_MS - Date.now());
+  baselineComparisonTimer = setTimeout(() => {
+    baselineComparisonTimer = null;
+    renderBaselineComparison();
+  }, wait);
+}
+
+/**
+ * Shows the deltas against the active baseline in the latency stats area,
+ * e.g. "P99 +340ms". Increases are red, decreases green.
+ */
+function renderBaselineComparison() {
+  lastBaselineComparison = Date.now();
+  const container = document.getElementById('baseline-comparison');
+  if (!container) return;
+  const comparison = getBaselineComparison();
+  container.hidden = !comparison;
+  if (!comparison) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const format = (key, value) => {
+    const { unit } = BASELINE_DELTAS.find(d => d.key === key);
+    return unit === 'ms' ? formatLatency(value) : `${value.toFixed(unit === '%' ? 1 : 0)}${unit}`;
+  };
+  const escape = (text) => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+  const cells = comparison.rows.map(({ key, label, baseline, current, delta }) => {
+    if (delta == null) {
+      return `<div class="latency-stat"><span class="stat-label">${label}</span><span class="stat-value">–</span></div>`;
+    }
+    const sign = delta > 0 ? '+' : delta < 0 ? '−' : '±';
+    const color = delta > 0 ? '#d13438' : delta < 0 ? '#107c10' : '';
+    const title = `Baseline ${format(key, baseline)} → now ${format(key, current)}`;
+    return `<div class="latency-stat" title="${title}"><span class="stat-label">${label}</span>` +
+      `<span class="stat-value" style="color: ${color}">${sign}${format(key, Math.abs(delta))}</span></div>`;
+  });
+  container.innerHTML = `<span class="stat-label baseline-comparison-title" title="Captured ${comparison.baseline.capturedAt}">` +
+    `vs baseline “${escape(comparison.baseline.name)}”</span>` + cells.join('');
+}
+
+// ============================================================================
+// Planned Profiles
+// ============================================================================
+//
+// A running ramp (ramp-profiles.js) hands over its plan as a step function on
+// the server timeline, drawn as a dashed series over the metric it drives.
+// Like the baseline ghosts, the series is filled for whatever times the chart
+// shows, so it lines up in live, history and frozen views. A relative plan
+// (memory) is drawn on top of the value shown when it was set. The last plan
+// per series stays on the chart after the ramp ends.
+
+const PLANNED_SERIES = {
+  cpu: { label: 'Planned CPU % (nominal)', yAxisID: 'y', color: 'rgba(0, 120, 212, 0.9)', live: chartData.cpu },
+  memory: { label: 'Planned memory MB', yAxisID: 'y1', color: 'rgba(16, 124, 16, 0.9)', live: chartData.memory },
+};
+const plannedProfiles = new Map();
+
+/**
+ * Shows a planned profile over a CPU & Memory chart series.
+ * @param {string} seriesKey - 'cpu' | 'memory'
+ * @param {Object} profile
+ * @param {string} profile.label - Shown in the legend tooltip
+ * @param {number} profile.startAt - Server time (ms)
+ * @param {number} profile.endAt - Server time (ms)
+ * @param {Array<{ts: number, value: number}>} profile.points - Changes, in order
+ * @param {boolean} [profile.relative] - Values are added to the series' current value
+ */
+function setPlannedProfile(seriesKey, profile) {
+  const style = PLANNED_SERIES[seriesKey];
+  if (!style) throw new Error(`Unknown planned series: ${seriesKey}`);
+  const current = [...style.live].reverse().find(value => value != null) || 0;
+  plannedProfiles.set(seriesKey, { ...profile, offset: profile.relative ? current : 0 });
+
+  if (!cpuMemoryChart) return;
+  cpuMemoryChart.data.datasets = cpuMemoryChart.data.datasets.filter(d => d.plannedOf !== seriesKey);
+  cpuMemoryChart.data.datasets.push({
+    label: style.label,
+    data: [],
+    plannedOf: seriesKey,
+    borderColor: style.color,
+    backgroundColor: 'transparent',
+    borderWidth: 1.5,
+    borderDash: [6, 4],
+    fill: false,
+    pointRadius: 0,
+    stepped: true,
+    yAxisID: style.yAxisID,
+  });
+  cpuMemoryChart.update('none');
+}
+
+/**
+ * Cuts a planned profile short (the ramp was stopped or failed).
+ * @param {string} seriesKey - 'cpu' | 'memory'
+ * @param {number} endAt - Server time (ms)
+ */
+function endPlannedProfile(seriesKey, endAt) {
+  const profile = plannedProfiles.get(seriesKey);
+  if (!profile) return;
+  profile.endAt = Math.min(profile.endAt, endAt);
+  if (cpuMemoryChart) cpuMemoryChart.update('none');
+}
+
+/**
+ * Fills a chart's planned datasets for the labels it currently draws.
+ * @param {Chart} chart - Chart instance
+ */
+function fillPlannedSeries(chart) {
+  const times = viewTimes.get(chart) || [];
+  for (const dataset of chart.data.datasets) {
+    if (!dataset.plannedOf) continue;
+    const profile = plannedProfiles.get(dataset.plannedOf);
+    if (!profile) {
+      dataset.data = [];
+      continue;
+    }
+    let index = 0;
+    dataset.data = times.map(ts => {
+      if (ts == null || ts < profile.startAt || ts > profile.endAt) return null;
+      // Times only grow along the axis, so the point index only moves forward
+      while (index + 1 < profile.points.length && profile.points[index + 1].ts <= ts) index++;
+      return profile.offset + profile.points[index].value;
+    });
+  }
+}
+
+// ============================================================================
+// Load Generator Charts
+// ============================================================================
+//
+// The load generator card (load-generator.js) has two charts of its own, one
+// point per finished second of the run: throughput and errors (with the
+// target rate of an open-model run), and client latency percentiles next to
+// the server's reported time. They are redrawn from the run's per-second
+// summaries, so they always show the whole run.
+
+let loadTestThroughputChart = null;
+let loadTestLatencyChart = null;
+
+/**
+ * Creates the load generator charts, if their canvases are on the page.
+ */
+function initLoadTestCharts() {
+  const line = (label, color, extra = {}) => ({
+    label,
+    data: [],
+    borderColor: color,
+    backgroundColor: 'transparent',
+    fill: false,
+    tension: 0,
+    ...extra,
+  });
+  const options = (unit) => ({
+    ...chartConfig,
+    plugins: {
+      ...chartConfig.plugins,
+      legend: { display: true, labels: { boxWidth: 12, font: { size: 10 } } },
+    },
+    scales: {
+      ...chartConfig.scales,
+      y: { ...chartConfig.scales.y, title: { display: true, text: unit, font: { size: 10 } } },
+    },
+  });
+
+  const throughputCtx = document.getElementById('loadtest-throughput-chart')?.getContext('2d');
+  if (throughputCtx) {
+    loadTestThroughputChart = new Chart(throughputCtx, {
+      type: 'line',
+      data: {
+        labels: [],
+        datasets: [
+          line('OK req/s', '#107c10', { backgroundColor: 'rgba(16, 124, 16, 0.2)', fill: true }),
+          line('Errors/s', '#d13438'),
+          line('Target req/s', 'rgba(96, 94, 92, 0.7)', { borderDash: [4, 3] }),
+        ],
+      },
+      options: options('req/s'),
+    });
+  }
+
+  const latencyCtx = document.getElementById('loadtest-latency-chart')?.getContext('2d');
+  if (latencyCtx) {
+    loadTestLatencyChart = new Chart(latencyCtx, {
+      type: 'line',
+      data: {
+        labels: [],
+        datasets: [
+          line('P50 ms', '#0078d4'),
+          line('P95 ms', '#ca5010'),
+          line('Server totalElapsedMs (avg)', '#8764b8', { borderDash: [4, 3] }),
+        ],
+      },
+      options: options('ms'),
+    });
+  }
+}
+
+/**
+ * Redraws the load generator charts.
+ * @param {Object|null} state - From getLoadTestState(); null clears them
+ */
+function updateLoadTestCharts(state) {
+  const seconds = state?.seconds || [];
+  const labels = seconds.map(second => `${second.second + 1}s`);
+  const openModel = state?.config.model === 'open';
+  const series = {
+    throughput: [
+      seconds.map(second => second.ok),
+      seconds.map(second => second.errors),
+      seconds.map(second => (openModel ? loadTestTargetAt(state.config, second.second + 0.5) : null)),
+    ],
+    latency: [
+      seconds.map(second => second.p50),
+      seconds.map(second => second.p95),
+      seconds.map(second => second.serverMs),
+    ],
+  };
+  for (const [chart, data] of [[loadTestThroughputChart, series.throughput], [loadTestLatencyChart, series.latency]]) {
+    if (!chart) continue;
+    chart.data.labels = labels;
+    chart.data.datasets.forEach((dataset, i) => {
+      dataset.data = data[i];
+    });
+    chart.update('none');
+  }
+}
+
+// ============================================================================
+// Added Target Series
+// ============================================================================
+//
+// Targets registered in polling-client.js (Multi-Target Monitoring) are drawn
+// as extra datasets in the target's color: solid for CPU/workers/latency,
+// dashed for memory/RSS. Their arrays are kept index-aligned with the primary
+// labels: every primary tick pushes the target's newest unseen sample, or
+// null when none arrived. spanGaps bridges short runs of nulls so the line
+// stays continuous, while a target that stops responding shows a break.
+
+const targetSeries = new Map();
+const TARGET_METRICS_SPAN_GAP_POINTS = 12;   // ~3s at the 250ms metrics cadence
+const TARGET_LATENCY_SPAN_GAP_POINTS = 20;   // ~2s at the 100ms probe cadence
+
+/**
+ * Gets (creating on first use) the chart series for an added target.
+ * @param {string} targetId - Target id from getTargets()
+ * @returns {Object|null} Series state, or null for unknown targets
+ */
+function ensureTargetSeries(targetId) {
+  if (targetSeries.has(targetId)) return targetSeries.get(targetId);
+
+  const target = typeof getTargets === 'function'
+    ? getTargets().find(t => t.id === targetId && !t.primary)
+    : null;
+  if (!target) return null;
+
+  const nulls = (count) => new Array(count).fill(null);
+  const series = {
+    target,
+    cpu: nulls(chartData.labels.length),
+    memory: nulls(chartData.labels.length),
+    eventloop: nulls(chartData.labels.length),
+    rss: nulls(chartData.labels.length),
+    latency: nulls(latencyChartData.labels.length),
+    pendingMetrics: null,
+    pendingLatency: null,
+  };
+  targetSeries.set(targetId, series);
+
+  const line = (label, data, seriesKey, yAxisID, spanGaps, dashed) => ({
+    label: `${target.label} ${label}`,
+    data,
+    targetId,
+    seriesKey,
+    borderColor: target.color,
+    backgroundColor: 'transparent',
+    borderWidth: 1.5,
+    borderDash: dashed ? [4, 3] : [],
+    fill: false,
+    pointRadius: 0,
+    yAxisID,
+    spanGaps,
+  });
+
+  if (cpuMemoryChart) {
+    cpuMemoryChart.data.datasets.push(
+      line('CPU %', series.cpu, 'cpu', 'y', TARGET_METRICS_SPAN_GAP_POINTS, false),
+      line('Memory MB', series.memory, 'memory', 'y1', TARGET_METRICS_SPAN_GAP_POINTS, true)
+    );
+  }
+  if (eventloopChart) {
+    eventloopChart.data.datasets.push(
+      line('Workers Busy', series.eventloop, 'eventloop', 'y', TARGET_METRICS_SPAN_GAP_POINTS, false),
+      line('RSS (MB)', series.rss, 'rss', 'y1', TARGET_METRICS_SPAN_GAP_POINTS, true)
+    );
+  }
+  if (latencyChart) {
+    latencyChart.data.datasets.push(
+      line('Latency', series.latency, 'latency', 'y', TARGET_LATENCY_SPAN_GAP_POINTS, false)
+    );
+  }
+  if (chartView.frozen) {
+    // Not part of the frozen view; drawn once streaming resumes
+    for (const chart of chartInstances()) {
+      for (const dataset of chart.data.datasets) {
+        if (dataset.targetId !== targetId) continue;
+        dataset.liveData = dataset.data;
+        dataset.liveSpanGaps = dataset.spanGaps;
+        dataset.data = [];
+      }
+    }
+  }
+  return series;
+}
+
+/**
+ * Appends one metrics point (or null) to a target series, keeping it the
+ * same length as the primary labels.
+ */
+function pushTargetPoint(series, point) {
+  for (const key of ['cpu', 'memory', 'eventloop', 'rss']) {
+    series[key].push(point ? point[key] : null);
+    if (series[key].length > chartData.labels.length) {
+      series[key].shift();
+    }
+  }
+}
+
+/**
+ * Records the latest metrics from an added target; drawn on the next primary tick.
+ * @param {string} targetId - Target id
+ * @param {Object} metrics - Metrics from the target's /api/metrics
+ */
+function recordTargetMetrics(targetId, metrics) {
+  const series = ensureTargetSeries(targetId);
+  if (series) series.pendingMetrics = metrics;
+}
+
+/**
+ * Records a probe result from an added target; drawn on the next latency tick.
+ * Failed probes are left out so the line shows a break rather than 0ms.
+ * @param {string} targetId - Target id
+ * @param {Object} data - { latencyMs, timestamp, success }
+ */
+function recordTargetLatency(targetId, data) {
+  const series = ensureTargetSeries(targetId);
+  if (series && data.success) series.pendingLatency = data.latencyMs;
+}
+
+/**
+ * Removes an added target's datasets from all charts.
+ * @param {string} targetId - Target id
+ */
+function removeTargetSeries(targetId) {
+  if (!targetSeries.delete(targetId)) return;
+
+  for (const chart of [cpuMemoryChart, eventloopChart, latencyChart]) {
+    if (!chart) continue;
+    chart.data.datasets = chart.data.datasets.filter(d => d.targetId !== targetId);
+    chart.update('none');
+  }
+}
+
+/**
+ * Updates the metric bar fills in the dashboard tiles.
+ */
+function updateMetricBars(metrics) {
+  const cpuBar = document.getElementById('cpu-bar');
+  const memoryBar = document.getElementById('memory-bar');
+  const eventloopBar = document.getElementById('eventloop-bar');
+  const rssBar = document.getElementById('rss-bar');
+
+  if (cpuBar) {
+    cpuBar.style.width = Math.min(100, metrics.cpu?.usagePercent || 0) + '%';
+  }
+
+  if (memoryBar) {
+    const totalMb = metrics.memory?.totalSystemMb || 4096;
+    // Combine fpmPoolRssMb + simulatedMb (APCu memory pressure allocations)
+    const fpmRss = metrics.memory?.fpmPoolRssMb || 0;
+    const simulated = metrics.memory?.simulatedMb || 0;
+    const usedMb = fpmRss + simulated;
+    memoryBar.style.width = Math.min(100, (usedMb / totalMb) * 100) + '%';
+  }
+
+  if (eventloopBar) {
+    // PHP: show active workers as percentage of something
+    const workers = metrics.process?.activeWorkers || 0;
+    eventloopBar.style.width = Math.min(100, workers) + '%';
+  }
+
+  if (rssBar) {
+    const totalMb = metrics.memory?.totalSystemMb || 4096;
+    const rssMb = metrics.memory?.rssMb || 0;
+    rssBar.style.width = Math.min(100, (rssMb / totalMb) * 100) + '%';
+  }
+}
+
+/**
+ * Formats a latency value for display (ms or seconds).
+ */
+function formatLatency(latencyMs) {
+  if (latencyMs >= 1000) return (latencyMs / 1000).toFixed(1) + 's';
+  return latencyMs.toFixed(1) + 'ms';
+}
+
+/**
+ * Gets the color for a latency value based on thresholds.
+ */
+function getLatencyColor(latencyMs) {
+  return LATENCY_TEXT_COLORS[latencyBandOf(latencyMs)];
+}
+
+/**
+ * Updates latency statistics display.
+ */
+function updateLatencyDisplay() {
+  const currentEl = document.getElementById('latency-current');
+  const avgEl = document.getElementById('latency-avg');
+  const maxEl = document.getElementById('latency-max');
   const criticalEl = document.getElementById('latency-critical');
 
-  const values = getLatencyValuesLast60s();
+  const { count, avg, max } = latencyStats.histogram.stats();
 
   if (currentEl) {
     currentEl.textContent = formatLatency(latencyStats.current);
     currentEl.style.color = getLatencyColor(latencyStats.current);
   }
 
-  if (avgEl && values.length > 0) {
-    const avg = values.reduce((a, b) => a + b, 0) / values.length;
+  if (avgEl && count > 0) {
     avgEl.textContent = formatLatency(avg);
     avgEl.style.color = getLatencyColor(avg);
   }
 
-  if (maxEl && values.length > 0) {
-    const max = Math.max(...values);
+  if (maxEl && count > 0) {
     maxEl.textContent = formatLatency(max);
     maxEl.style.color = getLatencyColor(max);
-    if (max > 1000) maxEl.classList.add('warning');
+    if (max >= latencyThresholds.severe) maxEl.classList.add('warning');
     else maxEl.classList.remove('warning');
   }
 
@@ -810,39 +3620,122 @@ function updateLatencyDisplay() {
     criticalEl.textContent = latencyStats.critical.toString();
     criticalEl.style.color = latencyStats.critical > 0 ? '#d13438' : '#17a035';
   }
+
+  if (count > 0) {
+    const percentiles = getLatencyPercentiles();
+    for (const { key } of LATENCY_PERCENTILES) {
+      const el = document.getElementById(`latency-${key}`);
+      if (!el) continue;
+      el.textContent = formatLatency(percentiles[key]);
+      el.style.color = getLatencyColor(percentiles[key]);
+    }
+  }
+  scheduleBaselineComparison();
 }
 
 /**
- * Clears all chart data.
+ * Clears all chart data, event markers and simulation bands.
  * Uses in-place array clearing (.length = 0) to preserve references
  * that Chart.js holds to these arrays.
  */
 function clearCharts() {
   // Clear arrays in-place to preserve Chart.js references
   chartData.labels.length = 0;
+  chartData.times.length = 0;
   chartData.cpu.length = 0;
   chartData.memory.length = 0;
   chartData.eventloop.length = 0;
   chartData.rss.length = 0;
 
   latencyChartData.labels.length = 0;
+  latencyChartData.times.length = 0;
   latencyChartData.values.length = 0;
+  latencyChartData.modes.length = 0;
+  latencyChartData.requestIds.length = 0;
+  for (const key of [...LATENCY_BREAKDOWN_KEYS, ...LATENCY_OVERLAY_KEYS]) {
+    latencyChartData[key].length = 0;
+  }
+
+  for (const series of targetSeries.values()) {
+    series.cpu.length = 0;
+    series.memory.length = 0;
+    series.eventloop.length = 0;
+    series.rss.length = 0;
+    series.latency.length = 0;
+  }
 
-  latencyStats.entries.length = 0;
+  latencyStats.histogram.clear();
   latencyStats.current = 0;
   latencyStats.critical = 0;
 
+  metricsHistory.clear();
+  latencyHistory.clear();
+  latencyDistribution.slices.clear();
+  latencyDistribution.newestStart = 0;
+  chartAnnotations.clear();
+  highlightedAnnotationKey = null;
+  simulationBands.length = 0;
+  renderLatencyDistribution();
+  if (chartView.frozen) {
+    jumpToLive();
+    return;
+  }
+  if (chartWindow !== LIVE_CHART_WINDOW) {
+    renderHistoryWindow();
+    return;
+  }
+
   if (cpuMemoryChart) cpuMemoryChart.update();
   if (eventloopChart) eventloopChart.update();
   if (latencyChart) latencyChart.update();
+  if (latencyBreakdownChart) latencyBreakdownChart.update();
 }
 
 // Expose functions globally so polling-client.js can call them
 window.chartsOnProbeLatency = onProbeLatency;
 window.chartsClearAll = clearCharts;
+window.chartsMarkGap = markChartGap;
+window.chartsRecordTargetMetrics = recordTargetMetrics;
+window.chartsRecordTargetLatency = recordTargetLatency;
+window.chartsRemoveTarget = removeTargetSeries;
+window.getChartWindow = getChartWindow;
+window.setChartWindow = setChartWindow;
+window.getChartViewState = getChartViewState;
+window.freezeCharts = freezeCharts;
+window.jumpToLive = jumpToLive;
+window.setChartZoom = setChartZoom;
+window.addChartAnnotation = addChartAnnotation;
+window.highlightChartAnnotation = highlightChartAnnotation;
+window.getAnnotationCategories = getAnnotationCategories;
+window.setAnnotationCategoryVisible = setAnnotationCategoryVisible;
+window.recordSimulationState = recordSimulationState;
+window.getLatencyPercentiles = getLatencyPercentiles;
+window.getLatencyPercentilesVisible = getLatencyPercentilesVisible;
+window.setLatencyPercentilesVisible = setLatencyPercentilesVisible;
+window.getLatencyView = getLatencyView;
+window.setLatencyView = setLatencyView;
+window.getLatencyThresholds = getLatencyThresholds;
+window.setLatencyThresholds = setLatencyThresholds;
+window.resetLatencyThresholds = resetLatencyThresholds;
+window.seedLatencyThresholds = seedLatencyThresholds;
+window.formatLatencyThreshold = formatLatencyThreshold;
+window.exportChartPng = exportChartPng;
+window.exportChartDataCsv = exportChartDataCsv;
+window.chartSeriesTable = chartSeriesTable;
+window.exportFileName = exportFileName;
+window.downloadFile = downloadFile;
+window.getBaselines = getBaselines;
+window.captureBaseline = captureBaseline;
+window.setActiveBaseline = setActiveBaseline;
+window.deleteBaseline = deleteBaseline;
+window.getBaselineComparison = getBaselineComparison;
+window.setPlannedProfile = setPlannedProfile;
+window.updateLoadTestCharts = updateLoadTestCharts;
+window.endPlannedProfile = endPlannedProfile;
 
 // Initialize charts when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
   initCharts();
+  rehydrateCharts();
   startHeartbeatProbe();
 });
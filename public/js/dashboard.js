@@ -22,6 +22,11 @@
  *   polling-client.js → onEventUpdate() → renderEventLog()
  *   polling-client.js → onSimulationUpdate() → updateActiveSimulations()
  *   polling-client.js → onProbeLatency() → charts.js for visualization
+ *   simulation controls / server info → perfSimApi (api-client.js) → REST API
+ *   recording file → session-recorder.js → the same callbacks (replay, no server)
+ *   playbook → scenario-runner.js → the simulation control functions below
+ *   ramp profile → ramp-profiles.js → the same functions + charts.js overlay
+ *   load generator → load-generator.js → GET /api/loadtest → its card + charts
  *
  * PORTING NOTES:
  *   This file is FRONTEND JavaScript — it runs in the browser.
@@ -60,10 +65,34 @@ let currentServerPid = null;
 let eventLog = [];
 let seenEventIds = new Set(); // Track event IDs to prevent duplicates
 const MAX_EVENT_LOG_ENTRIES = 100;
+let eventKeyCounter = 0; // Unique keys let persisted entries be merged back without duplicates
 
 // Active simulations tracking
 let activeSimulations = {};
 let lastSimulationsJson = ''; // Track last state to avoid unnecessary re-renders
+// Entries of GET /api/simulations; null until loaded, after a failure and during replays
+let simulationList = null;
+// Sequence number of the latest list request; older responses are ignored
+let simulationListRequest = 0;
+let simulationCountdownTimer = null;
+
+// Last /api/health response, included in session exports
+let environmentInfo = null;
+
+// Whether the connection status currently reads "Replay" (session-recorder.js)
+let replayInConnectionStatus = false;
+
+// Multi-target monitoring: which target the metric tiles show, and the
+// latest metrics per target so switching takes effect immediately
+let selectedTargetId = 'local';
+const latestTargetMetrics = new Map();
+
+// What each probe mode measures (shown next to the probe mode selector)
+const PROBE_MODE_DESCRIPTIONS = {
+  health: 'Browser → frontend → main FPM pool, no work. Full round trip a user sees.',
+  metrics: 'Browser → frontend → main FPM pool, performing the active simulations\' work in the probe request.',
+  internal: 'Server probes itself over localhost (10 samples per request), bypassing the frontend. Isolates PHP-FPM from network and frontend.',
+};
 
 /**
  * Initializes the polling client callbacks.
@@ -105,11 +134,18 @@ function initDashboard() {
         timestamp: e.timestamp,
         source: 'server',
         workerPid: e.workerPid || null,
+        requestId: e.requestId || null,
+        simulationType: e.simulationType || null,
       });
     }
   };
 
   window.onSimulationUpdate = function(simulations) {
+    // SSE sends these as soon as they change, ahead of the next metrics
+    // snapshot (which records the same state again; see updateDashboard)
+    if (typeof window.recordSimulationState === 'function') {
+      window.recordSimulationState(simulations);
+    }
     updateActiveSimulations(simulations);
   };
 
@@ -120,6 +156,83 @@ function initDashboard() {
     }
   };
 
+  window.onPollingRatesUpdate = function(rates) {
+    updatePollingRatesDisplay(rates);
+  };
+
+  window.onClockSyncUpdate = function(sync) {
+    updateClockSyncDisplay(sync);
+  };
+
+  window.onChartViewChange = function(view) {
+    updateChartViewDisplay(view);
+  };
+
+  window.onTargetMetricsUpdate = function(targetId, metrics) {
+    latestTargetMetrics.set(targetId, metrics);
+    if (selectedTargetId === targetId) {
+      updateMetricTiles(metrics);
+    }
+    if (typeof window.chartsRecordTargetMetrics === 'function') {
+      window.chartsRecordTargetMetrics(targetId, metrics);
+    }
+  };
+
+  window.onTargetProbeLatency = function(targetId, data) {
+    if (typeof window.chartsRecordTargetLatency === 'function') {
+      window.chartsRecordTargetLatency(targetId, data);
+    }
+  };
+
+  window.onTargetStatusChange = function() {
+    renderTargetList();
+  };
+
+  window.onSessionRecorderChange = function(state) {
+    updateSessionRecorderDisplay(state);
+  };
+
+  window.onScenarioChange = function(run) {
+    updateScenarioDisplay(run);
+  };
+
+  window.onScheduleChange = function(entries) {
+    updateScheduleDisplay(entries);
+  };
+
+  window.onRampChange = function(states) {
+    updateRampDisplay(states);
+  };
+
+  window.onLoadTestChange = function(state) {
+    updateLoadTestDisplay(state);
+  };
+
+  // Single reporting path for failed API calls (see api-client.js)
+  perfSimApi.onError = reportApiError;
+
+  renderTargetList();
+  updateProbeModeDisplay();
+  updateChartWindowDisplay();
+  updateLatencyViewDisplay();
+  updateLatencyThresholdsDisplay();
+  updateBaselineDisplay();
+  updateScenarioDisplay(typeof getScenarioRunState === 'function' ? getScenarioRunState() : null);
+  if (typeof startSimulationScheduler === 'function') {
+    updateScheduleDisplay(getScheduledSimulations());
+    startSimulationScheduler();
+  }
+  updateRampDisplay(typeof getRampStates === 'function' ? getRampStates() : { cpu: null, memory: null });
+  updateLoadTestForm();
+  updateSessionRecorderDisplay(typeof getSessionRecorderState === 'function' ? getSessionRecorderState() : null);
+  updateChartViewDisplay(typeof getChartViewState === 'function' ? getChartViewState() : null);
+  updateAnnotationFilterDisplay();
+  const percentilesToggle = document.getElementById('latency-percentiles-toggle');
+  if (percentilesToggle && typeof getLatencyPercentilesVisible === 'function') {
+    percentilesToggle.checked = getLatencyPercentilesVisible();
+  }
+  rehydrateEventLog();
+
   // Load server info
   loadEnvironmentInfo();
   loadBuildInfo();
@@ -144,6 +257,44 @@ function initDashboard() {
  *   }
  */
 function updateDashboard(metrics) {
+  latestTargetMetrics.set('local', metrics);
+  if (typeof observeScenarioMetrics === 'function') {
+    observeScenarioMetrics(metrics);
+  }
+  if (selectedTargetId === 'local') {
+    updateMetricTiles(metrics);
+  }
+
+  // Server connection status
+  updateConnectionStatus(true);
+
+  // NOTE: In PHP-FPM, each request may be handled by a different worker from the pool,
+  // so PID changes are normal pool rotation, not restarts. We track the FPM master PID
+  // if available, but don't log worker PID changes as "restarts" since that would spam
+  // the log during normal operation.
+
+  // Update uptime display
+  const uptimeEl = document.getElementById('server-uptime');
+  if (uptimeEl && metrics.process?.uptime) {
+    uptimeEl.textContent = formatUptime(metrics.process.uptime);
+  }
+
+  // Update active simulations from metrics. Chart bands are recorded on
+  // every snapshot, whatever the transport, so they are drawn while polling
+  if (metrics.simulations) {
+    if (typeof window.recordSimulationState === 'function') {
+      window.recordSimulationState(metrics.simulations);
+    }
+    updateActiveSimulations(metrics.simulations);
+  }
+}
+
+/**
+ * Updates the metric tiles (values and bars) for the selected target.
+ *
+ * @param {Object} metrics - Metrics data from the selected target
+ */
+function updateMetricTiles(metrics) {
   // CPU value
   const cpuValue = document.getElementById('cpu-value');
   if (cpuValue) {
@@ -178,32 +329,92 @@ function updateDashboard(metrics) {
     rssValue.textContent = (metrics.memory?.fpmPoolRssMb || metrics.memory?.rssMb || 0).toFixed(0);
   }
 
-  // Server connection status
-  updateConnectionStatus(true);
+  // Update active workers count in FPM Workers tile from crash tracking
+  const activeWorkersEl = document.getElementById('active-workers');
+  if (activeWorkersEl) {
+    activeWorkersEl.textContent = metrics.crashTracking?.activeWorkerCount || '-';
+  }
 
-  // NOTE: In PHP-FPM, each request may be handled by a different worker from the pool,
-  // so PID changes are normal pool rotation, not restarts. We track the FPM master PID
-  // if available, but don't log worker PID changes as "restarts" since that would spam
-  // the log during normal operation.
+  if (typeof updateMetricBars === 'function') {
+    updateMetricBars(metrics);
+  }
+}
 
-  // Update uptime display
-  const uptimeEl = document.getElementById('server-uptime');
-  if (uptimeEl && metrics.process?.uptime) {
-    uptimeEl.textContent = formatUptime(metrics.process.uptime);
+// =========================================================================
+// MONITORED TARGETS
+// =========================================================================
+
+/**
+ * Renders the target switcher and the chips for added targets.
+ * Targets come from polling-client.js getTargets(); the chip border is the
+ * target's series color in the charts.
+ */
+function renderTargetList() {
+  if (typeof getTargets !== 'function') return;
+  const targets = getTargets();
+
+  if (!targets.some(t => t.id === selectedTargetId)) {
+    selectTarget('local');
   }
 
-  // Update active simulations from metrics
-  if (metrics.simulations) {
-    updateActiveSimulations(metrics.simulations);
+  const select = document.getElementById('target-select');
+  if (select) {
+    select.innerHTML = targets.map(t =>
+      `<option value="${escapeHtml(t.id)}"${t.id === selectedTargetId ? ' selected' : ''}>${escapeHtml(t.label)}</option>`
+    ).join('');
   }
 
-  // Update active workers count in FPM Workers tile from crash tracking
-  if (metrics.crashTracking) {
-    const activeWorkersEl = document.getElementById('active-workers');
-    if (activeWorkersEl) {
-      activeWorkersEl.textContent = metrics.crashTracking.activeWorkerCount || '-';
-    }
+  const list = document.getElementById('target-list');
+  if (list) {
+    list.innerHTML = targets.filter(t => !t.primary).map(t => {
+      const statusText = t.status === 'connected' ? 'live'
+        : t.status === 'disconnected' ? 'not responding' : t.status;
+      return `<span class="target-chip ${escapeHtml(t.status)}" style="--target-color: ${escapeHtml(t.color)}" title="${escapeHtml(t.baseUrl)}">
+        ${escapeHtml(t.label)} <span class="target-chip-status">${escapeHtml(statusText)}</span>
+        <button type="button" class="target-chip-remove" data-target-id="${escapeHtml(t.id)}" title="Stop monitoring">✕</button>
+      </span>`;
+    }).join('');
+  }
+}
+
+/**
+ * Switches the metric tiles to another target.
+ *
+ * @param {string} targetId - Target id ('local' for this instance)
+ */
+function selectTarget(targetId) {
+  selectedTargetId = targetId;
+  const metrics = latestTargetMetrics.get(targetId);
+  if (metrics) {
+    updateMetricTiles(metrics);
+  }
+}
+
+/**
+ * Adds a target from the target form.
+ */
+function handleAddTarget(baseUrl) {
+  try {
+    const target = addTarget(baseUrl);
+    addEventToLog({ level: 'info', message: `Monitoring target ${target.label} (${target.baseUrl})` });
+    renderTargetList();
+    return true;
+  } catch (err) {
+    addEventToLog({ level: 'error', message: `Could not add target: ${err.message}` });
+    return false;
+  }
+}
+
+/**
+ * Stops monitoring a target and removes its chart series.
+ */
+function handleRemoveTarget(targetId) {
+  removeTarget(targetId);
+  latestTargetMetrics.delete(targetId);
+  if (typeof window.chartsRemoveTarget === 'function') {
+    window.chartsRemoveTarget(targetId);
   }
+  renderTargetList();
 }
 
 /**
@@ -213,12 +424,349 @@ function updateConnectionStatus(connected) {
   const statusDot = document.getElementById('connection-status-dot');
   const statusText = document.getElementById('connection-status-text');
 
+  // Replayed metrics also pass through here; the server may not exist at all
+  const replaying = typeof isSessionReplaying === 'function' && isSessionReplaying();
   if (statusDot) {
-    statusDot.className = 'status-dot ' + (connected ? 'connected' : 'disconnected');
+    statusDot.className = 'status-dot ' + (replaying ? 'replay' : connected ? 'connected' : 'disconnected');
   }
   if (statusText) {
-    statusText.textContent = connected ? 'Connected' : 'Disconnected';
+    statusText.textContent = replaying ? 'Replay' : connected ? 'Connected' : 'Disconnected';
+  }
+}
+
+/**
+ * Shows the effective polling rates reported by polling-client.js.
+ * Loops running slower than their base interval are highlighted.
+ *
+ * @param {Object} rates - { metrics, events, probe } from getEffectiveRates()
+ */
+function updatePollingRatesDisplay(rates) {
+  const container = document.getElementById('polling-rates');
+  if (!container) return;
+
+  const formatInterval = (ms) => ms >= 1000 ? (ms / 1000).toFixed(1) + 's' : ms + 'ms';
+  const loops = [
+    { label: 'Metrics', rate: rates.metrics },
+    { label: 'Events', rate: rates.events },
+    { label: 'Probe', rate: rates.probe },
+  ];
+
+  container.innerHTML = '<span class="polling-rate">Sampling:</span>' + loops.map(({ label, rate }) => {
+    if (rate.streaming) {
+      return `<span class="polling-rate">${label}: stream</span>`;
+    }
+    const backedOff = rate.intervalMs > rate.baseIntervalMs;
+    const concurrency = rate.concurrency > 1 ? ` ×${rate.concurrency}` : '';
+    return `<span class="polling-rate${backedOff ? ' backed-off' : ''}">${label}: every ${formatInterval(rate.intervalMs)}${concurrency}</span>`;
+  }).join('');
+}
+
+/**
+ * Shows the estimated browser/server clock offset from polling-client.js.
+ *
+ * @param {Object} sync - { offsetMs, uncertaintyMs, synced } from getClockSync()
+ */
+function updateClockSyncDisplay(sync) {
+  const el = document.getElementById('clock-sync');
+  if (!el || !sync.synced) return;
+
+  const abs = Math.abs(sync.offsetMs);
+  const magnitude = abs >= 1000 ? (abs / 1000).toFixed(1) + 's' : abs + 'ms';
+  const direction = sync.offsetMs >= 0 ? 'ahead of' : 'behind';
+  el.innerHTML = `<span class="polling-rate">Server clock: ${magnitude} ${direction} browser (±${sync.uncertaintyMs}ms). Charts and log use server time.</span>`;
+}
+
+/**
+ * Shows the active probe mode on the latency card.
+ */
+function updateProbeModeDisplay() {
+  if (typeof getProbeMode !== 'function') return;
+  const { mode } = getProbeMode();
+
+  const select = document.getElementById('probe-mode-select');
+  if (select) {
+    select.value = mode;
+  }
+  const description = document.getElementById('probe-mode-description');
+  if (description) {
+    description.textContent = PROBE_MODE_DESCRIPTIONS[mode] || '';
+  }
+}
+
+/**
+ * Switches the latency probe mode.
+ *
+ * @param {string} mode - 'health' | 'metrics' | 'internal'
+ */
+function changeProbeMode(mode) {
+  try {
+    setProbeMode(mode);
+    addEventToLog({ level: 'info', message: `Latency probe mode: ${getProbeMode().label}` });
+    if (typeof recordSessionAction === 'function') recordSessionAction('Latency probe mode', { mode });
+  } catch (err) {
+    addEventToLog({ level: 'error', message: err.message });
+  }
+  updateProbeModeDisplay();
+}
+
+/**
+ * Shows the selected chart time window and how it is drawn.
+ */
+function updateChartWindowDisplay() {
+  if (typeof getChartWindow !== 'function') return;
+  const win = getChartWindow();
+
+  const select = document.getElementById('chart-window-select');
+  if (select) {
+    select.value = win.id;
+  }
+  const description = document.getElementById('chart-window-description');
+  if (description) {
+    description.textContent = win.live
+      ? 'Live, full resolution.'
+      : `${win.bucketMs / 1000}s buckets: line = average, shaded band = min–max. Includes history restored after a reload.`;
+  }
+}
+
+/**
+ * Shows the selected latency view and what it plots.
+ */
+function updateLatencyViewDisplay() {
+  if (typeof getLatencyView !== 'function') return;
+  const view = getLatencyView();
+
+  const select = document.getElementById('latency-view-select');
+  if (select) {
+    select.value = view.id;
+  }
+  const description = document.getElementById('latency-view-description');
+  if (description) {
+    const descriptions = {
+      line: 'Each probe over time.',
+      histogram: 'Probes per latency bucket over the chart time window. Two peaks usually mean some FPM workers are blocked while others are free.',
+      heatmap: 'Time × latency: darker cells hold more probes. Dashed lines mark the latency thresholds.',
+    };
+    description.textContent = descriptions[view.id] || '';
+  }
+}
+
+/**
+ * Shows the latency thresholds in effect in the legend, the critical
+ * counter label and the threshold editor.
+ */
+function updateLatencyThresholdsDisplay() {
+  if (typeof getLatencyThresholds !== 'function') return;
+  const { degraded, severe, critical, source } = getLatencyThresholds();
+  const format = formatLatencyThreshold;
+
+  const labels = {
+    'threshold-good': `● Good (<${format(degraded)})`,
+    'threshold-degraded': `● Degraded (${format(degraded)}-${format(severe)})`,
+    'threshold-severe': `● Severe (>${format(severe)})`,
+    'threshold-critical': `● Critical (>${format(critical)})`,
+    'latency-critical-label': `CRITICAL (>${format(critical).toUpperCase()})`,
+  };
+  for (const [id, text] of Object.entries(labels)) {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+  }
+
+  const probeDots = document.getElementById('probe-visualization');
+  if (probeDots) {
+    probeDots.title = `Probe history: Green=good (<${format(degraded)}), Yellow=degraded (${format(degraded)}-${format(severe)}), ` +
+      `Orange=slow (>${format(severe)}), Red=failed/timeout`;
+  }
+
+  for (const [key, value] of Object.entries({ degraded, severe, critical })) {
+    const input = document.getElementById(`latency-threshold-${key}`);
+    if (input && document.activeElement !== input) input.value = value;
+  }
+  const sourceEl = document.getElementById('latency-thresholds-source');
+  if (sourceEl) {
+    const sources = {
+      browser: 'Saved in this browser.',
+      server: 'From the server configuration.',
+      default: 'Defaults.',
+    };
+    sourceEl.textContent = sources[source] || '';
+  }
+}
+
+/**
+ * Applies the thresholds entered in the threshold editor.
+ */
+function changeLatencyThresholds() {
+  const valueOf = (key) => document.getElementById(`latency-threshold-${key}`)?.value;
+  try {
+    setLatencyThresholds({ degraded: valueOf('degraded'), severe: valueOf('severe'), critical: valueOf('critical') });
+    if (typeof recordSessionAction === 'function') {
+      const { degraded, severe, critical } = getLatencyThresholds();
+      recordSessionAction('Latency thresholds', { degraded, severe, critical });
+    }
+  } catch (err) {
+    addEventToLog({ level: 'error', message: err.message });
+  }
+  updateLatencyThresholdsDisplay();
+}
+
+/**
+ * Switches the latency chart between line, histogram and heatmap.
+ *
+ * @param {string} id - 'line' | 'histogram' | 'heatmap'
+ */
+function changeLatencyView(id) {
+  try {
+    setLatencyView(id);
+    if (typeof recordSessionAction === 'function') recordSessionAction('Latency view', { view: id });
+  } catch (err) {
+    addEventToLog({ level: 'error', message: err.message });
+  }
+  updateLatencyViewDisplay();
+}
+
+/**
+ * Lists the saved baselines and describes the selected one.
+ */
+function updateBaselineDisplay() {
+  if (typeof getBaselines !== 'function') return;
+  const saved = getBaselines();
+  const active = saved.find(b => b.active) || null;
+
+  const select = document.getElementById('baseline-select');
+  if (select) {
+    // Newest first
+    select.innerHTML = '<option value="">None</option>' + saved.slice().reverse().map(b =>
+      `<option value="${escapeHtml(b.id)}">${escapeHtml(b.name)} (${formatEventTime(b.capturedAt)})</option>`).join('');
+    select.value = active ? active.id : '';
+  }
+  const deleteBtn = document.getElementById('baseline-delete');
+  if (deleteBtn) deleteBtn.hidden = !active;
+
+  const description = document.getElementById('baseline-description');
+  if (description) {
+    if (active) {
+      const { p99, workersPeak } = active.summary;
+      const span = active.spanMs >= 60000 ? `${Math.round(active.spanMs / 60000)} min` : `${Math.round(active.spanMs / 1000)}s`;
+      description.textContent = `${span} captured at ${formatEventTime(active.capturedAt)}` +
+        (p99 != null ? `, P99 ${formatLatency(p99)}` : '') +
+        (workersPeak != null ? `, peak ${Math.round(workersPeak)} busy workers` : '') +
+        '. Dotted gray lines on the charts; deltas under the percentiles.';
+    } else {
+      description.textContent = saved.length > 0
+        ? 'Pick a baseline to overlay it on the charts.'
+        : 'Capture the charts before a change (e.g. pm.max_children), then compare after it.';
+    }
+  }
+}
+
+/**
+ * Captures the span the charts show as a baseline named in the baseline form.
+ */
+function captureBaselineFromForm() {
+  const input = document.getElementById('baseline-name');
+  try {
+    const baseline = captureBaseline(input ? input.value : '');
+    if (input) input.value = '';
+    addEventToLog({ level: 'info', message: `Baseline captured: ${baseline.name}` });
+    if (typeof recordSessionAction === 'function') recordSessionAction('Baseline captured', { name: baseline.name });
+  } catch (err) {
+    addEventToLog({ level: 'error', message: err.message });
+  }
+  updateBaselineDisplay();
+}
+
+/**
+ * Selects the baseline overlaid on the charts.
+ *
+ * @param {string} id - Baseline id, '' for none
+ */
+function changeBaseline(id) {
+  try {
+    setActiveBaseline(id || null);
+  } catch (err) {
+    addEventToLog({ level: 'error', message: err.message });
+  }
+  updateBaselineDisplay();
+}
+
+/**
+ * Deletes the selected baseline.
+ */
+function removeSelectedBaseline() {
+  const active = getBaselines().find(b => b.active);
+  if (!active) return;
+  deleteBaseline(active.id);
+  addEventToLog({ level: 'info', message: `Baseline deleted: ${active.name}` });
+  updateBaselineDisplay();
+}
+
+/**
+ * Shows whether the charts are frozen / zoomed and which controls apply.
+ *
+ * @param {Object|null} view - { frozen, frozenAt, range } from getChartViewState()
+ */
+function updateChartViewDisplay(view) {
+  const freezeBtn = document.getElementById('chart-freeze');
+  const liveBtn = document.getElementById('chart-live');
+  const status = document.getElementById('chart-view-status');
+  const frozen = !!(view && view.frozen);
+
+  if (freezeBtn) freezeBtn.hidden = frozen;
+  if (liveBtn) liveBtn.hidden = !frozen;
+  if (!status) return;
+
+  if (!frozen) {
+    status.textContent = 'Drag across a chart to zoom.';
+  } else if (view.range) {
+    status.textContent = `Zoomed to ${timestampToUtcTimeString(view.range.from)}–${timestampToUtcTimeString(view.range.to)} UTC. ` +
+      'Shift+drag to pan, double-click to zoom out.';
+  } else {
+    status.textContent = `Frozen at ${timestampToUtcTimeString(view.frozenAt)} UTC; still collecting. Drag to zoom.`;
+  }
+}
+
+/**
+ * Syncs the event marker checkboxes with the charts' filter.
+ */
+function updateAnnotationFilterDisplay() {
+  if (typeof getAnnotationCategories !== 'function') return;
+  for (const category of getAnnotationCategories()) {
+    const checkbox = document.querySelector(`[data-annotation-category="${category.id}"]`);
+    if (checkbox) checkbox.checked = category.visible;
+  }
+}
+
+/**
+ * Highlights an event's marker on the charts and marks its log entry.
+ *
+ * @param {string} key - Event id or key (data-event-key of the log entry)
+ */
+function highlightEventOnCharts(key) {
+  if (typeof highlightChartAnnotation !== 'function') return;
+  const highlighted = highlightChartAnnotation(key);
+  document.querySelectorAll('.event-log-entry.selected').forEach(el => el.classList.remove('selected'));
+  if (highlighted) {
+    document.querySelectorAll('.event-log-entry[data-event-key]').forEach(el => {
+      if (el.dataset.eventKey === key) el.classList.add('selected');
+    });
+  }
+  // Highlighting may have switched the time window
+  updateChartWindowDisplay();
+}
+
+/**
+ * Switches the time window of all charts.
+ *
+ * @param {string} id - '1m' | '5m' | '15m' | '1h'
+ */
+function changeChartWindow(id) {
+  try {
+    setChartWindow(id);
+    if (typeof recordSessionAction === 'function') recordSessionAction('Chart time window', { window: id });
+  } catch (err) {
+    addEventToLog({ level: 'error', message: err.message });
   }
+  updateChartWindowDisplay();
 }
 
 /**
@@ -263,15 +811,24 @@ window.clearEventLog = clearEventLog;
  * Used for client-side events (connection changes, restarts, etc.)
  * and server events received via polling.
  *
- * @param {Object} event - { level: 'info'|'warning'|'error'|'success', message: string, timestamp?: string, source?: string, workerPid?: number }
+ * @param {Object} event - { level: 'info'|'warning'|'error'|'success', message: string, timestamp?: string, source?: string, workerPid?: number, requestId?: string, simulationType?: string }
+ * @param {boolean} [event.persist=true] - false keeps the entry out of the
+ *   offline store (connection notices that are logged again on every reconnect)
  */
 function addEventToLog(event) {
   const entry = {
-    timestamp: event.timestamp || new Date().toISOString(),
+    key: `${Date.now().toString(36)}-${++eventKeyCounter}`,
+    id: event.id || null,
+    // Client entries use the skew-corrected clock so they sort correctly among server events
+    timestamp: event.timestamp || new Date(typeof serverNow === 'function' ? serverNow() : Date.now()).toISOString(),
     level: event.level || 'info',
     message: event.message,
     source: event.source || 'client',
     workerPid: event.workerPid || null,
+    // Correlation ID of the request behind the event (see tracedFetch)
+    requestId: event.requestId || null,
+    // Picks the chart marker filter category (see "Event Annotations" in charts.js)
+    simulationType: event.simulationType || null,
   };
 
   eventLog.unshift(entry);
@@ -279,11 +836,49 @@ function addEventToLog(event) {
     eventLog = eventLog.slice(0, MAX_EVENT_LOG_ENTRIES);
   }
 
+  if (typeof offlineStore !== 'undefined' && event.persist !== false) {
+    offlineStore.append('events', { ...entry, ts: Date.parse(entry.timestamp) || Date.now() });
+  }
+  if (typeof addChartAnnotation === 'function') {
+    addChartAnnotation(entry);
+  }
+
   renderLocalEventLog();
 }
 // Expose globally for polling-client.js visibility change handler
 window.addEventToLog = addEventToLog;
 
+/**
+ * Restores the event log from the offline store (offline-store.js), merged
+ * with the entries already shown. Runs on page load, so the log from before
+ * a reload is visible even while the server is still down, and again after
+ * polling-client.js resets the log on (re)connect.
+ *
+ * @returns {Promise<void>}
+ */
+function rehydrateEventLog() {
+  if (typeof offlineStore === 'undefined') return Promise.resolve();
+
+  return offlineStore.readRecent('events', MAX_EVENT_LOG_ENTRIES).then(stored => {
+    const shownKeys = new Set(eventLog.map(e => e.key));
+    const restored = stored
+      .filter(e => e.key && !shownKeys.has(e.key))
+      .map(({ ts, session, ...entry }) => entry);
+    if (restored.length === 0) return;
+
+    for (const e of restored) {
+      if (e.id) seenEventIds.add(e.id);
+      if (typeof addChartAnnotation === 'function') addChartAnnotation(e);
+    }
+    eventLog = [...eventLog, ...restored]
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(0, MAX_EVENT_LOG_ENTRIES);
+    renderFullEventLog();
+  });
+}
+// Expose globally for polling-client.js (re)connect handler
+window.rehydrateEventLog = rehydrateEventLog;
+
 /**
  * Renders server-sent events from the polling endpoint.
  * Called when new events arrive from the server.
@@ -303,11 +898,13 @@ function renderEventLog(events) {
 
   // Merge server events with local events, sort by time
   const serverEvents = events.map(e => ({
+    id: e.id || null,
     timestamp: e.timestamp,
     level: e.level || 'info',
     message: e.message,
     source: 'server',
     workerPid: e.workerPid || null,
+    requestId: e.requestId || null,
   }));
 
   // Combine and sort descending by timestamp
@@ -317,18 +914,7 @@ function renderEventLog(events) {
   // Take latest MAX entries
   const displayEvents = allEvents.slice(0, MAX_EVENT_LOG_ENTRIES);
 
-  container.innerHTML = displayEvents.map(event => {
-    const time = formatEventTime(event.timestamp);
-    const levelClass = event.level || 'info';
-    const levelIcon = getEventLevelIcon(event.level);
-    const pidSuffix = event.workerPid ? ` <span class="event-pid">[w${event.workerPid}]</span>` : '';
-
-    return `<div class="event-log-entry ${levelClass}">
-      <span class="event-time">${time}</span>
-      <span class="event-icon">${levelIcon}</span>
-      <span class="event-message">${escapeHtml(event.message)}${pidSuffix}</span>
-    </div>`;
-  }).join('');
+  container.innerHTML = displayEvents.map(eventEntryHtml).join('');
 }
 
 /**
@@ -341,22 +927,10 @@ function renderLocalEventLog() {
   if (eventLog.length === 0) return;
 
   // Prepend new events
-  const latestEvent = eventLog[0];
-  const time = formatEventTime(latestEvent.timestamp);
-  const levelClass = latestEvent.level || 'info';
-  const levelIcon = getEventLevelIcon(latestEvent.level);
-  const pidSuffix = latestEvent.workerPid ? ` <span class="event-pid">[w${latestEvent.workerPid}]</span>` : '';
-
-  const entryHtml = `<div class="event-log-entry ${levelClass}">
-    <span class="event-time">${time}</span>
-    <span class="event-icon">${levelIcon}</span>
-    <span class="event-message">${escapeHtml(latestEvent.message)}${pidSuffix}</span>
-  </div>`;
-
   const emptyMsg = container.querySelector('.event-log-empty');
   if (emptyMsg) emptyMsg.remove();
 
-  container.insertAdjacentHTML('afterbegin', entryHtml);
+  container.insertAdjacentHTML('afterbegin', eventEntryHtml(eventLog[0]));
 
   // Trim excess entries from DOM
   while (container.children.length > MAX_EVENT_LOG_ENTRIES) {
@@ -364,6 +938,39 @@ function renderLocalEventLog() {
   }
 }
 
+/**
+ * Re-renders the whole local event log (after merging restored entries).
+ */
+function renderFullEventLog() {
+  const container = document.getElementById('event-log');
+  if (!container || eventLog.length === 0) return;
+  container.innerHTML = eventLog.map(eventEntryHtml).join('');
+}
+
+/**
+ * Builds the HTML for one event log entry.
+ */
+function eventEntryHtml(event) {
+  const time = formatEventTime(event.timestamp);
+  const levelClass = event.level || 'info';
+  const levelIcon = getEventLevelIcon(event.level);
+  const pidSuffix = event.workerPid ? ` <span class="event-pid">[w${event.workerPid}]</span>` : '';
+  // Short form in the log; the full ID (to search server logs for) in the tooltip
+  const requestSuffix = event.requestId
+    ? ` <span class="event-reqid" title="X-Request-Id: ${escapeHtml(event.requestId)}">req:${escapeHtml(event.requestId.slice(0, 8))}</span>`
+    : '';
+
+  // Clicking an entry highlights its marker on the charts
+  const markerKey = event.id || event.key;
+  const keyAttr = markerKey ? ` data-event-key="${escapeHtml(markerKey)}" title="Click to highlight on the charts"` : '';
+
+  return `<div class="event-log-entry ${levelClass}"${keyAttr}>
+    <span class="event-time">${time}</span>
+    <span class="event-icon">${levelIcon}</span>
+    <span class="event-message">${escapeHtml(event.message)}${pidSuffix}${requestSuffix}</span>
+  </div>`;
+}
+
 /**
  * Formats event timestamp to UTC HH:MM:SS.
  */
@@ -401,21 +1008,40 @@ function escapeHtml(str) {
 // ACTIVE SIMULATIONS
 // =========================================================================
 
+// Per-type display and per-row action of GET /api/simulations entries
+const SIMULATION_TYPES = {
+  CPU_STRESS: { icon: '🔥', label: 'CPU Stress', css: 'cpu', action: 'stop', actionLabel: '⬛ Stop' },
+  MEMORY_PRESSURE: { icon: '💾', label: 'Memory Pressure', css: 'memory', action: 'release', actionLabel: '🗑️ Release' },
+  REQUEST_BLOCKING: { icon: '🔒', label: 'Thread Blocking', css: 'eventloop', action: null, actionLabel: '' },
+};
+
 /**
  * Updates the active simulations display.
+ * The metrics summary only says which types are active; when it changes the
+ * per-simulation list is fetched from GET /api/simulations. The newest start
+ * time per type is part of the comparison, so a simulation replaced by one
+ * with the same summary still refreshes the rows (and their action IDs).
  *
  * @param {Object} simulations - Active simulation data from server
- *   Shape: { cpu: { active, ... }, memory: { active, ... }, ... }
+ *   Shape: { cpu: { active, count, startedAt, latestStartedAt, ... }, memory: { ... }, ... }
  */
 function updateActiveSimulations(simulations) {
+  const replaying = typeof isSessionReplaying === 'function' && isSessionReplaying();
   // Build simplified state for comparison (only fields that affect display)
   const displayState = {
     cpuActive: !!simulations.cpu?.active,
     cpuLevel: simulations.cpu?.level || '',
+    cpuCount: simulations.cpu?.count || 0,
+    cpuLatest: simulations.cpu?.latestStartedAt || '',
     memActive: !!simulations.memory?.active,
     memMb: Math.round(simulations.memory?.allocatedMb || 0),
+    memCount: simulations.memory?.count || 0,
+    memLatest: simulations.memory?.latestStartedAt || '',
     blockingActive: !!simulations.blocking?.active,
     blockingDuration: simulations.blocking?.duration || 0,
+    blockingStartedAt: simulations.blocking?.startedAt || '',
+    loadTestActive: !!simulations.loadTest?.active,
+    replaying,
   };
   
   // Only update DOM if display-relevant state has changed (prevents blinking)
@@ -426,67 +1052,219 @@ function updateActiveSimulations(simulations) {
   lastSimulationsJson = newJson;
   activeSimulations = simulations;
 
-  const container = document.getElementById('active-simulations');
-  if (!container) return;
-
-  const activeSims = [];
-
-  if (simulations.cpu?.active) {
-    const levelLabel = simulations.cpu.level ? 
-      simulations.cpu.level.charAt(0).toUpperCase() + simulations.cpu.level.slice(1) : 
-      'Active';
-    activeSims.push({
-      type: 'cpu',
-      label: 'CPU Stress',
-      detail: `${levelLabel}`,
-      icon: '🔥',
-    });
+  if (replaying) {
+    // No server to ask during a replay; show the recorded summary
+    simulationListRequest++;
+    simulationList = null;
+    renderActiveSimulations();
+  } else {
+    refreshSimulationList();
   }
+}
 
-  if (simulations.memory?.active) {
-    activeSims.push({
-      type: 'memory',
-      label: 'Memory Pressure',
-      detail: `${simulations.memory.allocatedMb || 0} MB allocated`,
-      icon: '💾',
-    });
+/**
+ * Fetches the per-simulation list and re-renders the table. If the list
+ * can't be fetched, the table falls back to one row per active type. A
+ * response that arrives after a newer request was made is dropped.
+ *
+ * @returns {Promise<void>}
+ */
+async function refreshSimulationList() {
+  const request = ++simulationListRequest;
+  let list;
+  try {
+    const { data } = await perfSimApi.simulations();
+    list = data.simulations;
+  } catch (err) {
+    // Reported by reportApiError (console); keep the summary visible
+    list = null;
   }
+  if (request !== simulationListRequest) return;
+  simulationList = list;
+  renderActiveSimulations();
+}
 
-  if (simulations.blocking?.active) {
-    activeSims.push({
-      type: 'blocking',
-      label: 'Thread Blocking',
-      detail: `${simulations.blocking.duration || 0}s`,
-      icon: '🔒',
-    });
+/**
+ * Rows for the table: one per simulation from the list, or one per active
+ * type from the metrics summary (no id, no action) when there is no list.
+ *
+ * @returns {Array<Object>} { type, id, parameters, startedAt, scheduledEndAt }
+ */
+function activeSimulationRows() {
+  const rows = simulationList
+    ? simulationList.map(sim => ({ ...sim, parameters: sim.parameters || {} }))
+    : [];
+  const summary = activeSimulations || {};
+  const endOf = (startedAt, seconds) => (startedAt && seconds ? new Date(Date.parse(startedAt) + seconds * 1000).toISOString() : null);
+
+  if (!simulationList) {
+    if (summary.cpu?.active) {
+      rows.push({
+        type: 'CPU_STRESS',
+        id: null,
+        parameters: { level: summary.cpu.level, simulations: summary.cpu.count },
+        startedAt: summary.cpu.startedAt,
+        scheduledEndAt: endOf(summary.cpu.startedAt, summary.cpu.durationSeconds),
+      });
+    }
+    if (summary.memory?.active) {
+      rows.push({
+        type: 'MEMORY_PRESSURE',
+        id: null,
+        parameters: { allocatedMb: summary.memory.allocatedMb || 0, allocations: summary.memory.count },
+        startedAt: summary.memory.startedAt,
+        scheduledEndAt: null,
+      });
+    }
+    if (summary.blocking?.active) {
+      rows.push({
+        type: 'REQUEST_BLOCKING',
+        id: null,
+        parameters: { durationSeconds: summary.blocking.duration, concurrentWorkers: summary.blocking.concurrentWorkers },
+        startedAt: summary.blocking.startedAt,
+        scheduledEndAt: endOf(summary.blocking.startedAt, summary.blocking.duration),
+      });
+    }
   }
-
-  if (simulations.loadTest?.active) {
-    activeSims.push({
-      type: 'loadtest',
-      label: 'Load Test',
-      detail: `${simulations.loadTest.concurrent || 0} concurrent`,
-      icon: '📊',
+  // Load tests are not tracked simulations; only the summary knows them
+  if (summary.loadTest?.active) {
+    rows.push({
+      type: 'LOAD_TEST',
+      id: null,
+      parameters: { concurrent: summary.loadTest.concurrent || 0 },
+      startedAt: null,
+      scheduledEndAt: null,
     });
   }
+  return rows;
+}
 
-  if (activeSims.length === 0) {
+/**
+ * Renders the active simulations table and starts / stops the countdown.
+ */
+function renderActiveSimulations() {
+  const container = document.getElementById('active-simulations');
+  if (!container) return;
+
+  const rows = activeSimulationRows();
+  if (rows.length === 0) {
     container.innerHTML = '<div class="no-simulations">No active simulations</div>';
+    updateSimulationCountdowns();
     return;
   }
 
-  container.innerHTML = activeSims.map(sim => `
-    <div class="simulation-badge ${sim.type}">
-      <span class="sim-icon">${sim.icon}</span>
-      <span class="sim-label">${sim.label}</span>
-      <span class="sim-detail">${sim.detail}</span>
-    </div>
-  `).join('');
+  const time = (iso) => (iso ? formatEventTime(Date.parse(iso)) : '—');
+  container.innerHTML = `
+    <table class="simulations-table">
+      <thead>
+        <tr><th>Simulation</th><th>ID</th><th>Parameters</th><th>Started</th><th>Ends</th><th>Time left</th><th></th></tr>
+      </thead>
+      <tbody>
+        ${rows.map(sim => {
+          const type = SIMULATION_TYPES[sim.type] || { icon: '📊', label: sim.type === 'LOAD_TEST' ? 'Load Test' : sim.type, css: 'loadtest', action: null };
+          const parameters = Object.entries(sim.parameters)
+            .filter(([key, value]) => key !== 'type' && value != null)
+            .map(([key, value]) => `${key}: ${value}`)
+            .join(', ');
+          const endsAt = sim.scheduledEndAt ? Date.parse(sim.scheduledEndAt) : null;
+          const action = type.action && sim.id
+            ? `<button type="button" class="btn-simulation-action" data-simulation-action="${type.action}" data-simulation-id="${escapeHtml(sim.id)}">${type.actionLabel}</button>`
+            : '';
+          return `
+          <tr class="${type.css}">
+            <td>${type.icon} ${escapeHtml(type.label)}</td>
+            <td class="simulation-id" title="${escapeHtml(sim.id || '')}">${sim.id ? escapeHtml(sim.id.slice(0, 8)) : '—'}</td>
+            <td>${escapeHtml(parameters) || '—'}</td>
+            <td>${time(sim.startedAt)}</td>
+            <td>${time(sim.scheduledEndAt)}</td>
+            <td class="simulation-countdown"${endsAt ? ` data-ends-at="${endsAt}"` : ''}>${endsAt ? '' : '—'}</td>
+            <td>${action}</td>
+          </tr>`;
+        }).join('')}
+      </tbody>
+    </table>
+  `;
+  updateSimulationCountdowns();
+}
+
+/**
+ * Updates the "Time left" cells; runs every second while any row has one.
+ */
+function updateSimulationCountdowns() {
+  const cells = document.querySelectorAll('#active-simulations [data-ends-at]');
+  const now = typeof serverNow === 'function' ? serverNow() : Date.now();
+  for (const cell of cells) {
+    const left = Number(cell.dataset.endsAt) - now;
+    cell.textContent = left > 0 ? formatUptime(Math.ceil(left / 1000)) : 'ending…';
+  }
+  if (cells.length > 0 && !simulationCountdownTimer) {
+    simulationCountdownTimer = setInterval(updateSimulationCountdowns, 1000);
+  } else if (cells.length === 0 && simulationCountdownTimer) {
+    clearInterval(simulationCountdownTimer);
+    simulationCountdownTimer = null;
+  }
+}
+
+/**
+ * Stops one CPU simulation or releases one memory allocation (table row
+ * action), then refreshes the table.
+ *
+ * @param {string} action - 'stop' | 'release'
+ * @param {string} id - Simulation id
+ * @returns {Promise<void>}
+ */
+async function runSimulationRowAction(action, id) {
+  const short = id.slice(0, 8);
+  if (action === 'stop') {
+    await runSimulationRequest(() => perfSimApi.stopCpuSimulation(id), `CPU simulation ${short} stopped`, 'CPU_STRESS');
+  } else if (action === 'release') {
+    await runSimulationRequest(() => perfSimApi.releaseMemoryAllocation(id), `Memory allocation ${short} released`, 'MEMORY_PRESSURE');
+  }
+  await refreshSimulationList();
 }
 
 // =========================================================================
 // SIMULATION CONTROLS — API Calls
 // =========================================================================
+//
+// All REST calls go through perfSimApi (api-client.js). Failures reach the
+// user through one path, reportApiError (the client's onError hook), so the
+// controls below only handle success.
+
+/**
+ * Reports a failed API call: control actions to the event log, background
+ * GETs (server info, crash stats) to the console only.
+ *
+ * @param {ApiError} error - Error raised by api-client.js
+ */
+function reportApiError(error) {
+  if (error.method === 'GET') {
+    console.warn(`[dashboard] ${error.action} failed:`, error.message);
+    return;
+  }
+  const reason = error.kind === 'http' ? error.message : `request failed (${error.message})`;
+  addEventToLog({ level: 'error', message: `${error.action} failed: ${reason}`, requestId: error.requestId });
+}
+
+/**
+ * Runs a simulation control request and logs its success message.
+ * Failures were already reported by reportApiError.
+ *
+ * @param {Function} request - Returns a perfSimApi promise
+ * @param {string} fallbackMessage - Logged when the response has no message
+ * @param {string} simulationType - e.g. 'CPU_STRESS' (event marker category)
+ * @returns {Promise<ApiResponse|null>} null if the request failed
+ */
+async function runSimulationRequest(request, fallbackMessage, simulationType) {
+  try {
+    const result = await request();
+    addEventToLog({ level: 'success', message: result.data.message || fallbackMessage, requestId: result.requestId, simulationType });
+    return result;
+  } catch (err) {
+    if (!(err instanceof ApiError)) throw err;
+    return null;
+  }
+}
 
 /**
  * Starts CPU stress simulation.
@@ -494,42 +1272,24 @@ function updateActiveSimulations(simulations) {
  *
  * @param {string} level - Intensity level ('moderate' or 'high')
  * @param {number} durationSeconds - Duration in seconds (1-300)
+ * @returns {Promise<ApiResponse|null>} null if the request failed
  */
 async function startCpuStress(level, durationSeconds) {
-  try {
-    const levelLabel = level.charAt(0).toUpperCase() + level.slice(1);
-    addEventToLog({ level: 'info', message: `Starting CPU stress: ${levelLabel} for ${durationSeconds}s...` });
-    const response = await fetch('/api/simulations/cpu/start', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ level, durationSeconds }),
-    });
-    const data = await response.json();
-    if (response.ok) {
-      addEventToLog({ level: 'success', message: data.message || `CPU stress started (${levelLabel}) for ${durationSeconds}s` });
-    } else {
-      addEventToLog({ level: 'error', message: `CPU stress failed: ${data.error || data.message || 'Unknown error'}` });
-    }
-  } catch (err) {
-    addEventToLog({ level: 'error', message: `CPU stress request failed: ${err.message}` });
-  }
+  const levelLabel = level.charAt(0).toUpperCase() + level.slice(1);
+  addEventToLog({ level: 'info', message: `Starting CPU stress: ${levelLabel} for ${durationSeconds}s...`, simulationType: 'CPU_STRESS' });
+  return runSimulationRequest(
+    () => perfSimApi.startCpuStress({ level, durationSeconds }),
+    `CPU stress started (${levelLabel}) for ${durationSeconds}s`,
+    'CPU_STRESS'
+  );
 }
 
 /**
  * Stops CPU stress simulation by killing background processes.
+ * @returns {Promise<ApiResponse|null>} null if the request failed
  */
 async function stopCpuStress() {
-  try {
-    const response = await fetch('/api/simulations/cpu/stop', { method: 'POST' });
-    const data = await response.json();
-    if (response.ok) {
-      addEventToLog({ level: 'success', message: data.message || 'CPU stress stopped' });
-    } else {
-      addEventToLog({ level: 'error', message: `Stop CPU stress failed: ${data.error || data.message || 'Unknown error'}` });
-    }
-  } catch (err) {
-    addEventToLog({ level: 'error', message: `Stop CPU stress request failed: ${err.message}` });
-  }
+  return runSimulationRequest(() => perfSimApi.stopCpuStress(), 'CPU stress stopped', 'CPU_STRESS');
 }
 
 /**
@@ -537,41 +1297,19 @@ async function stopCpuStress() {
  * Allocates large data structures in PHP shared storage.
  *
  * @param {number} sizeMb - Amount of memory to allocate in MB (1-2048)
+ * @returns {Promise<ApiResponse|null>} null if the request failed
  */
 async function startMemoryPressure(sizeMb) {
-  try {
-    addEventToLog({ level: 'info', message: `Allocating ${sizeMb}MB memory...` });
-    const response = await fetch('/api/simulations/memory/allocate', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ sizeMb }),
-    });
-    const data = await response.json();
-    if (response.ok) {
-      addEventToLog({ level: 'success', message: data.message || `Allocated ${sizeMb}MB memory` });
-    } else {
-      addEventToLog({ level: 'error', message: `Memory allocation failed: ${data.error || data.message || 'Unknown error'}` });
-    }
-  } catch (err) {
-    addEventToLog({ level: 'error', message: `Memory allocation request failed: ${err.message}` });
-  }
+  addEventToLog({ level: 'info', message: `Allocating ${sizeMb}MB memory...`, simulationType: 'MEMORY_PRESSURE' });
+  return runSimulationRequest(() => perfSimApi.allocateMemory({ sizeMb }), `Allocated ${sizeMb}MB memory`, 'MEMORY_PRESSURE');
 }
 
 /**
  * Releases all allocated memory.
+ * @returns {Promise<ApiResponse|null>} null if the request failed
  */
 async function releaseMemory() {
-  try {
-    const response = await fetch('/api/simulations/memory/release', { method: 'POST' });
-    const data = await response.json();
-    if (response.ok) {
-      addEventToLog({ level: 'success', message: data.message || 'Memory released' });
-    } else {
-      addEventToLog({ level: 'error', message: `Memory release failed: ${data.error || data.message || 'Unknown error'}` });
-    }
-  } catch (err) {
-    addEventToLog({ level: 'error', message: `Memory release request failed: ${err.message}` });
-  }
+  return runSimulationRequest(() => perfSimApi.releaseMemory(), 'Memory released', 'MEMORY_PRESSURE');
 }
 
 /**
@@ -581,24 +1319,15 @@ async function releaseMemory() {
  *
  * @param {number} durationSeconds - How long to block (1-60)
  * @param {number} concurrentWorkers - Number of workers to block (1-20, default: 5)
+ * @returns {Promise<ApiResponse|null>} null if the request failed
  */
 async function blockRequestThread(durationSeconds, concurrentWorkers = 5) {
-  try {
-    addEventToLog({ level: 'info', message: `Blocking ${concurrentWorkers} FPM workers for ${durationSeconds}s...` });
-    const response = await fetch('/api/simulations/blocking/start', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ durationSeconds, concurrentWorkers }),
-    });
-    const data = await response.json();
-    if (response.ok) {
-      addEventToLog({ level: 'success', message: data.message || `Workers blocked for ${durationSeconds}s` });
-    } else {
-      addEventToLog({ level: 'error', message: `Thread blocking failed: ${data.error || data.message || 'Unknown error'}` });
-    }
-  } catch (err) {
-    addEventToLog({ level: 'error', message: `Thread blocking request failed: ${err.message}` });
-  }
+  addEventToLog({ level: 'info', message: `Blocking ${concurrentWorkers} FPM workers for ${durationSeconds}s...`, simulationType: 'REQUEST_BLOCKING' });
+  return runSimulationRequest(
+    () => perfSimApi.startBlocking({ durationSeconds, concurrentWorkers }),
+    `Workers blocked for ${durationSeconds}s`,
+    'REQUEST_BLOCKING'
+  );
 }
 
 /**
@@ -637,35 +1366,27 @@ async function triggerCrash(crashType) {
 
   if (!confirm(message)) return;
 
-  const crashEndpoints = {
-    failfast: '/api/simulations/crash/failfast',
-    stackoverflow: '/api/simulations/crash/stackoverflow',
-    exception: '/api/simulations/crash/exception',
-    oom: '/api/simulations/crash/oom',
-  };
-
-  const endpoint = crashEndpoints[crashType];
-  if (!endpoint) {
+  if (!API_ENDPOINTS.crash[crashType]) {
     addEventToLog({ level: 'error', message: `Unknown crash type: ${crashType}` });
     return;
   }
 
+  const simulationType = `CRASH_${crashType.toUpperCase()}`;
   try {
-    addEventToLog({ level: 'warning', message: `Triggering crash: ${description}` });
-    const response = await fetch(endpoint, { method: 'POST' });
+    addEventToLog({ level: 'warning', message: `Triggering crash: ${description}`, simulationType });
     // Response may not arrive if the crash happens fast enough
-    if (response.ok) {
-      const data = await response.json();
-      addEventToLog({ level: 'info', message: data.message || 'Crash triggered' });
-      // Update session crash counter
-      sessionCrashCount++;
-      updateSessionCrashDisplay();
-    }
+    const result = await perfSimApi.crash(crashType);
+    addEventToLog({ level: 'info', message: result.data.message || 'Crash triggered', requestId: result.requestId, simulationType });
+    // Update session crash counter
+    sessionCrashCount++;
+    updateSessionCrashDisplay();
   } catch (err) {
+    // HTTP errors were reported by reportApiError; the crash didn't happen
+    if (err.kind === 'http') return;
     // Expected — the crash may kill the connection, but crash likely succeeded
     sessionCrashCount++;
     updateSessionCrashDisplay();
-    addEventToLog({ level: 'warning', message: `Crash request completed (connection may have been lost)` });
+    addEventToLog({ level: 'warning', message: `Crash request completed (connection may have been lost)`, requestId: err.requestId, simulationType });
   }
 }
 
@@ -682,11 +1403,8 @@ async function triggerMultiCrash(workerCount, crashType) {
   // First, get the actual active worker count from the server
   let activeWorkers = 0;
   try {
-    const statsResponse = await fetch('/api/simulations/crash/stats');
-    if (statsResponse.ok) {
-      const stats = await statsResponse.json();
-      activeWorkers = stats.stats?.activeWorkerCount || 0;
-    }
+    const { data } = await perfSimApi.crashStats();
+    activeWorkers = data.stats.activeWorkerCount || 0;
   } catch (e) {
     console.warn('Could not fetch worker stats, proceeding with requested count');
   }
@@ -711,24 +1429,18 @@ async function triggerMultiCrash(workerCount, crashType) {
   
   addEventToLog({ 
     level: 'warning', 
-    message: initiatingMsg
+    message: initiatingMsg,
+    simulationType: 'MULTI_CRASH',
   });
 
-  const crashEndpoints = {
-    failfast: '/api/simulations/crash/failfast',
-    stackoverflow: '/api/simulations/crash/stackoverflow',
-    exception: '/api/simulations/crash/exception',
-    oom: '/api/simulations/crash/oom',
-  };
-
-  const endpoint = crashEndpoints[crashType] || crashEndpoints.failfast;
+  const type = API_ENDPOINTS.crash[crashType] ? crashType : 'failfast';
   
   // Send concurrent requests from the browser (limited to actual available)
   const promises = [];
   for (let i = 0; i < actualCrashCount; i++) {
     promises.push(
-      fetch(endpoint, { method: 'POST' })
-        .then(r => r.ok ? 1 : 0)
+      perfSimApi.crash(type)
+        .then(() => 1)
         .catch(() => 0)
     );
   }
@@ -748,12 +1460,14 @@ async function triggerMultiCrash(workerCount, crashType) {
     
     addEventToLog({ 
       level: 'info', 
-      message: completeMsg
+      message: completeMsg,
+      simulationType: 'MULTI_CRASH',
     });
   } catch (err) {
     addEventToLog({ 
       level: 'warning', 
-      message: `Multi-crash request completed (some connections may have been lost)` 
+      message: `Multi-crash request completed (some connections may have been lost)`,
+      simulationType: 'MULTI_CRASH',
     });
   }
 }
@@ -764,6 +1478,17 @@ async function triggerMultiCrash(workerCount, crashType) {
  */
 let sessionCrashCount = 0;
 
+/**
+ * Adds crashes triggered outside the crash forms (scenario-runner.js).
+ *
+ * @param {number} count - Workers crashed
+ */
+function recordSessionCrashes(count) {
+  if (count <= 0) return;
+  sessionCrashCount += count;
+  updateSessionCrashDisplay();
+}
+
 function updateSessionCrashDisplay() {
   const crashCountEl = document.getElementById('crash-count');
   if (crashCountEl) {
@@ -783,74 +1508,834 @@ function updateSessionCrashDisplay() {
  */
 async function loadEnvironmentInfo() {
   try {
-    const response = await fetch('/api/health');
-    if (response.ok) {
-      const data = await response.json();
+    const { data } = await perfSimApi.health();
+    environmentInfo = data;
 
-      // Update SKU badge
-      const skuBadge = document.getElementById('sku-badge');
-      if (skuBadge && data.environment) {
-        skuBadge.textContent = 'SKU: ' + (data.environment.sku || 'Local');
-      }
+    // Server-configured latency thresholds (a browser's own edits still win)
+    if (data.latencyThresholds && typeof seedLatencyThresholds === 'function') {
+      seedLatencyThresholds(data.latencyThresholds);
+      updateLatencyThresholdsDisplay();
+    }
 
-      const envContainer = document.getElementById('environment-info');
-      if (envContainer && data.environment) {
-        const env = data.environment;
-        envContainer.innerHTML = `
-          <div class="env-item"><span class="env-label">Runtime:</span> <span class="env-value">PHP ${env.phpVersion || '8.4'}</span></div>
-          <div class="env-item"><span class="env-label">OS:</span> <span class="env-value">${env.os || 'Linux'}</span></div>
-          <div class="env-item"><span class="env-label">Hostname:</span> <span class="env-value">${env.hostname || 'unknown'}</span></div>
-          <div class="env-item"><span class="env-label">PID:</span> <span class="env-value">${env.pid || '-'}</span></div>
-          <div class="env-item"><span class="env-label">SAPI:</span> <span class="env-value">${env.sapi || 'fpm-fcgi'}</span></div>
-        `;
-
-        // Save initial PID
-        if (env.pid) {
-          currentServerPid = env.pid;
-        }
+    // Update SKU badge
+    const skuBadge = document.getElementById('sku-badge');
+    if (skuBadge && data.environment) {
+      skuBadge.textContent = 'SKU: ' + (data.environment.sku || 'Local');
+    }
+
+    const envContainer = document.getElementById('environment-info');
+    if (envContainer && data.environment) {
+      const env = data.environment;
+      envContainer.innerHTML = `
+        <div class="env-item"><span class="env-label">Runtime:</span> <span class="env-value">PHP ${env.phpVersion || '8.4'}</span></div>
+        <div class="env-item"><span class="env-label">OS:</span> <span class="env-value">${env.os || 'Linux'}</span></div>
+        <div class="env-item"><span class="env-label">Hostname:</span> <span class="env-value">${env.hostname || 'unknown'}</span></div>
+        <div class="env-item"><span class="env-label">PID:</span> <span class="env-value">${env.pid || '-'}</span></div>
+        <div class="env-item"><span class="env-label">SAPI:</span> <span class="env-value">${env.sapi || 'fpm-fcgi'}</span></div>
+      `;
+
+      // Save initial PID
+      if (env.pid) {
+        currentServerPid = env.pid;
       }
     }
   } catch (err) {
-    console.warn('Failed to load environment info:', err);
+    // Reported by reportApiError
   }
 }
 
 /**
  * Loads build/version information from the server.
+ * Shares the /api/health request with loadEnvironmentInfo (the API client
+ * de-duplicates identical in-flight GETs).
  */
 async function loadBuildInfo() {
   try {
-    const response = await fetch('/api/health');
-    if (response.ok) {
-      const data = await response.json();
+    const { data } = await perfSimApi.health();
 
-      const buildContainer = document.getElementById('build-info');
-      if (buildContainer && data.buildTimestamp) {
-        buildContainer.innerHTML = `Build: ${data.buildTimestamp}`;
-      }
+    const buildContainer = document.getElementById('build-info');
+    if (buildContainer && data.buildTimestamp) {
+      buildContainer.innerHTML = `Build: ${data.buildTimestamp}`;
+    }
+
+    // Also update sidebar footer
+    const sidebarFooter = document.getElementById('sidebar-footer');
+    if (sidebarFooter && data.buildTimestamp) {
+      sidebarFooter.textContent = `Build: ${data.buildTimestamp}`;
+    }
 
-      // Also update sidebar footer
-      const sidebarFooter = document.getElementById('sidebar-footer');
-      if (sidebarFooter && data.buildTimestamp) {
-        sidebarFooter.textContent = `Build: ${data.buildTimestamp}`;
+    // Update page footer from PAGE_FOOTER env var (allows HTML links)
+    const pageFooter = document.getElementById('page-footer');
+    if (pageFooter) {
+      if (data.pageFooter) {
+        pageFooter.innerHTML = data.pageFooter;
+        pageFooter.style.display = '';
+      } else {
+        pageFooter.style.display = 'none';
       }
+    }
+  } catch (err) {
+    // Reported by reportApiError
+  }
+}
+
+// =========================================================================
+// EXPORT
+// =========================================================================
+//
+// Chart PNG / CSV exports live in charts.js (see "Export"); the session
+// bundle adds what only the dashboard holds. Everything is assembled in the
+// browser, so an export works even while the server is down.
+
+/**
+ * Downloads a chart as PNG, reporting failures in the event log.
+ *
+ * @param {string} id - Chart id (see CHART_EXPORTS in charts.js)
+ */
+function exportChartImage(id) {
+  try {
+    exportChartPng(id);
+  } catch (err) {
+    addEventToLog({ level: 'error', message: err.message });
+  }
+}
+
+/**
+ * Downloads the metrics or latency series as CSV, reporting failures in the event log.
+ *
+ * @param {string} kind - 'metrics' | 'latency'
+ */
+function exportChartData(kind) {
+  try {
+    exportChartDataCsv(kind);
+  } catch (err) {
+    addEventToLog({ level: 'error', message: err.message });
+  }
+}
+
+/**
+ * Downloads the whole session as one JSON file: environment info, event log,
+ * probe history (the offline store's 15 minutes, failed probes included),
+ * the live chart series and the dashboard settings that shape them.
+ *
+ * @returns {Promise<void>}
+ */
+async function exportSession() {
+  const stored = typeof offlineStore !== 'undefined'
+    ? await offlineStore.readRecent('probes', OFFLINE_STORE_LIMITS.probes)
+    : [];
+  const toProbe = (ts, latencyMs, success, mode, breakdown, requestId) => ({
+    timestamp: new Date(ts).toISOString(), latencyMs, success, mode, breakdown, requestId,
+  });
+  let probes = stored.map(p => toProbe(p.ts, p.latencyMs, p.success, p.mode, p.breakdown, p.requestId));
+  const metrics = chartSeriesTable('metrics');
+  const latency = chartSeriesTable('latency');
+  if (probes.length === 0) {
+    // No offline store (e.g. private browsing): the latency chart's probes
+    probes = latency.rows
+      .filter(row => row[2] != null)
+      .map(([ts, , latencyMs, mode, requestId]) => toProbe(ts, latencyMs, true, mode, null, requestId));
+  }
+  const toObjects = ({ columns, rows }) => rows.map(row => Object.fromEntries(
+    columns.map((column, i) => [column, i === 0 ? new Date(row[i]).toISOString() : row[i]])));
+
+  const bundle = {
+    format: 'perfsim-session',
+    version: 1,
+    exportedAt: new Date(typeof serverNow === 'function' ? serverNow() : Date.now()).toISOString(),
+    dashboardUrl: window.location.href,
+    environment: environmentInfo,
+    targets: typeof getTargets === 'function' ? getTargets() : [],
+    settings: {
+      probeMode: typeof getProbeMode === 'function' ? getProbeMode().mode : null,
+      chartWindow: getChartWindow().id,
+      latencyThresholds: getLatencyThresholds(),
+    },
+    latencyPercentiles: getLatencyPercentiles(),
+    // Oldest first, like the other series
+    events: [...eventLog].reverse(),
+    probes,
+    charts: {
+      metrics: toObjects(metrics),
+      latency: toObjects(latency),
+    },
+  };
+  downloadFile(exportFileName('session', 'json'), JSON.stringify(bundle, null, 2), 'application/json');
+}
+
+// =========================================================================
+// SESSION RECORDING
+// =========================================================================
+//
+// Recording and replay live in session-recorder.js; these functions connect
+// them to the recording bar and report failures in the event log.
+
+/**
+ * Shows the recording / replay state in the recording bar.
+ *
+ * @param {Object|null} state - From getSessionRecorderState()
+ */
+function updateSessionRecorderDisplay(state) {
+  if (!state) return;
+  const { recording, replay } = state;
+  const show = (id, visible) => {
+    const el = document.getElementById(id);
+    if (el) el.hidden = !visible;
+  };
+  show('recording-start', !recording && !replay);
+  show('recording-stop', !!recording);
+  show('replay-open', !recording);
+  show('replay-pause', !!replay && !replay.paused);
+  show('replay-resume', !!replay && replay.paused);
+  show('replay-exit', !!replay);
+
+  const speedSelect = document.getElementById('replay-speed');
+  if (speedSelect) speedSelect.value = String(state.speed);
+  const resumeBtn = document.getElementById('replay-resume');
+  if (resumeBtn) resumeBtn.textContent = replay && replay.finished ? '↻ Play again' : '▶ Resume';
+
+  const status = document.getElementById('recording-status');
+  if (status) {
+    if (recording) {
+      status.textContent = `Recording ${formatReplayTime(recording.elapsedMs)} (${recording.entries} entries). Stop to download the file.`;
+    } else if (replay) {
+      const progress = `${formatReplayTime(replay.positionMs)} / ${formatReplayTime(replay.durationMs)}`;
+      const mode = replay.finished ? 'finished' : replay.paused ? 'paused' : `at ${state.speed}×`;
+      status.textContent = `Replaying ${replay.name}: ${progress} ${mode}. Live updates are off.`;
+    } else {
+      status.textContent = 'Record metrics, probes, events and your actions to a file; replay it later without a server.';
+    }
+  }
+  // After a replay the status reads Disconnected until live metrics arrive
+  if (replay || replayInConnectionStatus) {
+    updateConnectionStatus(!!replay);
+  }
+  replayInConnectionStatus = !!replay;
+}
 
-      // Update page footer from PAGE_FOOTER env var (allows HTML links)
-      const pageFooter = document.getElementById('page-footer');
-      if (pageFooter) {
-        if (data.pageFooter) {
-          pageFooter.innerHTML = data.pageFooter;
-          pageFooter.style.display = '';
-        } else {
-          pageFooter.style.display = 'none';
-        }
+/**
+ * Starts or stops (and downloads) the session recording.
+ *
+ * @param {boolean} record - true to start, false to stop
+ */
+function changeSessionRecording(record) {
+  try {
+    if (record) {
+      startSessionRecording();
+      addEventToLog({ level: 'info', message: 'Session recording started' });
+    } else {
+      const recording = stopSessionRecording();
+      if (recording) {
+        addEventToLog({ level: 'success', message: `Session recording saved (${formatReplayTime(recording.durationMs)}, ${recording.entries.length} entries)` });
       }
     }
   } catch (err) {
-    console.warn('Failed to load build info:', err);
+    addEventToLog({ level: 'error', message: err.message });
+  }
+}
+
+/**
+ * Replays a recording file chosen by the user.
+ *
+ * @param {File} file - Recording saved with the Record button
+ * @returns {Promise<void>}
+ */
+async function replaySessionFile(file) {
+  try {
+    startSessionReplay(parseSessionRecording(await file.text()), file.name);
+  } catch (err) {
+    addEventToLog({ level: 'error', message: `Cannot replay ${file.name}: ${err.message}` });
   }
 }
 
+/**
+ * Changes the replay speed.
+ *
+ * @param {string} speed - e.g. '2' for 2×
+ */
+function changeReplaySpeed(speed) {
+  try {
+    setSessionReplaySpeed(speed);
+  } catch (err) {
+    addEventToLog({ level: 'error', message: err.message });
+  }
+}
+
+// =========================================================================
+// SCHEDULED SIMULATIONS
+// =========================================================================
+//
+// The schedule runs in simulation-scheduler.js; these functions read the
+// Schedule / repeat options of the simulation forms and render the queue.
+
+// Queue last rendered by updateScheduleDisplay
+let renderedScheduleJson = '';
+
+// Parameters of each simulation form (also used by its submit handler)
+const SIMULATION_FORM_PARAMS = {
+  cpu: () => ({
+    level: document.getElementById('cpu-level')?.value || 'high',
+    durationSeconds: parseInt(document.getElementById('cpu-duration')?.value || '30', 10),
+  }),
+  memory: () => ({
+    sizeMb: parseInt(document.getElementById('memory-size')?.value || '256', 10),
+  }),
+  blocking: () => ({
+    durationSeconds: parseInt(document.getElementById('blocking-duration')?.value || '5', 10),
+    concurrentWorkers: parseInt(document.getElementById('blocking-worker-count')?.value || '5', 10),
+  }),
+};
+
+/**
+ * Adds the simulation of a form to the schedule using its Schedule / repeat
+ * options.
+ *
+ * @param {string} kind - 'cpu' | 'memory' | 'blocking'
+ */
+function scheduleFromForm(kind) {
+  const value = (field) => document.getElementById(`${kind}-schedule-${field}`)?.value.trim() || '';
+  const number = (field) => (value(field) === '' ? null : Number(value(field)));
+  try {
+    const start = value('start');
+    const entry = addScheduledSimulation({
+      kind,
+      params: SIMULATION_FORM_PARAMS[kind](),
+      startAt: start ? nextUtcTimeOfDay(start) : undefined,
+      intervalSeconds: number('interval'),
+      runs: number('runs'),
+      jitterSeconds: number('jitter') || 0,
+    });
+    addEventToLog({
+      level: 'info',
+      message: `⏰ Scheduled ${entry.label}: ${describeScheduleRepeat(entry)}, first run at ${formatEventTime(entry.nextAt)}`,
+      simulationType: entry.simulationType,
+    });
+  } catch (err) {
+    addEventToLog({ level: 'error', message: err.message });
+  }
+}
+
+/**
+ * "once", "every 120s ±10s, 5 runs", "every 60s until removed"
+ *
+ * @param {Object} entry - From getScheduledSimulations()
+ * @returns {string}
+ */
+function describeScheduleRepeat(entry) {
+  if (!entry.intervalSeconds) return 'once';
+  const jitter = entry.jitterSeconds > 0 ? ` ±${entry.jitterSeconds}s` : '';
+  const runs = entry.runs ? `${entry.runs} runs` : 'until removed';
+  return `every ${entry.intervalSeconds}s${jitter}, ${runs}`;
+}
+
+/**
+ * Renders the schedule queue. Called every second while anything is queued;
+ * only the countdowns change unless the queue did (so clicks aren't lost to
+ * a re-render).
+ *
+ * @param {Array<Object>} entries - From getScheduledSimulations()
+ */
+function updateScheduleDisplay(entries) {
+  const container = document.getElementById('scheduled-simulations');
+  if (!container) return;
+  const now = typeof serverNow === 'function' ? serverNow() : Date.now();
+  const countdown = (nextAt) => (nextAt > now ? formatUptime(Math.ceil((nextAt - now) / 1000)) : 'now');
+
+  const entriesJson = JSON.stringify(entries);
+  if (entriesJson === renderedScheduleJson) {
+    for (const cell of container.querySelectorAll('[data-next-at]')) {
+      cell.textContent = countdown(Number(cell.dataset.nextAt));
+    }
+    return;
+  }
+  renderedScheduleJson = entriesJson;
+
+  if (entries.length === 0) {
+    container.innerHTML = '<p class="no-simulations">Nothing scheduled. Use ⏰ Schedule / repeat in the simulation controls.</p>';
+    return;
+  }
+
+  const typeCss = { CPU_STRESS: 'cpu', MEMORY_PRESSURE: 'memory', REQUEST_BLOCKING: 'eventloop' };
+  container.innerHTML = `
+    <table class="simulations-table">
+      <thead>
+        <tr><th>Simulation</th><th>Next run</th><th>In</th><th>Repeat</th><th>Runs</th><th></th></tr>
+      </thead>
+      <tbody>
+        ${entries.map(entry => `
+          <tr class="${typeCss[entry.simulationType] || ''}">
+            <td>${escapeHtml(entry.label)}</td>
+            <td>${formatEventTime(entry.nextAt)}</td>
+            <td class="simulation-countdown" data-next-at="${entry.nextAt}">${countdown(entry.nextAt)}</td>
+            <td>${escapeHtml(describeScheduleRepeat(entry))}</td>
+            <td>${entry.fired} / ${entry.runs || '∞'}</td>
+            <td><button type="button" class="btn-simulation-action" data-schedule-remove="${escapeHtml(entry.id)}">✕ Remove</button></td>
+          </tr>`).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+// =========================================================================
+// RAMP PROFILES
+// =========================================================================
+//
+// Ramps run in ramp-profiles.js; these functions read the Ramp profile
+// options of the CPU and memory forms and draw the planned profile: the
+// form's plan as a preview, or the running plan with a progress line.
+
+const RAMP_PREVIEW_COLORS = { cpu: '#0078d4', memory: '#107c10' };
+// Latest states from onRampChange
+let rampStates = { cpu: null, memory: null };
+
+/**
+ * Reads the Ramp profile options of a form.
+ *
+ * @param {string} kind - 'cpu' | 'memory'
+ * @returns {Object} Spec for buildRampPlan() / startRamp()
+ */
+function rampSpecFromForm(kind) {
+  const value = (field) => document.getElementById(`${kind}-ramp-${field}`)?.value.trim() || '';
+  const number = (field) => (value(field) === '' ? NaN : Number(value(field)));
+  return {
+    kind,
+    shape: value('shape'),
+    from: kind === 'cpu' ? value('from') : number('from'),
+    to: kind === 'cpu' ? value('to') : number('to'),
+    durationSeconds: number('duration'),
+    steps: number('steps'),
+    cycles: number('cycles'),
+    incrementMb: number('increment'),
+    releaseAtEnd: Boolean(document.getElementById(`${kind}-ramp-release`)?.checked),
+  };
+}
+
+/**
+ * Starts the ramp of a form; invalid options go to the event log.
+ *
+ * @param {string} kind - 'cpu' | 'memory'
+ */
+function startRampFromForm(kind) {
+  try {
+    startRamp(rampSpecFromForm(kind));
+  } catch (err) {
+    addEventToLog({ level: 'error', message: err.message });
+  }
+}
+
+/**
+ * Keeps the latest ramp states and redraws both forms' ramp options.
+ *
+ * @param {{cpu: Object|null, memory: Object|null}} states - From getRampStates()
+ */
+function updateRampDisplay(states) {
+  rampStates = states;
+  renderRampOptions('cpu');
+  renderRampOptions('memory');
+}
+
+/**
+ * Shows the fields of the selected shape, the preview (or the running plan)
+ * and the status line of a form's Ramp profile options.
+ *
+ * @param {string} kind - 'cpu' | 'memory'
+ */
+function renderRampOptions(kind) {
+  const options = document.querySelector(`.ramp-options[data-ramp="${kind}"]`);
+  if (!options) return;
+  const shape = document.getElementById(`${kind}-ramp-shape`)?.value;
+  for (const field of options.querySelectorAll('[data-ramp-shapes]')) {
+    field.hidden = !field.dataset.rampShapes.split(' ').includes(shape);
+  }
+
+  const state = rampStates[kind];
+  const status = document.getElementById(`${kind}-ramp-status`);
+  const format = RAMP_KINDS[kind].format;
+  let plan = state?.plan || null;
+  let message;
+  if (state) {
+    const allocations = kind === 'memory' ? `, ${state.allocations} allocations` : '';
+    message = state.stopping ? 'Stopping…'
+      : `Running ${formatUptime(Math.floor(state.elapsedSeconds))} of ${formatUptime(plan.durationSeconds)}, now ${format(state.planned)}${allocations}`;
+  } else {
+    try {
+      plan = buildRampPlan(rampSpecFromForm(kind));
+      message = `${plan.points.length} changes over ${formatUptime(plan.durationSeconds)}`;
+    } catch (err) {
+      message = err.message;
+    }
+  }
+  if (status) {
+    status.textContent = message;
+    status.classList.toggle('ramp-error', !state && !plan);
+  }
+  const startBtn = options.querySelector('[data-ramp-start]');
+  const stopBtn = options.querySelector('[data-ramp-stop]');
+  if (startBtn) startBtn.hidden = Boolean(state);
+  if (stopBtn) {
+    stopBtn.hidden = !state;
+    stopBtn.disabled = Boolean(state?.stopping);
+  }
+  drawRampPreview(document.getElementById(`${kind}-ramp-preview`), plan, state ? state.elapsedSeconds : null);
+}
+
+/**
+ * Draws a ramp plan as a step line, with a progress line while it runs.
+ *
+ * @param {HTMLCanvasElement|null} canvas
+ * @param {Object|null} plan - From buildRampPlan()
+ * @param {number|null} elapsedSeconds - Progress of a running ramp
+ */
+function drawRampPreview(canvas, plan, elapsedSeconds) {
+  // Zero-sized while the options are collapsed
+  if (!canvas || !canvas.clientWidth) return;
+  const dpr = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  canvas.width = width * dpr;
+  canvas.height = height * dpr;
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+  if (!plan) return;
+
+  const kind = RAMP_KINDS[plan.kind];
+  const max = plan.kind === 'cpu' ? kind.levels.length - 1 : Math.max(1, ...plan.points.map(point => point.value));
+  const top = 14;
+  const bottom = height - 14;
+  const x = (seconds) => 2 + (seconds / plan.durationSeconds) * (width - 4);
+  const y = (value) => bottom - (value / max) * (bottom - top);
+
+  ctx.strokeStyle = '#e1dfdd';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(0, bottom + 0.5);
+  ctx.lineTo(width, bottom + 0.5);
+  ctx.stroke();
+
+  ctx.strokeStyle = RAMP_PREVIEW_COLORS[plan.kind];
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  plan.points.forEach((point, index) => {
+    if (index === 0) {
+      ctx.moveTo(x(0), y(point.value));
+    } else {
+      ctx.lineTo(x(point.at), y(plan.points[index - 1].value));
+      ctx.lineTo(x(point.at), y(point.value));
+    }
+  });
+  ctx.lineTo(x(plan.durationSeconds), y(plan.points[plan.points.length - 1].value));
+  ctx.stroke();
+
+  if (elapsedSeconds != null) {
+    ctx.strokeStyle = '#d13438';
+    ctx.setLineDash([3, 3]);
+    ctx.beginPath();
+    ctx.moveTo(x(elapsedSeconds), 0);
+    ctx.lineTo(x(elapsedSeconds), height);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
+  ctx.fillStyle = '#605e5c';
+  ctx.font = '10px sans-serif';
+  ctx.textBaseline = 'top';
+  ctx.fillText(kind.format(max), 2, 0);
+  ctx.textBaseline = 'bottom';
+  ctx.fillText('0s', 2, height);
+  ctx.textAlign = 'right';
+  ctx.fillText(`${plan.durationSeconds}s`, width - 2, height);
+  ctx.textAlign = 'left';
+}
+
+// =========================================================================
+// LOAD GENERATOR
+// =========================================================================
+//
+// Runs live in load-generator.js; these functions read the Load Generator
+// form and render the run: summary, charts (charts.js), the server's
+// /api/loadtest/stats and the latest requests.
+
+// Latest requests shown in the results table
+const LOAD_TEST_TABLE_ROWS = 15;
+
+/**
+ * Reads the Load Generator form.
+ *
+ * @returns {Object} Config for startLoadTest()
+ */
+function loadTestConfigFromForm() {
+  const number = (id) => {
+    const value = document.getElementById(id)?.value.trim() || '';
+    return value === '' ? NaN : Number(value);
+  };
+  return {
+    model: document.getElementById('loadtest-model')?.value || 'open',
+    rps: number('loadtest-rps'),
+    concurrency: number('loadtest-concurrency'),
+    durationSeconds: number('loadtest-duration'),
+    rampSeconds: number('loadtest-ramp') || 0,
+    params: {
+      workMs: number('loadtest-work'),
+      memoryKb: number('loadtest-memory'),
+      holdMs: number('loadtest-hold'),
+    },
+  };
+}
+
+/**
+ * Starts a load test from the form; invalid settings go to the event log.
+ */
+function startLoadTestFromForm() {
+  try {
+    startLoadTest(loadTestConfigFromForm());
+  } catch (err) {
+    addEventToLog({ level: 'error', message: err.message });
+  }
+}
+
+/**
+ * Shows the rate or the concurrency field, depending on the model, and
+ * warns when the settings need more connections than the browser opens.
+ */
+function updateLoadTestForm() {
+  const model = document.getElementById('loadtest-model')?.value;
+  for (const field of document.querySelectorAll('[data-loadtest-model]')) {
+    field.hidden = field.dataset.loadtestModel !== model;
+  }
+  const warning = document.getElementById('loadtest-warning');
+  if (warning && typeof loadTestConnectionWarning === 'function') {
+    const message = loadTestConnectionWarning(loadTestConfigFromForm());
+    warning.hidden = !message;
+    warning.textContent = message ? `⚠️ ${message}` : '';
+  }
+}
+
+/**
+ * Renders the current (or last) load test run.
+ *
+ * @param {Object|null} state - From getLoadTestState()
+ */
+function updateLoadTestDisplay(state) {
+  const running = Boolean(state) && (state.status === 'running' || state.status === 'stopping');
+  const startBtn = document.getElementById('loadtest-start');
+  const stopBtn = document.getElementById('loadtest-stop');
+  if (startBtn) startBtn.hidden = running;
+  if (stopBtn) {
+    stopBtn.hidden = !running;
+    stopBtn.disabled = state?.status === 'stopping';
+  }
+  for (const field of document.querySelectorAll('#loadtest-form input, #loadtest-form select')) {
+    field.disabled = running;
+  }
+  if (typeof updateLoadTestCharts === 'function') {
+    updateLoadTestCharts(state);
+  }
+
+  const summary = document.getElementById('loadtest-summary');
+  if (summary) {
+    summary.hidden = !state;
+    if (state) {
+      const ms = (value) => (value == null ? '—' : value >= 1000 ? `${(value / 1000).toFixed(2)}s` : `${Math.round(value)}ms`);
+      const statusLabels = { running: 'Running', stopping: 'Finishing…', finished: 'Finished', stopped: 'Stopped' };
+      const target = state.status === 'running'
+        ? (state.config.model === 'open' ? ` → ${state.target.toFixed(1)}/s` : ` → ${Math.ceil(state.target)} in flight`)
+        : '';
+      const errorTitle = Object.entries(state.errorKinds).map(([kind, count]) => `${kind}: ${count}`).join(', ');
+      const stats = [
+        ['Status', `${statusLabels[state.status]}${target}`],
+        ['Elapsed', `${formatUptime(Math.floor(state.elapsedSeconds))} / ${formatUptime(state.config.durationSeconds)}`],
+        ['Sent', state.sent],
+        ['OK', state.ok],
+        ['Errors', `<span class="${state.errors > 0 ? 'loadtest-error' : ''}" title="${escapeHtml(errorTitle)}">${state.errors}</span>`],
+        ['In flight', state.inFlight],
+        ['Throughput', `${state.throughput.toFixed(1)}/s`],
+        ['P50', ms(state.latency?.p50)],
+        ['P95', ms(state.latency?.p95)],
+        ['P99', ms(state.latency?.p99)],
+        ['Max', ms(state.latency?.max)],
+      ];
+      if (state.skipped > 0) stats.push(['Skipped', state.skipped]);
+      summary.innerHTML = stats.map(([label, value]) =>
+        `<div class="latency-stat"><span class="stat-label">${label}</span><span class="stat-value">${value}</span></div>`).join('');
+    }
+  }
+
+  const server = document.getElementById('loadtest-server');
+  if (server) {
+    const parts = [];
+    if (state?.serverStats?.periodStart) {
+      // The server's current 60s stats period (all load test clients, not just this run)
+      const s = state.serverStats;
+      const latency = s.requestCount > 0
+        ? `, avg ${Math.round(s.averageResponseTimeMs)}ms, max ${Math.round(s.maxResponseTimeMs)}ms` : '';
+      parts.push(`<span title="GET /api/loadtest/stats — resets every 60s">Server, last ${s.periodSeconds}s: ` +
+        `${s.requestCount} requests${latency}</span>`);
+    }
+    if (state?.workers.length > 0) {
+      parts.push(`<span>Workers: ${state.workers.map(w => `PID ${w.pid} (${w.responses})`).join(', ')}</span>`);
+    }
+    server.innerHTML = parts.join('');
+  }
+
+  const results = document.getElementById('loadtest-results');
+  if (results) {
+    const rows = state ? state.recent.slice(0, LOAD_TEST_TABLE_ROWS) : [];
+    results.innerHTML = rows.length === 0 ? '' : `
+      <table class="simulations-table">
+        <thead>
+          <tr><th>Time</th><th>Result</th><th>Latency</th><th>totalElapsedMs</th><th>Worker PID</th><th>Request ID</th></tr>
+        </thead>
+        <tbody>
+          ${rows.map(result => `
+            <tr>
+              <td>${formatEventTime(result.ts)}</td>
+              <td class="${result.ok ? '' : 'loadtest-error'}">${result.ok ? `✓ ${result.status}` : `✗ ${escapeHtml(result.error)}`}</td>
+              <td>${Math.round(result.latencyMs)}ms</td>
+              <td>${result.serverMs != null ? `${Math.round(result.serverMs)}ms` : '—'}</td>
+              <td>${result.workerPid ?? '—'}</td>
+              <td title="${escapeHtml(result.requestId || '')}">${result.requestId ? escapeHtml(result.requestId.slice(0, 8)) : '—'}</td>
+            </tr>`).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+}
+
+// =========================================================================
+// SCENARIOS
+// =========================================================================
+//
+// Playbooks run in scenario-runner.js; these functions connect it to the
+// scenario card and report failures in the event log.
+
+const SCENARIO_STEP_ICONS = { pending: '○', running: '⏳', done: '✓', failed: '✗', skipped: '–' };
+// Scenario list last rendered into the picker (re-rendered when it changes)
+let renderedScenarioList = '';
+
+/**
+ * Shows the scenario picker, run controls and the timeline of the last run.
+ *
+ * @param {Object|null} run - From getScenarioRunState()
+ */
+function updateScenarioDisplay(run) {
+  if (typeof getScenarios !== 'function') return;
+  const scenarioList = getScenarios();
+  const running = !!run && !['passed', 'failed', 'aborted'].includes(run.status);
+
+  const select = document.getElementById('scenario-select');
+  if (select) {
+    const listJson = JSON.stringify(scenarioList);
+    if (listJson !== renderedScenarioList) {
+      const selected = select.value;
+      const options = (builtIn) => scenarioList.filter(s => s.builtIn === builtIn)
+        .map(s => `<option value="${escapeHtml(s.id)}">${escapeHtml(s.name)}</option>`).join('');
+      const loaded = options(false);
+      select.innerHTML = `<optgroup label="Built-in">${options(true)}</optgroup>` +
+        (loaded ? `<optgroup label="Loaded playbooks">${loaded}</optgroup>` : '');
+      if (scenarioList.some(s => s.id === selected)) select.value = selected;
+      renderedScenarioList = listJson;
+    }
+    select.disabled = running;
+  }
+
+  const show = (id, visible) => {
+    const el = document.getElementById(id);
+    if (el) el.hidden = !visible;
+  };
+  show('scenario-run', !running);
+  show('scenario-pause', running && run.status === 'running' && !run.aborted);
+  show('scenario-resume', running && run.status === 'paused');
+  show('scenario-abort', running && run.status !== 'cleanup' && !run.aborted);
+
+  const description = document.getElementById('scenario-description');
+  const current = select && scenarioList.find(s => s.id === select.value);
+  if (description && current) {
+    description.textContent = `${current.description || 'No description.'} (${current.steps} steps)`;
+  }
+
+  const status = document.getElementById('scenario-status');
+  const timeline = document.getElementById('scenario-timeline');
+  if (!status || !timeline) return;
+  status.hidden = !run;
+  timeline.hidden = !run;
+  if (!run) return;
+
+  const position = run.steps.filter(s => s.phase === 'steps').length;
+  const stepText = run.index < position ? `step ${run.index + 1} of ${position}` : 'cleanup';
+  const elapsed = formatReplayTime(run.elapsedMs);
+  const failed = run.steps.filter(s => s.status === 'failed').length;
+  const statusText = {
+    running: run.aborted ? `Aborting ${run.name}…` : `Running ${run.name}: ${stepText}, ${elapsed}`,
+    paused: `Paused ${run.name} at ${stepText}, ${elapsed}`,
+    cleanup: `Cleaning up after ${run.name}…`,
+    passed: `✓ ${run.name} passed in ${elapsed}`,
+    failed: `✗ ${run.name} failed (${failed} step${failed === 1 ? '' : 's'}) after ${elapsed}`,
+    aborted: `${run.name} aborted after ${elapsed}`,
+  }[run.status];
+  status.textContent = statusText;
+  status.className = `scenario-status ${run.status}`;
+
+  timeline.innerHTML = run.steps.map((step, i) => {
+    const classes = [step.status];
+    if (step.phase === 'cleanup' && (i === 0 || run.steps[i - 1].phase !== 'cleanup')) classes.push('cleanup-start');
+    const time = step.elapsedMs != null ? ` · ${formatReplayTime(step.elapsedMs)}` : '';
+    const prefix = step.phase === 'cleanup' ? 'Cleanup: ' : '';
+    return `<li class="${classes.join(' ')}">` +
+      `<span>${SCENARIO_STEP_ICONS[step.status] || ''}</span>` +
+      `<span>${escapeHtml(prefix + step.label)}</span>` +
+      `<span class="scenario-step-detail">${escapeHtml(step.detail || '')}${time}</span>` +
+      `</li>`;
+  }).join('');
+}
+
+/**
+ * Runs the scenario selected in the picker (confirming crash steps first).
+ *
+ * @returns {Promise<void>}
+ */
+async function runSelectedScenario() {
+  const select = document.getElementById('scenario-select');
+  if (!select || !select.value) return;
+  const id = select.value;
+  try {
+    if (scenarioHasCrashSteps(id) &&
+      !confirm('⚠️ This scenario crashes PHP-FPM workers without asking again.\n\nContinue?')) {
+      return;
+    }
+    await runScenario(id);
+  } catch (err) {
+    addEventToLog({ level: 'error', message: err.message });
+  }
+}
+
+/**
+ * Adds a playbook file chosen by the user to the picker and selects it.
+ *
+ * @param {File} file - JSON or YAML playbook
+ * @returns {Promise<void>}
+ */
+async function loadScenarioFile(file) {
+  try {
+    const id = loadScenario(await file.text());
+    const select = document.getElementById('scenario-select');
+    if (select) select.value = id;
+    updateScenarioDisplay(getScenarioRunState());
+    addEventToLog({ level: 'info', message: `Playbook loaded: ${getScenarios().find(s => s.id === id).name}` });
+  } catch (err) {
+    addEventToLog({ level: 'error', message: `Cannot load ${file.name}: ${err.message}` });
+  }
+}
+
+/**
+ * Downloads the selected playbook as JSON.
+ */
+function downloadSelectedScenario() {
+  const select = document.getElementById('scenario-select');
+  if (!select || !select.value) return;
+  downloadFile(`perfsim-scenario-${select.value}.json`, scenarioToJson(select.value), 'application/json');
+}
+
 // =========================================================================
 // FALLBACK POLLING
 // =========================================================================
@@ -869,7 +2354,9 @@ function startFallbackPolling() {
  */
 async function pollMetrics() {
   try {
-    const response = await fetch('/api/metrics');
+    // polling-client.js (and tracedFetch with it) may be what failed to load
+    const fetchMetrics = typeof tracedFetch === 'function' ? tracedFetch : fetch;
+    const response = await fetchMetrics('/api/metrics');
     if (response.ok) {
       const metrics = await response.json();
       updateDashboard(metrics);
@@ -940,14 +2427,212 @@ document.addEventListener('DOMContentLoaded', () => {
     if (e.key === 'Escape') closeSidePanel();
   });
 
+  // ---- Monitored Targets ----
+  const targetForm = document.getElementById('target-form');
+  if (targetForm) {
+    targetForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const input = document.getElementById('target-url');
+      if (input && handleAddTarget(input.value)) {
+        input.value = '';
+      }
+    });
+  }
+
+  const targetSelect = document.getElementById('target-select');
+  if (targetSelect) {
+    targetSelect.addEventListener('change', () => selectTarget(targetSelect.value));
+  }
+
+  const targetList = document.getElementById('target-list');
+  if (targetList) {
+    targetList.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('.target-chip-remove');
+      if (removeBtn) {
+        handleRemoveTarget(removeBtn.dataset.targetId);
+      }
+    });
+  }
+
+  // ---- Active Simulations ----
+  const activeSimulationsList = document.getElementById('active-simulations');
+  if (activeSimulationsList) {
+    activeSimulationsList.addEventListener('click', async (e) => {
+      const button = e.target.closest('[data-simulation-action]');
+      if (!button) return;
+      button.disabled = true;
+      await runSimulationRowAction(button.dataset.simulationAction, button.dataset.simulationId);
+      // The row is usually re-rendered by now; re-enable it if it is still there
+      button.disabled = false;
+    });
+  }
+
+  // ---- Probe Mode ----
+  const probeModeSelect = document.getElementById('probe-mode-select');
+  if (probeModeSelect) {
+    probeModeSelect.addEventListener('change', () => changeProbeMode(probeModeSelect.value));
+  }
+
+  // ---- Chart Time Window ----
+  const chartWindowSelect = document.getElementById('chart-window-select');
+  if (chartWindowSelect) {
+    chartWindowSelect.addEventListener('change', () => changeChartWindow(chartWindowSelect.value));
+  }
+
+  // ---- Chart Freeze / Zoom ----
+  const chartFreezeBtn = document.getElementById('chart-freeze');
+  if (chartFreezeBtn) {
+    chartFreezeBtn.addEventListener('click', () => freezeCharts());
+  }
+  const chartLiveBtn = document.getElementById('chart-live');
+  if (chartLiveBtn) {
+    chartLiveBtn.addEventListener('click', () => jumpToLive());
+  }
+
+  // ---- Event Markers ----
+  document.querySelectorAll('[data-annotation-category]').forEach(checkbox => {
+    checkbox.addEventListener('change', () => {
+      setAnnotationCategoryVisible(checkbox.dataset.annotationCategory, checkbox.checked);
+    });
+  });
+  const eventLogContainer = document.getElementById('event-log');
+  if (eventLogContainer) {
+    eventLogContainer.addEventListener('click', (event) => {
+      const entry = event.target.closest('.event-log-entry[data-event-key]');
+      if (entry) highlightEventOnCharts(entry.dataset.eventKey);
+    });
+  }
+
+  // ---- Latency Percentile Lines ----
+  const latencyPercentilesToggle = document.getElementById('latency-percentiles-toggle');
+  if (latencyPercentilesToggle) {
+    latencyPercentilesToggle.addEventListener('change', () => {
+      setLatencyPercentilesVisible(latencyPercentilesToggle.checked);
+    });
+  }
+
+  // ---- Export ----
+  document.querySelectorAll('[data-export-png]').forEach(button => {
+    button.addEventListener('click', () => exportChartImage(button.dataset.exportPng));
+  });
+  document.querySelectorAll('[data-export-csv]').forEach(button => {
+    button.addEventListener('click', () => exportChartData(button.dataset.exportCsv));
+  });
+  const exportSessionBtn = document.getElementById('export-session');
+  if (exportSessionBtn) {
+    exportSessionBtn.addEventListener('click', () => {
+      exportSession().catch(err => addEventToLog({ level: 'error', message: `Session export failed: ${err.message}` }));
+    });
+  }
+
+  // ---- Baselines ----
+  const baselineForm = document.getElementById('baseline-form');
+  if (baselineForm) {
+    baselineForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      captureBaselineFromForm();
+    });
+  }
+  const baselineSelect = document.getElementById('baseline-select');
+  if (baselineSelect) {
+    baselineSelect.addEventListener('change', () => changeBaseline(baselineSelect.value));
+  }
+  const baselineDeleteBtn = document.getElementById('baseline-delete');
+  if (baselineDeleteBtn) {
+    baselineDeleteBtn.addEventListener('click', removeSelectedBaseline);
+  }
+
+  // ---- Session Recording ----
+  const recordingStartBtn = document.getElementById('recording-start');
+  if (recordingStartBtn) {
+    recordingStartBtn.addEventListener('click', () => changeSessionRecording(true));
+  }
+  const recordingStopBtn = document.getElementById('recording-stop');
+  if (recordingStopBtn) {
+    recordingStopBtn.addEventListener('click', () => changeSessionRecording(false));
+  }
+  const replayFileInput = document.getElementById('replay-file');
+  const replayOpenBtn = document.getElementById('replay-open');
+  if (replayFileInput && replayOpenBtn) {
+    replayOpenBtn.addEventListener('click', () => replayFileInput.click());
+    replayFileInput.addEventListener('change', () => {
+      const file = replayFileInput.files[0];
+      // Reset so choosing the same file again still fires 'change'
+      replayFileInput.value = '';
+      if (file) replaySessionFile(file);
+    });
+  }
+  const replaySpeedSelect = document.getElementById('replay-speed');
+  if (replaySpeedSelect) {
+    replaySpeedSelect.addEventListener('change', () => changeReplaySpeed(replaySpeedSelect.value));
+  }
+  const replayButtons = {
+    'replay-pause': () => pauseSessionReplay(),
+    'replay-resume': () => resumeSessionReplay(),
+    'replay-exit': () => stopSessionReplay(),
+  };
+  for (const [id, action] of Object.entries(replayButtons)) {
+    const button = document.getElementById(id);
+    if (button) button.addEventListener('click', action);
+  }
+
+  // ---- Scenarios ----
+  const scenarioSelect = document.getElementById('scenario-select');
+  if (scenarioSelect) {
+    scenarioSelect.addEventListener('change', () => updateScenarioDisplay(getScenarioRunState()));
+  }
+  const scenarioFileInput = document.getElementById('scenario-file');
+  const scenarioOpenBtn = document.getElementById('scenario-open');
+  if (scenarioFileInput && scenarioOpenBtn) {
+    scenarioOpenBtn.addEventListener('click', () => scenarioFileInput.click());
+    scenarioFileInput.addEventListener('change', () => {
+      const file = scenarioFileInput.files[0];
+      // Reset so choosing the same file again still fires 'change'
+      scenarioFileInput.value = '';
+      if (file) loadScenarioFile(file);
+    });
+  }
+  const scenarioButtons = {
+    'scenario-run': () => runSelectedScenario(),
+    'scenario-pause': () => pauseScenario(),
+    'scenario-resume': () => resumeScenario(),
+    'scenario-abort': () => abortScenario(),
+    'scenario-download': () => downloadSelectedScenario(),
+  };
+  for (const [id, action] of Object.entries(scenarioButtons)) {
+    const button = document.getElementById(id);
+    if (button) button.addEventListener('click', action);
+  }
+
+  // ---- Latency Thresholds ----
+  const latencyThresholdsForm = document.getElementById('latency-thresholds-form');
+  if (latencyThresholdsForm) {
+    latencyThresholdsForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      changeLatencyThresholds();
+    });
+  }
+  const latencyThresholdsReset = document.getElementById('latency-thresholds-reset');
+  if (latencyThresholdsReset) {
+    latencyThresholdsReset.addEventListener('click', () => {
+      resetLatencyThresholds();
+      updateLatencyThresholdsDisplay();
+    });
+  }
+
+  // ---- Latency View ----
+  const latencyViewSelect = document.getElementById('latency-view-select');
+  if (latencyViewSelect) {
+    latencyViewSelect.addEventListener('change', () => changeLatencyView(latencyViewSelect.value));
+  }
+
   // ---- CPU Stress Form ----
   const cpuForm = document.getElementById('cpu-form');
   if (cpuForm) {
     cpuForm.addEventListener('submit', (e) => {
       e.preventDefault();
-      const level = document.getElementById('cpu-level')?.value || 'high';
-      const duration = parseInt(document.getElementById('cpu-duration')?.value || '30', 10);
-      startCpuStress(level, duration);
+      const { level, durationSeconds } = SIMULATION_FORM_PARAMS.cpu();
+      startCpuStress(level, durationSeconds);
     });
   }
 
@@ -961,8 +2646,7 @@ document.addEventListener('DOMContentLoaded', () => {
   if (memoryForm) {
     memoryForm.addEventListener('submit', (e) => {
       e.preventDefault();
-      const sizeMb = parseInt(document.getElementById('memory-size')?.value || '256', 10);
-      startMemoryPressure(sizeMb);
+      startMemoryPressure(SIMULATION_FORM_PARAMS.memory().sizeMb);
     });
   }
 
@@ -976,12 +2660,54 @@ document.addEventListener('DOMContentLoaded', () => {
   if (blockingForm) {
     blockingForm.addEventListener('submit', (e) => {
       e.preventDefault();
-      const duration = parseInt(document.getElementById('blocking-duration')?.value || '5', 10);
-      const workerCount = parseInt(document.getElementById('blocking-worker-count')?.value || '5', 10);
-      blockRequestThread(duration, workerCount);
+      const { durationSeconds, concurrentWorkers } = SIMULATION_FORM_PARAMS.blocking();
+      blockRequestThread(durationSeconds, concurrentWorkers);
     });
   }
 
+  // ---- Schedule / Repeat Options ----
+  for (const button of document.querySelectorAll('[data-schedule]')) {
+    button.addEventListener('click', () => scheduleFromForm(button.dataset.schedule));
+  }
+  const scheduledList = document.getElementById('scheduled-simulations');
+  if (scheduledList) {
+    scheduledList.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('[data-schedule-remove]');
+      if (removeBtn) {
+        removeScheduledSimulation(removeBtn.dataset.scheduleRemove);
+      }
+    });
+  }
+
+  // ---- Ramp Profiles ----
+  for (const options of document.querySelectorAll('.ramp-options[data-ramp]')) {
+    const kind = options.dataset.ramp;
+    options.addEventListener('input', () => renderRampOptions(kind));
+    // The preview has no size while collapsed
+    options.addEventListener('toggle', () => renderRampOptions(kind));
+  }
+  for (const button of document.querySelectorAll('[data-ramp-start]')) {
+    button.addEventListener('click', () => startRampFromForm(button.dataset.rampStart));
+  }
+  for (const button of document.querySelectorAll('[data-ramp-stop]')) {
+    button.addEventListener('click', () => stopRamp(button.dataset.rampStop));
+  }
+
+  // ---- Load Generator ----
+  const loadTestForm = document.getElementById('loadtest-form');
+  if (loadTestForm) {
+    loadTestForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      startLoadTestFromForm();
+    });
+    // Model switch and the connection warning follow every edit
+    loadTestForm.addEventListener('input', updateLoadTestForm);
+  }
+  const loadTestStop = document.getElementById('loadtest-stop');
+  if (loadTestStop) {
+    loadTestStop.addEventListener('click', () => stopLoadTest());
+  }
+
   // ---- Crash Form ----
   const crashForm = document.getElementById('crash-form');
   if (crashForm) {
@@ -0,0 +1,168 @@
+/**
+ * =============================================================================
+ * LATENCY QUANTILES — Streaming Rolling-Window Percentile Estimator
+ * =============================================================================
+ *
+ * FEATURE REQUIREMENTS (language-agnostic):
+ *   This module must:
+ *   1. Report P50 / P90 / P95 / P99 / P99.9, average and max latency over a
+ *      rolling window (60 seconds on the dashboard)
+ *   2. Cost O(1) per sample and a bounded, small amount per query, however
+ *      many samples the window holds
+ *   3. Keep each percentile within a fixed relative error of the exact value
+ *
+ * HOW IT WORKS (this implementation):
+ *   - Log-bucketed histogram (the DDSketch / HDR idea): bucket i holds values
+ *     in (γ^(i-1), γ^i] with γ = (1 + α) / (1 - α), so reporting a bucket's
+ *     midpoint is within α (1%) of any value in it. 10µs to 10 minutes takes
+ *     about 900 buckets
+ *   - The window is split into 1-second slices. Each slice keeps its own
+ *     sparse bucket counts, sum and max; window totals are updated as slices
+ *     are added and expire, so nothing is re-scanned per sample
+ *   - A query walks the window totals once for all requested percentiles;
+ *     max is the largest slice max, so it is exact
+ *   - Times use the browser clock; samples older than the window are ignored,
+ *     and out-of-order samples (history restored after a reload) are filed
+ *     into the slice they belong to
+ *
+ * USED BY:
+ *   charts.js — the latency card statistics and the percentile lines on the
+ *   latency chart
+ *
+ * PORTING NOTES:
+ *   This file is frontend JavaScript and stays JS regardless of backend.
+ *   Libraries such as hdr-histogram-js, tdigest or @datadog/sketches-js do
+ *   the same job; the contract is add() + quantiles() + stats().
+ */
+
+const QUANTILE_RELATIVE_ERROR = 0.01;
+const QUANTILE_MIN_MS = 0.01;            // Smaller values share the first bucket
+const QUANTILE_MAX_MS = 10 * 60 * 1000;  // Larger values share the last bucket
+
+/**
+ * Creates an empty rolling latency histogram.
+ * @param {Object} [options]
+ * @param {number} [options.windowMs=60000] - Rolling window length
+ * @param {number} [options.sliceMs=1000] - Expiry granularity
+ * @param {number} [options.relativeError] - Bucket accuracy (0.01 = ±1%)
+ * @returns {Object} Histogram with add / quantiles / stats / clear
+ */
+function createLatencyHistogram({ windowMs = 60000, sliceMs = 1000, relativeError = QUANTILE_RELATIVE_ERROR } = {}) {
+  const gamma = (1 + relativeError) / (1 - relativeError);
+  const logGamma = Math.log(gamma);
+  const offset = Math.ceil(Math.log(QUANTILE_MIN_MS) / logGamma);
+  const bucketCount = Math.ceil(Math.log(QUANTILE_MAX_MS) / logGamma) - offset + 1;
+
+  const indexOf = (value) => {
+    const index = Math.ceil(Math.log(Math.max(value, QUANTILE_MIN_MS)) / logGamma) - offset;
+    return Math.max(0, Math.min(bucketCount - 1, index));
+  };
+  const valueOf = (index) => 2 * Math.pow(gamma, index + offset) / (gamma + 1);
+
+  return {
+    windowMs,
+    sliceMs,
+    // Oldest first: { start, counts: Map(index → count), count, sum, max }
+    slices: [],
+    counts: new Float64Array(bucketCount),
+    count: 0,
+    sum: 0,
+
+    /**
+     * Records one latency sample.
+     * @param {number} value - Latency in ms
+     * @param {number} [time] - Sample time (ms since epoch, browser clock)
+     */
+    add(value, time = Date.now()) {
+      if (!Number.isFinite(value) || value < 0) return;
+      this.expire();
+      if (time <= Date.now() - this.windowMs) return;
+
+      const slice = this.sliceAt(Math.floor(time / this.sliceMs) * this.sliceMs);
+      const index = indexOf(value);
+      slice.counts.set(index, (slice.counts.get(index) || 0) + 1);
+      slice.count++;
+      slice.sum += value;
+      if (value > slice.max) slice.max = value;
+
+      this.counts[index]++;
+      this.count++;
+      this.sum += value;
+    },
+
+    /**
+     * Gets (creating in time order) the slice starting at a time.
+     */
+    sliceAt(start) {
+      let i = this.slices.length;
+      while (i > 0 && this.slices[i - 1].start > start) i--;
+      if (i > 0 && this.slices[i - 1].start === start) return this.slices[i - 1];
+
+      const slice = { start, counts: new Map(), count: 0, sum: 0, max: 0 };
+      this.slices.splice(i, 0, slice);
+      return slice;
+    },
+
+    /**
+     * Drops slices that left the window and takes them out of the totals.
+     */
+    expire() {
+      const cutoff = Date.now() - this.windowMs;
+      while (this.slices.length > 0 && this.slices[0].start + this.sliceMs <= cutoff) {
+        const slice = this.slices.shift();
+        for (const [index, count] of slice.counts) {
+          this.counts[index] -= count;
+        }
+        this.count -= slice.count;
+        this.sum -= slice.sum;
+      }
+      if (this.count === 0) this.sum = 0;  // No float drift once empty
+    },
+
+    /**
+     * Estimates percentiles over the window.
+     * @param {number[]} qs - Quantiles in ascending order, e.g. [0.5, 0.99]
+     * @returns {Array<number|null>} Estimates (ms), null when the window is empty
+     */
+    quantiles(qs) {
+      this.expire();
+      if (this.count === 0) return qs.map(() => null);
+
+      const max = this.stats().max;
+      const results = [];
+      let seen = 0;
+      let q = 0;
+      for (let index = 0; index < bucketCount && q < qs.length; index++) {
+        seen += this.counts[index];
+        // Nearest-rank: the sample at rank q·(n-1) falls in this bucket
+        while (q < qs.length && seen > qs[q] * (this.count - 1)) {
+          results.push(Math.min(valueOf(index), max));
+          q++;
+        }
+      }
+      while (results.length < qs.length) results.push(max);
+      return results;
+    },
+
+    /**
+     * Sample count, average and maximum over the window.
+     * @returns {{count: number, avg: number|null, max: number|null}}
+     */
+    stats() {
+      this.expire();
+      if (this.count === 0) return { count: 0, avg: null, max: null };
+      let max = 0;
+      for (const slice of this.slices) {
+        if (slice.max > max) max = slice.max;
+      }
+      return { count: this.count, avg: this.sum / this.count, max };
+    },
+
+    clear() {
+      this.slices.length = 0;
+      this.counts.fill(0);
+      this.count = 0;
+      this.sum = 0;
+    },
+  };
+}
@@ -0,0 +1,477 @@
+/**
+ * =============================================================================
+ * LOAD GENERATOR — Browser-Driven Load Against /api/loadtest
+ * =============================================================================
+ *
+ * FEATURE REQUIREMENTS (language-agnostic):
+ *   This module must:
+ *   1. Send GET /api/loadtest requests (workMs, memoryKb, holdMs) from the
+ *      browser, so load can be generated without external tools
+ *   2. Support an open model (a target request rate, whatever the response
+ *      times) and a closed model (a fixed number of requests in flight, each
+ *      sent when the previous one returns), with a duration and a linear ramp
+ *   3. Report every request (client latency, server totalElapsedMs,
+ *      workerPid) and per-second throughput, errors and latency percentiles
+ *      while the run goes on, next to the server's /api/loadtest/stats
+ *
+ * HOW IT WORKS (this implementation):
+ *   - Requests go through perfSimApi.loadTest(), which skips retries,
+ *     de-duplication and the error / recording hooks: each request is a
+ *     measurement, and failures are counted here instead of logged one by one
+ *   - A LOAD_TEST_TICK_MS timer paces the run. Open model: the number of
+ *     requests due by now is the integral of the (ramping) rate, and the
+ *     difference is sent; past LOAD_TEST_MAX_IN_FLIGHT they are counted as
+ *     skipped rather than queued. Closed model: the in-flight count is topped
+ *     up to the (ramping) concurrency on every tick and every response
+ *   - Latency is measured in the browser around the whole request, so it
+ *     includes queueing in the browser: browsers open only about 6
+ *     connections per origin over HTTP/1.1, which caps real concurrency.
+ *     loadTestConnectionWarning() flags configurations that expect more
+ *     requests in flight than that
+ *   - Each request times out after workMs + holdMs + LOAD_TEST_TIMEOUT_HEADROOM_MS
+ *     (at least the API client's own timeout), so slow but valid requests
+ *     and time queued in the browser or in FPM are not counted as timeouts
+ *   - Results are summarized per second of the run (finished seconds keep
+ *     counts and percentiles only); run totals use a latency histogram from
+ *     latency-quantiles.js
+ *   - When the duration is over, nothing new is sent and the run finishes
+ *     once the requests in flight have returned (or timed out)
+ *
+ * USED BY:
+ *   dashboard.js — the Load Generator card (form, summary, request table)
+ *   charts.js    — the load generator throughput and latency charts
+ *
+ * PORTING NOTES:
+ *   This file is frontend JavaScript and stays JS regardless of backend.
+ *   The limits in LOAD_TEST_PARAMS mirror LoadTestService's clamps; keep
+ *   them in step if a port changes them.
+ */
+
+// Pacing granularity of the open model (and closed-model top-ups)
+const LOAD_TEST_TICK_MS = 50;
+// How often the dashboard is told about progress
+const LOAD_TEST_UPDATE_MS = 500;
+const LOAD_TEST_STATS_POLL_MS = 2000;
+const LOAD_TEST_MAX_IN_FLIGHT = 256;
+const LOAD_TEST_MAX_DURATION_SECONDS = 3600;
+const LOAD_TEST_RECENT_RESULTS = 50;
+// Connections a browser opens per origin over HTTP/1.1
+const LOAD_TEST_BROWSER_CONNECTIONS = 6;
+// Allowed on top of a request's workMs + holdMs (queueing, network, PHP startup)
+const LOAD_TEST_TIMEOUT_HEADROOM_MS = 10000;
+
+// Form fields → [min, max]; request parameters match LoadTestService
+const LOAD_TEST_LIMITS = {
+  rps: [1, 500],
+  concurrency: [1, LOAD_TEST_MAX_IN_FLIGHT],
+  durationSeconds: [1, LOAD_TEST_MAX_DURATION_SECONDS],
+  rampSeconds: [0, LOAD_TEST_MAX_DURATION_SECONDS],
+};
+const LOAD_TEST_PARAMS = {
+  workMs: [10, 5000],
+  memoryKb: [1, 50000],
+  holdMs: [0, 5000],
+};
+
+let loadTestRun = null;
+
+/**
+ * Current time on the server timeline.
+ */
+function loadTestNow() {
+  return typeof serverNow === 'function' ? serverNow() : Date.now();
+}
+
+/**
+ * Checks a load test configuration.
+ * @param {Object} config
+ * @param {string} config.model - 'open' | 'closed'
+ * @param {number} [config.rps] - open: target requests per second
+ * @param {number} [config.concurrency] - closed: requests in flight
+ * @param {number} config.durationSeconds - Length of the run, ramp included
+ * @param {number} [config.rampSeconds] - Linear ramp from zero to the target
+ * @param {Object} config.params - { workMs, memoryKb, holdMs } for /api/loadtest
+ * @returns {Object} The configuration with defaults filled in
+ * @throws {Error} If a value is missing or out of range
+ */
+function validateLoadTestConfig(config) {
+  if (config.model !== 'open' && config.model !== 'closed') {
+    throw new Error(`Unknown load model "${config.model}"`);
+  }
+  const inRange = (value, name, [min, max], integer) => {
+    if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+      throw new Error(`${name} must be ${integer ? 'a whole number ' : ''}between ${min} and ${max}`);
+    }
+    return value;
+  };
+  const target = config.model === 'open'
+    ? inRange(config.rps, 'Target rate (req/s)', LOAD_TEST_LIMITS.rps, false)
+    : inRange(config.concurrency, 'Concurrency', LOAD_TEST_LIMITS.concurrency, true);
+  const durationSeconds = inRange(config.durationSeconds, 'Duration (s)', LOAD_TEST_LIMITS.durationSeconds, true);
+  const rampSeconds = inRange(config.rampSeconds || 0, 'Ramp (s)', LOAD_TEST_LIMITS.rampSeconds, true);
+  if (rampSeconds > durationSeconds) {
+    throw new Error('The ramp can\'t be longer than the run');
+  }
+  const params = {};
+  for (const [name, limits] of Object.entries(LOAD_TEST_PARAMS)) {
+    params[name] = inRange(config.params?.[name], name, limits, true);
+  }
+  return { model: config.model, target, durationSeconds, rampSeconds, params };
+}
+
+/**
+ * Timeout of one load test request: its own work and hold time plus
+ * headroom, and never less than the API client's default.
+ * @param {Object} params - { workMs, memoryKb, holdMs }
+ * @returns {number} ms
+ */
+function loadTestRequestTimeoutMs(params) {
+  const minimum = typeof API_TIMEOUT_MS === 'number' ? API_TIMEOUT_MS : 10000;
+  return Math.max(minimum, params.workMs + params.holdMs + LOAD_TEST_TIMEOUT_HEADROOM_MS);
+}
+
+/**
+ * Warns when a configuration needs more requests in flight than a browser
+ * opens connections per origin; the rest wait in the browser, and that
+ * wait is measured as latency instead of reaching the server.
+ * @param {Object} config - See validateLoadTestConfig()
+ * @returns {string|null} The warning, or null if the load fits
+ */
+function loadTestConnectionWarning(config) {
+  let valid;
+  try {
+    valid = validateLoadTestConfig(config);
+  } catch (error) {
+    return null;
+  }
+  // Open model: at least rate × server time per request (Little's law)
+  const inFlight = valid.model === 'closed'
+    ? valid.target
+    : valid.target * (valid.params.workMs + valid.params.holdMs) / 1000;
+  if (inFlight <= LOAD_TEST_BROWSER_CONNECTIONS) return null;
+  return `About ${Math.ceil(inFlight)} requests in flight, but a browser opens about ${LOAD_TEST_BROWSER_CONNECTIONS} ` +
+    'connections per server over HTTP/1.1: the rest queue in the browser, which shows as latency, not server load';
+}
+
+/**
+ * Target rate (open) or concurrency (closed) at a time into the run.
+ * @param {Object} config - From validateLoadTestConfig()
+ * @param {number} seconds
+ * @returns {number}
+ */
+function loadTestTargetAt(config, seconds) {
+  if (config.rampSeconds <= 0 || seconds >= config.rampSeconds) return config.target;
+  return config.target * Math.max(0, seconds) / config.rampSeconds;
+}
+
+/**
+ * Open model: requests due in the first `seconds` of the run (the
+ * integral of the ramping rate).
+ */
+function openModelRequestsDue(config, seconds) {
+  const ramp = Math.min(seconds, config.rampSeconds);
+  const rampPart = config.rampSeconds > 0 ? config.target * ramp * ramp / (2 * config.rampSeconds) : 0;
+  return rampPart + config.target * Math.max(0, seconds - config.rampSeconds);
+}
+
+/**
+ * Starts a load test.
+ * @param {Object} config - See validateLoadTestConfig()
+ * @returns {Object} State, as returned by getLoadTestState()
+ * @throws {Error} If the configuration is invalid, a run is going on or a
+ *   session is replaying
+ */
+function startLoadTest(config) {
+  if (isLoadTestRunning()) {
+    throw new Error('A load test is already running; stop it first');
+  }
+  if (typeof isSessionReplaying === 'function' && isSessionReplaying()) {
+    throw new Error('Stop the replay before starting a load test');
+  }
+  const valid = validateLoadTestConfig(config);
+
+  loadTestRun = {
+    config: valid,
+    status: 'running',        // → 'stopping' → 'finished' | 'stopped'
+    startedAt: loadTestNow(),
+    startedPerf: performance.now(),
+    endedAt: null,
+    stopRequested: false,
+    due: 0,                   // Open model: requests scheduled so far
+    sent: 0,
+    completed: 0,
+    ok: 0,
+    errors: 0,
+    skipped: 0,
+    inFlight: 0,
+    errorKinds: {},
+    seconds: [],              // Per second of the run, see loadTestSecond()
+    recent: [],
+    workers: new Map(),       // workerPid → responses
+    timeoutMs: loadTestRequestTimeoutMs(valid.params),
+    warning: loadTestConnectionWarning(valid),
+    histogram: typeof createLatencyHistogram === 'function'
+      ? createLatencyHistogram({ windowMs: 24 * 60 * 60 * 1000 }) : null,
+    serverStats: null,
+    timers: [],
+  };
+  const run = loadTestRun;
+  run.timers.push(
+    setInterval(() => tickLoadTest(run), LOAD_TEST_TICK_MS),
+    setInterval(() => notifyLoadTestChange(), LOAD_TEST_UPDATE_MS),
+    setInterval(() => pollLoadTestStats(run), LOAD_TEST_STATS_POLL_MS)
+  );
+
+  const { model, target, durationSeconds, rampSeconds, params } = valid;
+  const load = model === 'open' ? `${target} req/s (open model)` : `${target} in flight (closed model)`;
+  const ramp = rampSeconds > 0 ? `, ${rampSeconds}s ramp` : '';
+  loadTestLog('info', `🚦 Load test started: ${load} for ${durationSeconds}s${ramp}, workMs=${params.workMs} memoryKb=${params.memoryKb} holdMs=${params.holdMs}`);
+  if (run.warning) loadTestLog('warning', `🚦 ${run.warning}`);
+  tickLoadTest(run);
+  pollLoadTestStats(run);
+  notifyLoadTestChange();
+  return getLoadTestState();
+}
+
+/**
+ * Stops sending; the run finishes when the requests in flight return.
+ */
+function stopLoadTest() {
+  if (!loadTestRun || loadTestRun.status !== 'running') return;
+  loadTestRun.stopRequested = true;
+  tickLoadTest(loadTestRun);
+}
+
+function tickLoadTest(run) {
+  if (run.status === 'finished' || run.status === 'stopped') return;
+  const elapsed = (performance.now() - run.startedPerf) / 1000;
+
+  if (run.status === 'running' && (run.stopRequested || elapsed >= run.config.durationSeconds)) {
+    run.status = 'stopping';
+  }
+  if (run.status === 'stopping') {
+    if (run.inFlight === 0) finishLoadTest(run);
+    return;
+  }
+
+  if (run.config.model === 'open') {
+    const due = Math.floor(openModelRequestsDue(run.config, elapsed));
+    while (run.due < due) {
+      run.due++;
+      if (run.inFlight >= LOAD_TEST_MAX_IN_FLIGHT) {
+        run.skipped++;
+        loadTestSecond(run, elapsed).skipped++;
+      } else {
+        sendLoadTestRequest(run);
+      }
+    }
+  } else {
+    fillClosedModel(run, elapsed);
+  }
+}
+
+/**
+ * Closed model: tops the in-flight requests up to the current concurrency.
+ */
+function fillClosedModel(run, elapsed) {
+  // At least one request in flight, even at the start of a ramp
+  const target = Math.max(1, Math.ceil(loadTestTargetAt(run.config, elapsed)));
+  while (run.inFlight < target) {
+    sendLoadTestRequest(run);
+  }
+}
+
+/**
+ * Sends one request and records its result.
+ */
+async function sendLoadTestRequest(run) {
+  const sentPerf = performance.now();
+  run.sent++;
+  run.inFlight++;
+  loadTestSecond(run, (sentPerf - run.startedPerf) / 1000).sent++;
+
+  const result = { ts: 0, latencyMs: 0, ok: false, status: null, serverMs: null, workerPid: null, requestId: null, error: null };
+  try {
+    const response = await perfSimApi.loadTest(run.config.params, { timeoutMs: run.timeoutMs });
+    result.ok = true;
+    result.status = response.status;
+    result.serverMs = response.data.totalElapsedMs;
+    result.workerPid = response.data.workerPid ?? null;
+    result.requestId = response.requestId;
+  } catch (error) {
+    result.status = error.status ?? null;
+    result.requestId = error.requestId ?? null;
+    result.error = error.kind === 'http' ? `HTTP ${error.status}` : (error.kind || 'error');
+  }
+  const donePerf = performance.now();
+  result.ts = loadTestNow();
+  result.latencyMs = donePerf - sentPerf;
+  run.inFlight--;
+  recordLoadTestResult(run, result, (donePerf - run.startedPerf) / 1000);
+
+  if (run.status === 'running' && run.config.model === 'closed') {
+    const elapsed = (donePerf - run.startedPerf) / 1000;
+    if (!run.stopRequested && elapsed < run.config.durationSeconds) fillClosedModel(run, elapsed);
+  }
+  if (run.status === 'stopping' && run.inFlight === 0) finishLoadTest(run);
+}
+
+function recordLoadTestResult(run, result, elapsed) {
+  run.completed++;
+  const second = loadTestSecond(run, elapsed);
+  if (result.ok) {
+    run.ok++;
+    second.ok++;
+    second.latencies.push(result.latencyMs);
+    if (Number.isFinite(result.serverMs)) {
+      second.serverMsSum += result.serverMs;
+      second.serverCount++;
+    }
+    if (run.histogram) run.histogram.add(result.latencyMs);
+    if (result.workerPid != null) {
+      run.workers.set(result.workerPid, (run.workers.get(result.workerPid) || 0) + 1);
+    }
+  } else {
+    run.errors++;
+    second.errors++;
+    run.errorKinds[result.error] = (run.errorKinds[result.error] || 0) + 1;
+  }
+  run.recent.unshift(result);
+  if (run.recent.length > LOAD_TEST_RECENT_RESULTS) run.recent.length = LOAD_TEST_RECENT_RESULTS;
+}
+
+/**
+ * The summary of the second of the run a time falls in (created on demand).
+ * Latencies are kept only until the second is over; see summarizeLoadTestSecond().
+ */
+function loadTestSecond(run, elapsed) {
+  const index = Math.max(0, Math.floor(elapsed));
+  for (let i = run.seconds.length; i <= index; i++) {
+    run.seconds.push({ second: i, sent: 0, ok: 0, errors: 0, skipped: 0, latencies: [], serverMsSum: 0, serverCount: 0, p50: null, p95: null, serverMs: null });
+  }
+  return run.seconds[index];
+}
+
+/**
+ * Replaces a finished second's latencies with its percentiles.
+ */
+function summarizeLoadTestSecond(second) {
+  if (!second.latencies) return;
+  const sorted = second.latencies.sort((a, b) => a - b);
+  const at = (q) => (sorted.length > 0 ? sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))] : null);
+  second.p50 = at(0.5);
+  second.p95 = at(0.95);
+  second.serverMs = second.serverCount > 0 ? second.serverMsSum / second.serverCount : null;
+  second.latencies = null;
+}
+
+function finishLoadTest(run) {
+  if (run.status === 'finished' || run.status === 'stopped') return;
+  run.status = run.stopRequested ? 'stopped' : 'finished';
+  run.endedAt = loadTestNow();
+  for (const timer of run.timers) clearInterval(timer);
+  run.timers = [];
+  for (const second of run.seconds) summarizeLoadTestSecond(second);
+  pollLoadTestStats(run);
+
+  const state = getLoadTestState();
+  const latency = state.latency ? `, P50 ${Math.round(state.latency.p50)}ms, P95 ${Math.round(state.latency.p95)}ms` : '';
+  const skipped = run.skipped > 0 ? `, ${run.skipped} skipped` : '';
+  loadTestLog(run.errors > 0 ? 'warning' : 'success',
+    `🚦 Load test ${run.status}: ${run.completed} requests, ${run.ok} OK, ${run.errors} errors${skipped}, ${state.throughput.toFixed(1)} req/s${latency}`);
+  notifyLoadTestChange();
+}
+
+/**
+ * Fetches /api/loadtest/stats for the card (failures go to the console
+ * through perfSimApi.onError, as for other background GETs).
+ */
+function pollLoadTestStats(run) {
+  perfSimApi.loadTestStats().then(response => {
+    run.serverStats = response.data;
+    if (run === loadTestRun) notifyLoadTestChange();
+  }).catch(() => {});
+}
+
+/**
+ * Is a load test sending or waiting for its last responses?
+ * @returns {boolean}
+ */
+function isLoadTestRunning() {
+  return Boolean(loadTestRun && (loadTestRun.status === 'running' || loadTestRun.status === 'stopping'));
+}
+
+/**
+ * State of the current (or last) run.
+ * @returns {Object|null} { status, config, startedAt, elapsedSeconds, sent,
+ *   completed, ok, errors, skipped, inFlight, target, throughput, errorKinds,
+ *   latency: { p50, p95, p99, avg, max } | null, seconds (finished seconds:
+ *   { second, sent, ok, errors, skipped, p50, p95, serverMs }), recent,
+ *   workers: [{ pid, responses }], serverStats, timeoutMs, warning };
+ *   null before the first run
+ */
+function getLoadTestState() {
+  const run = loadTestRun;
+  if (!run) return null;
+  const running = run.status === 'running' || run.status === 'stopping';
+  const elapsedSeconds = running
+    ? (performance.now() - run.startedPerf) / 1000
+    : (run.endedAt - run.startedAt) / 1000;
+  // Seconds still filling are left out, so the charts don't dip at the end
+  const current = running ? Math.floor(elapsedSeconds) : Infinity;
+  const seconds = run.seconds.filter(second => second.second < current);
+  for (const second of seconds) summarizeLoadTestSecond(second);
+
+  let latency = null;
+  if (run.histogram && run.histogram.stats().count > 0) {
+    const [p50, p95, p99] = run.histogram.quantiles([0.5, 0.95, 0.99]);
+    const { avg, max } = run.histogram.stats();
+    latency = { p50, p95, p99, avg, max };
+  }
+  return {
+    status: run.status,
+    config: run.config,
+    startedAt: run.startedAt,
+    elapsedSeconds,
+    sent: run.sent,
+    completed: run.completed,
+    ok: run.ok,
+    errors: run.errors,
+    skipped: run.skipped,
+    inFlight: run.inFlight,
+    target: run.status === 'running' ? loadTestTargetAt(run.config, elapsedSeconds) : 0,
+    // Average over the run so far
+    throughput: run.ok / Math.max(1, elapsedSeconds),
+    errorKinds: { ...run.errorKinds },
+    latency,
+    seconds: seconds.map(({ second, sent, ok, errors, skipped, p50, p95, serverMs }) => ({ second, sent, ok, errors, skipped, p50, p95, serverMs })),
+    recent: run.recent.slice(),
+    workers: [...run.workers].map(([pid, responses]) => ({ pid, responses })).sort((a, b) => b.responses - a.responses),
+    serverStats: run.serverStats,
+    timeoutMs: run.timeoutMs,
+    warning: run.warning,
+  };
+}
+
+function loadTestLog(level, message) {
+  if (typeof addEventToLog === 'function') {
+    addEventToLog({ level, message });
+  }
+}
+
+/**
+ * Tells the dashboard (window.onLoadTestChange) about progress.
+ */
+function notifyLoadTestChange() {
+  if (typeof onLoadTestChange === 'function') {
+    onLoadTestChange(getLoadTestState());
+  }
+}
+
+window.LOAD_TEST_LIMITS = LOAD_TEST_LIMITS;
+window.LOAD_TEST_PARAMS = LOAD_TEST_PARAMS;
+window.loadTestConnectionWarning = loadTestConnectionWarning;
+window.startLoadTest = startLoadTest;
+window.stopLoadTest = stopLoadTest;
+window.isLoadTestRunning = isLoadTestRunning;
+window.getLoadTestState = getLoadTestState;
@@ -0,0 +1,305 @@
+/**
+ * =============================================================================
+ * OFFLINE STORE — Rolling IndexedDB History for the Dashboard
+ * =============================================================================
+ *
+ * FEATURE REQUIREMENTS (language-agnostic):
+ *   This module must:
+ *   1. Persist probe samples (including failed probes), metrics snapshots and
+ *      the dashboard event log in browser storage
+ *   2. Keep the storage bounded (rolling window by age and record count)
+ *   3. Let charts and the event log rehydrate after a page reload, so a full
+ *      crash-and-restart cycle can be reviewed afterwards
+ *   4. Never break the live dashboard when storage is unavailable
+ *
+ * HOW IT WORKS (this implementation):
+ *   - One IndexedDB database with three object stores: probes, metrics,
+ *     events. Records get an auto-increment key and are indexed by `ts`
+ *     (ms since epoch, server timeline) and by [session, ts]
+ *   - Every open tab shares the database, so records are tagged with a
+ *     per-tab session id kept in sessionStorage (it survives reloads of the
+ *     tab, not other tabs). Reads and the record limits apply to this tab's
+ *     session only; other tabs' records (and those of closed tabs) age out
+ *     through the retention window
+ *   - append() only queues the record; the queue is flushed once per second
+ *     in a single transaction, so 10 probes/sec cost one write per second
+ *   - After each flush, records older than the retention window are deleted
+ *     and each store is trimmed to its record limit (oldest first)
+ *   - A transaction that can't even start (e.g. InvalidStateError once the
+ *     connection closed) is logged and skipped; the next flush reopens
+ *   - If IndexedDB is missing or fails to open (private browsing, storage
+ *     disabled), every method is a no-op and reads resolve to []
+ *   - While `paused` is set (a recorded session is being replayed, see
+ *     session-recorder.js) append() drops records, so replayed data never
+ *     mixes into the real history
+ *
+ * WRITERS / READERS:
+ *   - polling-client.js appends probes and metrics (emitProbeLatency, emitMetrics)
+ *   - dashboard.js appends event log entries and rehydrates the event log
+ *   - charts.js rehydrates the CPU/memory, workers and latency charts
+ *
+ * PORTING NOTES:
+ *   This file is frontend JavaScript and stays JS regardless of backend.
+ *   Wrappers such as idb or Dexie.js can replace the raw IndexedDB calls;
+ *   localStorage is too small (~5MB, synchronous) for 10 samples/sec.
+ */
+
+const OFFLINE_DB_NAME = 'perfsim-dashboard';
+// Version 2 adds the session_ts index
+const OFFLINE_DB_VERSION = 2;
+const OFFLINE_SESSION_STORAGE_KEY = 'perfsim.offlineSession';
+const OFFLINE_FLUSH_INTERVAL_MS = 1000;
+// Rolling window: 15 minutes, and at most this many records per store
+const OFFLINE_RETENTION_MS = 15 * 60 * 1000;
+const OFFLINE_STORE_LIMITS = {
+  probes: 9000,   // 15 min at 10 probes/sec
+  metrics: 3600,  // 15 min at 4 snapshots/sec
+  events: 500,
+};
+
+/**
+ * This tab's session id: kept in sessionStorage, so a reload of the tab
+ * reads back its own history. Without sessionStorage, a new id per load.
+ * @returns {string}
+ */
+function getOfflineSessionId() {
+  const created = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  try {
+    const saved = sessionStorage.getItem(OFFLINE_SESSION_STORAGE_KEY);
+    if (saved) return saved;
+    sessionStorage.setItem(OFFLINE_SESSION_STORAGE_KEY, created);
+  } catch (error) {
+    // History is still written, but a reload starts a new session
+  }
+  return created;
+}
+
+/**
+ * Key range of one session's records on the session_ts index.
+ * @param {string} session
+ * @param {number} [fromTs] - Oldest ts to include
+ * @returns {IDBKeyRange}
+ */
+function offlineSessionRange(session, fromTs = -Infinity) {
+  return IDBKeyRange.bound([session, fromTs], [session, Infinity]);
+}
+
+const offlineStore = {
+  db: null,
+  sessionId: getOfflineSessionId(),
+  opening: null,
+  unavailable: false,
+  paused: false,
+  flushTimer: null,
+  queue: { probes: [], metrics: [], events: [] },
+
+  isSupported() {
+    return !this.unavailable && typeof indexedDB !== 'undefined';
+  },
+
+  /**
+   * Opens (and on first use creates) the database.
+   * @returns {Promise<IDBDatabase|null>} null when storage is unavailable
+   */
+  open() {
+    if (this.db) return Promise.resolve(this.db);
+    if (!this.isSupported()) return Promise.resolve(null);
+    if (this.opening) return this.opening;
+
+    this.opening = new Promise((resolve) => {
+      let request;
+      try {
+        request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+      } catch (error) {
+        resolve(null);
+        return;
+      }
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        for (const name of Object.keys(OFFLINE_STORE_LIMITS)) {
+          const store = db.objectStoreNames.contains(name)
+            ? request.transaction.objectStore(name)
+            : db.createObjectStore(name, { autoIncrement: true });
+          if (!store.indexNames.contains('ts')) store.createIndex('ts', 'ts');
+          // Version 1 records have no session and stay out of this index
+          if (!store.indexNames.contains('session_ts')) store.createIndex('session_ts', ['session', 'ts']);
+        }
+      };
+      request.onblocked = () => {
+        console.warn('[offline-store] Waiting for other dashboard tabs to close or reload (database upgrade)');
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let another tab upgrade the database; the next flush reopens it
+        db.onversionchange = () => {
+          db.close();
+          if (this.db === db) this.db = null;
+        };
+        db.onclose = () => {
+          if (this.db === db) this.db = null;
+        };
+        this.db = db;
+        resolve(db);
+      };
+      request.onerror = () => {
+        console.warn('[offline-store] IndexedDB unavailable:', request.error?.message);
+        resolve(null);
+      };
+    }).then(db => {
+      this.opening = null;
+      if (!db) {
+        this.unavailable = true;
+        this.queue = { probes: [], metrics: [], events: [] };
+      }
+      return db;
+    });
+    return this.opening;
+  },
+
+  /**
+   * Queues a record for the next flush.
+   * @param {string} storeName - 'probes' | 'metrics' | 'events'
+   * @param {Object} record - Must include ts (ms since epoch)
+   */
+  append(storeName, record) {
+    if (this.paused || !this.isSupported() || !this.queue[storeName]) return;
+    this.queue[storeName].push({ ...record, session: this.sessionId });
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), OFFLINE_FLUSH_INTERVAL_MS);
+    }
+  },
+
+  /**
+   * Writes all queued records in one transaction, then prunes.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    const pending = this.queue;
+    this.queue = { probes: [], metrics: [], events: [] };
+    const storeNames = Object.keys(pending).filter(name => pending[name].length > 0);
+    if (storeNames.length === 0) return Promise.resolve();
+
+    return this.open().then(db => {
+      if (!db) return;
+      return new Promise((resolve) => {
+        let tx;
+        try {
+          tx = db.transaction(storeNames, 'readwrite');
+          for (const name of storeNames) {
+            const store = tx.objectStore(name);
+            pending[name].forEach(record => store.add(record));
+          }
+        } catch (error) {
+          this.dropConnection(db, 'Write failed', error);
+          resolve(false);
+          return;
+        }
+        tx.oncomplete = () => resolve(true);
+        tx.onerror = () => {
+          console.warn('[offline-store] Write failed:', tx.error?.message);
+          resolve(true);
+        };
+      }).then(started => {
+        if (started) return this.prune(db, storeNames);
+      });
+    });
+  },
+
+  /**
+   * Logs a transaction that could not start and forgets the connection if
+   * it is unusable, so the next call reopens the database.
+   */
+  dropConnection(db, what, error) {
+    console.warn(`[offline-store] ${what}:`, error.message);
+    if (error.name === 'InvalidStateError' && this.db === db) {
+      this.db = null;
+    }
+  },
+
+  /**
+   * Deletes records outside the retention window and beyond this session's
+   * record limits.
+   * @param {IDBDatabase} db - Open database
+   * @param {string[]} storeNames - Stores to prune
+   * @returns {Promise<void>}
+   */
+  prune(db, storeNames) {
+    const cutoff = Date.now() - OFFLINE_RETENTION_MS;
+    const range = offlineSessionRange(this.sessionId);
+    return new Promise((resolve) => {
+      let tx;
+      try {
+        tx = db.transaction(storeNames, 'readwrite');
+      } catch (error) {
+        this.dropConnection(db, 'Prune failed', error);
+        resolve();
+        return;
+      }
+      for (const name of storeNames) {
+        const store = tx.objectStore(name);
+        store.index('ts').openCursor(IDBKeyRange.upperBound(cutoff)).onsuccess = (e) => {
+          const cursor = e.target.result;
+          if (!cursor) return;
+          cursor.delete();
+          cursor.continue();
+        };
+        const sessionIndex = store.index('session_ts');
+        sessionIndex.count(range).onsuccess = (e) => {
+          let excess = e.target.result - OFFLINE_STORE_LIMITS[name];
+          if (excess <= 0) return;
+          // Oldest of this session first
+          sessionIndex.openCursor(range).onsuccess = (ce) => {
+            const cursor = ce.target.result;
+            if (!cursor || excess-- <= 0) return;
+            cursor.delete();
+            cursor.continue();
+          };
+        };
+      }
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => resolve();
+    });
+  },
+
+  /**
+   * Reads this tab's newest records of a store, oldest first.
+   * Flushes queued records first so the result includes them.
+   * @param {string} storeName - 'probes' | 'metrics' | 'events'
+   * @param {number} limit - Maximum records to return
+   * @returns {Promise<Array>} Records in ascending ts order
+   */
+  readRecent(storeName, limit) {
+    return this.flush()
+      .then(() => this.open())
+      .then(db => {
+        if (!db) return [];
+        return new Promise((resolve) => {
+          const records = [];
+          const request = db.transaction(storeName, 'readonly')
+            .objectStore(storeName)
+            .index('session_ts')
+            .openCursor(offlineSessionRange(this.sessionId, Date.now() - OFFLINE_RETENTION_MS), 'prev');
+          request.onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (cursor && records.length < limit) {
+              records.push(cursor.value);
+              cursor.continue();
+            } else {
+              resolve(records.reverse());
+            }
+          };
+          request.onerror = () => resolve([]);
+        });
+      })
+      .catch(() => []);
+  },
+};
+
+// Best-effort flush when the page goes away (reload, tab close)
+window.addEventListener('pagehide', () => offlineStore.flush());
+
+window.offlineStore = offlineStore;
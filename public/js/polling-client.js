@@ -1,35 +1,65 @@
 /**
  * =============================================================================
- * POLLING CLIENT — AJAX Polling Connection Manager
+ * POLLING CLIENT — SSE / AJAX Polling Connection Manager
  * =============================================================================
  *
  * FEATURE REQUIREMENTS (language-agnostic):
  *   This client module must:
- *   1. Fetch metrics from server at regular intervals (~250ms)
- *   2. Fetch event log updates at regular intervals (~2s)
+ *   1. Receive metrics from server at regular intervals (~250ms)
+ *   2. Receive event log updates (~2s when polling, immediately when streaming)
  *   3. Measure request latency for responsiveness charts
  *   4. Handle connection failures with retry/backoff
  *   5. Provide callbacks for data updates to other modules
  *
- * ENDPOINTS POLLED:
- *   /api/metrics             → System metrics (CPU, memory, simulations)
- *   /api/admin/events        → Event log entries
+ * ENDPOINTS USED:
+ *   /api/metrics/stream      → SSE stream (metrics, events, simulations)
+ *   /api/metrics             → System metrics (CPU, memory, simulations) — polling fallback
+ *   /api/admin/events        → Event log entries — polling fallback + initial sequence
+ *   /api/health/probe        → Direct latency probe (default probe mode)
+ *   /api/metrics/probe       → Direct latency probe that performs simulation work
  *   /api/metrics/internal-probe → Batch latency probing (10 samples/sec)
  *
  * CONNECTION STRATEGY:
- *   - Uses fetch() for all polling
+ *   - Metrics/events/simulations use a pluggable transport:
+ *     1. SSE (EventSource) — one long-lived request instead of ~4.5 req/sec
+ *     2. AJAX polling — used when the stream can't be established
+ *   - Latency probes always use fetch() (they measure request round-trips);
+ *     the probe mode (health / metrics / internal batch) is switchable at runtime
  *   - Detects connection loss via failed requests
  *   - Auto-reconnects with exponential backoff
  *   - Tracks consecutive failures for status display
+ *   - Adapts each loop's interval and concurrency to measured server health
+ *     (latency, timeouts, failures) so the dashboard doesn't add load to a
+ *     saturated FPM pool; rates return to full resolution on recovery
+ *   - Pauses metrics/events delivery and probes while the tab is hidden; on
+ *     return, replays missed events from /api/admin/events and marks the
+ *     hidden interval as a gap in the charts
+ *   - Splits each probe's latency into DNS / connect / network+front end /
+ *     FPM queue / PHP processing / download using Resource Timing and the
+ *     probe's serverMs and fpmQueueMs
+ *   - Records probes and metrics in the offline store (offline-store.js) so
+ *     charts survive a reload and an outage can be reviewed afterwards
+ *   - Estimates the browser/server clock offset from probe responses so all
+ *     charted and logged times share the server's timeline
+ *   - Stamps every fetch with a correlation ID (X-Request-Id + W3C
+ *     traceparent, see tracedFetch) and records it with each probe sample,
+ *     so a chart point can be matched to server and proxy logs
+ *   - Additional perfsimphp instances (scale-out instances, deployment slots)
+ *     can be registered as targets; each runs its own metrics/probe loops
+ *     and connection state (see Multi-Target Monitoring below)
  *
  * HOW IT WORKS (this implementation):
- *   - AJAX polling because PHP-FPM doesn't support WebSocket natively
- *   - Internal batch probing: 1 request/sec, server does 10 internal probes
- *   - Results dispatched at 100ms intervals for smooth visualization
+ *   - SSE stream is bounded server-side (SSE_MAX_DURATION_SECONDS) so it never
+ *     pins an FPM worker indefinitely; EventSource reconnects with Last-Event-ID
+ *   - AJAX polling fallback because PHP-FPM doesn't support WebSocket natively
+ *   - Internal batch probing (probe mode "internal"): 1 request/sec, server
+ *     does 10 internal probes; results dispatched at 100ms intervals for
+ *     smooth visualization
  *
  * PORTING NOTES:
- *   This file implements data fetching via polling. When the backend
- *   supports real-time push, replace with WebSocket or SSE:
+ *   This file implements data fetching via SSE with a polling fallback.
+ *   Backends with native real-time push can add another transport object
+ *   (see sseTransport / pollingTransport) using WebSocket instead:
  *
  *   WebSocket (Node.js, Java, .NET):
  *     const ws = new WebSocket('wss://host/ws');
@@ -61,17 +91,28 @@
  *   - window.onEventUpdate(events) — Called with new event log entries
  *   - window.onSimulationUpdate(simulations) — Called with active simulations
  *   - window.onProbeLatency(data) — Called with latency probe results
+ *   - window.onPollingRatesUpdate(rates) — Called when effective poll rates change
+ *   - window.onTargetMetricsUpdate(targetId, metrics) — Metrics from an added target
+ *   - window.onTargetProbeLatency(targetId, data) — Probe results from an added target
+ *   - window.onTargetStatusChange(targetId, status) — Added target connection state
+ *   - window.onClockSyncUpdate(sync) — Called when the clock offset estimate changes
  *
  *   When porting, maintain this callback interface so dashboard.js and
  *   charts.js continue to work without modification.
+ *
+ *   suspendLiveUpdates() / resumeLiveUpdates() stop and restart everything
+ *   (including reconnect attempts) while session-recorder.js replays a
+ *   recording through the same callbacks.
  */
 
 // Connection state
 let isConnected = false;
+let activeTransport = null;
 let reconnectAttempts = 0;
 const maxReconnectAttempts = 10;
 
-// Polling intervals (milliseconds)
+// Base polling intervals (milliseconds) — full resolution when the server is healthy.
+// Effective intervals are adapted at runtime (see Adaptive Cadence below).
 const METRICS_POLL_INTERVAL = 250;
 const EVENTS_POLL_INTERVAL = 2000;
 // Internal batch probe: 1 request/sec to AppLens, server does 10 internal probes at 100ms intervals
@@ -81,15 +122,47 @@ const PROBE_POLL_INTERVAL = 0;
 const INTERNAL_PROBE_COUNT = 10;
 const INTERNAL_PROBE_INTERVAL = 100;
 
+// Probe modes, selectable at runtime with setProbeMode():
+//   health   — direct /api/health/probe through the frontend (main pool, no work)
+//   metrics  — direct /api/metrics/probe (main pool, performs active simulations' work)
+//   internal — /api/metrics/internal-probe?count=N: the server probes itself over
+//              localhost, bypassing the frontend; one request returns N samples
+const PROBE_MODES = {
+  health: { label: 'Health probe', url: '/api/health/probe' },
+  metrics: { label: 'Metrics probe', url: '/api/metrics/probe' },
+  internal: { label: 'Internal batch', url: '/api/metrics/internal-probe' },
+};
+const PROBE_MODE_STORAGE_KEY = 'perfsim.probeMode';
+
 // Timeouts for fetch requests (prevents UI freeze during load testing)
 const METRICS_TIMEOUT_MS = 5000;
 const PROBE_TIMEOUT_MS = 15000;
 const EVENTS_TIMEOUT_MS = 5000;
 
+// Page visibility: loops are paused while the tab is hidden
+let pausedForHiddenPage = false;
+let hiddenSince = null;
+// Set while a recorded session is replayed; nothing (re)starts until resumed
+let liveUpdatesSuspended = false;
+// Max events fetched to replay after the tab becomes visible (server caps at 100)
+const CATCH_UP_EVENT_LIMIT = 100;
+
+// SSE transport settings
+const SSE_STREAM_URL = '/api/metrics/stream';
+// Time allowed for the stream to deliver its first message before falling back to polling
+const SSE_CONNECT_TIMEOUT_MS = 5000;
+// Stream errors without a message in between before falling back to polling
+const SSE_MAX_ERRORS = 3;
+
 // Polling timer IDs
 let metricsPollTimer = null;
 let eventsPollTimer = null;
 let probePollTimer = null;
+let probeMode = loadProbeMode();
+// Incremented whenever probing stops, so late batch responses are discarded
+let probeGeneration = 0;
+// Pending 100ms-spaced dispatches of internal batch samples
+const probeDispatchTimers = new Set();
 
 // Track last event count to detect new events
 let lastEventCount = 0;
@@ -99,6 +172,81 @@ let lastEventSequence = 0;  // Monotonic sequence for reliable change detection
 let consecutiveFailures = 0;
 const MAX_CONSECUTIVE_FAILURES = 10;
 
+// Adaptive cadence tuning
+const CADENCE_BACKOFF_FACTOR = 2;         // Interval multiplier per unhealthy sample
+const CADENCE_RECOVERY_FACTOR = 0.8;      // Interval multiplier per healthy sample
+const CADENCE_SLOW_LATENCY_MS = 1000;     // Smoothed latency above this counts as duress
+const CADENCE_HEALTHY_LATENCY_MS = 300;   // Smoothed latency below this allows recovery
+const CADENCE_LATENCY_SMOOTHING = 0.3;    // EWMA weight of the newest sample
+const CADENCE_FAILURE_THRESHOLD = 3;      // consecutiveFailures that count as duress
+
+/**
+ * Creates the cadence state for one polling loop.
+ * @param {number} baseIntervalMs - Interval at full resolution
+ * @param {number} maxIntervalMs - Upper bound when backed off
+ * @param {number} maxInFlight - Concurrent requests allowed when healthy
+ * @param {Function} [onChange] - Called when interval/concurrency changes
+ */
+function createCadence(baseIntervalMs, maxIntervalMs, maxInFlight, onChange = notifyPollingRates) {
+  return {
+    onChange,
+    baseIntervalMs,
+    maxIntervalMs,
+    maxInFlight,
+    intervalMs: baseIntervalMs,
+    concurrency: maxInFlight,
+    inFlight: 0,
+    latencyMs: 0,   // EWMA of response latency
+    timeouts: 0,    // Timeouts since the last healthy sample
+  };
+}
+
+// Per-loop cadence state
+const cadences = {
+  metrics: createCadence(METRICS_POLL_INTERVAL, 4000, 2),
+  events: createCadence(EVENTS_POLL_INTERVAL, 15000, 1),
+  probe: createCadence(INTERNAL_PROBE_INTERVAL, 2000, 1),
+};
+
+/**
+ * Generates a W3C trace context id pair.
+ * @returns {{traceId: string, spanId: string}} 32 and 16 lowercase hex chars
+ */
+function createTraceIds() {
+  const bytes = new Uint8Array(24);
+  crypto.getRandomValues(bytes);
+  const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  return { traceId: hex.slice(0, 32), spanId: hex.slice(32) };
+}
+
+/**
+ * Fetch that stamps the request with a correlation ID.
+ * Sends X-Request-Id (the trace id) and a traceparent header, so the same ID
+ * shows up in PHP's error log (RequestLogger / EventLogService) and in any
+ * proxy that understands W3C trace context. The ID is attached to the
+ * response (response.requestId) or, on network failure, to the error.
+ * @param {string} url - URL to fetch
+ * @param {object} options - Fetch options
+ * @returns {Promise<Response>}
+ */
+function tracedFetch(url, options = {}) {
+  const { traceId, spanId } = createTraceIds();
+  const headers = new Headers(options.headers || {});
+  headers.set('X-Request-Id', traceId);
+  headers.set('traceparent', `00-${traceId}-${spanId}-01`);
+
+  return fetch(url, { ...options, headers }).then(
+    response => {
+      response.requestId = traceId;
+      return response;
+    },
+    error => {
+      error.requestId = traceId;
+      throw error;
+    }
+  );
+}
+
 /**
  * Fetch with timeout using AbortController.
  * Prevents UI freeze during load testing when workers are saturated.
@@ -111,15 +259,242 @@ function fetchWithTimeout(url, options = {}, timeoutMs = 5000) {
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
   
-  return fetch(url, { ...options, signal: controller.signal })
+  return tracedFetch(url, { ...options, signal: controller.signal })
     .finally(() => clearTimeout(timeoutId));
 }
 
+// ============================================================================
+// Adaptive Cadence
+// ============================================================================
+//
+// Each polling loop reports every request outcome to its cadence. Under
+// duress (slow responses, timeouts, consecutive failures) the interval grows
+// geometrically and concurrency drops to 1; once responses are fast again it
+// shrinks back to the base interval and full concurrency.
+
+/**
+ * Records a request outcome and adapts the loop's interval/concurrency.
+ * @param {Object} cadence - Entry from `cadences`
+ * @param {number} latencyMs - Response time (ignored for failures)
+ * @param {boolean} ok - Whether the request succeeded
+ * @param {boolean} [timedOut=false] - Whether the request was aborted by timeout
+ * @param {number} [failures=consecutiveFailures] - Consecutive failures of the loop's target
+ */
+function recordCadenceSample(cadence, latencyMs, ok, timedOut = false, failures = consecutiveFailures) {
+  if (ok) {
+    cadence.latencyMs = cadence.latencyMs === 0
+      ? latencyMs
+      : cadence.latencyMs + CADENCE_LATENCY_SMOOTHING * (latencyMs - cadence.latencyMs);
+  }
+  if (timedOut) cadence.timeouts++;
+
+  const previousInterval = cadence.intervalMs;
+  const previousConcurrency = cadence.concurrency;
+  const underDuress = !ok || timedOut ||
+    cadence.latencyMs > CADENCE_SLOW_LATENCY_MS ||
+    failures >= CADENCE_FAILURE_THRESHOLD;
+
+  if (underDuress) {
+    cadence.intervalMs = Math.min(cadence.maxIntervalMs, cadence.intervalMs * CADENCE_BACKOFF_FACTOR);
+    cadence.concurrency = 1;
+  } else if (cadence.latencyMs < CADENCE_HEALTHY_LATENCY_MS) {
+    cadence.timeouts = 0;
+    cadence.intervalMs = Math.max(cadence.baseIntervalMs, Math.round(cadence.intervalMs * CADENCE_RECOVERY_FACTOR));
+    if (cadence.intervalMs === cadence.baseIntervalMs) {
+      cadence.concurrency = cadence.maxInFlight;
+    }
+  }
+
+  if (cadence.intervalMs !== previousInterval || cadence.concurrency !== previousConcurrency) {
+    cadence.onChange();
+  }
+}
+
+/**
+ * Resets all loops to full resolution (used on (re)connect).
+ */
+function resetCadences() {
+  for (const cadence of Object.values(cadences)) {
+    cadence.intervalMs = cadence.baseIntervalMs;
+    cadence.concurrency = cadence.maxInFlight;
+    cadence.inFlight = 0;
+    cadence.latencyMs = 0;
+    cadence.timeouts = 0;
+  }
+  notifyPollingRates();
+}
+
+/**
+ * Gets the current effective polling rates for display.
+ * Metrics and events report `streaming: true` when delivered over SSE.
+ * @returns {Object} { metrics, events, probe } each with intervalMs, baseIntervalMs, concurrency, latencyMs, streaming
+ */
+function getEffectiveRates() {
+  const streaming = getTransportName() === 'sse';
+  const describe = (cadence, isStreamed) => ({
+    intervalMs: cadence.intervalMs,
+    baseIntervalMs: cadence.baseIntervalMs,
+    concurrency: cadence.concurrency,
+    latencyMs: Math.round(cadence.latencyMs),
+    streaming: isStreamed,
+  });
+  return {
+    metrics: describe(cadences.metrics, streaming),
+    events: describe(cadences.events, streaming),
+    probe: describe(cadences.probe, false),
+  };
+}
+
+/**
+ * Notifies the UI that effective polling rates changed.
+ */
+function notifyPollingRates() {
+  if (typeof onPollingRatesUpdate === 'function') {
+    onPollingRatesUpdate(getEffectiveRates());
+  }
+}
+
+// ============================================================================
+// Clock Synchronization
+// ============================================================================
+//
+// Chart points and client log entries are stamped in the browser, server
+// events by the server. A drifting browser clock would misalign the two, so
+// the offset is estimated NTP-style from the probe's server `ts`: for a probe
+// sent at t0 and answered at t1 (browser clock), offset = ts - (t0 + t1) / 2,
+// accurate to ±RTT/2. The lowest-RTT sample in a sliding window sets the
+// offset, so probes queued behind a blocked worker don't skew it.
+
+const CLOCK_SYNC_WINDOW = 16;
+const CLOCK_SYNC_NOTIFY_THRESHOLD_MS = 5;
+
+const clockSync = {
+  samples: [],        // [{ offsetMs, rttMs }]
+  offsetMs: 0,        // server clock minus browser clock
+  rttMs: null,        // RTT of the sample the offset came from
+  synced: false,
+};
+
+/**
+ * Records one clock sample from a probe round trip.
+ * @param {number} t0 - Browser time the request was sent
+ * @param {number} t1 - Browser time the response arrived
+ * @param {number} serverTs - Server time (ms since epoch) from the response
+ */
+function recordClockSample(t0, t1, serverTs) {
+  if (!Number.isFinite(serverTs)) return;
+
+  clockSync.samples.push({ offsetMs: serverTs - (t0 + t1) / 2, rttMs: t1 - t0 });
+  if (clockSync.samples.length > CLOCK_SYNC_WINDOW) {
+    clockSync.samples.shift();
+  }
+
+  const best = clockSync.samples.reduce((a, b) => (b.rttMs < a.rttMs ? b : a));
+  const offsetMs = Math.round(best.offsetMs);
+  const changed = !clockSync.synced ||
+    Math.abs(offsetMs - clockSync.offsetMs) >= CLOCK_SYNC_NOTIFY_THRESHOLD_MS;
+
+  clockSync.offsetMs = offsetMs;
+  clockSync.rttMs = best.rttMs;
+  clockSync.synced = true;
+
+  if (changed && typeof onClockSyncUpdate === 'function') {
+    onClockSyncUpdate(getClockSync());
+  }
+}
+
+/**
+ * Current time on the server's timeline (browser clock + estimated offset).
+ * @returns {number} ms since epoch
+ */
+function serverNow() {
+  return Date.now() + clockSync.offsetMs;
+}
+
+/**
+ * Gets the current clock offset estimate.
+ * @returns {Object} { offsetMs, rttMs, uncertaintyMs, synced }
+ */
+function getClockSync() {
+  return {
+    offsetMs: clockSync.offsetMs,
+    rttMs: clockSync.rttMs,
+    uncertaintyMs: clockSync.rttMs == null ? null : Math.ceil(clockSync.rttMs / 2),
+    synced: clockSync.synced,
+  };
+}
+
+// ============================================================================
+// Probe Latency Breakdown
+// ============================================================================
+//
+// The browser's Resource Timing entry for a probe gives DNS, connect, time to
+// first byte and download. The probe payload's serverMs is the time PHP spent
+// on the request after an FPM worker picked it up, and fpmQueueMs the time it
+// waited for that worker after nginx passed it on (nginx stamps $msec, PHP
+// compares it with REQUEST_TIME_FLOAT). What is left of TTFB is network
+// transit and the front end (App Service front door, nginx). A large FPM
+// queue share means requests are waiting for workers, a large front-end
+// share points at the network or the platform in front of the app, and a
+// large server share means the worker itself is slow. Without fpmQueueMs
+// (no nginx in front) the FPM queue stays in the front-end share.
+
+// Each probe adds a Resource Timing entry; clear the buffer instead of
+// letting the browser drop new entries once it's full (default 250).
+if (typeof performance !== 'undefined' && typeof performance.addEventListener === 'function') {
+  performance.addEventListener('resourcetimingbufferfull', () => performance.clearResourceTimings());
+}
+
+/**
+ * Splits a completed probe into latency phases.
+ * @param {string} url - Probe URL as requested
+ * @param {number} [serverMs] - Server processing time from the probe payload
+ * @param {number|null} [fpmQueueMs] - FPM queue time from the probe payload
+ * @returns {Object|null} { dnsMs, connectMs, frontendMs, fpmQueueMs, serverMs,
+ *   downloadMs } (fpmQueueMs null when unknown), or null if no detailed
+ *   timing entry is available
+ */
+function getProbeBreakdown(url, serverMs, fpmQueueMs) {
+  if (typeof performance === 'undefined' || typeof performance.getEntriesByName !== 'function') {
+    return null;
+  }
+  const entries = performance.getEntriesByName(new URL(url, window.location.href).href, 'resource');
+  const entry = entries[entries.length - 1];
+  // requestStart/responseStart are 0 when detailed timings are withheld (cross-origin without Timing-Allow-Origin)
+  if (!entry || !entry.requestStart || !entry.responseStart) {
+    return null;
+  }
+
+  const round = (ms) => Math.max(0, Math.round(ms * 10) / 10);
+  const ttfb = entry.responseStart - entry.requestStart;
+  const server = Number.isFinite(serverMs) ? Math.min(serverMs, ttfb) : 0;
+  const fpmQueue = Number.isFinite(fpmQueueMs) ? Math.min(fpmQueueMs, ttfb - server) : null;
+  return {
+    dnsMs: round(entry.domainLookupEnd - entry.domainLookupStart),
+    connectMs: round(entry.connectEnd - entry.connectStart),
+    frontendMs: round(ttfb - server - (fpmQueue || 0)),
+    fpmQueueMs: fpmQueue == null ? null : round(fpmQueue),
+    serverMs: round(server),
+    downloadMs: round(entry.responseEnd - entry.responseStart),
+  };
+}
+
+/**
+ * Returns true if the error came from a fetchWithTimeout() abort.
+ */
+function isTimeoutError(error) {
+  return error && error.name === 'AbortError';
+}
+
 /**
  * Initializes the polling client.
  * Tests connectivity first, then starts polling loops.
  */
 function initSocket() {
+  // Tells dashboard.js not to start its own fallback metrics polling
+  window.pollingClientActive = true;
+  if (liveUpdatesSuspended) return;
+
   const statusEl = document.getElementById('connection-status');
   if (statusEl) {
     statusEl.textContent = 'Connecting...';
@@ -127,7 +502,7 @@ function initSocket() {
   }
 
   // Test connectivity with a health check
-  fetch('/api/health')
+  tracedFetch('/api/health')
     .then(response => {
       if (response.ok) {
         onConnected();
@@ -144,9 +519,12 @@ function initSocket() {
  * Called when initial connection succeeds.
  */
 function onConnected() {
+  // Health check answered after a replay started
+  if (liveUpdatesSuspended) return;
   isConnected = true;
   reconnectAttempts = 0;
   consecutiveFailures = 0;
+  resetCadences();
 
   const statusEl = document.getElementById('connection-status');
   if (statusEl) {
@@ -154,15 +532,24 @@ function onConnected() {
     statusEl.className = 'status-connected';
   }
 
-  // Start polling loops
-  startMetricsPolling();
-  startEventsPolling();
-  startProbePolling();
+  // Connected from a background tab: stay paused until the tab is shown
+  if (document.hidden && !pausedForHiddenPage) {
+    pausedForHiddenPage = true;
+    hiddenSince = serverNow();
+  }
+
+  // Sync the event sequence first so the transport only delivers new events,
+  // then start metrics/events delivery. Probes run independently.
+  initializeEventLog().finally(startTransport);
+  if (!pausedForHiddenPage) {
+    startProbePolling();
+  }
 
-  // Add initialization events to the log
+  // Add initialization events to the log (not persisted: they are logged
+  // again on every connect, and would pile up in the restored log)
   if (typeof addEventToLog === 'function') {
-    addEventToLog({ level: 'info', message: 'Dashboard initialized' });
-    addEventToLog({ level: 'success', message: 'Server responding' });
+    addEventToLog({ level: 'info', message: 'Dashboard initialized', persist: false });
+    addEventToLog({ level: 'success', message: 'Server responding', persist: false });
   }
 
   // Notify dashboard of connection
@@ -243,25 +630,207 @@ function onPollSuccess() {
   }
 }
 
+// ============================================================================
+// Transport Layer
+// ============================================================================
+//
+// A transport delivers metrics, events and simulation updates through the
+// window.onMetricsUpdate / onEventUpdate / onSimulationUpdate callbacks.
+// Each transport implements { name, isSupported(), start(), stop() }.
+// SSE is preferred; polling is used when the stream is unavailable.
+
+/**
+ * Server-Sent Events transport.
+ * Receives 'metrics', 'event' and 'simulations' messages over one stream.
+ */
+const sseTransport = {
+  name: 'sse',
+  source: null,
+  connectTimer: null,
+  errorCount: 0,
+  receivedMessage: false,
+
+  isSupported() {
+    return typeof EventSource !== 'undefined';
+  },
+
+  start() {
+    this.stop();
+    this.errorCount = 0;
+    this.receivedMessage = false;
+
+    const url = lastEventSequence > 0
+      ? `${SSE_STREAM_URL}?since=${lastEventSequence}`
+      : SSE_STREAM_URL;
+    const source = new EventSource(url);
+    this.source = source;
+    notifyPollingRates();
+
+    // Proxies that buffer the response never deliver the first message
+    this.connectTimer = setTimeout(() => {
+      if (!this.receivedMessage) {
+        fallBackToPolling(`no data within ${SSE_CONNECT_TIMEOUT_MS}ms`);
+      }
+    }, SSE_CONNECT_TIMEOUT_MS);
+
+    source.addEventListener('metrics', (e) => this.handleMessage(e, metrics => {
+      onPollSuccess();
+      emitMetrics(metrics);
+    }));
+
+    source.addEventListener('event', (e) => this.handleMessage(e, event => {
+      if (event.seq > lastEventSequence) {
+        lastEventSequence = event.seq;
+      }
+      if (typeof onEventUpdate === 'function') {
+        onEventUpdate(event);
+      }
+    }));
+
+    source.addEventListener('simulations', (e) => this.handleMessage(e, simulations => {
+      if (typeof onSimulationUpdate === 'function') {
+        onSimulationUpdate(simulations);
+      }
+    }));
+
+    source.onerror = () => {
+      if (this.source !== source) return;
+      // The server ends each stream after SSE_MAX_DURATION_SECONDS; EventSource
+      // reconnects on its own (readyState CONNECTING). CLOSED means the server
+      // rejected the stream (e.g. 404 when disabled).
+      this.errorCount++;
+      if (source.readyState === EventSource.CLOSED || this.errorCount >= SSE_MAX_ERRORS) {
+        fallBackToPolling('stream error');
+      }
+    };
+  },
+
+  /**
+   * Parses a stream message and passes the payload to the handler.
+   */
+  handleMessage(event, handler) {
+    this.receivedMessage = true;
+    this.errorCount = 0;
+    let data;
+    try {
+      data = JSON.parse(event.data);
+    } catch (error) {
+      console.warn('[polling-client] Malformed stream message:', error.message);
+      return;
+    }
+    handler(data);
+  },
+
+  stop() {
+    if (this.connectTimer) { clearTimeout(this.connectTimer); this.connectTimer = null; }
+    if (this.source) { this.source.close(); this.source = null; }
+  },
+};
+
+/**
+ * AJAX polling transport.
+ * Polls /api/metrics and /api/admin/events on fixed intervals.
+ */
+const pollingTransport = {
+  name: 'polling',
+
+  isSupported() {
+    return true;
+  },
+
+  start() {
+    startMetricsPolling();
+    startEventsPolling();
+  },
+
+  stop() {
+    if (metricsPollTimer) { clearTimeout(metricsPollTimer); metricsPollTimer = null; }
+    if (eventsPollTimer) { clearTimeout(eventsPollTimer); eventsPollTimer = null; }
+  },
+};
+
+/**
+ * Starts the preferred supported transport (SSE, else polling).
+ */
+function startTransport() {
+  stopTransport();
+  if (pausedForHiddenPage) return;
+
+  activeTransport = sseTransport.isSupported() ? sseTransport : pollingTransport;
+  activeTransport.start();
+}
+
+/**
+ * Stops the active transport, if any.
+ */
+function stopTransport() {
+  if (activeTransport) {
+    activeTransport.stop();
+    activeTransport = null;
+  }
+}
+
+/**
+ * Switches from SSE to polling. The stream is retried on the next reconnect.
+ * @param {string} reason - Why the stream was abandoned (for diagnostics)
+ */
+function fallBackToPolling(reason) {
+  if (activeTransport !== sseTransport) return;
+
+  console.warn('[polling-client] SSE stream unavailable, falling back to polling:', reason);
+  sseTransport.stop();
+  activeTransport = pollingTransport;
+  pollingTransport.start();
+  notifyPollingRates();
+
+  if (typeof addEventToLog === 'function') {
+    addEventToLog({ level: 'info', message: 'Live stream unavailable — using AJAX polling' });
+  }
+}
+
+/**
+ * Gets the name of the active transport.
+ * @returns {string|null} 'sse', 'polling', or null when disconnected
+ */
+function getTransportName() {
+  return activeTransport ? activeTransport.name : null;
+}
+
 // ============================================================================
 // Metrics Polling
 // ============================================================================
 
 /**
- * Starts polling /api/metrics at the configured interval.
+ * Starts polling /api/metrics at the adaptive metrics interval.
  */
 function startMetricsPolling() {
-  if (metricsPollTimer) clearInterval(metricsPollTimer);
+  if (metricsPollTimer) clearTimeout(metricsPollTimer);
 
-  // Poll immediately, then at interval
+  // Poll immediately, then at the (adaptive) interval
   pollMetricsOnce();
-  metricsPollTimer = setInterval(pollMetricsOnce, METRICS_POLL_INTERVAL);
+  scheduleMetricsPoll();
+}
+
+/**
+ * Schedules the next metrics poll using the current effective interval.
+ */
+function scheduleMetricsPoll() {
+  metricsPollTimer = setTimeout(() => {
+    pollMetricsOnce();
+    scheduleMetricsPoll();
+  }, cadences.metrics.intervalMs);
 }
 
 /**
  * Fetches metrics once and dispatches to handlers.
+ * Skips the tick if the allowed number of requests is already in flight.
  */
 function pollMetricsOnce() {
+  const cadence = cadences.metrics;
+  if (cadence.inFlight >= cadence.concurrency) return;
+  cadence.inFlight++;
+
+  const started = Date.now();
   fetchWithTimeout('/api/metrics', { cache: 'no-store' }, METRICS_TIMEOUT_MS)
     .then(response => {
       if (!response.ok) throw new Error('Metrics fetch failed');
@@ -269,13 +838,16 @@ function pollMetricsOnce() {
     })
     .then(metrics => {
       onPollSuccess();
-      if (typeof onMetricsUpdate === 'function') {
-        onMetricsUpdate(metrics);
-      }
+      recordCadenceSample(cadence, Date.now() - started, true);
+      emitMetrics(metrics);
     })
     .catch(error => {
       // Don't log every failure to avoid console spam
       onPollFailure();
+      recordCadenceSample(cadence, 0, false, isTimeoutError(error));
+    })
+    .finally(() => {
+      cadence.inFlight = Math.max(0, cadence.inFlight - 1);
     });
 }
 
@@ -284,24 +856,33 @@ function pollMetricsOnce() {
 // ============================================================================
 
 /**
- * Starts polling /api/admin/events at the configured interval.
+ * Starts polling /api/admin/events at the adaptive events interval.
+ * The event sequence is initialized by initializeEventLog() on connect.
  */
 function startEventsPolling() {
-  if (eventsPollTimer) clearInterval(eventsPollTimer);
+  if (eventsPollTimer) clearTimeout(eventsPollTimer);
 
-  // Initialize event counter and clear log (fresh start on each page load)
-  initializeEventLog();
-  
-  eventsPollTimer = setInterval(pollEventsOnce, EVENTS_POLL_INTERVAL);
+  scheduleEventsPoll();
+}
+
+/**
+ * Schedules the next events poll using the current effective interval.
+ */
+function scheduleEventsPoll() {
+  eventsPollTimer = setTimeout(() => {
+    pollEventsOnce();
+    scheduleEventsPoll();
+  }, cadences.events.intervalMs);
 }
 
 /**
  * Initialize event log on page load.
  * Sets the event counter to current server count so we only show NEW events.
  * Clears the log display for a fresh start, then adds connection events.
+ * @returns {Promise<void>} Resolves when initialization has finished (or failed)
  */
 function initializeEventLog() {
-  fetchWithTimeout('/api/admin/events?limit=50', { cache: 'no-store' }, EVENTS_TIMEOUT_MS)
+  return fetchWithTimeout('/api/admin/events?limit=50', { cache: 'no-store' }, EVENTS_TIMEOUT_MS)
     .then(response => {
       if (!response.ok) throw new Error('Events fetch failed');
       return response.json();
@@ -311,16 +892,22 @@ function initializeEventLog() {
       lastEventSequence = data.sequence || 0;
       lastEventCount = data.total || data.count || (data.events || []).length;
       
-      // Clear event log state (both JS state and DOM) to start fresh
+      // Clear event log state (both JS state and DOM) to start fresh,
+      // then restore persisted history (offline store) so entries logged
+      // before a reconnect or reload stay visible
       if (typeof window.clearEventLog === 'function') {
         window.clearEventLog();
       }
+      if (typeof window.rehydrateEventLog === 'function') {
+        window.rehydrateEventLog();
+      }
       
       // Add initial connection events AFTER clearing
-      // These show the user that background monitoring is active
+      // These show the user that background monitoring is active; like the
+      // entries above they are not persisted
       if (typeof addEventToLog === 'function') {
-        addEventToLog({ level: 'info', message: 'Dashboard initialized' });
-        addEventToLog({ level: 'success', message: 'Connected to metrics hub' });
+        addEventToLog({ level: 'info', message: 'Dashboard initialized', persist: false });
+        addEventToLog({ level: 'success', message: 'Connected to metrics hub', persist: false });
       }
     })
     .catch((error) => {
@@ -332,6 +919,11 @@ function initializeEventLog() {
  * Fetches events and dispatches new ones to handlers.
  */
 function pollEventsOnce() {
+  const cadence = cadences.events;
+  if (cadence.inFlight >= cadence.concurrency) return;
+  cadence.inFlight++;
+
+  const started = Date.now();
   fetchWithTimeout('/api/admin/events?limit=20', { cache: 'no-store' }, EVENTS_TIMEOUT_MS)
     .then(response => {
       if (!response.ok) throw new Error('Events fetch failed');
@@ -339,6 +931,7 @@ function pollEventsOnce() {
     })
     .then(data => {
       onPollSuccess();
+      recordCadenceSample(cadence, Date.now() - started, true);
       const events = data.events || [];
       // Use sequence number for reliable change detection (survives ring buffer eviction)
       const newSequence = data.sequence || 0;
@@ -370,6 +963,10 @@ function pollEventsOnce() {
     })
     .catch((error) => {
       console.warn('[polling-client] Events poll failed:', error.message);
+      recordCadenceSample(cadence, 0, false, isTimeoutError(error));
+    })
+    .finally(() => {
+      cadence.inFlight = Math.max(0, cadence.inFlight - 1);
     });
 }
 
@@ -377,89 +974,322 @@ function pollEventsOnce() {
 // Latency Probe Polling
 // ============================================================================
 
-// Flag to prevent overlapping probes
-let probeInFlight = false;
+/**
+ * Loads the saved probe mode (defaults to the direct health probe).
+ */
+function loadProbeMode() {
+  try {
+    const saved = localStorage.getItem(PROBE_MODE_STORAGE_KEY);
+    return PROBE_MODES[saved] ? saved : 'health';
+  } catch (error) {
+    return 'health';
+  }
+}
+
+/**
+ * Gets the active probe mode.
+ * @returns {Object} { mode, label, url }
+ */
+function getProbeMode() {
+  return { mode: probeMode, ...PROBE_MODES[probeMode] };
+}
+
+/**
+ * Switches the probe mode and restarts probing if it is running.
+ * @param {string} mode - 'health' | 'metrics' | 'internal'
+ * @throws {Error} For unknown modes
+ */
+function setProbeMode(mode) {
+  if (!PROBE_MODES[mode]) {
+    throw new Error(`Unknown probe mode: ${mode}`);
+  }
+  if (mode === probeMode) return;
+
+  probeMode = mode;
+  try {
+    localStorage.setItem(PROBE_MODE_STORAGE_KEY, mode);
+  } catch (error) {
+    console.warn('[polling-client] Could not save probe mode:', error.message);
+  }
+
+  if (isConnected && !pausedForHiddenPage) {
+    startProbePolling();
+  }
+}
 
 /**
- * Starts probe polling every 100ms via direct frontend requests.
- * Measures full round-trip latency including Azure Front Door and stamp frontend.
- * Uses a flag to prevent pile-up if requests take longer than 100ms.
+ * Starts probe polling in the active probe mode.
+ * Direct modes probe every 100ms at full resolution via the frontend,
+ * measuring full round-trip latency including Azure Front Door and stamp
+ * frontend; the cadence allows one request in flight to prevent pile-up, and
+ * its interval backs off while probes are slow or failing. Internal mode
+ * requests one batch at a time (see probeInternalBatch).
  */
 function startProbePolling() {
-  if (probePollTimer) clearInterval(probePollTimer);
+  stopProbePolling();
   
-  probeInFlight = false;
+  cadences.probe.inFlight = 0;
+  if (probeMode === 'internal') {
+    probeInternalBatch();
+    return;
+  }
   probeOnce();
-  probePollTimer = setInterval(probeOnce, INTERNAL_PROBE_INTERVAL);
+  scheduleProbe();
+}
+
+/**
+ * Stops probing and drops pending batch dispatches.
+ */
+function stopProbePolling() {
+  probeGeneration++;
+  if (probePollTimer) { clearTimeout(probePollTimer); probePollTimer = null; }
+  probeDispatchTimers.forEach(clearTimeout);
+  probeDispatchTimers.clear();
+}
+
+/**
+ * Schedules the next probe using the current effective interval.
+ */
+function scheduleProbe() {
+  probePollTimer = setTimeout(() => {
+    probeOnce();
+    scheduleProbe();
+  }, cadences.probe.intervalMs);
 }
 
 /**
  * Performs a single probe through the stamp frontend.
- * Uses lightweight health probe for accurate latency measurement.
+ * Uses the active direct probe endpoint (health or metrics probe).
  * Skips if a previous probe is still in flight to prevent pile-up.
  */
 function probeOnce() {
+  const cadence = cadences.probe;
   // Skip if previous request hasn't completed
-  if (probeInFlight) {
+  if (cadence.inFlight >= cadence.concurrency) {
     return;
   }
-  probeInFlight = true;
+  cadence.inFlight++;
   
+  const mode = probeMode;
   const probeStart = Date.now();
-  const probeUrl = '/api/health/probe?t=' + probeStart;
+  const probeUrl = PROBE_MODES[mode].url + '?t=' + probeStart;
+  let requestId = null;
 
   fetchWithTimeout(probeUrl, { 
     method: 'GET',
     headers: { 'Accept': 'application/json' },
   }, PROBE_TIMEOUT_MS)
     .then(response => {
-      const latency = Date.now() - probeStart;
+      const probeEnd = Date.now();
+      requestId = response.requestId;
       if (!response.ok) {
         throw new Error('HTTP ' + response.status);
       }
-      return response.json().then(data => ({ data, latency }));
+      return response.json().then(data => ({ data, probeEnd }));
     })
-    .then(({ data, latency }) => {
+    .then(({ data, probeEnd }) => {
+      const latency = probeEnd - probeStart;
       onPollSuccess();
+      recordCadenceSample(cadence, latency, true);
+      recordClockSample(probeStart, probeEnd, data.ts);
 
-      if (typeof onProbeLatency === 'function') {
-        onProbeLatency({
-          latencyMs: latency,
-          timestamp: Date.now(),
-          success: true,
-          loadTestActive: false,
-          loadTestConcurrent: 0,
-        });
-      }
+      emitProbeLatency({
+        latencyMs: latency,
+        timestamp: serverNow(),
+        success: true,
+        loadTestActive: data.loadTest?.active || false,
+        loadTestConcurrent: data.loadTest?.concurrent || 0,
+        pid: data.pid || null,
+        breakdown: getProbeBreakdown(probeUrl, data.serverMs, data.fpmQueueMs),
+        mode,
+        requestId,
+      });
     })
     .catch(error => {
       console.error('[polling-client] Probe failed:', error.message || error);
-      if (typeof onProbeLatency === 'function') {
-        onProbeLatency({
-          latencyMs: 0,
-          timestamp: Date.now(),
-          success: false,
-          loadTestActive: false,
-          loadTestConcurrent: 0,
-        });
+      recordCadenceSample(cadence, 0, false, isTimeoutError(error));
+      emitProbeLatency({
+        latencyMs: 0,
+        timestamp: serverNow(),
+        success: false,
+        loadTestActive: false,
+        loadTestConcurrent: 0,
+        mode,
+        requestId: error.requestId || requestId,
+      });
+    })
+    .finally(() => {
+      cadence.inFlight = Math.max(0, cadence.inFlight - 1);
+    });
+}
+
+/**
+ * Requests one internal probe batch and dispatches its samples to
+ * onProbeLatency at INTERNAL_PROBE_INTERVAL spacing. The next batch is
+ * requested as soon as this one completes (the ~1s server-side batch paces
+ * the loop), or after the backed-off probe interval while unhealthy.
+ */
+function probeInternalBatch() {
+  const cadence = cadences.probe;
+  const generation = probeGeneration;
+  cadence.inFlight++;
+
+  const batchStart = Date.now();
+  const batchUrl = `${PROBE_MODES.internal.url}?count=${INTERNAL_PROBE_COUNT}&t=${batchStart}`;
+  // All samples of a batch share the batch request's correlation ID
+  let requestId = null;
+
+  fetchWithTimeout(batchUrl, {
+    headers: { 'Accept': 'application/json' },
+    cache: 'no-store',
+  }, PROBE_TIMEOUT_MS)
+    .then(response => {
+      requestId = response.requestId;
+      if (!response.ok) {
+        throw new Error('HTTP ' + response.status);
       }
+      return response.json();
+    })
+    .then(data => {
+      if (generation !== probeGeneration) return;
+      const samples = Array.isArray(data.samples) ? data.samples : [data];
+      onPollSuccess();
+
+      // Cadence tracks per-sample latency; the batch itself always takes ~1s
+      const succeeded = samples.filter(sample => sample.success !== false);
+      const meanLatency = succeeded.length > 0
+        ? succeeded.reduce((sum, sample) => sum + (sample.latencyMs || 0), 0) / succeeded.length
+        : 0;
+      recordCadenceSample(cadence, meanLatency, succeeded.length > 0);
+
+      samples.forEach((sample, index) => {
+        const timer = setTimeout(() => {
+          probeDispatchTimers.delete(timer);
+          emitProbeLatency({
+            latencyMs: sample.latencyMs || 0,
+            // Server-stamped, so already on the server timeline
+            timestamp: sample.timestamp || serverNow(),
+            success: sample.success !== false,
+            loadTestActive: sample.loadTestActive || false,
+            loadTestConcurrent: sample.loadTestConcurrent || 0,
+            mode: 'internal',
+            requestId,
+          });
+        }, index * INTERNAL_PROBE_INTERVAL);
+        probeDispatchTimers.add(timer);
+      });
+    })
+    .catch(error => {
+      if (generation !== probeGeneration) return;
+      console.error('[polling-client] Internal probe batch failed:', error.message || error);
+      recordCadenceSample(cadence, 0, false, isTimeoutError(error));
+      emitProbeLatency({
+        latencyMs: 0,
+        timestamp: serverNow(),
+        success: false,
+        loadTestActive: false,
+        loadTestConcurrent: 0,
+        mode: 'internal',
+        requestId: error.requestId || requestId,
+      });
     })
     .finally(() => {
-      probeInFlight = false;
+      cadence.inFlight = Math.max(0, cadence.inFlight - 1);
+      if (generation !== probeGeneration) return;
+      const delay = cadence.intervalMs > cadence.baseIntervalMs ? cadence.intervalMs : PROBE_POLL_INTERVAL;
+      probePollTimer = setTimeout(probeInternalBatch, delay);
     });
 }
 
+// ============================================================================
+// Delivery + Offline History
+// ============================================================================
+
+/**
+ * Delivers a metrics snapshot to the dashboard and records a compact copy
+ * (only the fields charts and tiles use) in the offline store.
+ * @param {Object} metrics - Metrics from /api/metrics or the stream
+ */
+function emitMetrics(metrics) {
+  if (typeof offlineStore !== 'undefined') {
+    const sampledAt = Date.parse(metrics.timestamp);
+    offlineStore.append('metrics', {
+      ts: Number.isFinite(sampledAt) ? sampledAt : serverNow(),
+      timestamp: metrics.timestamp,
+      cpu: { usagePercent: metrics.cpu?.usagePercent || 0 },
+      memory: {
+        fpmPoolRssMb: metrics.memory?.fpmPoolRssMb || 0,
+        simulatedMb: metrics.memory?.simulatedMb || 0,
+        rssMb: metrics.memory?.rssMb || 0,
+        totalSystemMb: metrics.memory?.totalSystemMb || 0,
+      },
+      process: { activeWorkers: metrics.process?.activeWorkers || 0 },
+    });
+  }
+  if (typeof onMetricsUpdate === 'function') {
+    onMetricsUpdate(metrics);
+  }
+}
+
+/**
+ * Delivers a probe result to the dashboard and records it (including
+ * failed probes) in the offline store.
+ * @param {Object} data - { latencyMs, timestamp, success, mode, requestId, breakdown, ... }
+ */
+function emitProbeLatency(data) {
+  if (typeof offlineStore !== 'undefined') {
+    offlineStore.append('probes', {
+      ts: data.timestamp,
+      latencyMs: data.latencyMs,
+      success: data.success,
+      mode: data.mode || null,
+      breakdown: data.breakdown || null,
+      requestId: data.requestId || null,
+    });
+  }
+  if (typeof onProbeLatency === 'function') {
+    onProbeLatency(data);
+  }
+}
+
 // ============================================================================
 // Utilities
 // ============================================================================
 
 /**
- * Stops all polling loops.
+ * Stops the active transport and all polling loops.
  */
 function stopAllPolling() {
-  if (metricsPollTimer) { clearInterval(metricsPollTimer); metricsPollTimer = null; }
-  if (eventsPollTimer) { clearInterval(eventsPollTimer); eventsPollTimer = null; }
-  if (probePollTimer) { clearInterval(probePollTimer); probePollTimer = null; }
+  stopTransport();
+  if (metricsPollTimer) { clearTimeout(metricsPollTimer); metricsPollTimer = null; }
+  if (eventsPollTimer) { clearTimeout(eventsPollTimer); eventsPollTimer = null; }
+  stopProbePolling();
+}
+
+/**
+ * Stops all live delivery (transport, probes, target monitors) and blocks
+ * reconnects until resumeLiveUpdates(). Used while a recorded session is
+ * replayed (session-recorder.js), so live data does not mix into it.
+ */
+function suspendLiveUpdates() {
+  if (liveUpdatesSuspended) return;
+  liveUpdatesSuspended = true;
+  isConnected = false;
+  stopAllPolling();
+  stopTargetMonitors();
+}
+
+/**
+ * Reconnects after suspendLiveUpdates(). The reconnect resets the event log
+ * and restarts every loop, as after a page load.
+ */
+function resumeLiveUpdates() {
+  if (!liveUpdatesSuspended) return;
+  liveUpdatesSuspended = false;
+  reconnectAttempts = 0;
+  consecutiveFailures = 0;
+  initSocket();
+  startTargetMonitors();
 }
 
 /**
@@ -478,9 +1308,372 @@ function getSocket() {
   return null;
 }
 
+// ============================================================================
+// Multi-Target Monitoring
+// ============================================================================
+//
+// The page's own origin is the primary target and uses the transport and
+// probe loops above with the classic callbacks. Additional perfsimphp
+// instances can be registered by base URL; each gets an independent monitor
+// with its own metrics/probe loops, adaptive cadence and connection state,
+// reported through the onTarget* callbacks. Remote targets rely on the API's
+// CORS headers (Access-Control-Allow-Origin: *). The list persists per browser.
+
+const PRIMARY_TARGET_ID = 'local';
+const TARGETS_STORAGE_KEY = 'perfsim.targets';
+const TARGET_METRICS_POLL_INTERVAL = 1000;
+const TARGET_PROBE_INTERVAL = 500;
+// Consecutive failures before a target is reported as not responding
+const TARGET_MAX_CONSECUTIVE_FAILURES = 5;
+// Series colors for added targets (distinct from the primary series colors)
+const TARGET_COLORS = ['#e3008c', '#00b7c3', '#ca5010', '#498205', '#4f6bed', '#986f0b'];
+
+// Registered remote targets and their running monitors (keyed by target id)
+let remoteTargets = loadTargets();
+const targetMonitors = new Map();
+
+/**
+ * Loads the remote target list from localStorage.
+ * @returns {Array} [{ id, baseUrl, label, color }]
+ */
+function loadTargets() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(TARGETS_STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored.filter(t => t && t.id && t.baseUrl) : [];
+  } catch (error) {
+    console.warn('[polling-client] Ignoring unreadable target list:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Persists the remote target list to localStorage.
+ */
+function saveTargets() {
+  try {
+    localStorage.setItem(TARGETS_STORAGE_KEY, JSON.stringify(remoteTargets));
+  } catch (error) {
+    console.warn('[polling-client] Could not save target list:', error.message);
+  }
+}
+
+/**
+ * Gets all monitored targets, primary first.
+ * @returns {Array} [{ id, baseUrl, label, color, status, primary }]
+ */
+function getTargets() {
+  const primary = {
+    id: PRIMARY_TARGET_ID,
+    baseUrl: window.location.origin,
+    label: 'This instance',
+    color: null,
+    status: isConnected ? 'connected' : 'disconnected',
+    primary: true,
+  };
+  return [primary, ...remoteTargets.map(t => ({
+    ...t,
+    status: targetMonitors.get(t.id)?.status || 'stopped',
+    primary: false,
+  }))];
+}
+
+/**
+ * Registers a new target and starts monitoring it.
+ * @param {string} baseUrl - Instance base URL (e.g. https://app-staging.azurewebsites.net)
+ * @param {string} [label] - Display name (defaults to the host)
+ * @returns {Object} The registered target
+ * @throws {Error} If the URL is invalid or already registered
+ */
+function addTarget(baseUrl, label) {
+  let url;
+  try {
+    url = new URL(baseUrl.trim());
+  } catch (error) {
+    throw new Error(`Invalid URL: ${baseUrl}`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error('Target URL must use http or https');
+  }
+
+  const normalized = url.origin + url.pathname.replace(/\/+$/, '');
+  if (normalized === window.location.origin || remoteTargets.some(t => t.baseUrl === normalized)) {
+    throw new Error(`${normalized} is already being monitored`);
+  }
+
+  const usedColors = new Set(remoteTargets.map(t => t.color));
+  const target = {
+    id: 't' + Date.now().toString(36),
+    baseUrl: normalized,
+    label: (label && label.trim()) || url.host,
+    color: TARGET_COLORS.find(c => !usedColors.has(c)) || TARGET_COLORS[remoteTargets.length % TARGET_COLORS.length],
+  };
+  remoteTargets.push(target);
+  saveTargets();
+
+  if (!pausedForHiddenPage) {
+    startTargetMonitor(target);
+  }
+  return target;
+}
+
+/**
+ * Stops monitoring a target and removes it from the registry.
+ * @param {string} targetId - Target id
+ */
+function removeTarget(targetId) {
+  const monitor = targetMonitors.get(targetId);
+  if (monitor) {
+    monitor.stop();
+    targetMonitors.delete(targetId);
+  }
+  remoteTargets = remoteTargets.filter(t => t.id !== targetId);
+  saveTargets();
+}
+
+/**
+ * Creates an independent monitor for a remote target.
+ * Polls {baseUrl}/api/metrics and {baseUrl}/api/health/probe with its own
+ * adaptive cadence and failure tracking.
+ * @param {Object} target - Registered target
+ */
+function createTargetMonitor(target) {
+  const monitor = {
+    target,
+    status: 'connecting',
+    consecutiveFailures: 0,
+    metricsTimer: null,
+    probeTimer: null,
+    cadences: {
+      metrics: createCadence(TARGET_METRICS_POLL_INTERVAL, 10000, 1, () => {}),
+      probe: createCadence(TARGET_PROBE_INTERVAL, 5000, 1, () => {}),
+    },
+
+    start() {
+      this.stop();
+      this.setStatus('connecting');
+      this.scheduleLoop('metricsTimer', this.cadences.metrics, () => this.pollMetrics());
+      this.scheduleLoop('probeTimer', this.cadences.probe, () => this.probe());
+    },
+
+    stop() {
+      if (this.metricsTimer) { clearTimeout(this.metricsTimer); this.metricsTimer = null; }
+      if (this.probeTimer) { clearTimeout(this.probeTimer); this.probeTimer = null; }
+    },
+
+    scheduleLoop(timerKey, cadence, tick) {
+      tick();
+      this[timerKey] = setTimeout(() => this.scheduleLoop(timerKey, cadence, tick), cadence.intervalMs);
+    },
+
+    setStatus(status) {
+      if (this.status === status) return;
+      this.status = status;
+      if (typeof onTargetStatusChange === 'function') {
+        onTargetStatusChange(target.id, status);
+      }
+    },
+
+    recordResult(ok) {
+      if (ok) {
+        this.consecutiveFailures = 0;
+        this.setStatus('connected');
+      } else if (++this.consecutiveFailures >= TARGET_MAX_CONSECUTIVE_FAILURES) {
+        this.setStatus('disconnected');
+      }
+    },
+
+    pollMetrics() {
+      const cadence = this.cadences.metrics;
+      if (cadence.inFlight >= cadence.concurrency) return;
+      cadence.inFlight++;
+
+      const started = Date.now();
+      fetchWithTimeout(`${target.baseUrl}/api/metrics`, { cache: 'no-store' }, METRICS_TIMEOUT_MS)
+        .then(response => {
+          if (!response.ok) throw new Error('Metrics fetch failed');
+          return response.json();
+        })
+        .then(metrics => {
+          this.recordResult(true);
+          recordCadenceSample(cadence, Date.now() - started, true, false, this.consecutiveFailures);
+          if (typeof onTargetMetricsUpdate === 'function') {
+            onTargetMetricsUpdate(target.id, metrics);
+          }
+        })
+        .catch(error => {
+          this.recordResult(false);
+          recordCadenceSample(cadence, 0, false, isTimeoutError(error), this.consecutiveFailures);
+        })
+        .finally(() => {
+          cadence.inFlight = Math.max(0, cadence.inFlight - 1);
+        });
+    },
+
+    probe() {
+      const cadence = this.cadences.probe;
+      if (cadence.inFlight >= cadence.concurrency) return;
+      cadence.inFlight++;
+
+      const probeStart = Date.now();
+      fetchWithTimeout(`${target.baseUrl}/api/health/probe?t=${probeStart}`, {
+        headers: { 'Accept': 'application/json' },
+      }, PROBE_TIMEOUT_MS)
+        .then(response => {
+          if (!response.ok) throw new Error('HTTP ' + response.status);
+          const latency = Date.now() - probeStart;
+          this.recordResult(true);
+          recordCadenceSample(cadence, latency, true, false, this.consecutiveFailures);
+          if (typeof onTargetProbeLatency === 'function') {
+            onTargetProbeLatency(target.id, {
+              latencyMs: latency, timestamp: serverNow(), success: true, requestId: response.requestId,
+            });
+          }
+        })
+        .catch(error => {
+          this.recordResult(false);
+          recordCadenceSample(cadence, 0, false, isTimeoutError(error), this.consecutiveFailures);
+          if (typeof onTargetProbeLatency === 'function') {
+            onTargetProbeLatency(target.id, {
+              latencyMs: 0, timestamp: serverNow(), success: false, requestId: error.requestId || null,
+            });
+          }
+        })
+        .finally(() => {
+          cadence.inFlight = Math.max(0, cadence.inFlight - 1);
+        });
+    },
+  };
+  return monitor;
+}
+
+/**
+ * Starts (or restarts) the monitor for one target.
+ */
+function startTargetMonitor(target) {
+  let monitor = targetMonitors.get(target.id);
+  if (!monitor) {
+    monitor = createTargetMonitor(target);
+    targetMonitors.set(target.id, monitor);
+  }
+  monitor.start();
+}
+
+/**
+ * Starts monitors for all registered remote targets.
+ */
+function startTargetMonitors() {
+  if (pausedForHiddenPage || liveUpdatesSuspended || document.hidden) return;
+  remoteTargets.forEach(startTargetMonitor);
+}
+
+/**
+ * Stops all remote target monitors (registry is kept).
+ */
+function stopTargetMonitors() {
+  for (const monitor of targetMonitors.values()) {
+    monitor.stop();
+  }
+}
+
+// ============================================================================
+// Page Visibility
+// ============================================================================
+
+/**
+ * Pauses metrics/events delivery and probes while the tab is hidden.
+ * Several hidden dashboard tabs would otherwise multiply probe traffic
+ * against the same App Service plan.
+ */
+function pauseForHiddenPage() {
+  if (pausedForHiddenPage) return;
+  pausedForHiddenPage = true;
+  hiddenSince = serverNow();
+  stopAllPolling();
+  stopTargetMonitors();
+}
+
+/**
+ * Resumes after the tab becomes visible again: marks the hidden interval as
+ * a chart gap, replays missed events, then restarts the loops.
+ */
+function resumeFromHiddenPage() {
+  if (!pausedForHiddenPage) return;
+  pausedForHiddenPage = false;
+  const hiddenFrom = hiddenSince;
+  hiddenSince = null;
+  if (liveUpdatesSuspended) return;
+
+  startTargetMonitors();
+
+  // Reconnect flow (initSocket → onConnected) restarts the loops itself
+  if (!isConnected) return;
+
+  if (typeof chartsMarkGap === 'function') {
+    chartsMarkGap(hiddenFrom, serverNow());
+  }
+
+  catchUpEvents(hiddenFrom).finally(startTransport);
+  startProbePolling();
+}
+
+/**
+ * Fetches recent events and replays those newer than lastEventSequence
+ * in chronological order.
+ * @param {number} hiddenFrom - When the tab was hidden (for the log message)
+ * @returns {Promise<void>}
+ */
+function catchUpEvents(hiddenFrom) {
+  return fetchWithTimeout(`/api/admin/events?limit=${CATCH_UP_EVENT_LIMIT}`, { cache: 'no-store' }, EVENTS_TIMEOUT_MS)
+    .then(response => {
+      if (!response.ok) throw new Error('Events fetch failed');
+      return response.json();
+    })
+    .then(data => {
+      const newSequence = data.sequence || 0;
+      // API returns newest-first; replay oldest-first
+      const missed = (data.events || [])
+        .filter(e => (e.seq || 0) > lastEventSequence)
+        .reverse();
+      const evicted = Math.max(0, newSequence - lastEventSequence - missed.length);
+
+      for (const event of missed) {
+        if (typeof onEventUpdate === 'function') {
+          onEventUpdate(event);
+        }
+      }
+      lastEventSequence = Math.max(lastEventSequence, newSequence);
+      lastEventCount = data.total || data.count || lastEventCount;
+
+      if (typeof addEventToLog === 'function') {
+        const hiddenSeconds = ((serverNow() - hiddenFrom) / 1000).toFixed(0);
+        addEventToLog({
+          level: 'info',
+          message: `Tab visible again after ${hiddenSeconds}s — replayed ${missed.length} missed event(s)` +
+            (evicted > 0 ? `, ${evicted} older event(s) no longer available` : ''),
+        });
+      }
+    })
+    .catch((error) => {
+      console.warn('[polling-client] Event catch-up failed:', error.message);
+    });
+}
+
+/**
+ * Handles document visibilitychange events.
+ */
+function handleVisibilityChange() {
+  if (document.hidden) {
+    pauseForHiddenPage();
+  } else {
+    resumeFromHiddenPage();
+  }
+}
+
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', initSocket);
+document.addEventListener('DOMContentLoaded', startTargetMonitors);
+document.addEventListener('visibilitychange', handleVisibilityChange);
 
 // Note: Charts persist across tab visibility changes. They reset only on page load/reload
-// (via initCharts() in charts.js). Polling continues regardless of visibility state since
-// browsers may throttle timers but don't stop them entirely.
+// (via initCharts() in charts.js). While the tab is hidden, metrics/events delivery and
+// probes are paused; the hidden interval is drawn as a gap rather than interpolated.
@@ -0,0 +1,461 @@
+/**
+ * =============================================================================
+ * RAMP PROFILES — Step, Linear and Sawtooth CPU / Memory Ramps
+ * =============================================================================
+ *
+ * FEATURE REQUIREMENTS (language-agnostic):
+ *   This module must:
+ *   1. Drive CPU stress between intensity levels over time, and grow memory
+ *      pressure in increments towards a target, following a step, linear or
+ *      sawtooth profile (real incidents ramp up; a single click does not)
+ *   2. Release memory by allocation ID on the way down, and optionally all of
+ *      the ramp's allocations when it ends
+ *   3. Expose the planned profile before it runs (for a preview) and while it
+ *      runs (for an overlay on the live charts)
+ *
+ * HOW IT WORKS (this implementation):
+ *   - buildRampPlan() turns the form values into a step function: the value
+ *     the ramp should be at, from the start, changing only at the points
+ *     listed. Linear and sawtooth lines are sampled and rounded to what the
+ *     server can do: a CPU level (off / moderate / high) or a whole memory
+ *     increment
+ *   - A RAMP_TICK_MS timer compares the planned value with the applied one
+ *     and changes it through the control panel functions in dashboard.js, so
+ *     every change is logged and marked on the charts like a click:
+ *       CPU    — starts a stress at the new level lasting until the next
+ *                change, then stops the previous one by ID
+ *       memory — allocates the difference in chunks of at most one
+ *                increment, or releases the newest allocations (by ID) while
+ *                that keeps it at or above the target
+ *   - One ramp per kind runs at a time; a CPU and a memory ramp can overlap.
+ *     A failed request ends the ramp
+ *   - The plan is handed to charts.js (setPlannedProfile) and drawn as a
+ *     dashed series: CPU at nominal percentages (moderate 50%, high 100%),
+ *     memory on top of the memory shown when the ramp started
+ *
+ * USED BY:
+ *   dashboard.js — the Ramp profile options of the CPU and memory forms
+ *
+ * PORTING NOTES:
+ *   This file is frontend JavaScript and stays JS regardless of backend.
+ *   A backend with more CPU levels only needs RAMP_KINDS.cpu.levels (and
+ *   the server's validation) extended; ramps stay client-driven.
+ */
+
+// How often a running ramp checks its plan
+const RAMP_TICK_MS = 500;
+// Linear and sawtooth lines are sampled at most this many times
+const RAMP_MAX_SAMPLES = 2000;
+
+const RAMP_SHAPES = {
+  step: { label: 'Step' },
+  linear: { label: 'Linear' },
+  sawtooth: { label: 'Sawtooth' },
+};
+
+// What can be ramped. Values are level indexes for CPU and MB for memory
+const RAMP_KINDS = {
+  cpu: {
+    simulationType: 'CPU_STRESS',
+    levels: ['off', 'moderate', 'high'],
+    seriesKey: 'cpu',
+    format: (value) => RAMP_KINDS.cpu.levels[value],
+    // Nominal CPU % of a level, for the chart overlay
+    chartValue: (value) => value * 50,
+  },
+  memory: {
+    simulationType: 'MEMORY_PRESSURE',
+    seriesKey: 'memory',
+    format: (value) => `${value}MB`,
+    chartValue: (value) => value,
+  },
+};
+
+const activeRamps = { cpu: null, memory: null };
+let rampTimer = null;
+
+/**
+ * Current time on the server timeline.
+ */
+function rampNow() {
+  return typeof serverNow === 'function' ? serverNow() : Date.now();
+}
+
+/**
+ * Builds the plan of a ramp.
+ * @param {Object} spec
+ * @param {string} spec.kind - 'cpu' | 'memory'
+ * @param {string} spec.shape - Key of RAMP_SHAPES
+ * @param {string|number} spec.from - Start level name (CPU) or MB (memory)
+ * @param {string|number} spec.to - End level name (CPU) or MB (memory)
+ * @param {number} spec.durationSeconds - Length of the ramp
+ * @param {number} [spec.steps] - step: number of steps from `from` to `to`
+ * @param {number} [spec.cycles] - sawtooth: number of teeth
+ * @param {number} [spec.incrementMb] - memory: allocation size of linear
+ *   and sawtooth ramps
+ * @param {boolean} [spec.releaseAtEnd] - memory: release the ramp's
+ *   allocations when it ends
+ * @returns {Object} { kind, shape, durationSeconds, points: [{ at, value }],
+ *   chunkMb, releaseAtEnd, label }; `at` in seconds from the start
+ * @throws {Error} If the spec is invalid
+ */
+function buildRampPlan(spec) {
+  const kind = RAMP_KINDS[spec.kind];
+  if (!kind) throw new Error(`Cannot ramp "${spec.kind}"`);
+  if (!RAMP_SHAPES[spec.shape]) throw new Error(`Unknown ramp shape "${spec.shape}"`);
+
+  const wholeNumber = (value, name, min) => {
+    if (!Number.isInteger(value) || value < min) {
+      throw new Error(`${name} must be a whole number of at least ${min}`);
+    }
+    return value;
+  };
+  const durationSeconds = wholeNumber(spec.durationSeconds, 'Ramp duration', 2);
+  let from;
+  let to;
+  if (spec.kind === 'cpu') {
+    from = kind.levels.indexOf(spec.from);
+    to = kind.levels.indexOf(spec.to);
+    if (from < 0 || to < 0) throw new Error(`CPU levels are ${kind.levels.join(', ')}`);
+  } else {
+    from = wholeNumber(spec.from, 'Start size (MB)', 0);
+    to = wholeNumber(spec.to, 'Target size (MB)', 0);
+  }
+  if (from === to) throw new Error('Start and end of the ramp are the same');
+
+  let at;
+  let round = Math.round;
+  if (spec.shape === 'step') {
+    const steps = wholeNumber(spec.steps, 'Steps', 1);
+    const plateau = durationSeconds / (steps + 1);
+    at = (t) => from + (to - from) * Math.min(steps, Math.floor(t / plateau)) / steps;
+  } else {
+    const period = spec.shape === 'sawtooth'
+      ? durationSeconds / wholeNumber(spec.cycles, 'Cycles', 1)
+      : durationSeconds;
+    at = (t) => from + (to - from) * ((t % period) / period);
+    if (spec.kind === 'memory') {
+      const increment = wholeNumber(spec.incrementMb, 'Increment (MB)', 1);
+      const low = Math.min(from, to);
+      const high = Math.max(from, to);
+      round = (v) => Math.min(high, Math.max(low, from + Math.round((v - from) / increment) * increment));
+    }
+  }
+
+  // Sample the profile and keep only the changes
+  const sampleSeconds = Math.max(0.5, durationSeconds / RAMP_MAX_SAMPLES);
+  const points = [];
+  for (let t = 0; t < durationSeconds; t += sampleSeconds) {
+    const value = round(at(t));
+    if (points.length === 0 || points[points.length - 1].value !== value) {
+      points.push({ at: Math.round(t * 10) / 10, value });
+    }
+  }
+
+  const chunkMb = spec.kind !== 'memory' ? null
+    : spec.shape === 'step' ? Math.max(1, Math.round(Math.abs(to - from) / spec.steps))
+      : spec.incrementMb;
+  return {
+    kind: spec.kind,
+    shape: spec.shape,
+    durationSeconds,
+    points,
+    chunkMb,
+    releaseAtEnd: spec.kind === 'memory' && Boolean(spec.releaseAtEnd),
+    label: `${RAMP_SHAPES[spec.shape].label} ${spec.kind === 'cpu' ? 'CPU' : 'memory'} ramp ${kind.format(from)} → ${kind.format(to)} over ${durationSeconds}s`,
+  };
+}
+
+/**
+ * Planned value at a time into the ramp.
+ * @param {Object} plan - From buildRampPlan()
+ * @param {number} seconds - Time since the start
+ * @returns {{value: number, until: number}} until = when it next changes (s)
+ */
+function rampPlanValueAt(plan, seconds) {
+  let index = 0;
+  while (index + 1 < plan.points.length && plan.points[index + 1].at <= seconds) index++;
+  const next = plan.points[index + 1];
+  return { value: plan.points[index].value, until: next ? next.at : plan.durationSeconds };
+}
+
+/**
+ * Starts a ramp.
+ * @param {Object} spec - See buildRampPlan()
+ * @returns {Object} The ramp's state, as listed by getRampStates()
+ * @throws {Error} If the spec is invalid, a ramp of that kind is running or
+ *   a session is replaying
+ */
+function startRamp(spec) {
+  const plan = buildRampPlan(spec);
+  if (activeRamps[plan.kind]) {
+    throw new Error(`A ${plan.kind === 'cpu' ? 'CPU' : 'memory'} ramp is already running; stop it first`);
+  }
+  if (typeof isSessionReplaying === 'function' && isSessionReplaying()) {
+    throw new Error('Stop the replay before starting a ramp');
+  }
+
+  const startedAt = rampNow();
+  const ramp = {
+    plan,
+    startedAt,
+    endsAt: startedAt + plan.durationSeconds * 1000,
+    applied: 0,            // Planned value last applied
+    cpuSimulationId: null, // CPU: the stress running now
+    allocations: [],       // Memory: { id, sizeMb }, oldest first
+    busy: false,
+    stopping: false,
+  };
+  activeRamps[plan.kind] = ramp;
+
+  const kind = RAMP_KINDS[plan.kind];
+  if (typeof setPlannedProfile === 'function') {
+    setPlannedProfile(kind.seriesKey, {
+      label: plan.label,
+      startAt: startedAt,
+      endAt: ramp.endsAt,
+      points: plan.points.map(point => ({ ts: startedAt + point.at * 1000, value: kind.chartValue(point.value) })),
+      relative: plan.kind === 'memory',
+    });
+  }
+  rampLog('info', `📈 ${plan.label} started`, kind.simulationType);
+
+  if (!rampTimer) rampTimer = setInterval(tickRamps, RAMP_TICK_MS);
+  tickRamps();
+  return describeRamp(ramp);
+}
+
+/**
+ * Stops a running ramp early.
+ * @param {string} kindName - 'cpu' | 'memory'
+ * @returns {Promise<void>}
+ */
+async function stopRamp(kindName) {
+  const ramp = activeRamps[kindName];
+  if (!ramp || ramp.stopping) return;
+  ramp.stopping = true;
+  if (typeof endPlannedProfile === 'function') {
+    endPlannedProfile(RAMP_KINDS[kindName].seriesKey, rampNow());
+  }
+  await finishRamp(ramp, 'stopped');
+}
+
+function tickRamps() {
+  for (const ramp of Object.values(activeRamps)) {
+    if (ramp && !ramp.busy && !ramp.stopping) {
+      advanceRamp(ramp).catch(error => failRamp(ramp, error));
+    }
+  }
+  notifyRampChange();
+}
+
+/**
+ * Ends a ramp whose step threw (runSimulationRequest only turns ApiErrors
+ * into a null result), so it doesn't keep running with nothing logged.
+ */
+function failRamp(ramp, error) {
+  console.error('[ramp-profiles] Ramp step failed:', error);
+  rampLog('error', `📈 ${ramp.plan.label}: ${error?.message || error}`, RAMP_KINDS[ramp.plan.kind].simulationType);
+  // Already torn down when finishRamp itself threw
+  if (activeRamps[ramp.plan.kind] !== ramp || ramp.stopping) return;
+  abortRamp(ramp).catch(finishError => {
+    console.error('[ramp-profiles] Could not clean up the failed ramp:', finishError);
+  });
+}
+
+/**
+ * Ends a ramp as failed: its planned line stops now.
+ */
+function abortRamp(ramp) {
+  ramp.stopping = true;
+  if (typeof endPlannedProfile === 'function') {
+    endPlannedProfile(RAMP_KINDS[ramp.plan.kind].seriesKey, rampNow());
+  }
+  return finishRamp(ramp, 'failed');
+}
+
+/**
+ * Applies a ramp's planned value for now, or finishes it at its end.
+ * Requests run one at a time; the next tick picks up where this one left.
+ */
+async function advanceRamp(ramp) {
+  const elapsed = (rampNow() - ramp.startedAt) / 1000;
+  if (elapsed >= ramp.plan.durationSeconds) {
+    ramp.stopping = true;
+    await finishRamp(ramp, 'finished');
+    return;
+  }
+  const { value, until } = rampPlanValueAt(ramp.plan, elapsed);
+  if (value === ramp.applied) return;
+
+  ramp.busy = true;
+  try {
+    const ok = ramp.plan.kind === 'cpu'
+      ? await applyCpuLevel(ramp, value, until - elapsed)
+      : await applyMemoryTarget(ramp, value);
+    if (ok) {
+      ramp.applied = value;
+    } else if (!ramp.stopping) {
+      await abortRamp(ramp);
+    }
+  } finally {
+    ramp.busy = false;
+  }
+}
+
+/**
+ * Switches the ramp's CPU stress to a level.
+ * @param {Object} ramp
+ * @param {number} level - Index into RAMP_KINDS.cpu.levels
+ * @param {number} holdSeconds - Until the next change
+ * @returns {Promise<boolean>} false if a request failed
+ */
+async function applyCpuLevel(ramp, level, holdSeconds) {
+  const previousId = ramp.cpuSimulationId;
+  if (level > 0) {
+    // Start the new level before stopping the old one, so the load doesn't dip
+    const result = await startCpuStress(RAMP_KINDS.cpu.levels[level], Math.max(1, Math.ceil(holdSeconds)));
+    if (!result) return false;
+    ramp.cpuSimulationId = result.data.id;
+  } else {
+    ramp.cpuSimulationId = null;
+  }
+  if (previousId) {
+    await stopRampCpuSimulation(previousId);
+  }
+  return true;
+}
+
+function stopRampCpuSimulation(id) {
+  return runSimulationRequest(() => perfSimApi.stopCpuSimulation(id), `Ramp: CPU simulation ${id.slice(0, 8)} stopped`, 'CPU_STRESS');
+}
+
+/**
+ * Allocates or releases the ramp's memory towards a target.
+ * @param {Object} ramp
+ * @param {number} targetMb
+ * @returns {Promise<boolean>} false if a request failed
+ */
+async function applyMemoryTarget(ramp, targetMb) {
+  const allocated = () => ramp.allocations.reduce((sum, allocation) => sum + allocation.sizeMb, 0);
+  while (allocated() < targetMb) {
+    if (ramp.stopping) return true;
+    const sizeMb = Math.min(ramp.plan.chunkMb, targetMb - allocated());
+    const result = await startMemoryPressure(sizeMb);
+    if (!result) return false;
+    ramp.allocations.push({ id: result.data.id, sizeMb });
+  }
+  // Whole allocations only: stop before going below the target
+  while (ramp.allocations.length > 0 && allocated() - ramp.allocations[ramp.allocations.length - 1].sizeMb >= targetMb) {
+    if (ramp.stopping) return true;
+    if (!await releaseRampAllocation(ramp.allocations[ramp.allocations.length - 1])) return false;
+    ramp.allocations.pop();
+  }
+  return true;
+}
+
+function releaseRampAllocation(allocation) {
+  return runSimulationRequest(
+    () => perfSimApi.releaseMemoryAllocation(allocation.id),
+    `Ramp: released ${allocation.sizeMb}MB (${allocation.id.slice(0, 8)})`,
+    'MEMORY_PRESSURE'
+  );
+}
+
+/**
+ * Ends a ramp: stops its CPU stress early (a finished ramp's last stress
+ * ends by itself) and releases its memory if asked to.
+ * @param {Object} ramp
+ * @param {string} outcome - 'finished' | 'stopped' | 'failed'
+ */
+async function finishRamp(ramp, outcome) {
+  // Let an in-flight change settle, so its ID is known
+  while (ramp.busy && outcome !== 'failed') {
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  try {
+    if (ramp.plan.kind === 'cpu' && outcome !== 'finished' && ramp.cpuSimulationId) {
+      await stopRampCpuSimulation(ramp.cpuSimulationId);
+    }
+    if (ramp.plan.kind === 'memory' && ramp.plan.releaseAtEnd) {
+      for (const allocation of [...ramp.allocations].reverse()) {
+        await releaseRampAllocation(allocation);
+      }
+    }
+  } finally {
+    // The ramp ends even if a cleanup request threw (the caller sees the error)
+    endRamp(ramp, outcome);
+  }
+}
+
+/**
+ * Forgets a ramp (stopping the timer when none is left) and logs its outcome.
+ */
+function endRamp(ramp, outcome) {
+  const kind = RAMP_KINDS[ramp.plan.kind];
+  activeRamps[ramp.plan.kind] = null;
+  if (!activeRamps.cpu && !activeRamps.memory) {
+    clearInterval(rampTimer);
+    rampTimer = null;
+  }
+  const levels = { finished: 'success', stopped: 'warning', failed: 'error' };
+  const kept = ramp.plan.kind === 'memory' && !ramp.plan.releaseAtEnd && ramp.allocations.length > 0
+    ? ` (${ramp.allocations.length} allocations kept)` : '';
+  rampLog(levels[outcome], `📈 ${ramp.plan.label} ${outcome}${kept}`, kind.simulationType);
+  notifyRampChange();
+}
+
+/**
+ * Is a ramp running? (Either kind when none is given.)
+ * @param {string} [kindName]
+ * @returns {boolean}
+ */
+function isRampRunning(kindName) {
+  return kindName ? Boolean(activeRamps[kindName]) : Boolean(activeRamps.cpu || activeRamps.memory);
+}
+
+/**
+ * State of each kind's ramp.
+ * @returns {{cpu: Object|null, memory: Object|null}} Each { plan, elapsedSeconds,
+ *   planned, applied, allocations, stopping } or null when not running
+ */
+function getRampStates() {
+  return {
+    cpu: activeRamps.cpu && describeRamp(activeRamps.cpu),
+    memory: activeRamps.memory && describeRamp(activeRamps.memory),
+  };
+}
+
+function describeRamp(ramp) {
+  const elapsedSeconds = Math.min(ramp.plan.durationSeconds, Math.max(0, (rampNow() - ramp.startedAt) / 1000));
+  return {
+    plan: ramp.plan,
+    elapsedSeconds,
+    planned: rampPlanValueAt(ramp.plan, elapsedSeconds).value,
+    applied: ramp.applied,
+    allocations: ramp.allocations.length,
+    stopping: ramp.stopping,
+  };
+}
+
+function rampLog(level, message, simulationType) {
+  if (typeof addEventToLog === 'function') {
+    addEventToLog({ level, message, simulationType });
+  }
+}
+
+/**
+ * Tells the dashboard (window.onRampChange) the ramps changed.
+ */
+function notifyRampChange() {
+  if (typeof onRampChange === 'function') {
+    onRampChange(getRampStates());
+  }
+}
+
+window.RAMP_KINDS = RAMP_KINDS;
+window.buildRampPlan = buildRampPlan;
+window.startRamp = startRamp;
+window.stopRamp = stopRamp;
+window.isRampRunning = isRampRunning;
+window.getRampStates = getRampStates;
@@ -0,0 +1,726 @@
+/**
+ * =============================================================================
+ * SCENARIO RUNNER — Scripted Multi-Step Simulation Playbooks
+ * =============================================================================
+ *
+ * FEATURE REQUIREMENTS (language-agnostic):
+ *   This module must:
+ *   1. Run a declarative playbook (JSON or YAML) of timed steps: start / stop
+ *      each simulation with parameters, fixed waits, waits for a condition
+ *      ("p99 > 1s", "activeWorkers >= 4") and assertions
+ *   2. Let a run be paused, resumed and aborted, and report per-step progress
+ *      for a timeline
+ *   3. Ship a library of built-in scenarios and accept playbook files
+ *   4. Leave the app clean: a playbook's cleanup steps run however the run
+ *      ends (finished, failed or aborted)
+ *
+ * HOW IT WORKS (this implementation):
+ *   - Simulation steps call the same functions as the control panel
+ *     (startCpuStress, startMemoryPressure, ... in dashboard.js), so requests,
+ *     event log entries, chart markers and session recordings are identical
+ *     to clicking. Crash steps call perfSimApi.crash() directly (no confirm
+ *     dialog per worker; the dashboard asks once before the run)
+ *   - Conditions read the rolling latency percentiles from charts.js and the
+ *     latest metrics payload, which dashboard.js passes to
+ *     observeScenarioMetrics() on every update
+ *   - One async loop walks the steps; waits check the clock (and wait-for
+ *     conditions) every SCENARIO_TICK_MS, and paused time does not count.
+ *     Pausing takes effect between requests, never in the middle of one
+ *   - A failed request or a wait-for that times out ends the run (later steps
+ *     usually depend on it); a failed assertion is recorded and the run goes
+ *     on, finishing as 'failed'
+ *
+ * PLAYBOOK FORMAT (JSON shown; YAML with the same keys works too):
+ *   { "name": "Noisy neighbor", "description": "...",
+ *     "steps": [
+ *       { "action": "cpu.start", "level": "high", "durationSeconds": 60 },
+ *       { "action": "waitFor", "condition": "cpu >= 80%", "timeoutSeconds": 30 },
+ *       { "action": "wait", "seconds": 20 },
+ *       { "action": "assert", "condition": "p99 < 1s" } ],
+ *     "cleanup": [ { "action": "cpu.stop" } ] }
+ *   Actions: see SCENARIO_ACTIONS. Conditions: "<metric> <op> <value>[unit]"
+ *   with op one of > >= < <= == != and metric a key of SCENARIO_METRICS.
+ *   Any step may carry a "label" shown in the timeline.
+ *
+ * USED BY:
+ *   dashboard.js — the scenario card (picker, controls, timeline)
+ *
+ * PORTING NOTES:
+ *   This file is frontend JavaScript and stays JS regardless of backend.
+ *   Parameters are passed to the API unchanged, so the server's validation
+ *   (and its limits) applies; if a port renames simulation parameters,
+ *   update SCENARIO_ACTIONS and the built-in scenarios.
+ */
+
+const SCENARIO_FORMAT = 'perfsim-scenario';
+// How often waits check the clock and wait-for conditions
+const SCENARIO_TICK_MS = 250;
+const SCENARIO_DEFAULT_WAIT_FOR_TIMEOUT_SECONDS = 60;
+
+// Condition metrics: unit is what the value is compared in ('' = plain count)
+const SCENARIO_METRICS = {
+  p50: { label: 'P50', unit: 'ms', read: () => scenarioPercentile('p50') },
+  p90: { label: 'P90', unit: 'ms', read: () => scenarioPercentile('p90') },
+  p95: { label: 'P95', unit: 'ms', read: () => scenarioPercentile('p95') },
+  p99: { label: 'P99', unit: 'ms', read: () => scenarioPercentile('p99') },
+  p999: { label: 'P99.9', unit: 'ms', read: () => scenarioPercentile('p999') },
+  cpu: { label: 'CPU', unit: '%', read: (m) => m.cpu?.usagePercent },
+  memoryMb: { label: 'Memory', unit: 'MB', read: (m) => m.memory ? (m.memory.fpmPoolRssMb || 0) + (m.memory.simulatedMb || 0) : undefined },
+  rssMb: { label: 'RSS', unit: 'MB', read: (m) => m.memory ? m.memory.fpmPoolRssMb || m.memory.rssMb || 0 : undefined },
+  activeWorkers: { label: 'Busy workers', unit: '', read: (m) => m.process?.activeWorkers },
+  workers: { label: 'FPM workers', unit: '', read: (m) => m.crashTracking?.activeWorkerCount },
+};
+// Condition value units → factor to the metric's unit
+const SCENARIO_UNITS = {
+  ms: { ms: 1, s: 1000 },
+  '%': { '%': 1 },
+  MB: { mb: 1, gb: 1024 },
+  '': {},
+};
+const SCENARIO_OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+};
+
+/**
+ * Step actions. params: name → { type: 'number' | 'enum' | 'condition' |
+ * 'string', values, default, required }. run(step, run) resolves to a short
+ * result text, or throws to fail the step.
+ */
+const SCENARIO_ACTIONS = {
+  'cpu.start': {
+    params: {
+      level: { type: 'enum', values: ['moderate', 'high'], default: 'high' },
+      durationSeconds: { type: 'number', default: 30 },
+    },
+    describe: (s) => `CPU stress (${s.level}) for ${s.durationSeconds}s`,
+    run: (s) => scenarioRequest(() => startCpuStress(s.level, s.durationSeconds)),
+  },
+  'cpu.stop': {
+    params: {},
+    describe: () => 'Stop CPU stress',
+    run: () => scenarioRequest(() => stopCpuStress()),
+  },
+  'memory.allocate': {
+    params: { sizeMb: { type: 'number', required: true } },
+    describe: (s) => `Allocate ${s.sizeMb}MB`,
+    run: (s) => scenarioRequest(() => startMemoryPressure(s.sizeMb)),
+  },
+  'memory.release': {
+    params: {},
+    describe: () => 'Release memory',
+    run: () => scenarioRequest(() => releaseMemory()),
+  },
+  'blocking.start': {
+    params: {
+      durationSeconds: { type: 'number', default: 5 },
+      concurrentWorkers: { type: 'number', default: 5 },
+    },
+    describe: (s) => `Block ${s.concurrentWorkers} workers for ${s.durationSeconds}s`,
+    run: (s) => scenarioRequest(() => blockRequestThread(s.durationSeconds, s.concurrentWorkers)),
+  },
+  crash: {
+    params: {
+      crashType: { type: 'enum', values: ['failfast', 'stackoverflow', 'exception', 'oom'], default: 'exception' },
+      workers: { type: 'number', default: 1 },
+    },
+    describe: (s) => `Crash ${s.workers} worker${s.workers === 1 ? '' : 's'} (${s.crashType})`,
+    run: (s) => runScenarioCrash(s),
+  },
+  wait: {
+    params: { seconds: { type: 'number', required: true } },
+    describe: (s) => `Wait ${s.seconds}s`,
+    run: (s, run) => scenarioWait(run, s.seconds * 1000).then(() => `waited ${s.seconds}s`),
+  },
+  waitFor: {
+    params: {
+      condition: { type: 'condition', required: true },
+      timeoutSeconds: { type: 'number', default: SCENARIO_DEFAULT_WAIT_FOR_TIMEOUT_SECONDS },
+    },
+    describe: (s) => `Wait for ${s.condition.text} (max ${s.timeoutSeconds}s)`,
+    run: (s, run) => runScenarioWaitFor(s, run),
+  },
+  assert: {
+    params: { condition: { type: 'condition', required: true } },
+    describe: (s) => `Check ${s.condition.text}`,
+    run: (s) => runScenarioAssert(s),
+  },
+  log: {
+    params: { message: { type: 'string', required: true } },
+    describe: (s) => `Note: ${s.message}`,
+    run: (s) => {
+      scenarioLog('info', `🎬 ${s.message}`);
+      return Promise.resolve('logged');
+    },
+  },
+};
+
+// Built-in library (same format as playbook files)
+const BUILT_IN_SCENARIOS = [
+  {
+    id: 'noisy-neighbor',
+    name: 'Noisy neighbor',
+    description: 'High CPU stress in background processes: CPU climbs, but requests should stay fast because FPM workers are not involved.',
+    steps: [
+      { action: 'assert', condition: 'p99 < 1s', label: 'Healthy before the stress' },
+      { action: 'cpu.start', level: 'high', durationSeconds: 60 },
+      { action: 'waitFor', condition: 'cpu >= 80%', timeoutSeconds: 30 },
+      { action: 'wait', seconds: 30 },
+      { action: 'assert', condition: 'p99 < 1s', label: 'Requests still fast under CPU load' },
+    ],
+    cleanup: [{ action: 'cpu.stop' }],
+  },
+  {
+    id: 'slow-leak-oom',
+    name: 'Slow leak then OOM',
+    description: 'Memory grows in steps like a leak, then a worker exceeds memory_limit and FPM replaces it.',
+    steps: [
+      { action: 'memory.allocate', sizeMb: 128 },
+      { action: 'wait', seconds: 15 },
+      { action: 'memory.allocate', sizeMb: 128 },
+      { action: 'wait', seconds: 15 },
+      { action: 'memory.allocate', sizeMb: 256 },
+      { action: 'waitFor', condition: 'memoryMb >= 500MB', timeoutSeconds: 30 },
+      { action: 'wait', seconds: 15 },
+      { action: 'crash', crashType: 'oom', workers: 1 },
+      { action: 'wait', seconds: 10 },
+      { action: 'waitFor', condition: 'workers >= 1', timeoutSeconds: 60, label: 'FPM replaced the worker' },
+    ],
+    cleanup: [{ action: 'memory.release' }],
+  },
+  {
+    id: 'pool-exhaustion',
+    name: 'Worker pool exhaustion',
+    description: 'Blocks FPM workers until requests queue, then waits for the pool to recover.',
+    steps: [
+      { action: 'blocking.start', durationSeconds: 30, concurrentWorkers: 10 },
+      { action: 'waitFor', condition: 'activeWorkers >= 5', timeoutSeconds: 15 },
+      { action: 'waitFor', condition: 'p99 > 1s', timeoutSeconds: 30, label: 'Requests queue behind blocked workers' },
+      { action: 'waitFor', condition: 'activeWorkers < 3', timeoutSeconds: 60, label: 'Pool recovered' },
+    ],
+    cleanup: [],
+  },
+  {
+    id: 'full-demo',
+    name: 'Full demo',
+    description: 'CPU stress, memory pressure, worker blocking and a crash one after another, as in a live demo.',
+    steps: [
+      { action: 'cpu.start', level: 'high', durationSeconds: 30 },
+      { action: 'wait', seconds: 35 },
+      { action: 'memory.allocate', sizeMb: 512 },
+      { action: 'wait', seconds: 20 },
+      { action: 'memory.release' },
+      { action: 'blocking.start', durationSeconds: 15, concurrentWorkers: 5 },
+      { action: 'waitFor', condition: 'activeWorkers >= 5', timeoutSeconds: 15 },
+      { action: 'wait', seconds: 20 },
+      { action: 'crash', crashType: 'exception', workers: 1 },
+      { action: 'wait', seconds: 10 },
+    ],
+    cleanup: [{ action: 'cpu.stop' }, { action: 'memory.release' }],
+  },
+];
+
+// Playbooks available to run: built-ins first, then loaded files
+const scenarios = BUILT_IN_SCENARIOS.map(s => ({ ...parseScenario(s), id: s.id, builtIn: true }));
+// Latest metrics payload of the primary instance
+let lastScenarioMetrics = null;
+// { scenario, steps: [{ step, phase, status, detail, startedAt, endedAt }],
+//   index, status, paused, aborted, startedAt, endedAt, pausedMs, pausedAt, failures, progressTimer }
+let activeScenarioRun = null;
+
+// =========================================================================
+// Parsing
+// =========================================================================
+
+/**
+ * Parses and validates a playbook.
+ * @param {string|Object} source - JSON / YAML text, or an already parsed object
+ * @returns {Object} { name, description, steps, cleanup } with normalized steps
+ * @throws {Error} Naming the first invalid step or field
+ */
+function parseScenario(source) {
+  let data = source;
+  if (typeof source === 'string') {
+    try {
+      // JSON is valid YAML; without js-yaml only JSON is accepted
+      data = typeof jsyaml !== 'undefined' ? jsyaml.load(source) : JSON.parse(source);
+    } catch (error) {
+      throw new Error(`Not a valid JSON / YAML playbook: ${error.message}`);
+    }
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('A playbook is an object with "name" and "steps"');
+  }
+  if (!Array.isArray(data.steps) || data.steps.length === 0) {
+    throw new Error('The playbook has no steps');
+  }
+  if (data.cleanup != null && !Array.isArray(data.cleanup)) {
+    throw new Error('"cleanup" must be a list of steps');
+  }
+  return {
+    format: SCENARIO_FORMAT,
+    name: String(data.name || 'Untitled scenario').trim(),
+    description: data.description ? String(data.description) : '',
+    steps: data.steps.map((step, i) => parseScenarioStep(step, `Step ${i + 1}`)),
+    cleanup: (data.cleanup || []).map((step, i) => parseScenarioStep(step, `Cleanup step ${i + 1}`)),
+  };
+}
+
+/**
+ * Validates one step and fills in defaults.
+ * @param {Object} step - Raw step
+ * @param {string} where - "Step 3", for error messages
+ * @returns {Object} { action, label, ...params }
+ */
+function parseScenarioStep(step, where) {
+  if (!step || typeof step !== 'object') {
+    throw new Error(`${where}: a step is an object with an "action"`);
+  }
+  const definition = SCENARIO_ACTIONS[step.action];
+  if (!definition) {
+    throw new Error(`${where}: unknown action "${step.action}" (use ${Object.keys(SCENARIO_ACTIONS).join(', ')})`);
+  }
+
+  const parsed = { action: step.action };
+  for (const [name, spec] of Object.entries(definition.params)) {
+    const value = step[name];
+    if (value == null) {
+      if (spec.required) throw new Error(`${where} (${step.action}): "${name}" is required`);
+      parsed[name] = spec.default;
+    } else if (spec.type === 'number') {
+      const number = Number(value);
+      if (!Number.isFinite(number) || number <= 0) {
+        throw new Error(`${where} (${step.action}): "${name}" must be a positive number`);
+      }
+      parsed[name] = number;
+    } else if (spec.type === 'enum') {
+      if (!spec.values.includes(value)) {
+        throw new Error(`${where} (${step.action}): "${name}" must be one of ${spec.values.join(', ')}`);
+      }
+      parsed[name] = value;
+    } else if (spec.type === 'condition') {
+      try {
+        parsed[name] = parseScenarioCondition(value);
+      } catch (error) {
+        throw new Error(`${where} (${step.action}): ${error.message}`);
+      }
+    } else {
+      parsed[name] = String(value);
+    }
+  }
+  parsed.label = step.label ? String(step.label) : definition.describe(parsed);
+  return parsed;
+}
+
+/**
+ * Parses a condition such as "p99 > 1s" or "activeWorkers >= 4".
+ * @param {string} text
+ * @returns {{text: string, metric: string, operator: string, value: number}}
+ *   value in the metric's unit
+ */
+function parseScenarioCondition(text) {
+  const match = /^\s*([a-zA-Z0-9]+)\s*(>=|<=|==|!=|>|<)\s*(-?\d+(?:\.\d+)?)\s*(ms|s|%|mb|gb)?\s*$/i.exec(String(text));
+  if (!match) {
+    throw new Error(`condition "${text}" is not "<metric> <op> <value>", e.g. "p99 > 1s"`);
+  }
+  const [, metric, operator, number, unit] = match;
+  const definition = SCENARIO_METRICS[metric];
+  if (!definition) {
+    throw new Error(`unknown metric "${metric}" (use ${Object.keys(SCENARIO_METRICS).join(', ')})`);
+  }
+  const factors = SCENARIO_UNITS[definition.unit];
+  let factor = 1;
+  if (unit) {
+    factor = factors[unit.toLowerCase()];
+    if (factor == null) {
+      throw new Error(`"${unit}" is not a unit of ${metric}`);
+    }
+  }
+  return { text: String(text).trim(), metric, operator, value: Number(number) * factor };
+}
+
+// =========================================================================
+// Library
+// =========================================================================
+
+/**
+ * Lists the playbooks that can be run.
+ * @returns {Array<{id: string, name: string, description: string, builtIn: boolean, steps: number}>}
+ */
+function getScenarios() {
+  return scenarios.map(({ id, name, description, builtIn, steps }) => ({ id, name, description, builtIn, steps: steps.length }));
+}
+
+/**
+ * Adds a playbook file to the library (replacing a loaded one of the same name).
+ * @param {string} text - File contents
+ * @returns {string} Id of the added scenario
+ * @throws {Error} If the playbook is invalid
+ */
+function loadScenario(text) {
+  const scenario = parseScenario(text);
+  const existing = scenarios.findIndex(s => !s.builtIn && s.name === scenario.name);
+  const id = existing >= 0 ? scenarios[existing].id : `file-${Date.now().toString(36)}`;
+  const entry = { ...scenario, id, builtIn: false };
+  if (existing >= 0) {
+    scenarios[existing] = entry;
+  } else {
+    scenarios.push(entry);
+  }
+  notifyScenarioChange();
+  return id;
+}
+
+/**
+ * Returns a playbook as JSON text (a template to edit and load back).
+ * @param {string} id - Scenario id
+ * @returns {string}
+ */
+function scenarioToJson(id) {
+  const scenario = findScenario(id);
+  // Store conditions as the text they were written as
+  const plain = (step) => Object.fromEntries(Object.entries(step)
+    .map(([key, value]) => [key, value && typeof value === 'object' && 'metric' in value ? value.text : value]));
+  return JSON.stringify({
+    format: SCENARIO_FORMAT,
+    name: scenario.name,
+    description: scenario.description,
+    steps: scenario.steps.map(plain),
+    cleanup: scenario.cleanup.map(plain),
+  }, null, 2);
+}
+
+/**
+ * Whether a playbook crashes workers (the dashboard confirms those first).
+ * @param {string} id - Scenario id
+ * @returns {boolean}
+ */
+function scenarioHasCrashSteps(id) {
+  return findScenario(id).steps.some(step => step.action === 'crash');
+}
+
+function findScenario(id) {
+  const scenario = scenarios.find(s => s.id === id);
+  if (!scenario) {
+    throw new Error(`Unknown scenario: ${id}`);
+  }
+  return scenario;
+}
+
+// =========================================================================
+// Running
+// =========================================================================
+
+/**
+ * Records the latest metrics payload (conditions read it).
+ * @param {Object} metrics - /api/metrics payload of the primary instance
+ */
+function observeScenarioMetrics(metrics) {
+  lastScenarioMetrics = metrics;
+}
+
+/**
+ * Starts a playbook. Resolves when the run (including cleanup) is over.
+ * @param {string} id - Scenario id
+ * @returns {Promise<Object>} Final state, as getScenarioRunState()
+ * @throws {Error} If a run is in progress or a recording is being replayed
+ */
+async function runScenario(id) {
+  if (isScenarioRunning()) {
+    throw new Error('A scenario is already running; abort it first');
+  }
+  if (typeof isSessionReplaying === 'function' && isSessionReplaying()) {
+    throw new Error('Leave the replay before running a scenario');
+  }
+  const scenario = findScenario(id);
+  const run = {
+    scenario,
+    steps: [
+      ...scenario.steps.map(step => ({ step, phase: 'steps', status: 'pending', detail: '', startedAt: null, endedAt: null })),
+      ...scenario.cleanup.map(step => ({ step, phase: 'cleanup', status: 'pending', detail: '', startedAt: null, endedAt: null })),
+    ],
+    index: 0,
+    status: 'running',
+    paused: false,
+    aborted: false,
+    startedAt: Date.now(),
+    endedAt: null,
+    pausedMs: 0,
+    pausedAt: null,
+    failures: 0,
+    // Refreshes elapsed times on the timeline during long waits
+    progressTimer: setInterval(notifyScenarioChange, 1000),
+  };
+  activeScenarioRun = run;
+  scenarioLog('info', `🎬 Scenario started: ${scenario.name}`);
+  notifyScenarioChange();
+
+  // Set once a step fails (other than an assertion) or the run is aborted
+  let stopped = false;
+  for (const entry of run.steps) {
+    if (entry.phase === 'steps' && stopped) {
+      entry.status = 'skipped';
+      continue;
+    }
+    if (entry.phase === 'cleanup') run.status = 'cleanup';
+    const result = await runScenarioStep(run, entry);
+    if (result === 'aborted') {
+      stopped = true;
+    } else if (result === 'failed') {
+      run.failures++;
+      if (entry.step.action !== 'assert') stopped = true;
+    }
+  }
+
+  run.status = run.aborted ? 'aborted' : run.failures > 0 ? 'failed' : 'passed';
+  run.endedAt = Date.now();
+  clearInterval(run.progressTimer);
+  const summary = {
+    passed: ['success', `🎬 Scenario passed: ${scenario.name}`],
+    failed: ['error', `🎬 Scenario failed: ${scenario.name} (${run.failures} failed step${run.failures === 1 ? '' : 's'})`],
+    aborted: ['warning', `🎬 Scenario aborted: ${scenario.name}`],
+  }[run.status];
+  scenarioLog(summary[0], summary[1]);
+  notifyScenarioChange();
+  return getScenarioRunState();
+}
+
+/**
+ * Runs one step and records its outcome on the timeline.
+ * @returns {Promise<string>} 'done' | 'failed' | 'aborted'
+ */
+async function runScenarioStep(run, entry) {
+  run.index = run.steps.indexOf(entry);
+  try {
+    // Cleanup runs even after an abort
+    if (entry.phase === 'steps') await scenarioCheckpoint(run);
+  } catch (error) {
+    entry.status = 'skipped';
+    return 'aborted';
+  }
+
+  entry.status = 'running';
+  entry.startedAt = Date.now();
+  notifyScenarioChange();
+  let result;
+  try {
+    entry.detail = await SCENARIO_ACTIONS[entry.step.action].run(entry.step, run) || '';
+    entry.status = 'done';
+    result = 'done';
+  } catch (error) {
+    if (error === SCENARIO_ABORTED) {
+      entry.status = 'skipped';
+      entry.detail = 'aborted';
+      result = 'aborted';
+    } else {
+      entry.status = 'failed';
+      entry.detail = error.message;
+      result = 'failed';
+      scenarioLog('error', `🎬 ${entry.step.label}: ${error.message}`);
+    }
+  }
+  entry.endedAt = Date.now();
+  notifyScenarioChange();
+  return result;
+}
+
+// Thrown from waits when the run is aborted
+const SCENARIO_ABORTED = new Error('Scenario aborted');
+
+/**
+ * Waits while the run is paused; throws SCENARIO_ABORTED once aborted.
+ */
+async function scenarioCheckpoint(run) {
+  while (run.paused && !run.aborted) {
+    await new Promise(resolve => setTimeout(resolve, SCENARIO_TICK_MS));
+  }
+  if (run.aborted && run.status !== 'cleanup') throw SCENARIO_ABORTED;
+}
+
+/**
+ * Waits for a duration of unpaused time, or until check() returns true.
+ * @param {Object} run - Active run
+ * @param {number} ms - Longest wait
+ * @param {Function} [check] - Ends the wait early when it returns true
+ * @returns {Promise<boolean>} true if check() ended the wait
+ */
+async function scenarioWait(run, ms, check) {
+  const start = Date.now();
+  const pausedBefore = run.pausedMs;
+  for (;;) {
+    await scenarioCheckpoint(run);
+    // Wall-clock time (timers are throttled in background tabs), minus pauses
+    const waited = Date.now() - start - (run.pausedMs - pausedBefore);
+    if (check && check()) return true;
+    if (waited >= ms) return false;
+    await new Promise(resolve => setTimeout(resolve, Math.min(SCENARIO_TICK_MS, ms - waited)));
+  }
+}
+
+/**
+ * Runs a dashboard control function; fails the step if the request failed.
+ * @param {Function} request - Resolves to an ApiResponse, or null on failure
+ * @returns {Promise<string>}
+ */
+async function scenarioRequest(request) {
+  const result = await request();
+  if (!result) {
+    throw new Error('request failed (see the event log)');
+  }
+  return result.data?.message || 'ok';
+}
+
+/**
+ * Sends concurrent crash requests. A lost connection counts as a crash.
+ */
+async function runScenarioCrash(step) {
+  const simulationType = `CRASH_${step.crashType.toUpperCase()}`;
+  scenarioLog('warning', `🎬 Crashing ${step.workers} worker${step.workers === 1 ? '' : 's'} (${step.crashType})`, simulationType);
+  const results = await Promise.all(Array.from({ length: step.workers }, () =>
+    perfSimApi.crash(step.crashType).then(() => 1, error => (error.kind === 'http' ? 0 : 1))));
+  const crashed = results.reduce((a, b) => a + b, 0);
+  if (typeof recordSessionCrashes === 'function') recordSessionCrashes(crashed);
+  if (crashed === 0) {
+    throw new Error('no crash request was accepted');
+  }
+  return `${crashed}/${step.workers} crashed`;
+}
+
+async function runScenarioWaitFor(step, run) {
+  const met = await scenarioWait(run, step.timeoutSeconds * 1000, () => evaluateScenarioCondition(step.condition).met);
+  const { actual } = evaluateScenarioCondition(step.condition);
+  if (!met) {
+    throw new Error(`${step.condition.text} not reached within ${step.timeoutSeconds}s (now ${actual})`);
+  }
+  return `reached (${actual})`;
+}
+
+async function runScenarioAssert(step) {
+  const { met, actual } = evaluateScenarioCondition(step.condition);
+  if (!met) {
+    throw new Error(`expected ${step.condition.text}, was ${actual}`);
+  }
+  scenarioLog('success', `🎬 ${step.label}: ${step.condition.text} (${actual})`);
+  return `passed (${actual})`;
+}
+
+/**
+ * Evaluates a condition against the current values.
+ * @param {Object} condition - From parseScenarioCondition
+ * @returns {{met: boolean, actual: string}} actual: formatted current value
+ */
+function evaluateScenarioCondition(condition) {
+  const definition = SCENARIO_METRICS[condition.metric];
+  const value = definition.read(lastScenarioMetrics || {});
+  if (value == null || !Number.isFinite(value)) {
+    return { met: false, actual: 'no data' };
+  }
+  const actual = definition.unit === 'ms'
+    ? (typeof formatLatencyThreshold === 'function' ? formatLatencyThreshold(value) : `${Math.round(value)}ms`)
+    : `${Math.round(value * 10) / 10}${definition.unit === '%' ? '%' : definition.unit ? ` ${definition.unit}` : ''}`;
+  return { met: SCENARIO_OPERATORS[condition.operator](value, condition.value), actual };
+}
+
+function scenarioPercentile(key) {
+  return typeof getLatencyPercentiles === 'function' ? getLatencyPercentiles()[key] : null;
+}
+
+/**
+ * Pauses the run before its next request / wait tick.
+ */
+function pauseScenario() {
+  const run = activeScenarioRun;
+  if (!run || run.endedAt || run.paused || run.status === 'cleanup') return;
+  run.paused = true;
+  run.pausedAt = Date.now();
+  run.status = 'paused';
+  notifyScenarioChange();
+}
+
+function resumeScenario() {
+  const run = activeScenarioRun;
+  if (!run || !run.paused) return;
+  run.pausedMs += Date.now() - run.pausedAt;
+  run.pausedAt = null;
+  run.paused = false;
+  run.status = 'running';
+  notifyScenarioChange();
+}
+
+/**
+ * Aborts the run: the current wait ends, remaining steps are skipped and the
+ * cleanup steps run.
+ */
+function abortScenario() {
+  const run = activeScenarioRun;
+  if (!run || run.endedAt || run.aborted) return;
+  if (run.paused) resumeScenario();
+  run.aborted = true;
+  notifyScenarioChange();
+}
+
+/**
+ * Whether a run (including its cleanup) is in progress.
+ * @returns {boolean}
+ */
+function isScenarioRunning() {
+  return !!activeScenarioRun && !activeScenarioRun.endedAt;
+}
+
+/**
+ * Current run for the timeline.
+ * @returns {Object|null} { name, status, elapsedMs, index, steps: [{ label,
+ *   phase, status, detail, elapsedMs }] }; null before the first run
+ */
+function getScenarioRunState() {
+  const run = activeScenarioRun;
+  if (!run) return null;
+  const end = run.endedAt || run.pausedAt || Date.now();
+  return {
+    name: run.scenario.name,
+    status: run.status,
+    aborted: run.aborted,
+    elapsedMs: end - run.startedAt - run.pausedMs,
+    index: run.index,
+    steps: run.steps.map(entry => ({
+      label: entry.step.label,
+      action: entry.step.action,
+      phase: entry.phase,
+      status: entry.status,
+      detail: entry.detail,
+      elapsedMs: entry.startedAt ? (entry.endedAt || Date.now()) - entry.startedAt : null,
+    })),
+  };
+}
+
+function scenarioLog(level, message, simulationType) {
+  if (typeof addEventToLog === 'function') {
+    addEventToLog({ level, message, simulationType: simulationType || null });
+  }
+}
+
+/**
+ * Tells the dashboard (window.onScenarioChange) the library or run changed.
+ */
+function notifyScenarioChange() {
+  if (typeof onScenarioChange === 'function') {
+    onScenarioChange(getScenarioRunState());
+  }
+}
+
+window.parseScenario = parseScenario;
+window.getScenarios = getScenarios;
+window.loadScenario = loadScenario;
+window.scenarioToJson = scenarioToJson;
+window.scenarioHasCrashSteps = scenarioHasCrashSteps;
+window.observeScenarioMetrics = observeScenarioMetrics;
+window.runScenario = runScenario;
+window.pauseScenario = pauseScenario;
+window.resumeScenario = resumeScenario;
+window.abortScenario = abortScenario;
+window.isScenarioRunning = isScenarioRunning;
+window.getScenarioRunState = getScenarioRunState;
@@ -0,0 +1,570 @@
+/**
+ * =============================================================================
+ * SESSION RECORDER — Record a Dashboard Session and Replay It Offline
+ * =============================================================================
+ *
+ * FEATURE REQUIREMENTS (language-agnostic):
+ *   This module must:
+ *   1. Record everything the dashboard receives (metrics payloads, probe
+ *      samples, server events, active simulations) plus the user's actions
+ *      (simulation controls, setting changes) into one downloadable file
+ *   2. Replay such a file with no server attached, driving charts.js and
+ *      dashboard.js through the same global callbacks the live data uses
+ *   3. Let the replay be paused, resumed and run at adjustable speed
+ *   4. Keep replayed data out of the live history (offline store) and return
+ *      to the live dashboard cleanly afterwards
+ *
+ * HOW IT WORKS (this implementation):
+ *   - Recording wraps window.onMetricsUpdate / onProbeLatency / onEventUpdate
+ *     / onSimulationUpdate; each call is stored as { t, type, data } with t in
+ *     ms since the recording started. Control requests are captured through
+ *     perfSimApi.onRequest, setting changes through recordSessionAction()
+ *   - Replay suspends polling-client.js (suspendLiveUpdates), pauses the
+ *     offline store, swaps the live callbacks for no-ops (late responses are
+ *     dropped) and calls the saved callbacks with the recorded payloads
+ *   - Payload times (timestamp, startedAt, ...) are shifted so each entry
+ *     lands at the moment it is replayed: charts, percentiles and bands work
+ *     on "now" at any speed
+ *   - A single timer walks the entries; at N× speed, recording time advances
+ *     N ms per wall-clock ms. User actions are shown in the event log, never
+ *     sent to a server
+ *   - Only the primary instance is recorded; added targets are not
+ *
+ * RECORDING FILE (JSON):
+ *   { format: 'perfsim-recording', version: 1, recordedAt, startedAt, durationMs,
+ *     dashboardUrl, environment, settings, entries: [{ t, type, data }] }
+ *   type: 'metrics' | 'probe' | 'events' | 'simulations' | 'action'
+ *
+ * USED BY:
+ *   dashboard.js — recording / replay controls and the connection status
+ *
+ * PORTING NOTES:
+ *   This file is frontend JavaScript and stays JS regardless of backend.
+ *   It only depends on the callback interface documented in polling-client.js,
+ *   so it keeps working when a port swaps the transport.
+ */
+
+const SESSION_RECORDING_FORMAT = 'perfsim-recording';
+const SESSION_RECORDING_VERSION = 1;
+// A recording stops (and downloads) by itself after this long
+const SESSION_RECORDING_MAX_MS = 30 * 60 * 1000;
+const SESSION_REPLAY_SPEEDS = [0.5, 1, 2, 5, 10];
+// Longest gap between replay timer ticks (progress display refresh)
+const SESSION_REPLAY_TICK_MS = 250;
+
+// Entry type → global callback it was recorded from and is replayed through
+const RECORDED_CALLBACKS = {
+  metrics: 'onMetricsUpdate',
+  probe: 'onProbeLatency',
+  events: 'onEventUpdate',
+  simulations: 'onSimulationUpdate',
+};
+// Callbacks silenced during a replay besides the recorded ones
+const REPLAY_SILENCED_CALLBACKS = ['onTargetMetricsUpdate', 'onTargetProbeLatency'];
+// Payload fields that hold a point in time (shifted on replay)
+const RECORDED_TIME_KEYS = new Set(['timestamp', 'ts', 'startedAt', 'scheduledEndAt', 'stoppedAt', 'endTime', 'lastCrashTime']);
+
+// { startedAt, entries, wrapped: { name: wrapper }, originals, previousOnRequest, stopTimer, progressTimer }
+let activeRecording = null;
+// { name, recording, durationMs, index, positionMs, speed, paused, finished,
+//   anchorReal, anchorPosition, timer, handlers }
+let activeReplay = null;
+let replaySpeed = 1;
+
+// =========================================================================
+// Recording
+// =========================================================================
+
+/**
+ * Current time on the server timeline (the clock recorded payloads use).
+ */
+function recorderNow() {
+  return typeof serverNow === 'function' ? serverNow() : Date.now();
+}
+
+/**
+ * Starts recording. Does nothing if a recording is already running.
+ * @throws {Error} While a recording is being replayed
+ */
+function startSessionRecording() {
+  if (activeReplay) {
+    throw new Error('Leave the replay before starting a recording');
+  }
+  if (activeRecording) return;
+
+  activeRecording = {
+    startedAt: recorderNow(),
+    entries: [],
+    wrapped: {},
+    originals: {},
+    previousOnRequest: null,
+    stopTimer: null,
+    progressTimer: null,
+  };
+
+  for (const [type, name] of Object.entries(RECORDED_CALLBACKS)) {
+    const original = window[name];
+    if (typeof original !== 'function') continue;
+    const wrapper = function(data) {
+      recordSessionEntry(type, data);
+      return original.apply(this, arguments);
+    };
+    activeRecording.originals[name] = original;
+    activeRecording.wrapped[name] = wrapper;
+    window[name] = wrapper;
+  }
+
+  if (typeof perfSimApi !== 'undefined') {
+    activeRecording.previousOnRequest = perfSimApi.onRequest;
+    perfSimApi.onRequest = recordApiRequest;
+  }
+
+  activeRecording.stopTimer = setTimeout(() => {
+    stopSessionRecording();
+    if (typeof addEventToLog === 'function') {
+      addEventToLog({ level: 'warning', message: `Recording stopped after ${SESSION_RECORDING_MAX_MS / 60000} minutes (limit) and downloaded` });
+    }
+  }, SESSION_RECORDING_MAX_MS);
+  activeRecording.progressTimer = setInterval(notifySessionRecorderChange, 1000);
+  notifySessionRecorderChange();
+}
+
+/**
+ * Appends one entry to the running recording.
+ * @param {string} type - Key of RECORDED_CALLBACKS, or 'action'
+ * @param {*} data - Payload as delivered to the callback
+ */
+function recordSessionEntry(type, data) {
+  if (!activeRecording) return;
+  activeRecording.entries.push({ t: Math.max(0, recorderNow() - activeRecording.startedAt), type, data });
+}
+
+/**
+ * Records a user action. Called by dashboard.js for setting changes; control
+ * requests are recorded through perfSimApi.onRequest.
+ * @param {string} label - What the user did, e.g. 'Chart time window'
+ * @param {Object|null} [details] - Parameters, e.g. { window: '5m' }
+ * @param {string|null} [simulationType] - Chart marker category (e.g. 'CPU_STRESS')
+ */
+function recordSessionAction(label, details = null, simulationType = null) {
+  recordSessionEntry('action', { label, details, simulationType });
+}
+
+/**
+ * perfSimApi.onRequest hook: records control (non-GET) requests as actions.
+ * @param {{method: string, path: string, action: string, body: Object|null}} request
+ */
+function recordApiRequest(request) {
+  if (request.method === 'GET') return;
+  const crashType = request.path.match(/\/crash\/([a-z]+)$/);
+  const label = crashType ? `${request.action} (${crashType[1]})` : request.action;
+  recordSessionAction(label, request.body, simulationTypeOfPath(request.path));
+}
+
+/**
+ * Chart marker category of a control request path.
+ * @param {string} path - e.g. '/api/simulations/cpu/start'
+ * @returns {string|null}
+ */
+function simulationTypeOfPath(path) {
+  if (path.includes('/cpu/')) return 'CPU_STRESS';
+  if (path.includes('/memory/')) return 'MEMORY_PRESSURE';
+  if (path.includes('/blocking/')) return 'REQUEST_BLOCKING';
+  const crash = path.match(/\/crash\/([a-z]+)$/);
+  return crash ? `CRASH_${crash[1].toUpperCase()}` : null;
+}
+
+/**
+ * Stops recording, restores the callbacks and downloads the recording.
+ * @returns {Object|null} The recording, or null if none was running
+ */
+function stopSessionRecording() {
+  if (!activeRecording) return null;
+  const rec = activeRecording;
+  activeRecording = null;
+  clearTimeout(rec.stopTimer);
+  clearInterval(rec.progressTimer);
+
+  // A callback replaced since (e.g. by a later initDashboard) is left alone
+  for (const [name, wrapper] of Object.entries(rec.wrapped)) {
+    if (window[name] === wrapper) window[name] = rec.originals[name];
+  }
+  if (typeof perfSimApi !== 'undefined' && perfSimApi.onRequest === recordApiRequest) {
+    perfSimApi.onRequest = rec.previousOnRequest;
+  }
+
+  const recording = {
+    format: SESSION_RECORDING_FORMAT,
+    version: SESSION_RECORDING_VERSION,
+    recordedAt: new Date(rec.startedAt).toISOString(),
+    startedAt: rec.startedAt,
+    durationMs: Math.max(0, recorderNow() - rec.startedAt),
+    dashboardUrl: window.location.href,
+    environment: typeof environmentInfo !== 'undefined' ? environmentInfo : null,
+    settings: {
+      probeMode: typeof getProbeMode === 'function' ? getProbeMode().mode : null,
+      chartWindow: typeof getChartWindow === 'function' ? getChartWindow().id : null,
+      latencyView: typeof getLatencyView === 'function' ? getLatencyView().id : null,
+      latencyThresholds: typeof getLatencyThresholds === 'function' ? getLatencyThresholds() : null,
+    },
+    entries: rec.entries,
+  };
+  downloadFile(exportFileName('recording', 'json'), JSON.stringify(recording), 'application/json');
+  notifySessionRecorderChange();
+  return recording;
+}
+
+// =========================================================================
+// Replay
+// =========================================================================
+
+/**
+ * Parses and checks a recording file.
+ * @param {string} text - File contents
+ * @returns {Object} The recording
+ * @throws {Error} If the file is not a recording this version can replay
+ */
+function parseSessionRecording(text) {
+  let recording;
+  try {
+    recording = JSON.parse(text);
+  } catch (err) {
+    throw new Error('Not a recording: the file is not valid JSON');
+  }
+  if (!recording || recording.format !== SESSION_RECORDING_FORMAT) {
+    throw new Error('Not a recording: expected a file saved with "Record" (a session JSON export cannot be replayed)');
+  }
+  if (recording.version !== SESSION_RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version ${recording.version} (expected ${SESSION_RECORDING_VERSION})`);
+  }
+  if (!Array.isArray(recording.entries) || !Number.isFinite(recording.startedAt)) {
+    throw new Error('Recording is incomplete: entries or startedAt missing');
+  }
+  return recording;
+}
+
+/**
+ * Replays a recording from the start. Live updates stay suspended until
+ * stopSessionReplay(); starting another replay meanwhile replaces this one.
+ * @param {Object} recording - From parseSessionRecording()
+ * @param {string} [name] - Shown in the status (e.g. the file name)
+ * @throws {Error} While recording or running a scenario, ramp or load test
+ */
+function startSessionReplay(recording, name = 'recording') {
+  if (activeRecording) {
+    throw new Error('Stop the recording before replaying a file');
+  }
+  if (typeof isScenarioRunning === 'function' && isScenarioRunning()) {
+    throw new Error('Abort the running scenario before replaying a file');
+  }
+  if (typeof isRampRunning === 'function' && isRampRunning()) {
+    throw new Error('Stop the running ramp before replaying a file');
+  }
+  if (typeof isLoadTestRunning === 'function' && isLoadTestRunning()) {
+    throw new Error('Stop the load test before replaying a file');
+  }
+  const entries = recording.entries
+    .filter(entry => Number.isFinite(entry.t) && (entry.type === 'action' || RECORDED_CALLBACKS[entry.type]))
+    .sort((a, b) => a.t - b.t);
+  const durationMs = Math.max(recording.durationMs || 0, entries.length > 0 ? entries[entries.length - 1].t : 0);
+
+  if (activeReplay) clearTimeout(activeReplay.timer);
+  const handlers = activeReplay ? activeReplay.handlers : enterReplayMode();
+  activeReplay = {
+    name,
+    recording,
+    entries,
+    durationMs,
+    index: 0,
+    positionMs: 0,
+    speed: replaySpeed,
+    paused: false,
+    finished: false,
+    anchorReal: Date.now(),
+    anchorPosition: 0,
+    timer: null,
+    handlers,
+  };
+  resetReplayView();
+  tickSessionReplay();
+}
+
+/**
+ * Disconnects the dashboard from live data for a replay.
+ * @returns {Object} The live callbacks by name, restored by stopSessionReplay()
+ */
+function enterReplayMode() {
+  if (typeof suspendLiveUpdates === 'function') suspendLiveUpdates();
+  if (typeof offlineStore !== 'undefined') offlineStore.paused = true;
+
+  const handlers = {};
+  for (const name of [...Object.values(RECORDED_CALLBACKS), ...REPLAY_SILENCED_CALLBACKS]) {
+    handlers[name] = window[name];
+    window[name] = function() {};
+  }
+  return handlers;
+}
+
+/**
+ * Empties charts and event log and logs what is being replayed.
+ */
+function resetReplayView() {
+  if (typeof clearCharts === 'function') clearCharts();
+  if (typeof clearEventLog === 'function') clearEventLog();
+  if (typeof addEventToLog === 'function') {
+    const { recording, name } = activeReplay;
+    const env = recording.environment;
+    const source = env && env.environment ? ` from ${env.environment.siteName || env.environment.hostname || 'unknown site'}` : '';
+    addEventToLog({
+      level: 'info',
+      message: `Replaying ${name}${source}, recorded ${recording.recordedAt || 'at an unknown time'} ` +
+        `(${formatReplayTime(activeReplay.durationMs)}). Times are shown shifted to now.`,
+    });
+  }
+}
+
+/**
+ * Current replay position (ms into the recording).
+ */
+function replayPosition() {
+  const replay = activeReplay;
+  if (replay.paused) return replay.positionMs;
+  return Math.min(replay.durationMs, replay.anchorPosition + (Date.now() - replay.anchorReal) * replay.speed);
+}
+
+/**
+ * Dispatches every entry that is due, then schedules the next tick.
+ */
+function tickSessionReplay() {
+  const replay = activeReplay;
+  if (!replay || replay.paused) return;
+  replay.timer = null;
+
+  const position = replayPosition();
+  while (replay.index < replay.entries.length && replay.entries[replay.index].t <= position) {
+    dispatchReplayEntry(replay.entries[replay.index++]);
+    // An entry's handler may have left replay mode
+    if (activeReplay !== replay) return;
+  }
+  replay.positionMs = position;
+
+  if (replay.index >= replay.entries.length && position >= replay.durationMs) {
+    replay.paused = true;
+    replay.finished = true;
+    if (typeof addEventToLog === 'function') {
+      addEventToLog({ level: 'info', message: 'Replay finished. Resume to play it again, or go back to live.' });
+    }
+  } else {
+    const next = replay.index < replay.entries.length ? replay.entries[replay.index].t : replay.durationMs;
+    const delay = Math.min(SESSION_REPLAY_TICK_MS, (next - position) / replay.speed);
+    replay.timer = setTimeout(tickSessionReplay, Math.max(0, delay));
+  }
+  notifySessionRecorderChange();
+}
+
+/**
+ * Delivers one recorded entry, its times shifted to the moment it replays.
+ * @param {{t: number, type: string, data: *}} entry
+ */
+function dispatchReplayEntry(entry) {
+  const replay = activeReplay;
+  const deltaMs = recorderNow() - (replay.recording.startedAt + entry.t);
+  try {
+    if (entry.type === 'action') {
+      const { label, details, simulationType } = entry.data || {};
+      const params = details && typeof details === 'object'
+        ? Object.entries(details).map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`).join(', ')
+        : '';
+      if (typeof addEventToLog === 'function') {
+        addEventToLog({ level: 'info', message: `▶ User action: ${label}${params ? ` (${params})` : ''}`, simulationType: simulationType || null });
+      }
+      return;
+    }
+    const handler = replay.handlers[RECORDED_CALLBACKS[entry.type]];
+    if (typeof handler === 'function') {
+      handler(shiftRecordedTimes(entry.data, deltaMs));
+    }
+  } catch (err) {
+    // One malformed entry should not end the replay
+    console.warn(`[session-recorder] Replaying a ${entry.type} entry failed:`, err);
+  }
+}
+
+/**
+ * Copies a payload with its time fields moved by deltaMs.
+ * @param {*} value - Recorded payload (or part of it)
+ * @param {number} deltaMs - Shift in ms
+ * @returns {*} Shifted copy
+ */
+function shiftRecordedTimes(value, deltaMs) {
+  if (Array.isArray(value)) return value.map(item => shiftRecordedTimes(item, deltaMs));
+  if (!value || typeof value !== 'object') return value;
+
+  const shifted = {};
+  for (const [key, item] of Object.entries(value)) {
+    shifted[key] = RECORDED_TIME_KEYS.has(key) ? shiftRecordedTime(item, deltaMs) : shiftRecordedTimes(item, deltaMs);
+  }
+  return shifted;
+}
+
+/**
+ * Moves one point in time: ISO strings, ms since epoch, or seconds since
+ * epoch (PHP time()). Anything else (null, 0, text) is kept as is.
+ */
+function shiftRecordedTime(value, deltaMs) {
+  if (typeof value === 'number') {
+    if (value > 1e11) return value + deltaMs;
+    if (value > 1e9) return Math.round(value + deltaMs / 1000);
+    return value;
+  }
+  if (typeof value === 'string') {
+    const parsed = Date.parse(value);
+    return Number.isFinite(parsed) ? new Date(parsed + deltaMs).toISOString() : value;
+  }
+  return value;
+}
+
+/**
+ * Pauses the replay (charts keep what has been replayed so far).
+ */
+function pauseSessionReplay() {
+  const replay = activeReplay;
+  if (!replay || replay.paused) return;
+  replay.positionMs = replayPosition();
+  replay.paused = true;
+  clearTimeout(replay.timer);
+  replay.timer = null;
+  notifySessionRecorderChange();
+}
+
+/**
+ * Resumes a paused replay; a finished replay starts over.
+ */
+function resumeSessionReplay() {
+  const replay = activeReplay;
+  if (!replay || !replay.paused) return;
+  if (replay.finished) {
+    startSessionReplay(replay.recording, replay.name);
+    return;
+  }
+  replay.paused = false;
+  replay.anchorReal = Date.now();
+  replay.anchorPosition = replay.positionMs;
+  tickSessionReplay();
+}
+
+/**
+ * Sets the replay speed (also used by later replays).
+ * @param {number|string} speed - One of SESSION_REPLAY_SPEEDS
+ * @throws {Error} If the speed is not offered
+ */
+function setSessionReplaySpeed(speed) {
+  const value = Number(speed);
+  if (!SESSION_REPLAY_SPEEDS.includes(value)) {
+    throw new Error(`Unknown replay speed: ${speed} (use ${SESSION_REPLAY_SPEEDS.join(', ')})`);
+  }
+  replaySpeed = value;
+
+  const replay = activeReplay;
+  if (replay) {
+    replay.positionMs = replayPosition();
+    replay.anchorReal = Date.now();
+    replay.anchorPosition = replay.positionMs;
+    replay.speed = value;
+    if (!replay.paused) {
+      clearTimeout(replay.timer);
+      tickSessionReplay();
+    }
+  }
+  notifySessionRecorderChange();
+}
+
+/**
+ * Ends the replay and returns to live data: clears the replayed data,
+ * restores history from the offline store and reconnects.
+ */
+function stopSessionReplay() {
+  const replay = activeReplay;
+  if (!replay) return;
+  clearTimeout(replay.timer);
+  activeReplay = null;
+
+  for (const [name, handler] of Object.entries(replay.handlers)) {
+    window[name] = handler;
+  }
+  if (typeof offlineStore !== 'undefined') offlineStore.paused = false;
+
+  if (typeof clearCharts === 'function') clearCharts();
+  if (typeof clearEventLog === 'function') clearEventLog();
+  if (typeof rehydrateCharts === 'function') rehydrateCharts();
+  if (typeof rehydrateEventLog === 'function') rehydrateEventLog();
+  if (typeof resumeLiveUpdates === 'function') resumeLiveUpdates();
+  notifySessionRecorderChange();
+}
+
+// =========================================================================
+// State
+// =========================================================================
+
+/**
+ * Whether a recording is being replayed (live updates are suspended).
+ * @returns {boolean}
+ */
+function isSessionReplaying() {
+  return activeReplay !== null;
+}
+
+/**
+ * Recording and replay state, for the dashboard controls.
+ * @returns {{speed: number, recording: Object|null, replay: Object|null}}
+ *   recording: { elapsedMs, entries }; replay: { name, positionMs, durationMs, paused, finished }
+ */
+function getSessionRecorderState() {
+  return {
+    speed: replaySpeed,
+    recording: activeRecording
+      ? { elapsedMs: Math.max(0, recorderNow() - activeRecording.startedAt), entries: activeRecording.entries.length }
+      : null,
+    replay: activeReplay
+      ? {
+        name: activeReplay.name,
+        positionMs: replayPosition(),
+        durationMs: activeReplay.durationMs,
+        paused: activeReplay.paused,
+        finished: activeReplay.finished,
+      }
+      : null,
+  };
+}
+
+/**
+ * Formats a duration as m:ss.
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatReplayTime(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Tells the dashboard (window.onSessionRecorderChange) the state changed.
+ */
+function notifySessionRecorderChange() {
+  if (typeof onSessionRecorderChange === 'function') {
+    onSessionRecorderChange(getSessionRecorderState());
+  }
+}
+
+window.startSessionRecording = startSessionRecording;
+window.stopSessionRecording = stopSessionRecording;
+window.recordSessionAction = recordSessionAction;
+window.parseSessionRecording = parseSessionRecording;
+window.startSessionReplay = startSessionReplay;
+window.pauseSessionReplay = pauseSessionReplay;
+window.resumeSessionReplay = resumeSessionReplay;
+window.setSessionReplaySpeed = setSessionReplaySpeed;
+window.stopSessionReplay = stopSessionReplay;
+window.isSessionReplaying = isSessionReplaying;
+window.getSessionRecorderState = getSessionRecorderState;
+window.formatReplayTime = formatReplayTime;
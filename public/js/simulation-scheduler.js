@@ -0,0 +1,384 @@
+/**
+ * =============================================================================
+ * SIMULATION SCHEDULER — Scheduled and Recurring Simulations
+ * =============================================================================
+ *
+ * FEATURE REQUIREMENTS (language-agnostic):
+ *   This module must:
+ *   1. Start CPU stress, memory allocations and worker blocking at a given
+ *      time, optionally repeating at an interval, a number of times, with
+ *      random jitter (e.g. "block 3 workers for 10s every 2 minutes")
+ *   2. Keep a visible queue of scheduled simulations that survives reloads
+ *   3. Log every firing (and every skipped one) to the event log
+ *
+ * HOW IT WORKS (this implementation):
+ *   - The schedule lives in the browser (localStorage) and fires from the
+ *     open dashboard; nothing is scheduled on the server, so runs only
+ *     happen while a dashboard page is open
+ *   - Every open dashboard tab shares that schedule, but only one tab fires
+ *     it: the tab holding the SCHEDULE_LEADER_KEY heartbeat. A tab takes over
+ *     when the heartbeat is older than SCHEDULE_LEADER_TIMEOUT_MS (its tab
+ *     closed, or its timers are throttled in the background) and fires only
+ *     from the tick after its claim, once no other tab has overwritten it
+ *   - Each tab reloads the schedule from localStorage before every tick and
+ *     change (and on the storage event), so one tab never saves over
+ *     another's additions or removals
+ *   - Entries: { id, kind, params, startAt, intervalSeconds, runs, jitterSeconds,
+ *     fired, nextAt }. Run k is due at startAt + k × interval ± jitter; the
+ *     jitter is drawn per run, so it never accumulates
+ *   - A 1-second timer fires due runs through the control panel functions
+ *     (startCpuStress, ...) in dashboard.js, so each firing looks exactly like
+ *     a click: same request, log entries, chart markers and recordings
+ *   - Times use the server clock (serverNow), so "14:00 UTC" means the
+ *     server's 14:00 even if this machine's clock is off
+ *   - Runs that were due while no dashboard was open, or during a session
+ *     replay, are fired late if they are less than SCHEDULE_MISSED_GRACE_MS
+ *     late, otherwise skipped (and logged)
+ *
+ * USED BY:
+ *   dashboard.js — the Schedule options of the simulation forms and the
+ *   Scheduled Simulations card
+ *
+ * PORTING NOTES:
+ *   This file is frontend JavaScript and stays JS regardless of backend.
+ *   A port that wants schedules to run without a browser would move this
+ *   to a server-side job queue keeping the same entry fields.
+ */
+
+const SCHEDULE_STORAGE_KEY = 'perfsim.schedule';
+const SCHEDULE_TICK_MS = 1000;
+// { tabId, at } of the tab that fires the schedule
+const SCHEDULE_LEADER_KEY = 'perfsim.schedule.leader';
+const SCHEDULE_LEADER_TIMEOUT_MS = 5000;
+// Runs missed by less than this still fire; older ones are skipped.
+// Browsers may run a background tab's timers only once a minute
+const SCHEDULE_MISSED_GRACE_MS = 2 * 60 * 1000;
+const MAX_SCHEDULED_SIMULATIONS = 20;
+
+// What can be scheduled: start function (dashboard.js) and a description
+const SCHEDULABLE_SIMULATIONS = {
+  cpu: {
+    simulationType: 'CPU_STRESS',
+    describe: (p) => `CPU stress (${p.level}) for ${p.durationSeconds}s`,
+    start: (p) => startCpuStress(p.level, p.durationSeconds),
+  },
+  memory: {
+    simulationType: 'MEMORY_PRESSURE',
+    describe: (p) => `Allocate ${p.sizeMb}MB`,
+    start: (p) => startMemoryPressure(p.sizeMb),
+  },
+  blocking: {
+    simulationType: 'REQUEST_BLOCKING',
+    describe: (p) => `Block ${p.concurrentWorkers} workers for ${p.durationSeconds}s`,
+    start: (p) => blockRequestThread(p.durationSeconds, p.concurrentWorkers),
+  },
+};
+
+let scheduledSimulations = loadScheduledSimulations();
+let scheduleTimer = null;
+const scheduleTabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Current time on the server timeline.
+ */
+function scheduleNow() {
+  return typeof serverNow === 'function' ? serverNow() : Date.now();
+}
+
+/**
+ * Loads the saved schedule.
+ * @returns {Array<Object>}
+ */
+function loadScheduledSimulations() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SCHEDULE_STORAGE_KEY) || '[]');
+    return Array.isArray(saved) ? saved.filter(entry => SCHEDULABLE_SIMULATIONS[entry.kind] && Number.isFinite(entry.nextAt)) : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Replaces this tab's copy with the saved schedule, which other tabs may
+ * have changed. Keeps the copy when localStorage can't be read.
+ */
+function syncScheduledSimulations() {
+  try {
+    localStorage.getItem(SCHEDULE_STORAGE_KEY);
+  } catch (error) {
+    return;
+  }
+  scheduledSimulations = loadScheduledSimulations();
+}
+
+function saveScheduledSimulations() {
+  try {
+    localStorage.setItem(SCHEDULE_STORAGE_KEY, JSON.stringify(scheduledSimulations));
+  } catch (error) {
+    // Not persisted; the schedule still runs on this page
+  }
+}
+
+/**
+ * Next UTC occurrence of a time of day (today, or tomorrow if it has passed).
+ * @param {string} time - "HH:MM" or "HH:MM:SS" (UTC)
+ * @param {number} [now] - Reference time (ms)
+ * @returns {number} ms since epoch
+ */
+function nextUtcTimeOfDay(time, now = scheduleNow()) {
+  const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(time).trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59 || Number(match[3] || 0) > 59) {
+    throw new Error(`Start time "${time}" is not HH:MM (UTC)`);
+  }
+  const day = new Date(now);
+  let at = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(),
+    Number(match[1]), Number(match[2]), Number(match[3] || 0));
+  if (at <= now) at += 24 * 60 * 60 * 1000;
+  return at;
+}
+
+/**
+ * Time run k (0-based) is due, with a fresh jitter.
+ */
+function scheduledRunTime(entry, k) {
+  const jitter = entry.jitterSeconds > 0 ? (Math.random() * 2 - 1) * entry.jitterSeconds * 1000 : 0;
+  return Math.round(entry.startAt + k * (entry.intervalSeconds || 0) * 1000 + jitter);
+}
+
+/**
+ * Adds a simulation to the schedule.
+ * @param {Object} options
+ * @param {string} options.kind - Key of SCHEDULABLE_SIMULATIONS
+ * @param {Object} options.params - Parameters of the start function
+ * @param {number} [options.startAt] - First run (ms since epoch); default now
+ * @param {number} [options.intervalSeconds] - Repeat interval; none = run once
+ * @param {number} [options.runs] - Number of runs; default 1 without an
+ *   interval, unlimited with one
+ * @param {number} [options.jitterSeconds] - Random ± offset per run
+ * @returns {Object} The new entry, as listed by getScheduledSimulations()
+ * @throws {Error} If the options are invalid or the queue is full
+ */
+function addScheduledSimulation({ kind, params, startAt, intervalSeconds = null, runs = null, jitterSeconds = 0 }) {
+  const simulation = SCHEDULABLE_SIMULATIONS[kind];
+  if (!simulation) {
+    throw new Error(`Cannot schedule "${kind}"`);
+  }
+  syncScheduledSimulations();
+  if (scheduledSimulations.length >= MAX_SCHEDULED_SIMULATIONS) {
+    throw new Error(`The schedule holds at most ${MAX_SCHEDULED_SIMULATIONS} entries; remove one first`);
+  }
+  const positive = (value, name, allowZero) => {
+    if (value == null) return null;
+    if (!Number.isFinite(value) || value < 0 || (!allowZero && value === 0)) {
+      throw new Error(`${name} must be a ${allowZero ? 'non-negative' : 'positive'} number`);
+    }
+    return value;
+  };
+  intervalSeconds = positive(intervalSeconds, 'Repeat interval', false);
+  runs = positive(runs, 'Number of runs', false);
+  jitterSeconds = positive(jitterSeconds, 'Jitter', true) || 0;
+  if (runs != null && !Number.isInteger(runs)) {
+    throw new Error('Number of runs must be a whole number');
+  }
+  if (runs > 1 && !intervalSeconds) {
+    throw new Error('Set a repeat interval to run more than once');
+  }
+  if (intervalSeconds && jitterSeconds * 2 >= intervalSeconds) {
+    throw new Error('Jitter must be less than half the repeat interval, or runs could swap order');
+  }
+
+  const entry = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    kind,
+    params: { ...params },
+    startAt: startAt ?? scheduleNow(),
+    intervalSeconds,
+    runs: runs ?? (intervalSeconds ? null : 1),
+    jitterSeconds,
+    fired: 0,
+    nextAt: 0,
+    createdAt: scheduleNow(),
+  };
+  // Jitter may not move the first run into the past
+  entry.nextAt = Math.max(scheduledRunTime(entry, 0), entry.createdAt);
+  scheduledSimulations.push(entry);
+  saveScheduledSimulations();
+  notifyScheduleChange();
+  return describeScheduledSimulation(entry);
+}
+
+/**
+ * Removes an entry from the schedule (already started runs keep running).
+ * @param {string} id
+ */
+function removeScheduledSimulation(id) {
+  syncScheduledSimulations();
+  const before = scheduledSimulations.length;
+  scheduledSimulations = scheduledSimulations.filter(entry => entry.id !== id);
+  if (scheduledSimulations.length !== before) {
+    saveScheduledSimulations();
+    notifyScheduleChange();
+  }
+}
+
+/**
+ * The schedule, soonest first.
+ * @returns {Array<Object>} { id, kind, label, simulationType, nextAt, fired,
+ *   runs, intervalSeconds, jitterSeconds, startAt }
+ */
+function getScheduledSimulations() {
+  return scheduledSimulations
+    .map(describeScheduledSimulation)
+    .sort((a, b) => a.nextAt - b.nextAt);
+}
+
+function describeScheduledSimulation(entry) {
+  const simulation = SCHEDULABLE_SIMULATIONS[entry.kind];
+  return {
+    id: entry.id,
+    kind: entry.kind,
+    label: simulation.describe(entry.params),
+    simulationType: simulation.simulationType,
+    nextAt: entry.nextAt,
+    fired: entry.fired,
+    runs: entry.runs,
+    intervalSeconds: entry.intervalSeconds,
+    jitterSeconds: entry.jitterSeconds,
+    startAt: entry.startAt,
+  };
+}
+
+/**
+ * Starts the scheduler timer (dashboard.js calls this once it is ready).
+ */
+function startSimulationScheduler() {
+  if (scheduleTimer) return;
+  scheduleTimer = setInterval(tickSimulationScheduler, SCHEDULE_TICK_MS);
+  tickSimulationScheduler();
+
+  // Another tab added, removed or fired entries
+  window.addEventListener('storage', (event) => {
+    if (event.key === SCHEDULE_STORAGE_KEY || event.key === null) {
+      syncScheduledSimulations();
+      notifyScheduleChange();
+    }
+  });
+  // Hand the schedule to another tab straight away instead of after the timeout
+  window.addEventListener('pagehide', releaseScheduleLeadership);
+}
+
+/**
+ * Renews this tab's leader heartbeat, or claims it when the leader's is
+ * stale. A fresh claim only counts from the next tick, so when two tabs
+ * claim at once, the one whose write landed last fires and the other yields.
+ * @returns {boolean} True if this tab fires the schedule now
+ */
+function holdScheduleLeadership() {
+  const now = Date.now();
+  let leader = null;
+  try {
+    leader = JSON.parse(localStorage.getItem(SCHEDULE_LEADER_KEY) || 'null');
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      leader = null;
+    } else {
+      // No localStorage: no other tab can see this schedule either
+      return true;
+    }
+  }
+
+  const isLeader = leader?.tabId === scheduleTabId;
+  const isStale = !leader || !(now - leader.at < SCHEDULE_LEADER_TIMEOUT_MS);
+  if (isLeader || isStale) {
+    try {
+      localStorage.setItem(SCHEDULE_LEADER_KEY, JSON.stringify({ tabId: scheduleTabId, at: now }));
+    } catch (error) {
+      return true;
+    }
+  }
+  return isLeader;
+}
+
+function releaseScheduleLeadership() {
+  try {
+    const leader = JSON.parse(localStorage.getItem(SCHEDULE_LEADER_KEY) || 'null');
+    if (leader?.tabId === scheduleTabId) {
+      localStorage.removeItem(SCHEDULE_LEADER_KEY);
+    }
+  } catch (error) {
+    // Another tab takes over once the heartbeat times out
+  }
+}
+
+/**
+ * Fires (or skips) every due run and moves each entry to its next run.
+ * Only the leader tab fires; the others just refresh their countdowns.
+ */
+function tickSimulationScheduler() {
+  // Nothing fires during a replay; those runs count as missed afterwards
+  if (typeof isSessionReplaying === 'function' && isSessionReplaying()) return;
+
+  syncScheduledSimulations();
+  if (!holdScheduleLeadership()) {
+    if (scheduledSimulations.length > 0) notifyScheduleChange();
+    return;
+  }
+
+  const now = scheduleNow();
+  let changed = false;
+  for (const entry of [...scheduledSimulations]) {
+    if (entry.nextAt > now) continue;
+    changed = true;
+    const simulation = SCHEDULABLE_SIMULATIONS[entry.kind];
+    const label = simulation.describe(entry.params);
+
+    if (now - entry.nextAt > SCHEDULE_MISSED_GRACE_MS) {
+      // Skip to the first run that is not overdue
+      let skipped = 0;
+      while (entry.nextAt <= now && (entry.runs == null || entry.fired < entry.runs)) {
+        entry.fired++;
+        skipped++;
+        entry.nextAt = scheduledRunTime(entry, entry.fired);
+      }
+      scheduleLog('warning', `⏰ Skipped ${skipped} missed scheduled run${skipped === 1 ? '' : 's'}: ${label} (the dashboard was closed or replaying)`, simulation.simulationType);
+    } else {
+      entry.fired++;
+      const count = entry.runs ? ` (run ${entry.fired} of ${entry.runs})` : ` (run ${entry.fired})`;
+      scheduleLog('info', `⏰ Scheduled run${count}: ${label}`, simulation.simulationType);
+      // The start function logs its own result; failures go through reportApiError
+      Promise.resolve(simulation.start(entry.params)).catch(error => {
+        scheduleLog('error', `⏰ Scheduled run failed: ${error.message}`, simulation.simulationType);
+      });
+      entry.nextAt = scheduledRunTime(entry, entry.fired);
+    }
+
+    if (entry.runs != null && entry.fired >= entry.runs) {
+      scheduledSimulations = scheduledSimulations.filter(other => other !== entry);
+    }
+  }
+
+  if (changed) saveScheduledSimulations();
+  // Every tick while anything is queued, so countdowns stay current
+  if (changed || scheduledSimulations.length > 0) notifyScheduleChange();
+}
+
+function scheduleLog(level, message, simulationType) {
+  if (typeof addEventToLog === 'function') {
+    addEventToLog({ level, message, simulationType: simulationType || null });
+  }
+}
+
+/**
+ * Tells the dashboard (window.onScheduleChange) the schedule changed.
+ */
+function notifyScheduleChange() {
+  if (typeof onScheduleChange === 'function') {
+    onScheduleChange(getScheduledSimulations());
+  }
+}
+
+window.nextUtcTimeOfDay = nextUtcTimeOfDay;
+window.addScheduledSimulation = addScheduledSimulation;
+window.removeScheduledSimulation = removeScheduledSimulation;
+window.getScheduledSimulations = getScheduledSimulations;
+window.startSimulationScheduler = startSimulationScheduler;
@@ -16,12 +16,20 @@
  *   Server:
  *     PORT                         → HTTP server port (default: 8080)
  *     METRICS_INTERVAL_MS          → How often metrics are polled (default: 500)
+ *     SSE_MAX_DURATION_SECONDS     → Lifetime of one /api/metrics/stream connection (default: 25, 0 disables)
+ *     SSE_METRICS_INTERVAL_MS      → Metrics push interval on the SSE stream (default: 250)
+ *     SSE_MAX_STREAMS              → Concurrent SSE streams before new ones get 503 (default: 2)
  *
  *   Limits:
  *     MAX_SIMULATION_DURATION_SECONDS → Max duration for timed simulations (default: 86400)
  *     MAX_MEMORY_ALLOCATION_MB        → Max single memory allocation (default: 65536)
  *     EVENT_LOG_MAX_ENTRIES           → Ring buffer size (default: 100)
  *
+ *   Latency thresholds (dashboard color bands; seed values a browser can override):
+ *     LATENCY_DEGRADED_MS           → Degraded from this latency (default: 200)
+ *     LATENCY_SEVERE_MS             → Severe from this latency (default: 1000)
+ *     LATENCY_CRITICAL_MS           → Critical from this latency (default: 30000)
+ *
  *   Defaults:
  *     DEFAULT_CPU_LEVEL              → Default CPU stress level ('moderate')
  *     DEFAULT_CPU_DURATION_SECONDS   → Default CPU stress duration (30)
@@ -82,6 +90,32 @@ class Config
         return self::intEnv('METRICS_INTERVAL_MS', 500);
     }
 
+    /**
+     * Lifetime of a single SSE stream connection in seconds.
+     * Kept below the metrics pool's request_terminate_timeout (30s) so the
+     * stream ends cleanly and EventSource reconnects. 0 disables the stream.
+     */
+    public static function sseMaxDurationSeconds(): int
+    {
+        return self::intEnv('SSE_MAX_DURATION_SECONDS', 25);
+    }
+
+    /**
+     * Maximum number of SSE streams open at once. Each stream holds a
+     * metrics-pool worker (pm.max_children = 4), so the default leaves half
+     * the pool for /api/metrics, health checks and internal probes.
+     */
+    public static function sseMaxStreams(): int
+    {
+        return max(1, self::intEnv('SSE_MAX_STREAMS', 2));
+    }
+
+    /** Interval between metrics pushes on the SSE stream in milliseconds */
+    public static function sseMetricsIntervalMs(): int
+    {
+        return self::intEnv('SSE_METRICS_INTERVAL_MS', 250);
+    }
+
     /** Maximum allowed simulation duration in seconds */
     public static function maxSimulationDurationSeconds(): int
     {
@@ -100,6 +134,29 @@ class Config
         return self::intEnv('EVENT_LOG_MAX_ENTRIES', 100);
     }
 
+    /**
+     * Latency thresholds in milliseconds that start the degraded, severe and
+     * critical bands. Falls back to the defaults unless all three are positive
+     * and ascending, so one bad value can't scramble the dashboard colors.
+     */
+    public static function latencyThresholdsMs(): array
+    {
+        $thresholds = [
+            'degradedMs' => self::intEnv('LATENCY_DEGRADED_MS', self::DEFAULT_LATENCY_DEGRADED_MS),
+            'severeMs' => self::intEnv('LATENCY_SEVERE_MS', self::DEFAULT_LATENCY_SEVERE_MS),
+            'criticalMs' => self::intEnv('LATENCY_CRITICAL_MS', self::DEFAULT_LATENCY_CRITICAL_MS),
+        ];
+        $valid = $thresholds['degradedMs'] > 0
+            && $thresholds['degradedMs'] < $thresholds['severeMs']
+            && $thresholds['severeMs'] < $thresholds['criticalMs'];
+
+        return $valid ? $thresholds : [
+            'degradedMs' => self::DEFAULT_LATENCY_DEGRADED_MS,
+            'severeMs' => self::DEFAULT_LATENCY_SEVERE_MS,
+            'criticalMs' => self::DEFAULT_LATENCY_CRITICAL_MS,
+        ];
+    }
+
     /** Application version */
     public const APP_VERSION = '1.0.0';
 
@@ -143,6 +200,15 @@ class Config
     /** Maximum concurrent workers to block (no hard limit - let users exhaust the pool if desired) */
     public const MAX_BLOCKING_CONCURRENT_WORKERS = 1000;
 
+    // =========================================================================
+    // LATENCY THRESHOLDS
+    // =========================================================================
+
+    /** Default latency thresholds in milliseconds (good < degraded < severe < critical) */
+    public const DEFAULT_LATENCY_DEGRADED_MS = 200;
+    public const DEFAULT_LATENCY_SEVERE_MS = 1000;
+    public const DEFAULT_LATENCY_CRITICAL_MS = 30000;
+
     // =========================================================================
     // VALIDATION LIMITS
     // =========================================================================
@@ -204,9 +270,13 @@ class Config
         return [
             'port' => self::port(),
             'metricsIntervalMs' => self::metricsIntervalMs(),
+            'sseMaxDurationSeconds' => self::sseMaxDurationSeconds(),
+            'sseMetricsIntervalMs' => self::sseMetricsIntervalMs(),
+            'sseMaxStreams' => self::sseMaxStreams(),
             'maxSimulationDurationSeconds' => self::maxSimulationDurationSeconds(),
             'maxMemoryAllocationMb' => self::maxMemoryAllocationMb(),
             'eventLogMaxEntries' => self::eventLogMaxEntries(),
+            'latencyThresholdsMs' => self::latencyThresholdsMs(),
         ];
     }
 }
@@ -18,6 +18,7 @@ declare(strict_types=1);
 namespace PerfSimPhp\Controllers;
 
 use PerfSimPhp\Config;
+use PerfSimPhp\Utils;
 use PerfSimPhp\SharedStorage;
 use PerfSimPhp\Services\SimulationTrackerService;
 use PerfSimPhp\Services\CpuStressService;
@@ -49,6 +50,7 @@ class HealthController
             'runtime' => 'PHP ' . PHP_VERSION,
             'environment' => self::environment(),
             'pageFooter' => $pageFooter ?: null,
+            'latencyThresholds' => Config::latencyThresholdsMs(),
         ];
     }
 
@@ -205,10 +207,21 @@ class HealthController
     /**
      * GET /api/health/probe
      * Ultra-lightweight endpoint for heartbeat detection.
+     *
+     * serverMs is the time PHP spent on the request (from REQUEST_TIME_FLOAT,
+     * i.e. after an FPM worker picked it up), and fpmQueueMs the time it
+     * waited for that worker after nginx passed it on (null without nginx).
+     * The dashboard subtracts both from the browser's time-to-first-byte to
+     * separate network/front-end time, FPM queueing and worker processing.
      */
     public static function probe(): array
     {
-        return ['ts' => (int) (microtime(true) * 1000)];
+        return [
+            'ts' => (int) (microtime(true) * 1000),
+            'pid' => getmypid(),
+            'serverMs' => Utils::elapsedMs($_SERVER['REQUEST_TIME_FLOAT'] ?? microtime(true)),
+            'fpmQueueMs' => Utils::fpmQueueMs(),
+        ];
     }
 
     /**
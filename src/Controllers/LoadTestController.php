@@ -6,7 +6,7 @@
  *
  * ENDPOINTS:
  *   GET /api/loadtest       → Execute load test work
- *   GET /api/loadtest/stats → Current FPM worker statistics
+ *   GET /api/loadtest/stats → Requests and response times of the current 60s stats period
  *
  * Designed for Azure Load Testing, JMeter, k6, Gatling.
  *
@@ -73,7 +73,7 @@ class LoadTestController
 
     /**
      * GET /api/loadtest/stats
-     * Returns current FPM worker statistics.
+     * Returns the current stats period (see LoadTestService::getCurrentStats).
      */
     public static function stats(): void
     {
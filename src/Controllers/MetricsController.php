@@ -7,9 +7,11 @@
  * ENDPOINTS:
  *   GET /api/metrics       → Full system metrics snapshot (CPU, memory, process)
  *   GET /api/metrics/probe → Lightweight probe for client-side latency measurement
+ *   GET /api/metrics/stream → Server-Sent Events stream (metrics, events, simulations)
  *
- * NOTE: Real-time metrics are delivered via AJAX polling from the client.
- *       The client polls /api/metrics every 500ms for dashboard updates.
+ * NOTE: Real-time metrics are pushed over /api/metrics/stream when the browser
+ *       supports EventSource. The client falls back to polling /api/metrics
+ *       when the stream is unavailable.
  *
  * @module src/Controllers/MetricsController.php
  */
@@ -18,7 +20,11 @@ declare(strict_types=1);
 
 namespace PerfSimPhp\Controllers;
 
+use PerfSimPhp\Config;
+use PerfSimPhp\SharedStorage;
+use PerfSimPhp\Utils;
 use PerfSimPhp\Services\MetricsService;
+use PerfSimPhp\Services\EventLogService;
 use PerfSimPhp\Services\LoadTestService;
 use PerfSimPhp\Services\SimulationTrackerService;
 use PerfSimPhp\Services\MemoryPressureService;
@@ -26,6 +32,19 @@ use PerfSimPhp\Services\BlockingService;
 
 class MetricsController
 {
+    // Internal probe batches: samples per request and spacing between them
+    private const INTERNAL_PROBE_MAX_BATCH = 20;
+    private const INTERNAL_PROBE_SPACING_MS = 100;
+    // Batches stop at this deadline (below the client's 15s probe timeout and
+    // the pool's 30s request_terminate_timeout) and return what they have
+    private const INTERNAL_PROBE_BATCH_DEADLINE_MS = 10000;
+    // A batched probe slower than this counts as a failed sample
+    private const INTERNAL_PROBE_SAMPLE_TIMEOUT_MS = 3000;
+    private const INTERNAL_PROBE_CONNECT_TIMEOUT_MS = 1000;
+
+    // Open SSE streams: workerPid => expiry timestamp (see acquireStreamSlot)
+    private const STREAM_SLOTS_KEY = 'perfsim_sse_streams';
+
     /**
      * GET /api/metrics
      * Returns current system metrics snapshot.
@@ -85,6 +104,10 @@ class MetricsController
         return [
             'ts' => (int) (microtime(true) * 1000),
             'pid' => getmypid(),
+            // PHP processing time including the simulated work above (see HealthController::probe)
+            'serverMs' => Utils::elapsedMs($_SERVER['REQUEST_TIME_FLOAT'] ?? microtime(true)),
+            // Wait for a free FPM worker (see HealthController::probe)
+            'fpmQueueMs' => Utils::fpmQueueMs(),
             'workDone' => $workDone,
             'loadTest' => [
                 'active' => $stats['currentConcurrentRequests'] > 0,
@@ -99,13 +122,55 @@ class MetricsController
     }
 
     /**
-     * GET /api/metrics/internal-probe
-     * Performs a single internal probe via localhost:8080 (bypasses stamp frontend).
+     * GET /api/metrics/internal-probe[?count=N]
+     * Performs internal probes via localhost:8080 (bypasses stamp frontend).
      * 
-     * This endpoint does one curl request to localhost:8080/api/metrics/probe
-     * and returns the latency measurement. Called every 100ms by the client.
+     * Without count, does one curl request to localhost:8080/api/metrics/probe
+     * and returns the latency measurement. With count (max 20), performs N
+     * probes spaced 100ms apart and returns { samples, count } so the client
+     * needs only one request per second for 10 samples/sec.
+     *
+     * Batched probes time out after INTERNAL_PROBE_SAMPLE_TIMEOUT_MS each, and
+     * the batch stops at INTERNAL_PROBE_BATCH_DEADLINE_MS: when the main pool
+     * is starved, the samples collected so far are returned (count is then
+     * less than requested) instead of the whole batch being lost.
      */
     public static function internalProbe(): array
+    {
+        $count = (int) Utils::clamp(Utils::queryInt('count', 1), 1, self::INTERNAL_PROBE_MAX_BATCH);
+        if ($count === 1) {
+            return self::runInternalProbe();
+        }
+
+        $samples = [];
+        $batchStart = microtime(true);
+        $deadline = $batchStart + self::INTERNAL_PROBE_BATCH_DEADLINE_MS / 1000;
+        for ($i = 0; $i < $count; $i++) {
+            $wait = $batchStart + ($i * self::INTERNAL_PROBE_SPACING_MS / 1000) - microtime(true);
+            if ($wait > 0) {
+                usleep((int) ($wait * 1000000));
+            }
+            $remainingMs = (int) (($deadline - microtime(true)) * 1000);
+            if ($remainingMs <= 0) {
+                break;
+            }
+            $samples[] = self::runInternalProbe(min(self::INTERNAL_PROBE_SAMPLE_TIMEOUT_MS, $remainingMs));
+        }
+
+        return [
+            'samples' => $samples,
+            'count' => count($samples),
+            'requested' => $count,
+            'truncated' => count($samples) < $count,
+        ];
+    }
+
+    /**
+     * Performs a single internal probe and returns its latency measurement.
+     *
+     * @param int $timeoutMs Total time allowed for the probe (0 = no limit)
+     */
+    private static function runInternalProbe(int $timeoutMs = 0): array
     {
         try {
             $port = '8080';
@@ -122,8 +187,10 @@ class MetricsController
             curl_setopt_array($ch, [
                 CURLOPT_URL => $probeUrl,
                 CURLOPT_RETURNTRANSFER => true,
-                CURLOPT_TIMEOUT => 0,
-                CURLOPT_CONNECTTIMEOUT => 0,
+                CURLOPT_TIMEOUT_MS => $timeoutMs,
+                CURLOPT_CONNECTTIMEOUT_MS => $timeoutMs > 0 ? min($timeoutMs, self::INTERNAL_PROBE_CONNECT_TIMEOUT_MS) : 0,
+                // Sub-second timeouts need signals off (libcurl uses SIGALRM for DNS otherwise)
+                CURLOPT_NOSIGNAL => true,
                 CURLOPT_HTTPHEADER => ['X-Internal-Probe: true'],
             ]);
             
@@ -152,4 +219,147 @@ class MetricsController
             return ['error' => $e->getMessage(), 'latencyMs' => 0, 'success' => false];
         }
     }
+
+    /**
+     * GET /api/metrics/stream
+     * Server-Sent Events stream that multiplexes dashboard updates by event type:
+     *   metrics     → MetricsService::getMetrics() snapshot (every SSE_METRICS_INTERVAL_MS)
+     *   event       → A single event log entry (SSE id = event sequence number)
+     *   simulations → Simulation status, sent only when it changes
+     *
+     * Each connection holds one metrics-pool worker, so the stream is bounded
+     * to SSE_MAX_DURATION_SECONDS and at most SSE_MAX_STREAMS streams are open
+     * at once. Past that the stream answers 503 and the client falls back to
+     * polling, leaving the remaining workers for /api/metrics, health checks
+     * and internal probes. EventSource reconnects automatically and sends
+     * Last-Event-ID, so no events are lost across reconnects.
+     */
+    public static function stream(): void
+    {
+        $maxDuration = Config::sseMaxDurationSeconds();
+        if ($maxDuration <= 0) {
+            http_response_code(404);
+            echo json_encode([
+                'error' => 'Not Found',
+                'message' => 'SSE stream is disabled (SSE_MAX_DURATION_SECONDS=0)',
+            ]);
+            return;
+        }
+
+        if (!self::acquireStreamSlot($maxDuration)) {
+            http_response_code(503);
+            header('Retry-After: ' . $maxDuration);
+            echo json_encode([
+                'error' => 'Service Unavailable',
+                'message' => 'Too many open streams (SSE_MAX_STREAMS=' . Config::sseMaxStreams() . '); poll /api/metrics instead',
+            ]);
+            return;
+        }
+        register_shutdown_function([self::class, 'releaseStreamSlot']);
+
+        $lastSequence = self::resolveStreamStartSequence();
+        $intervalUs = max(50, Config::sseMetricsIntervalMs()) * 1000;
+        $deadline = microtime(true) + $maxDuration;
+
+        set_time_limit($maxDuration + 5);
+
+        header('Content-Type: text/event-stream');
+        header('Cache-Control: no-store');
+        // Disable nginx fastcgi buffering so each event is delivered immediately
+        header('X-Accel-Buffering: no');
+
+        while (ob_get_level() > 0) {
+            ob_end_flush();
+        }
+
+        // Reconnect quickly when the bounded stream ends
+        echo "retry: 1000\n\n";
+        flush();
+
+        $lastSimulationsJson = '';
+        while (microtime(true) < $deadline && !connection_aborted()) {
+            $metrics = MetricsService::getMetrics();
+            self::sendStreamEvent('metrics', $metrics);
+
+            $simulationsJson = json_encode($metrics['simulations']);
+            if ($simulationsJson !== $lastSimulationsJson) {
+                $lastSimulationsJson = $simulationsJson;
+                self::sendStreamEvent('simulations', $metrics['simulations']);
+            }
+
+            if (EventLogService::getSequence() > $lastSequence) {
+                foreach (EventLogService::getEntriesSince($lastSequence) as $entry) {
+                    $lastSequence = max($lastSequence, (int) ($entry['seq'] ?? 0));
+                    self::sendStreamEvent('event', $entry, (string) $lastSequence);
+                }
+            }
+
+            flush();
+            usleep($intervalUs);
+        }
+    }
+
+    /**
+     * Claims one of the SSE_MAX_STREAMS stream slots for this worker.
+     * Slots expire shortly after the stream's own deadline, so a worker killed
+     * mid-stream (request_terminate_timeout, crash) can't leak its slot.
+     *
+     * @return bool False when all slots are taken
+     */
+    private static function acquireStreamSlot(int $maxDuration): bool
+    {
+        $pid = getmypid();
+        $now = microtime(true);
+        $acquired = false;
+
+        SharedStorage::modify(self::STREAM_SLOTS_KEY, function (?array $slots) use ($pid, $now, $maxDuration, &$acquired) {
+            $slots = array_filter($slots ?? [], fn($expiresAt) => $expiresAt > $now);
+            if (count($slots) < Config::sseMaxStreams()) {
+                $slots[$pid] = $now + $maxDuration + 5;
+                $acquired = true;
+            }
+            return $slots;
+        }, []);
+
+        return $acquired;
+    }
+
+    /**
+     * Frees this worker's stream slot (registered as a shutdown function, so
+     * it also runs when the client disconnects).
+     */
+    public static function releaseStreamSlot(): void
+    {
+        $pid = getmypid();
+        SharedStorage::modify(self::STREAM_SLOTS_KEY, function (?array $slots) use ($pid) {
+            unset($slots[$pid]);
+            return $slots ?? [];
+        }, []);
+    }
+
+    /**
+     * Determines the event sequence to resume from.
+     * Prefers the Last-Event-ID header (EventSource reconnect), then the
+     * ?since= query parameter, then the current sequence (new events only).
+     */
+    private static function resolveStreamStartSequence(): int
+    {
+        $lastEventId = $_SERVER['HTTP_LAST_EVENT_ID'] ?? null;
+        if ($lastEventId !== null && ctype_digit($lastEventId)) {
+            return (int) $lastEventId;
+        }
+        return Utils::queryInt('since') ?? EventLogService::getSequence();
+    }
+
+    /**
+     * Writes a single SSE frame.
+     */
+    private static function sendStreamEvent(string $type, array $data, ?string $id = null): void
+    {
+        if ($id !== null) {
+            echo "id: {$id}\n";
+        }
+        echo "event: {$type}\n";
+        echo 'data: ' . json_encode($data, JSON_UNESCAPED_SLASHES) . "\n\n";
+    }
 }
@@ -7,6 +7,9 @@
  * PURPOSE:
  *   Logs HTTP requests with method, URL, status code, and response time.
  *   Filters out internal probe requests to reduce log noise.
+ *   Exposes the request's correlation ID (X-Request-Id, or the trace id of a
+ *   W3C traceparent header) sent by the dashboard, so log lines can be
+ *   matched to dashboard activity.
  *
  * @module src/Middleware/RequestLogger.php
  */
@@ -17,6 +20,30 @@ namespace PerfSimPhp\Middleware;
 
 class RequestLogger
 {
+    private static ?string $requestId = null;
+    private static bool $requestIdResolved = false;
+
+    /**
+     * Get the correlation ID of the current request, if the client sent one.
+     * Prefers X-Request-Id; falls back to the trace id of a traceparent header.
+     * Values that don't look like IDs are ignored (they end up in log lines).
+     */
+    public static function requestId(): ?string
+    {
+        if (!self::$requestIdResolved) {
+            self::$requestIdResolved = true;
+
+            $header = $_SERVER['HTTP_X_REQUEST_ID'] ?? '';
+            $traceparent = $_SERVER['HTTP_TRACEPARENT'] ?? '';
+            if (preg_match('/^[A-Za-z0-9._-]{1,64}$/', $header)) {
+                self::$requestId = $header;
+            } elseif (preg_match('/^[0-9a-f]{2}-([0-9a-f]{32})-[0-9a-f]{16}-[0-9a-f]{2}$/', $traceparent, $m)) {
+                self::$requestId = $m[1];
+            }
+        }
+        return self::$requestId;
+    }
+
     /**
      * Log a completed request.
      *
@@ -41,7 +68,9 @@ class RequestLogger
         }
 
         $timestamp = date('Y-m-d\TH:i:s.v\Z');
-        $logMessage = "[{$timestamp}] {$method} {$uri} {$statusCode} {$durationMs}ms";
+        $requestId = self::requestId();
+        $requestTag = $requestId !== null ? " [req:{$requestId}]" : '';
+        $logMessage = "[{$timestamp}]{$requestTag} {$method} {$uri} {$statusCode} {$durationMs}ms";
 
         // Only log errors to PHP error log to prevent log bloat
         // Non-error requests are not logged (use Azure App Service logs for access logs)
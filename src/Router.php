@@ -17,6 +17,7 @@
  *     GET  /api/metrics             → Full metrics snapshot (CPU, memory, simulations)
  *     GET  /api/metrics/probe       → Lightweight probe (may include blocking work)
  *     GET  /api/metrics/internal-probe → Batch internal latency probing
+ *     GET  /api/metrics/stream      → Server-Sent Events stream (metrics, events, simulations)
  *
  *   CPU SIMULATION:
  *     POST /api/simulations/cpu/start    → Start CPU stress (body: level, durationSeconds)
@@ -164,6 +165,10 @@ class Router
         if ($method === 'GET' && $path === '/api/metrics/internal-probe') {
             return self::ok(MetricsController::internalProbe());
         }
+        if ($method === 'GET' && $path === '/api/metrics/stream') {
+            MetricsController::stream();
+            return null;
+        }
 
         // CPU simulation endpoints
         if ($method === 'POST' && ($path === '/api/simulations/cpu' || $path === '/api/simulations/cpu/start')) {
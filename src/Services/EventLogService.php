@@ -73,6 +73,7 @@ namespace PerfSimPhp\Services;
 use PerfSimPhp\Utils;
 use PerfSimPhp\SharedStorage;
 use PerfSimPhp\Config;
+use PerfSimPhp\Middleware\RequestLogger;
 
 class EventLogService
 {
@@ -106,6 +107,8 @@ class EventLogService
             'event' => $event,
             'message' => $message,
             'details' => $details,
+            // Correlation ID of the request that triggered the event (null for CLI workers)
+            'requestId' => RequestLogger::requestId(),
         ];
 
         // Store in ring buffer
@@ -124,7 +127,8 @@ class EventLogService
         }, []);
 
         // Also log to stderr for server log visibility
-        $logLine = "[{$entry['timestamp']}] [" . strtoupper($level) . "] {$event}: {$message}";
+        $requestTag = $entry['requestId'] !== null ? " [req:{$entry['requestId']}]" : '';
+        $logLine = "[{$entry['timestamp']}] [" . strtoupper($level) . "]{$requestTag} {$event}: {$message}";
         error_log($logLine);
 
         return $entry;
@@ -192,6 +196,18 @@ class EventLogService
         return array_slice($reversed, 0, $limit);
     }
 
+    /**
+     * Get entries with a sequence number greater than $sequence (oldest first).
+     * Used by the SSE stream to push only events the client hasn't seen.
+     */
+    public static function getEntriesSince(int $sequence): array
+    {
+        return array_values(array_filter(
+            self::getEntries(),
+            fn($entry) => ($entry['seq'] ?? 0) > $sequence
+        ));
+    }
+
     /**
      * Get the count of log entries.
      */
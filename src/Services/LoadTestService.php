@@ -128,20 +128,31 @@ class LoadTestService
     }
 
     /**
-     * Gets current statistics.
-     * Returns format expected by MetricsController probe endpoints.
+     * Gets current statistics: the load test requests completed in the
+     * current stats period (the one logged every 60 seconds), with their
+     * average and peak response time.
      * Also checks if 60s period has elapsed and broadcasts if needed.
+     *
+     * currentConcurrentRequests is kept for the probe endpoints
+     * (MetricsController), which read it, but requests in flight are not
+     * tracked, so it is always 0.
      */
     public static function getCurrentStats(): array
     {
         // Check for 60s broadcast (triggered by metrics polling)
         self::checkAndBroadcast();
 
+        $stats = SharedStorage::get(self::STATS_KEY);
+        $hasPeriod = is_array($stats) && isset($stats['periodStart']);
+        $requestCount = $hasPeriod ? (int) ($stats['requestCount'] ?? 0) : 0;
+
         return [
             'currentConcurrentRequests' => 0,
-            'totalRequestsProcessed' => 0,
-            'totalExceptionsThrown' => 0,
-            'averageResponseTimeMs' => 0,
+            'periodStart' => $hasPeriod ? date('c', (int) $stats['periodStart']) : null,
+            'periodSeconds' => $hasPeriod ? max(0, time() - (int) $stats['periodStart']) : 0,
+            'requestCount' => $requestCount,
+            'averageResponseTimeMs' => $requestCount > 0 ? round($stats['responseTimeSum'] / $requestCount, 2) : null,
+            'maxResponseTimeMs' => $requestCount > 0 ? round((float) $stats['maxResponseTime'], 2) : null,
             'timestamp' => date('c'),
         ];
     }
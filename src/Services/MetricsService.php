@@ -76,6 +76,7 @@ namespace PerfSimPhp\Services;
 
 use PerfSimPhp\Config;
 use PerfSimPhp\SharedStorage;
+use PerfSimPhp\Utils;
 use PerfSimPhp\Services\SimulationTrackerService;
 use PerfSimPhp\Services\MemoryPressureService;
 use PerfSimPhp\Services\BlockingService;
@@ -105,7 +106,10 @@ class MetricsService
 
     /**
      * Get simulation status for dashboard Active Simulations display.
-     * Returns status for each simulation type with 'active' boolean.
+     * Returns status for each simulation type with 'active' boolean, plus
+     * the start time and parameters the dashboard labels its chart bands with.
+     * latestStartedAt changes when a simulation is replaced by another of the
+     * same type, which tells the dashboard to refetch its per-simulation list.
      * 
      * Note: Cleanup of expired simulations happens via getActiveSimulations()
      * which is called periodically. We don't run aggressive cleanup here
@@ -117,42 +121,87 @@ class MetricsService
         $cpuSims = SimulationTrackerService::getActiveSimulationsByType('CPU_STRESS');
         $cpuActive = count($cpuSims) > 0;
         $cpuLevel = '';
+        $cpuDurationSeconds = 0;
+        $cpuStartedAt = null;
+        $cpuLatestStartedAt = null;
         foreach ($cpuSims as $sim) {
             // If any sim is 'high', report high; otherwise report the level found
             $simLevel = $sim['parameters']['level'] ?? '';
             if ($simLevel === 'high' || $cpuLevel === '') {
                 $cpuLevel = $simLevel;
             }
+            $cpuDurationSeconds = max($cpuDurationSeconds, (int) ($sim['parameters']['durationSeconds'] ?? 0));
+            $cpuStartedAt = self::earliestTimestamp($cpuStartedAt, $sim['startedAt'] ?? null);
+            $cpuLatestStartedAt = self::latestTimestamp($cpuLatestStartedAt, $sim['startedAt'] ?? null);
         }
 
         // Memory pressure simulations
         $memorySims = SimulationTrackerService::getActiveSimulationsByType('MEMORY_PRESSURE');
         $memoryActive = count($memorySims) > 0;
         $memoryAllocatedMb = MemoryPressureService::getTotalAllocatedMb();
+        $memoryStartedAt = null;
+        $memoryLatestStartedAt = null;
+        foreach ($memorySims as $sim) {
+            $memoryStartedAt = self::earliestTimestamp($memoryStartedAt, $sim['startedAt'] ?? null);
+            $memoryLatestStartedAt = self::latestTimestamp($memoryLatestStartedAt, $sim['startedAt'] ?? null);
+        }
 
         // Blocking simulations - check active time window
         $blockingMode = BlockingService::getBlockingMode();
         $blockingActive = $blockingMode !== null;
         $blockingDuration = $blockingMode['durationSeconds'] ?? 0;
+        $blockingStartedAt = isset($blockingMode['startedAt'])
+            ? Utils::formatTimestamp((float) $blockingMode['startedAt'])
+            : null;
 
         return [
             'cpu' => [
                 'active' => $cpuActive,
                 'level' => $cpuLevel,
                 'count' => count($cpuSims),
+                'durationSeconds' => $cpuDurationSeconds,
+                'startedAt' => $cpuStartedAt,
+                'latestStartedAt' => $cpuLatestStartedAt,
             ],
             'memory' => [
                 'active' => $memoryActive,
                 'allocatedMb' => $memoryAllocatedMb,
                 'count' => count($memorySims),
+                'startedAt' => $memoryStartedAt,
+                'latestStartedAt' => $memoryLatestStartedAt,
             ],
             'blocking' => [
                 'active' => $blockingActive,
                 'duration' => $blockingDuration,
+                'concurrentWorkers' => $blockingMode['concurrentWorkers'] ?? 0,
+                'startedAt' => $blockingStartedAt,
             ],
         ];
     }
 
+    /**
+     * Earlier of two ISO 8601 timestamps from Utils::formatTimestamp().
+     * They share one fixed-width UTC format, so string order is time order.
+     */
+    private static function earliestTimestamp(?string $current, ?string $candidate): ?string
+    {
+        if ($candidate === null) {
+            return $current;
+        }
+        return $current === null || strcmp($candidate, $current) < 0 ? $candidate : $current;
+    }
+
+    /**
+     * Later of two ISO 8601 timestamps from Utils::formatTimestamp().
+     */
+    private static function latestTimestamp(?string $current, ?string $candidate): ?string
+    {
+        if ($candidate === null) {
+            return $current;
+        }
+        return $current === null || strcmp($candidate, $current) > 0 ? $candidate : $current;
+    }
+
     /**
      * CPU metrics via /proc/stat for real-time measurement.
      *
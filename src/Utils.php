@@ -114,6 +114,22 @@ class Utils
         return round((microtime(true) - $startMicrotime) * 1000, 2);
     }
 
+    /**
+     * Milliseconds the request waited for a free FPM worker: from nginx
+     * passing it on (NGINX_REQUEST_START, set for the main pool locations in
+     * the nginx site config) to PHP starting (REQUEST_TIME_FLOAT). Both clocks are
+     * the same machine's. Null when nginx did not set the parameter.
+     */
+    public static function fpmQueueMs(): ?float
+    {
+        $nginxStart = $_SERVER['NGINX_REQUEST_START'] ?? null;
+        $phpStart = $_SERVER['REQUEST_TIME_FLOAT'] ?? null;
+        if (!is_numeric($nginxStart) || $phpStart === null) {
+            return null;
+        }
+        return round(max(0.0, ((float) $phpStart - (float) $nginxStart) * 1000), 2);
+    }
+
     /**
      * Checks if a value is within a range (inclusive).
      */